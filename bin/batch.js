@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Generate learning paths for a JSONL file of profiles, one /generate request per line:
+ *
+ *   node bin/batch.js profiles.jsonl [--output results.jsonl] [--concurrency 2]
+ *     [--provider mock] [--model llama3.2:latest] [--retry-failed] [--no-cache]
+ *
+ * Each result is appended to the output file (default <input>.results.jsonl)
+ * as soon as it is ready. Running the same command again resumes: lines that
+ * already have a result are skipped, and with --retry-failed failed lines
+ * are generated again. Exits 1 when any line failed and 2 on usage errors.
+ */
+require('dotenv').config();
+process.env.LOG_CONSOLE = process.env.LOG_CONSOLE || 'false';
+
+const fs = require('fs');
+const BatchService = require('../services/batchService');
+const { parseArguments, usageError } = require('./lib/args');
+const { createServices } = require('./lib/services');
+
+const USAGE = 'Usage: node bin/batch.js <profiles.jsonl> [--output results.jsonl] [--concurrency N] [--provider NAME] [--model NAME] [--retry-failed] [--no-cache]';
+
+/**
+ * The input path and options from the command line; throws on unknown or incomplete options
+ */
+const parseBatchArguments = (args) => {
+  const { positional, options } = parseArguments(args, {
+    flags: { '--retry-failed': 'retryFailed', '--no-cache': 'bypassCache' },
+    values: { '--output': 'output', '--concurrency': 'concurrency', '--provider': 'provider', '--model': 'model' }
+  });
+
+  if (positional.length !== 1) throw usageError('Give exactly one input file');
+  if (options.concurrency !== undefined && !(parseInt(options.concurrency, 10) > 0)) {
+    throw usageError('--concurrency must be a positive number');
+  }
+
+  return { input: positional[0], ...options };
+};
+
+/**
+ * Run a batch from command-line arguments; resolves to the exit code
+ */
+const runBatch = async (args, { usage = USAGE } = {}) => {
+  let options;
+  try {
+    options = parseBatchArguments(args);
+  } catch (error) {
+    console.error(`${error.message}\n${usage}`);
+    return 2;
+  }
+
+  const { input, retryFailed, bypassCache, provider, model } = options;
+  const output = options.output || `${input.replace(/\.jsonl?$/i, '')}.results.jsonl`;
+
+  if (!fs.existsSync(input)) {
+    console.error(`Input file not found: ${input}`);
+    return 2;
+  }
+
+  const batchService = new BatchService({ generationService: createServices().generationService });
+  const entries = batchService.parse(fs.readFileSync(input, 'utf8'));
+  const previous = batchService.readResults(fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : '');
+  const defaults = Object.fromEntries(Object.entries({ provider, model }).filter(([, value]) => value));
+
+  let completed = 0;
+  const summary = await batchService.run(entries, {
+    previous,
+    retryFailed,
+    concurrency: options.concurrency ? parseInt(options.concurrency, 10) : undefined,
+    defaults,
+    bypassCache,
+    onResult: (result) => {
+      fs.appendFileSync(output, `${JSON.stringify(result)}\n`);
+      completed++;
+      const outcome = result.success ? `ok  ${result.title} (${result.id})` : `failed  ${result.error.message}`;
+      console.error(`[${completed}] line ${result.line}: ${outcome}`);
+    }
+  });
+
+  console.log(`${summary.total} profiles: ${summary.succeeded} generated, ${summary.failed} failed, ${summary.skipped} already done. Results in ${output}`);
+  return summary.failed > 0 ? 1 : 0;
+};
+
+module.exports = { runBatch };
+
+if (require.main === module) {
+  runBatch(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Batch failed: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to the learning path generator, using the services
+ * directly rather than the HTTP API:
+ *
+ *   learning-path generate --profile profile.json [--format md|html|csv|ics|json] [--output FILE]
+ *   learning-path search --topics ansible,openshift [--sources docs,training]
+ *   learning-path topics "I want to automate my RHEL servers"
+ *   learning-path doctor
+ *   learning-path batch profiles.jsonl [...]
+ *
+ * Output is human-friendly; --json prints JSON instead. Progress and errors go
+ * to stderr. Exits 1 when a command fails and 2 on usage errors.
+ */
+require('dotenv').config();
+process.env.LOG_CONSOLE = process.env.LOG_CONSOLE || 'false';
+
+const fs = require('fs');
+const { availableLLMProviders } = require('../services/llmProviders');
+const { getContentCatalog } = require('../services/contentCatalog');
+const { getCertificationCatalog } = require('../services/certificationCatalog');
+const { getStorage } = require('../services/storage');
+const { validateLearningPathRequest, validateSearchRequest, validateTopicExtractionRequest } = require('../utils/validation');
+const { parseArguments, usageError } = require('./lib/args');
+const { createServices } = require('./lib/services');
+const { runBatch } = require('./batch');
+
+const COMMANDS = {
+  generate: 'generate --profile profile.json [--format md|html|csv|ics|json] [--output FILE] [--provider NAME] [--model NAME] [--start YYYY-MM-DD] [--labs] [--no-cache]',
+  search: 'search --topics ansible,openshift [--sources docs,training,tv,videos,all] [--no-cache] [--json]',
+  topics: 'topics "<free text>" [--provider NAME] [--no-cache] [--json]',
+  doctor: 'doctor [--provider NAME] [--json]',
+  batch: 'batch <profiles.jsonl> [--output results.jsonl] [--concurrency N] [--provider NAME] [--model NAME] [--retry-failed] [--no-cache]'
+};
+
+const USAGE = `Usage: learning-path <command> [options]\n\n${Object.values(COMMANDS).map(usage => `  learning-path ${usage}`).join('\n')}`;
+
+const EXPORT_FORMATS = ['md', 'html', 'csv', 'ics', 'json'];
+
+// Shorter names accepted by --sources
+const SOURCE_ALIASES = { docs: 'documentation', doc: 'documentation', video: 'videos' };
+
+const SOURCE_LABELS = { documentation: 'Documentation', training: 'Training', tv: 'Red Hat TV', videos: 'Videos' };
+
+const printJson = (value) => console.log(JSON.stringify(value, null, 2));
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Print validation errors ({ field, message }) under a heading
+ */
+const printErrors = (heading, errors = []) => {
+  console.error(heading);
+  for (const { field, message } of errors) {
+    console.error(`  - ${field ? `${field}: ` : ''}${message}`);
+  }
+};
+
+const checkProvider = (provider) => {
+  if (provider && !availableLLMProviders().includes(provider)) {
+    throw usageError(`Unknown LLM provider ${provider}. Available providers: ${availableLLMProviders().join(', ')}`);
+  }
+};
+
+/**
+ * generate: build a learning path for a profile file (a /generate request body)
+ */
+const generate = async (args) => {
+  const { positional, options } = parseArguments(args, {
+    flags: { '--labs': 'labs', '--no-cache': 'bypassCache', '--json': 'json' },
+    values: { '--profile': 'profile', '--format': 'format', '--output': 'output', '--provider': 'provider', '--model': 'model', '--start': 'start' }
+  });
+  const format = options.json ? 'json' : (options.format || 'md').toLowerCase();
+
+  if (positional.length > 0) throw usageError(`Unexpected argument ${positional[0]}`);
+  if (!options.profile) throw usageError('--profile is required');
+  if (!EXPORT_FORMATS.includes(format)) throw usageError(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(options.profile, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read profile ${options.profile}: ${error.message}`);
+    return 1;
+  }
+
+  const overrides = Object.fromEntries(Object.entries({
+    provider: options.provider,
+    model: options.model,
+    startDate: options.start,
+    labs: options.labs || undefined
+  }).filter(([, value]) => value !== undefined));
+
+  const validation = validateLearningPathRequest({ ...profile, ...overrides });
+  if (!validation.isValid) {
+    printErrors('Invalid profile:', validation.errors);
+    return 1;
+  }
+  checkProvider(validation.data.provider);
+
+  const { llmService, generationService, learningPathStore, exportService } = createServices();
+
+  const { provider, model } = validation.data;
+  const healthCheck = await llmService.checkHealth({ provider, model });
+  if (!healthCheck.healthy) {
+    console.error(`LLM provider ${healthCheck.provider} is not available: ${healthCheck.error}`);
+    llmService.getProvider(provider, model).troubleshooting().forEach(suggestion => console.error(`  - ${suggestion}`));
+    return 1;
+  }
+
+  const prepared = await generationService.prepare(validation.data);
+  if (prepared.error) {
+    printErrors(prepared.error.body.error, prepared.error.body.details);
+    return 1;
+  }
+
+  const result = await generationService.generate(prepared.request, {
+    bypassCache: options.bypassCache,
+    onProgress: (event, data) => {
+      if (event === 'topics') console.error(`Topics: ${data.extractedTopics.join(', ')}`);
+      if (event === 'search') console.error(`Searched ${SOURCE_LABELS[data.source] || data.source}: ${data.count} results`);
+      if (event === 'generating') console.error(`Generating from ${data.totalResources} resources...`);
+      if (event === 'repairing') console.error(`Repairing the model's output (attempt ${data.attempt})...`);
+      if (event === 'labs') console.error(`Labs for phase ${data.phase}: ${data.error ? `failed (${data.error})` : `${data.labs} generated`}`);
+    }
+  });
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(result, null, 2);
+  } else {
+    const savedPath = (result.id && await learningPathStore.get(result.id))
+      || { learningPath: result.learningPath, userProfile: prepared.request.userProfile, startDate: result.schedule.startDate };
+    body = exportService.export(savedPath, format, { start: new Date(result.schedule.startDate) }).body;
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, body.endsWith('\n') ? body : `${body}\n`);
+    console.error(`Saved to ${options.output}`);
+  } else {
+    console.log(body);
+  }
+
+  console.error(`Generated "${result.learningPath.title}"${result.id ? ` (${result.id})` : ''}`);
+  return 0;
+};
+
+/**
+ * search: search Red Hat content for topics
+ */
+const search = async (args) => {
+  const { positional, options } = parseArguments(args, {
+    flags: { '--no-cache': 'bypassCache', '--json': 'json' },
+    values: { '--topics': 'topics', '--sources': 'sources' }
+  });
+
+  if (positional.length > 0) throw usageError(`Unexpected argument ${positional[0]}`);
+  if (!options.topics) throw usageError('--topics is required');
+
+  const sources = splitList(options.sources).map(source => SOURCE_ALIASES[source.toLowerCase()] || source.toLowerCase());
+  const validation = validateSearchRequest({ topics: splitList(options.topics), ...(sources.length > 0 && { sources }) });
+  if (!validation.isValid) {
+    throw usageError(validation.errors.map(({ field, message }) => `${field}: ${message}`).join('\n'));
+  }
+
+  const { topics } = validation.data;
+  const { redhatContentService } = createServices();
+  const cacheStats = { hits: 0, misses: 0 };
+  const enrichmentStats = { enriched: 0, failed: 0 };
+  const results = await redhatContentService.searchSources(topics, validation.data.sources, {
+    bypassCache: options.bypassCache,
+    cacheStats,
+    enrichmentStats
+  });
+
+  if (options.json) {
+    printJson({ results, metadata: { searchedAt: new Date().toISOString(), topics, sources: validation.data.sources, totalResults: results.all.length, cache: cacheStats, enrichment: enrichmentStats } });
+    return 0;
+  }
+
+  for (const [source, label] of Object.entries(SOURCE_LABELS)) {
+    if (!results[source]) continue;
+
+    console.log(`\n${label} (${results[source].length})`);
+    results[source].forEach((result, index) => {
+      const details = [result.type, result.duration, result.level].filter(Boolean).join(' · ');
+      console.log(`  ${index + 1}. ${result.title}${details ? ` [${details}]` : ''}`);
+      console.log(`     ${result.url}`);
+    });
+  }
+  console.log(`\n${results.all.length} unique results for ${topics.join(', ')}`);
+  return 0;
+};
+
+/**
+ * topics: extract Red Hat topics from free text
+ */
+const topics = async (args) => {
+  const { positional, options } = parseArguments(args, {
+    flags: { '--no-cache': 'bypassCache', '--json': 'json' },
+    values: { '--provider': 'provider' }
+  });
+
+  const validation = validateTopicExtractionRequest({ text: positional.join(' ') || undefined, provider: options.provider });
+  if (!validation.isValid) {
+    throw usageError(validation.errors.map(({ message }) => message).join('\n'));
+  }
+  checkProvider(validation.data.provider);
+
+  const { topicExtractionService } = createServices();
+  const extraction = await topicExtractionService.extract(validation.data.text, {
+    bypassCache: options.bypassCache,
+    provider: validation.data.provider
+  });
+
+  if (options.json) {
+    printJson(extraction);
+    return 0;
+  }
+
+  if (extraction.topics.length === 0) {
+    console.log('No Red Hat topics found');
+  }
+  for (const { topic, confidence } of extraction.topics) {
+    console.log(`${topic}${confidence !== undefined ? `  (${Math.round(confidence * 100)}%)` : ''}`);
+  }
+  console.error(`Method: ${extraction.method}${extraction.fallbackReason ? ` (${extraction.fallbackReason})` : ''}`);
+  return 0;
+};
+
+/**
+ * doctor: check the LLM provider, search providers, catalogs and storage.
+ * Each check is ok, warn or fail; any failure makes the command fail.
+ */
+const doctor = async (args) => {
+  const { positional, options } = parseArguments(args, {
+    flags: { '--json': 'json' },
+    values: { '--provider': 'provider' }
+  });
+
+  if (positional.length > 0) throw usageError(`Unexpected argument ${positional[0]}`);
+  const provider = options.provider ? options.provider.trim().toLowerCase() : undefined;
+  checkProvider(provider);
+
+  const { llmService, redhatContentService } = createServices();
+  const checks = [];
+
+  const connection = await llmService.testConnection({ provider });
+  const target = `${connection.provider} ${connection.model}${connection.host ? ` at ${connection.host}` : ''}`;
+  checks.push(connection.success
+    ? { name: 'LLM provider', status: 'ok', message: `${target} responded: ${connection.response}` }
+    : { name: 'LLM provider', status: 'fail', message: `${target}: ${connection.error}`, suggestions: llmService.getProvider(provider).troubleshooting() });
+
+  const searchProviders = redhatContentService.getActiveProviders();
+  checks.push(searchProviders.length > 0
+    ? { name: 'Search providers', status: 'ok', message: searchProviders.map(({ name, sources }) => `${name} (${sources.join(', ')})`).join('; ') }
+    : { name: 'Search providers', status: 'fail', message: 'No search providers configured', suggestions: ['Set SEARCH_PROVIDERS, e.g. duckduckgo,catalog'] });
+
+  try {
+    const entries = await getContentCatalog().getEntries();
+    checks.push({ name: 'Content catalog', status: entries.length > 0 ? 'ok' : 'warn', message: `${entries.length} entries` });
+  } catch (error) {
+    checks.push({ name: 'Content catalog', status: 'fail', message: error.message });
+  }
+
+  try {
+    const certifications = getCertificationCatalog().getCertifications();
+    checks.push({ name: 'Certification catalog', status: certifications.length > 0 ? 'ok' : 'warn', message: `${certifications.length} certifications` });
+  } catch (error) {
+    checks.push({ name: 'Certification catalog', status: 'fail', message: error.message });
+  }
+
+  try {
+    const storage = getStorage('doctor');
+    await storage.put('probe', { checkedAt: new Date().toISOString() });
+    await storage.get('probe');
+    await storage.delete('probe');
+    checks.push({ name: 'Storage', status: 'ok', message: `${process.env.STORAGE_DRIVER || 'file'} storage is writable` });
+  } catch (error) {
+    checks.push({ name: 'Storage', status: 'fail', message: error.message, suggestions: [`Check that STORAGE_DIR (${process.env.STORAGE_DIR || 'data'}) is writable`] });
+  }
+
+  const healthy = checks.every(check => check.status !== 'fail');
+
+  if (options.json) {
+    printJson({ healthy, checks });
+  } else {
+    const marks = { ok: 'OK  ', warn: 'WARN', fail: 'FAIL' };
+    for (const check of checks) {
+      console.log(`${marks[check.status]}  ${check.name}: ${check.message}`);
+      (check.suggestions || []).forEach(suggestion => console.log(`        - ${suggestion}`));
+    }
+    console.log(healthy ? '\nEverything needed to generate learning paths is working' : '\nSome checks failed');
+  }
+
+  return healthy ? 0 : 1;
+};
+
+const handlers = { generate, search, topics, doctor };
+
+const main = async (args) => {
+  const [command, ...rest] = args;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return command ? 0 : 2;
+  }
+  if (command === 'batch') {
+    return runBatch(rest, { usage: `Usage: learning-path ${COMMANDS.batch}` });
+  }
+  if (!handlers[command]) {
+    console.error(`Unknown command ${command}\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    return await handlers[command](rest);
+  } catch (error) {
+    if (error.usage) {
+      console.error(`${error.message}\nUsage: learning-path ${COMMANDS[command]}`);
+      return 2;
+    }
+    throw error;
+  }
+};
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * Error for a bad command line; the CLIs print usage and exit 2 for these
+ */
+const usageError = (message) => {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+};
+
+/**
+ * Split command-line arguments into positional arguments and options.
+ * `flags` maps switches (e.g. { '--no-cache': 'bypassCache' }) and `values`
+ * maps options that take a value (e.g. { '--output': 'output' }) to option
+ * names. Throws a usage error on unknown options and options missing their value.
+ */
+const parseArguments = (args, { flags = {}, values = {} } = {}) => {
+  const options = Object.fromEntries(Object.values(flags).map(name => [name, false]));
+  const positional = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+    } else if (values[arg]) {
+      if (index + 1 >= args.length) throw usageError(`${arg} needs a value`);
+      options[values[arg]] = args[++index];
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+};
+
+module.exports = { parseArguments, usageError };
@@ -0,0 +1,24 @@
+const { parseArguments } = require('./args');
+
+const spec = { flags: { '--no-cache': 'bypassCache' }, values: { '--output': 'output' } };
+
+describe('parseArguments', () => {
+  test('splits positional arguments, switches and values', () => {
+    expect(parseArguments(['profile.json', '--no-cache', '--output', 'path.md'], spec)).toEqual({
+      positional: ['profile.json'],
+      options: { bypassCache: true, output: 'path.md' }
+    });
+  });
+
+  test('defaults switches to false', () => {
+    expect(parseArguments([], spec).options).toEqual({ bypassCache: false });
+  });
+
+  test('rejects unknown options as a usage error', () => {
+    expect(() => parseArguments(['--verbose'], spec)).toThrow(expect.objectContaining({ message: 'Unknown option --verbose', usage: true }));
+  });
+
+  test('rejects an option missing its value as a usage error', () => {
+    expect(() => parseArguments(['--output'], spec)).toThrow(expect.objectContaining({ message: '--output needs a value', usage: true }));
+  });
+});
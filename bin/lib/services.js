@@ -0,0 +1,46 @@
+const RedHatContentService = require('../../services/redhatContentService');
+const LLMService = require('../../services/llmService');
+const LearningPathStore = require('../../services/learningPathStore');
+const GroundingService = require('../../services/groundingService');
+const TopicExtractionService = require('../../services/topicExtractionService');
+const CertificationService = require('../../services/certificationService');
+const ScheduleService = require('../../services/scheduleService');
+const AssessmentService = require('../../services/assessmentService');
+const LabService = require('../../services/labService');
+const ExportService = require('../../services/exportService');
+const GenerationService = require('../../services/generationService');
+
+/**
+ * The services the command-line tools use, wired together the way the
+ * server wires them
+ */
+const createServices = () => {
+  const llmService = new LLMService();
+  const redhatContentService = new RedHatContentService();
+  const topicExtractionService = new TopicExtractionService({ llmService });
+  const scheduleService = new ScheduleService();
+  const learningPathStore = new LearningPathStore();
+
+  const generationService = new GenerationService({
+    llmService,
+    redhatContentService,
+    topicExtractionService,
+    groundingService: new GroundingService(),
+    certificationService: new CertificationService(),
+    scheduleService,
+    assessmentService: new AssessmentService({ llmService, topicExtractionService }),
+    labService: new LabService({ llmService }),
+    learningPathStore
+  });
+
+  return {
+    llmService,
+    redhatContentService,
+    topicExtractionService,
+    learningPathStore,
+    generationService,
+    exportService: new ExportService(scheduleService)
+  };
+};
+
+module.exports = { createServices };
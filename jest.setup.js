@@ -0,0 +1,10 @@
+// Tests run offline against in-memory storage, the mock LLM provider and the
+// bundled content catalog, without reading an API key file
+process.env.LOG_CONSOLE = 'false';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_ALLOWED_MODELS = '';
+process.env.SEARCH_PROVIDERS = 'catalog';
+process.env.ENRICHMENT_ENABLED = 'false';
+process.env.CACHE_PERSIST = 'false';
+process.env.API_KEYS_FILE = 'api-keys.test.yaml';
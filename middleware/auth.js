@@ -0,0 +1,149 @@
+const rateLimit = require('express-rate-limit');
+const { getApiKeyService } = require('../services/apiKeyService');
+const { getUsageService } = require('../services/usageService');
+const { logger } = require('../utils/logger');
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * The API key sent as "Authorization: Bearer <key>" or in the X-API-Key header
+ */
+const readApiKey = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : req.get('X-API-Key');
+};
+
+/**
+ * Seconds until the daily generation quotas reset at midnight UTC
+ */
+const secondsUntilReset = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+/**
+ * Require a valid API key, attach it as req.apiKey and count the request.
+ * Passes every request through when there is no key file, and fails every
+ * request when the key file can't be loaded.
+ */
+const authenticate = (req, res, next) => {
+  let apiKey;
+  try {
+    const apiKeyService = getApiKeyService();
+    if (!apiKeyService.isEnabled()) {
+      return next();
+    }
+    apiKey = apiKeyService.authenticate(readApiKey(req));
+  } catch (error) {
+    logger.error('Rejected request: API keys could not be loaded:', error.message);
+    return next(error);
+  }
+
+  if (!apiKey) {
+    logger.warn('Rejected request without a valid API key', { url: req.originalUrl, ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer');
+    const error = new Error('A valid API key is required');
+    error.name = 'UnauthorizedError';
+    return next(error);
+  }
+
+  req.apiKey = apiKey;
+  getUsageService().record(apiKey.id, { requests: 1 });
+  next();
+};
+
+/**
+ * Only let admin keys through (everyone when authentication is disabled)
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.apiKey && req.apiKey.role !== 'admin') {
+    return next(httpError('This endpoint requires an admin API key', 403));
+  }
+  next();
+};
+
+/**
+ * Rate limiting with each key's own window and request limit. Without keys,
+ * requests are limited per IP address with RATE_LIMIT_WINDOW_MS and
+ * RATE_LIMIT_MAX_REQUESTS. The limiters are created up front, as
+ * express-rate-limit requires, so call this when setting up the app.
+ */
+const createRateLimiter = (apiKeyService = getApiKeyService()) => {
+  const handler = (req, res, next) => {
+    if (req.apiKey) {
+      getUsageService().record(req.apiKey.id, { rateLimited: 1 });
+    }
+    next(httpError('Too many requests, please try again later', 429));
+  };
+
+  const create = ({ windowMs, max }, keyGenerator) => rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler,
+    ...(keyGenerator && { keyGenerator })
+  });
+
+  const byKey = new Map(apiKeyService.getKeys().map(apiKey => [apiKey.id, create(apiKey.rateLimit, req => req.apiKey.id)]));
+  const byIp = create(apiKeyService.defaultRateLimit);
+
+  return (req, res, next) => (req.apiKey ? byKey.get(req.apiKey.id) : byIp)(req, res, next);
+};
+
+/**
+ * Enforce the key's daily generation quota on a route that generates
+ * learning paths. cost(req) is the number of generations the request asks
+ * for. They are reserved before the route runs, so concurrent requests
+ * can't overspend the quota, and refunded when the response fails: an error
+ * status, a connection closed before the response finished, or a route
+ * setting res.locals.generationFailed (a streamed generation that ended in
+ * an error event). Responds 429 when the quota would be exceeded.
+ */
+const generationQuota = (cost = () => 1) => async (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  try {
+    const { id, dailyGenerationQuota: quota } = req.apiKey;
+    const count = cost(req);
+    const usageService = getUsageService();
+    const { reserved, used } = await usageService.reserveGenerations(id, count, quota);
+
+    if (quota !== null) {
+      res.set('X-Generation-Quota-Limit', String(quota));
+      res.set('X-Generation-Quota-Remaining', String(Math.max(quota - used, 0)));
+
+      if (!reserved) {
+        res.set('Retry-After', String(secondsUntilReset()));
+        return next(httpError(`Daily generation quota exceeded: ${used} of ${quota} used, ${count} requested. The quota resets at midnight UTC`, 429));
+      }
+    }
+
+    if (count > 0) {
+      res.on('close', () => {
+        if (res.writableFinished && res.statusCode < 400 && !res.locals.generationFailed) {
+          return;
+        }
+        usageService.record(id, { generations: -count })
+          .catch(error => logger.error(`Failed to refund generations for ${id}:`, error.message));
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  createRateLimiter,
+  generationQuota
+};
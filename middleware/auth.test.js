@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_FILE = path.join(keysDir, 'api-keys.yaml');
+fs.writeFileSync(process.env.API_KEYS_FILE, [
+  'keys:',
+  '  - id: admin',
+  '    key: admin-key-0123456789',
+  '    role: admin',
+  '    dailyGenerationQuota: null',
+  '  - id: client',
+  '    key: client-key-0123456789',
+  '    dailyGenerationQuota: 3',
+  '  - id: batch-client',
+  '    key: batch-key-0123456789',
+  '    dailyGenerationQuota: 2',
+  '  - id: race-client',
+  '    key: race-key-0123456789',
+  '    dailyGenerationQuota: 2',
+  '  - id: stream-client',
+  '    key: stream-key-0123456789',
+  '    dailyGenerationQuota: 2',
+  '  - id: compare-client',
+  '    key: compare-key-0123456789',
+  '    dailyGenerationQuota: 2',
+  '  - id: retired',
+  '    key: retired-key-0123456789',
+  '    disabled: true'
+].join('\n'));
+
+const { authenticate, requireAdmin, generationQuota } = require('./auth');
+const { errorHandler } = require('./errorHandler');
+const learningPathRouter = require('../routes/learningPath');
+
+let server;
+let request;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.get('/admin', requireAdmin, (req, res) => res.json({ id: req.apiKey.id }));
+  app.post('/generate', generationQuota(req => req.body.count || 1), (req, res) => res.status(req.body.status || 200).json({}));
+  app.post('/slow', generationQuota(), (req, res) => setTimeout(() => res.json({}), 50));
+  app.post('/stream', generationQuota(), (req, res) => {
+    res.locals.generationFailed = true;
+    res.end('event: error\ndata: {}\n\n');
+  });
+  app.use('/api/learning-path', learningPathRouter);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1', () => {
+    const api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+    request = (key, config) => api.request({ ...config, headers: { ...(key && { Authorization: `Bearer ${key}` }), ...config.headers } });
+    done();
+  });
+});
+
+afterAll((done) => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+  server.close(done);
+});
+
+describe('authenticate', () => {
+  test('rejects requests without a key', async () => {
+    const response = await request(null, { url: '/admin' });
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('rejects unknown and disabled keys', async () => {
+    expect((await request('wrong-key-0123456789', { url: '/admin' })).status).toBe(401);
+    expect((await request('retired-key-0123456789', { url: '/admin' })).status).toBe(401);
+  });
+
+  test('accepts a key in the X-API-Key header', async () => {
+    const response = await request(null, { url: '/admin', headers: { 'X-API-Key': 'admin-key-0123456789' } });
+
+    expect(response.status).toBe(200);
+    expect(response.data.id).toBe('admin');
+  });
+});
+
+describe('requireAdmin', () => {
+  test('turns away client keys', async () => {
+    expect((await request('client-key-0123456789', { url: '/admin' })).status).toBe(403);
+  });
+});
+
+describe('generationQuota', () => {
+  const generate = (data) => request('client-key-0123456789', { method: 'post', url: '/generate', data });
+
+  test('counts successful generations and refuses requests over the quota', async () => {
+    let response = await generate({ count: 2 });
+    expect(response.status).toBe(200);
+    expect(response.headers['x-generation-quota-limit']).toBe('3');
+    expect(response.headers['x-generation-quota-remaining']).toBe('3');
+
+    // Failed requests aren't counted
+    response = await generate({ status: 500 });
+    expect(response.status).toBe(500);
+
+    response = await generate({ count: 2 });
+    expect(response.status).toBe(429);
+    expect(response.headers['x-generation-quota-remaining']).toBe('1');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await generate({ count: 1 })).status).toBe(200);
+  });
+
+  test('lets only as many concurrent requests through as the quota allows', async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => request('race-key-0123456789', { method: 'post', url: '/slow' })));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 200, 429, 429, 429]);
+  });
+
+  test('gives back generations a stream failed to produce', async () => {
+    const stream = () => request('stream-key-0123456789', { method: 'post', url: '/stream' });
+
+    await stream();
+    const response = await stream();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-generation-quota-remaining']).toBe('2');
+  });
+
+  test('does not limit keys without a quota', async () => {
+    const response = await request('admin-key-0123456789', { method: 'post', url: '/generate', data: { count: 1000 } });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-generation-quota-limit']).toBeUndefined();
+  });
+});
+
+describe('generation quota on batch resume', () => {
+  const profile = {
+    interests: ['Ansible'],
+    experience: 'Linux administrator',
+    goals: ['Automate server configuration'],
+    timeCommitment: '5 hours per week',
+    preferredLearningStyle: 'Hands-on practice'
+  };
+  const batchRequest = (config) => request('batch-key-0123456789', {
+    method: 'post',
+    headers: { 'Content-Type': 'application/x-ndjson' },
+    transformRequest: [data => data],
+    ...config
+  });
+
+  test('counts the lines a resume runs again', async () => {
+    // One valid line and one that fails validation
+    const started = await batchRequest({ url: '/api/learning-path/batch', data: `${JSON.stringify(profile)}\n{"interests":[]}\n` });
+    expect(started.status).toBe(202);
+
+    let batch;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      batch = (await request('batch-key-0123456789', { url: `/api/learning-path/batch/${started.data.id}` })).data;
+    } while (batch.status === 'running');
+    expect(batch.summary).toMatchObject({ succeeded: 1, failed: 1 });
+
+    // Nothing is left to run without retryFailed, so the spent quota doesn't matter
+    expect((await batchRequest({ url: `/api/learning-path/batch/${batch.id}/resume` })).status).toBe(202);
+
+    const retried = await batchRequest({ url: `/api/learning-path/batch/${batch.id}/resume?retryFailed=true` });
+    expect(retried.status).toBe(429);
+    expect(retried.data.error.message).toMatch('2 of 2 used, 1 requested');
+  });
+});
+
+describe('generation quota on compare', () => {
+  test('prices a comparison by its validated models', async () => {
+    const compare = (data) => request('compare-key-0123456789', { method: 'post', url: '/api/learning-path/compare', data });
+    const profile = {
+      interests: ['Ansible'],
+      experience: 'Linux administrator',
+      goals: ['Automate server configuration'],
+      timeCommitment: '5 hours per week',
+      preferredLearningStyle: 'Hands-on practice'
+    };
+
+    const invalid = await compare({ ...profile, models: Array.from({ length: 50 }, () => ({ provider: 'mock' })) });
+    expect(invalid.status).toBe(400);
+    expect(invalid.headers['x-generation-quota-remaining']).toBeUndefined();
+
+    const valid = await compare({ ...profile, models: [{ provider: 'mock' }, { provider: 'mock' }] });
+    expect(valid.status).toBe(200);
+    expect(valid.headers['x-generation-quota-remaining']).toBe('2');
+
+    expect((await compare({ ...profile, models: [{ provider: 'mock' }, { provider: 'mock' }] })).status).toBe(429);
+  });
+});
+
+describe('a key file that cannot be loaded', () => {
+  const brokenFile = path.join(keysDir, 'broken.yaml');
+  let auth;
+
+  beforeAll(() => {
+    fs.writeFileSync(brokenFile, 'keys:\n  - id: admin\n   key: [unclosed');
+    const previous = process.env.API_KEYS_FILE;
+    process.env.API_KEYS_FILE = brokenFile;
+    try {
+      jest.isolateModules(() => {
+        auth = require('./auth');
+      });
+      // The shared key service is created on first use
+      auth.authenticate({ get: () => undefined }, {}, () => {});
+    } finally {
+      process.env.API_KEYS_FILE = previous;
+    }
+  });
+
+  test('stops the server from starting', () => {
+    expect(() => auth.createRateLimiter()).toThrow(/Failed to load API key file/);
+  });
+
+  test('fails requests instead of letting them through', () => {
+    const next = jest.fn();
+    auth.authenticate({ get: () => undefined, originalUrl: '/api/admin/usage' }, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringMatching(/Failed to load API key file/) }));
+  });
+});
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const yaml = require('js-yaml');
+
+const { getContentCatalog } = require('../services/contentCatalog');
+const { getCache } = require('../services/cacheService');
+const { getApiKeyService } = require('../services/apiKeyService');
+const { getUsageService } = require('../services/usageService');
+const { validateCatalogImport, validateUsageQuery } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const YAML_CONTENT_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml'];
+
+/**
+ * GET /api/admin/catalog
+ * Export all catalog entries as JSON, or YAML with ?format=yaml
+ */
+router.get('/catalog', async (req, res, next) => {
+  try {
+    const entries = await getContentCatalog().getEntries();
+
+    if (req.query.format === 'yaml') {
+      res.type('application/yaml');
+      return res.send(yaml.dump({ entries }));
+    }
+
+    res.json({
+      entries,
+      metadata: {
+        exportedAt: new Date().toISOString(),
+        totalEntries: entries.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error exporting catalog:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/catalog
+ * Import catalog entries from a JSON body ({ entries, mode }) or a YAML document.
+ * For YAML the mode can be passed as ?mode=replace.
+ */
+router.post('/catalog', express.text({ type: YAML_CONTENT_TYPES, limit: '10mb' }), async (req, res, next) => {
+  try {
+    const catalog = getContentCatalog();
+    let payload = req.body;
+
+    if (typeof payload === 'string') {
+      try {
+        payload = { entries: catalog.parseCatalog(payload, 'yaml'), mode: req.query.mode };
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid YAML catalog',
+          details: error.message
+        });
+      }
+    }
+
+    const validation = validateCatalogImport(payload);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const imported = await catalog.importEntries(validation.data.entries, { mode: validation.data.mode });
+    const entries = await catalog.getEntries();
+
+    res.status(201).json({
+      imported: imported.length,
+      mode: validation.data.mode,
+      totalEntries: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error importing catalog:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cache
+ * Inspect cache statistics and live entries, optionally for one namespace (?namespace=search|generation|topics|page-metadata)
+ */
+router.get('/cache', async (req, res, next) => {
+  try {
+    const cache = getCache();
+    const entries = await cache.list({ namespace: req.query.namespace });
+
+    res.json({
+      stats: cache.getStats(),
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error inspecting cache:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Purge all cache entries, or one namespace with ?namespace=search|generation|topics|page-metadata
+ */
+router.delete('/cache', async (req, res, next) => {
+  try {
+    const purged = await getCache().purge({ namespace: req.query.namespace });
+
+    res.json({
+      purged,
+      namespace: req.query.namespace || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error purging cache:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache/:id
+ * Remove a single cache entry by the id shown in GET /api/admin/cache
+ */
+router.delete('/cache/:id', async (req, res, next) => {
+  try {
+    const deleted = await getCache().delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Cache entry not found'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting cache entry:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/usage
+ * Usage per API key over the last ?days= days (default 7), optionally for one ?key= id:
+ * requests, generations and rejected requests by day, and today's remaining generation quota
+ */
+router.get('/usage', async (req, res, next) => {
+  try {
+    const validation = validateUsageQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { days, key } = validation.data;
+    const apiKeyService = getApiKeyService();
+    const usageService = getUsageService();
+
+    const apiKeys = apiKeyService.getKeys().filter(apiKey => !key || apiKey.id === key);
+    if (key && apiKeys.length === 0) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    const records = await usageService.history({ days, keyId: key });
+    const today = new Date().toISOString().slice(0, 10);
+
+    res.json({
+      authentication: apiKeyService.isEnabled(),
+      days,
+      keys: apiKeys.map(apiKey => {
+        const daily = records
+          .filter(record => record.keyId === apiKey.id)
+          .map(({ id, keyId, ...record }) => record);
+        const generationsToday = daily.find(record => record.date === today)?.generations || 0;
+
+        return {
+          ...apiKeyService.toPublic(apiKey),
+          today: {
+            generations: generationsToday,
+            remainingGenerations: apiKey.dailyGenerationQuota === null ? null : Math.max(apiKey.dailyGenerationQuota - generationsToday, 0)
+          },
+          totals: usageService.summarize(daily),
+          daily
+        };
+      }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reporting API usage:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,33 +3,162 @@ const router = express.Router();
 
 const RedHatContentService = require('../services/redhatContentService');
 const LLMService = require('../services/llmService');
-const { validateLearningPathRequest, validateSearchRequest } = require('../utils/validation');
+const LearningPathStore = require('../services/learningPathStore');
+const GroundingService = require('../services/groundingService');
+const TopicExtractionService = require('../services/topicExtractionService');
+const ProgressService = require('../services/progressService');
+const AdaptationService = require('../services/adaptationService');
+const ComparisonService = require('../services/comparisonService');
+const ExportService = require('../services/exportService');
+const ScheduleService = require('../services/scheduleService');
+const CertificationService = require('../services/certificationService');
+const AssessmentService = require('../services/assessmentService');
+const LabService = require('../services/labService');
+const GenerationService = require('../services/generationService');
+const JobQueue = require('../services/jobQueue');
+const BatchService = require('../services/batchService');
+const OrganizationService = require('../services/organizationService');
+const { getCertificationCatalog } = require('../services/certificationCatalog');
+const { availableLLMProviders } = require('../services/llmProviders');
+const {
+  validateLearningPathRequest,
+  validateCompareRequest,
+  validateJobRequest,
+  validateSearchRequest,
+  validateTopicExtractionRequest,
+  validateAssessmentRequest,
+  validateAssessmentSubmission,
+  validateProgressUpdate,
+  validateAdaptRequest,
+  validateExportQuery,
+  validateScheduleQuery,
+  validateLabsRequest,
+  getAllowedModels
+} = require('../utils/validation');
 const { logger } = require('../utils/logger');
+const { generationQuota } = require('../middleware/auth');
 
 // Initialize services
 const redhatContentService = new RedHatContentService();
+const learningPathStore = new LearningPathStore();
+const groundingService = new GroundingService();
+const progressService = new ProgressService();
+const certificationService = new CertificationService();
+const scheduleService = new ScheduleService();
+const exportService = new ExportService(scheduleService);
 let llmService;
 
 try {
   llmService = new LLMService();
   
-  // Test Ollama connection on startup
+  // Test the default LLM provider on startup
   llmService.testConnection().then(result => {
     if (result.success) {
-      logger.info('Ollama connection test successful:', result.response);
+      logger.info(`${result.provider} connection test successful:`, result.response);
     } else {
-      logger.error('Ollama connection test failed:', result.error);
+      logger.error(`${result.provider} connection test failed:`, result.error);
     }
   });
 } catch (error) {
   logger.error('Failed to initialize LLM service:', error.message);
 }
 
+const topicExtractionService = new TopicExtractionService({ llmService });
+const adaptationService = new AdaptationService({
+  llmService,
+  redhatContentService,
+  topicExtractionService,
+  groundingService,
+  certificationService,
+  progressService,
+  learningPathStore
+});
+const assessmentService = new AssessmentService({ llmService, topicExtractionService });
+const labService = new LabService({ llmService });
+const comparisonService = new ComparisonService({
+  llmService,
+  redhatContentService,
+  topicExtractionService,
+  groundingService
+});
+const generationService = new GenerationService({
+  llmService,
+  redhatContentService,
+  topicExtractionService,
+  groundingService,
+  certificationService,
+  scheduleService,
+  assessmentService,
+  labService,
+  learningPathStore
+});
+const jobQueue = new JobQueue();
+const batchService = new BatchService({ generationService });
+const organizationService = new OrganizationService();
+
+// Batch bodies are JSONL: one /generate request per line
+const parseJsonLines = express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: '10mb' });
+
+/**
+ * Whether the client asked to skip cached results (Cache-Control: no-cache or no-store)
+ */
+const shouldBypassCache = (req) => /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+
+/**
+ * Error response for an LLM provider name that isn't registered
+ */
+const unknownProviderError = (provider, field = 'provider') => ({
+  error: 'Validation failed',
+  details: [{
+    field,
+    message: `Unknown LLM provider. Available providers: ${availableLLMProviders().join(', ')}`,
+    value: provider
+  }]
+});
+
+/**
+ * Check that the LLM service and the requested provider and model can take a request.
+ * Resolves to null when they can, or to the { status, body } of the error response.
+ */
+const checkLLMAvailability = async (provider, model) => {
+  if (!llmService) {
+    return {
+      status: 500,
+      body: { error: 'LLM service is not available. Please check your LLM provider configuration.' }
+    };
+  }
+
+  if (provider && !availableLLMProviders().includes(provider)) {
+    return { status: 400, body: unknownProviderError(provider) };
+  }
+
+  const healthCheck = await llmService.checkHealth({ provider, model });
+  if (!healthCheck.healthy) {
+    return {
+      status: 503,
+      body: {
+        error: `LLM provider ${healthCheck.provider} is not available`,
+        details: healthCheck.error,
+        suggestions: llmService.getProvider(provider, model).troubleshooting()
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Write a single Server-Sent Event to the response
+ */
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 /**
  * POST /api/learning-path/generate
  * Generate a personalized learning path based on user profile
  */
-router.post('/generate', async (req, res, next) => {
+router.post('/generate', generationQuota(), async (req, res, next) => {
   try {
     // Validate request data
     const validation = validateLearningPathRequest(req.body);
@@ -40,70 +169,365 @@ router.post('/generate', async (req, res, next) => {
       });
     }
 
-    const userProfile = validation.data;
-    
-    // Check if LLM service is available
-    if (!llmService) {
-      return res.status(500).json({
-        error: 'LLM service is not available. Please check your Ollama configuration.'
+    const prepared = await generationService.prepare(validation.data);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    // Check that the LLM provider and model are available
+    const unavailable = await checkLLMAvailability(prepared.request.provider, prepared.request.model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const response = await generationService.generate(prepared.request, { bypassCache: shouldBypassCache(req) });
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Error generating learning path:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/generate/stream
+ * Generate a learning path, streaming progress as Server-Sent Events.
+ * Disconnecting the client aborts the model request.
+ */
+router.post('/generate/stream', generationQuota(), async (req, res, next) => {
+  // Validate request data
+  const validation = validateLearningPathRequest(req.body);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validation.errors
+    });
+  }
+
+  // Errors before the stream opens get a JSON response like /generate
+  let prepared;
+  try {
+    prepared = await generationService.prepare(validation.data);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    const unavailable = await checkLLMAvailability(prepared.request.provider, prepared.request.model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+  } catch (error) {
+    logger.error('Error preparing learning path stream:', error);
+    return next(error);
+  }
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client disconnected from learning path stream');
+      abortController.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  try {
+    const response = await generationService.generate(prepared.request, {
+      bypassCache: shouldBypassCache(req),
+      signal: abortController.signal,
+      onProgress: (event, data) => sendEvent(res, event, data),
+      onToken: (token) => sendEvent(res, 'token', { token })
+    });
+
+    sendEvent(res, 'learningPath', response);
+    sendEvent(res, 'done', { completedAt: new Date().toISOString() });
+    res.end();
+  } catch (error) {
+    // The stream has already answered 200, so tell the quota not to count it
+    res.locals.generationFailed = true;
+    if (error.name === 'AbortError' || abortController.signal.aborted) {
+      return;
+    }
+
+    logger.error('Error streaming learning path:', error);
+    sendEvent(res, 'error', { message: error.message });
+    res.end();
+  }
+});
+
+/**
+ * POST /api/learning-path/jobs
+ * Queue a learning path generation and return its job id straight away.
+ * The job reports queued, searching, generating, then done or failed.
+ */
+router.post('/jobs', generationQuota(), async (req, res, next) => {
+  try {
+    const validation = validateJobRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
       });
     }
 
-    // Test Ollama connection
-    const healthCheck = await llmService.checkOllamaHealth();
-    if (!healthCheck.healthy) {
-      return res.status(503).json({
-        error: 'Ollama service is not available',
-        details: healthCheck.error,
-        suggestion: 'Make sure Ollama is running and the model is installed'
+    const { callbackUrl, ...data } = validation.data;
+    const prepared = await generationService.prepare(data);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    const unavailable = await checkLLMAvailability(prepared.request.provider, prepared.request.model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const bypassCache = shouldBypassCache(req);
+    const job = await jobQueue.enqueue(async (setStatus) => {
+      setStatus('searching');
+      return generationService.generate(prepared.request, {
+        bypassCache,
+        onProgress: (event) => {
+          if (event === 'generating') setStatus('generating');
+        }
+      });
+    }, { type: 'learning-path', request: data, callbackUrl });
+
+    res.status(202)
+      .location(`${req.baseUrl}/jobs/${job.id}`)
+      .json(jobQueue.toPublic(job));
+  } catch (error) {
+    logger.error('Error queueing learning path job:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/jobs/:id
+ * Status of a queued generation, with the learning path once it is done
+ */
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
       });
     }
 
-    logger.info('Generating learning path for user profile:', {
-      interests: userProfile.interests,
-      experience: userProfile.experience,
-      goals: userProfile.goals
+    res.json(jobQueue.toPublic(job));
+  } catch (error) {
+    logger.error('Error retrieving job:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/batch?provider=&model=
+ * Generate a learning path for every line of a JSONL body in the background.
+ * provider and model apply to lines that don't set their own.
+ */
+router.post('/batch', parseJsonLines, generationQuota(req => batchService.parse(req.body).length), async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        error: 'Send the profiles as JSONL with Content-Type application/x-ndjson'
+      });
+    }
+
+    const { provider, model } = req.query;
+    const unavailable = await checkLLMAvailability(provider, model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const defaults = Object.fromEntries(Object.entries({ provider, model }).filter(([, value]) => value));
+    const batch = await batchService.create(req.body, { defaults, bypassCache: shouldBypassCache(req) });
+
+    res.status(202)
+      .location(`${req.baseUrl}/batch/${batch.id}`)
+      .json(batchService.toPublic(batch));
+  } catch (error) {
+    logger.error('Error starting batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/batch/:id
+ * Status and line counts of a batch
+ */
+router.get('/batch/:id', async (req, res, next) => {
+  try {
+    const batch = await batchService.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    res.json(batchService.toPublic(batch));
+  } catch (error) {
+    logger.error('Error retrieving batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/batch/:id/results
+ * The batch's results so far as JSONL, in input line order
+ */
+router.get('/batch/:id/results', async (req, res, next) => {
+  try {
+    const batch = await batchService.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    const results = [...batch.results].sort((a, b) => a.line - b.line);
+
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.send(results.map(result => `${JSON.stringify(result)}\n`).join(''));
+  } catch (error) {
+    logger.error('Error retrieving batch results:', error);
+    next(error);
+  }
+});
+
+/**
+ * Load the batch named in the URL as req.batch, answering 404 when there is none
+ */
+const loadBatch = async (req, res, next) => {
+  try {
+    req.batch = await batchService.get(req.params.id);
+    if (!req.batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error retrieving batch:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/learning-path/batch/:id/resume?retryFailed=true
+ * Continue an interrupted batch from the lines without a result.
+ * Counts one generation per line it runs again.
+ */
+router.post('/batch/:id/resume', loadBatch, generationQuota(req => batchService.selectPending(
+  req.batch.entries,
+  batchService.readResults(req.batch.results),
+  { retryFailed: req.query.retryFailed === 'true' }
+).length), async (req, res, next) => {
+  try {
+    const resumed = await batchService.resume(req.batch, {
+      retryFailed: req.query.retryFailed === 'true',
+      bypassCache: shouldBypassCache(req)
     });
 
-    // Extract topics from user interests and goals
-    const allTopics = [...userProfile.interests, ...userProfile.goals];
-    const extractedTopics = redhatContentService.extractTopics(allTopics.join(' '));
+    res.status(202).json(batchService.toPublic(resumed));
+  } catch (error) {
+    logger.error('Error resuming batch:', error);
+    next(error);
+  }
+});
+
+/**
+ * The saved path in :id, or null. A member's copy of a path assigned in an
+ * organization is only available to that member, the organization's
+ * managers and admins (by X-Member-Token) and admin API keys; anyone else
+ * gets a 403.
+ */
+const getSavedPath = async (req) => {
+  const savedPath = await learningPathStore.get(req.params.id);
+  const credentials = { apiKey: req.apiKey, memberToken: req.get('X-Member-Token') };
 
-    // Search for relevant Red Hat content
-    const searchResults = await redhatContentService.searchAllSources(extractedTopics);
+  if (savedPath && savedPath.assignment && !(await organizationService.canAccessAssignedPath(savedPath.assignment, credentials))) {
+    const error = new Error('This learning path is assigned in an organization: send the X-Member-Token of its member or of a manager');
+    error.status = 403;
+    throw error;
+  }
 
-    // Generate learning path using LLM
-    const learningPath = await llmService.generateLearningPath(userProfile, searchResults);
+  return savedPath;
+};
 
-    // Add metadata to the response
-    const response = {
-      learningPath,
+/**
+ * Validate a /compare body into req.comparison, answering 400 when it is
+ * invalid, so the quota is charged for the models that will actually run
+ */
+const validateComparison = (req, res, next) => {
+  const validation = validateCompareRequest(req.body);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: validation.errors
+    });
+  }
+
+  req.comparison = validation.data;
+  next();
+};
+
+/**
+ * POST /api/learning-path/compare
+ * Generate learning paths for one profile with two or more models, using the
+ * same search results, and report timing, tokens, parsing, grounding and structure for each
+ */
+router.post('/compare', validateComparison, generationQuota(req => req.comparison.models.length), async (req, res, next) => {
+  try {
+    if (!llmService) {
+      return res.status(500).json({
+        error: 'LLM service is not available. Please check your LLM provider configuration.'
+      });
+    }
+
+    const { provider, generationOptions, models, ...userProfile } = req.comparison;
+    const candidates = comparisonService.resolveCandidates(models, { provider, generationOptions });
+
+    const unknownIndex = candidates.findIndex(candidate => candidate.provider && !availableLLMProviders().includes(candidate.provider));
+    if (unknownIndex !== -1) {
+      const field = typeof models[unknownIndex] === 'object' && models[unknownIndex].provider ? `models.${unknownIndex}.provider` : 'provider';
+      return res.status(400).json(unknownProviderError(candidates[unknownIndex].provider, field));
+    }
+
+    logger.info('Comparing models for user profile:', {
+      interests: userProfile.interests,
+      models: candidates.map(candidate => `${candidate.provider || 'default'}/${candidate.model || 'default'}`)
+    });
+
+    const comparison = await comparisonService.compare(userProfile, candidates, {
+      provider,
+      bypassCache: shouldBypassCache(req)
+    });
+    res.json({
+      results: comparison.results,
       metadata: {
-        generatedAt: new Date().toISOString(),
+        comparedAt: new Date().toISOString(),
         userProfile: {
           interests: userProfile.interests,
           experience: userProfile.experience,
           timeCommitment: userProfile.timeCommitment,
           preferredLearningStyle: userProfile.preferredLearningStyle
         },
-        contentSources: {
-          totalResources: searchResults.all ? searchResults.all.length : 0,
-          documentation: searchResults.documentation ? searchResults.documentation.length : 0,
-          training: searchResults.training ? searchResults.training.length : 0,
-          videos: searchResults.videos ? searchResults.videos.length : 0
-        },
-        extractedTopics
+        contentSources: generationService.summarizeContentSources(comparison.searchResults),
+        extractedTopics: comparison.extractedTopics,
+        topicExtraction: comparison.topicExtraction,
+        cache: comparison.cache,
+        enrichment: comparison.enrichment
       }
-    };
-
-    logger.info('Successfully generated learning path', {
-      totalResources: searchResults.all.length,
-      phases: learningPath.phases?.length || 0
     });
-
-    res.json(response);
   } catch (error) {
-    logger.error('Error generating learning path:', error);
+    logger.error('Error comparing models:', error);
     next(error);
   }
 });
@@ -124,36 +548,13 @@ router.post('/search', async (req, res, next) => {
     }
 
     const { topics, sources } = validation.data;
+    const cacheStats = { hits: 0, misses: 0 };
+    const enrichmentStats = { enriched: 0, failed: 0 };
+    const searchOptions = { bypassCache: shouldBypassCache(req), cacheStats, enrichmentStats };
 
     logger.info('Searching Red Hat content for topics:', topics);
 
-    let searchResults;
-
-    if (sources.includes('all')) {
-      searchResults = await redhatContentService.searchAllSources(topics);
-    } else {
-      searchResults = {};
-      
-      if (sources.includes('tv')) {
-        searchResults.tv = await redhatContentService.searchRedHatTV(topics);
-      }
-      
-      if (sources.includes('documentation')) {
-        searchResults.documentation = await redhatContentService.searchRedHatDocs(topics);
-      }
-      
-      if (sources.includes('training')) {
-        searchResults.training = await redhatContentService.searchRedHatTraining(topics);
-      }
-
-      // Combine all results
-      const allResults = [
-        ...(searchResults.tv || []),
-        ...(searchResults.documentation || []),
-        ...(searchResults.training || [])
-      ];
-      searchResults.all = redhatContentService.deduplicateResults(allResults);
-    }
+    const searchResults = await redhatContentService.searchSources(topics, sources, searchOptions);
 
     const response = {
       results: searchResults,
@@ -161,7 +562,9 @@ router.post('/search', async (req, res, next) => {
         searchedAt: new Date().toISOString(),
         topics,
         sources,
-        totalResults: searchResults.all ? searchResults.all.length : 0
+        totalResults: searchResults.all ? searchResults.all.length : 0,
+        cache: cacheStats,
+        enrichment: enrichmentStats
       }
     };
 
@@ -183,24 +586,43 @@ router.post('/search', async (req, res, next) => {
  */
 router.get('/search-capabilities', (req, res) => {
   const capabilities = redhatContentService.getSearchCapabilities();
+  const activeProviders = capabilities.providers.map(provider => provider.name);
+  const recommendations = [];
+
+  if (activeProviders.length === 0) {
+    recommendations.push('No search providers are active - check SEARCH_PROVIDERS and the server logs');
+  } else if (activeProviders.length === 1 && activeProviders[0] === 'duckduckgo') {
+    recommendations.push('Only DuckDuckGo scraping is active - consider chaining a SearXNG instance (SEARCH_PROVIDERS=searxng,duckduckgo) for more reliable results');
+  }
   
   res.json({
     capabilities,
-    recommendations: {
-      googleSearch: capabilities.googleSearchEnabled 
-        ? "Google Custom Search API is configured and ready" 
-        : "Consider setting up Google Custom Search API for better search results",
-      youtubeApi: capabilities.youtubeApiEnabled 
-        ? "YouTube API is configured and ready" 
-        : "Consider setting up YouTube API for enhanced video search",
-      webScraping: capabilities.webScrapingEnabled 
-        ? "Web scraping fallback is enabled" 
-        : "Web scraping is disabled - API keys recommended for better results"
-    },
+    recommendations,
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * GET /api/learning-path/certifications
+ * The certification catalog used for certification goals and exam-objective mapping
+ */
+router.get('/certifications', (req, res, next) => {
+  try {
+    const certifications = getCertificationCatalog().getCertifications();
+
+    res.json({
+      certifications: certifications.map(({ objectives, ...certification }) => ({
+        ...certification,
+        objectives: objectives.map(({ id, title }) => ({ id, title }))
+      })),
+      total: certifications.length
+    });
+  } catch (error) {
+    logger.error('Error listing certifications:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/learning-path/topics
  * Get information about flexible input format
@@ -258,9 +680,156 @@ router.get('/topics', (req, res) => {
   });
 });
 
+/**
+ * POST /api/learning-path/topics/extract
+ * Show the search topics extracted from free text or a profile's interests and goals
+ */
+router.post('/topics/extract', async (req, res, next) => {
+  try {
+    const validation = validateTopicExtractionRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { text, interests = [], goals = [], provider } = validation.data;
+    if (provider && !availableLLMProviders().includes(provider)) {
+      return res.status(400).json(unknownProviderError(provider));
+    }
+
+    const input = [text, ...interests, ...goals].filter(Boolean).join(' ');
+    const topicExtraction = await topicExtractionService.extract(input, { bypassCache: shouldBypassCache(req), provider });
+
+    res.json({
+      extractedTopics: topicExtraction.topics.map(({ topic }) => topic),
+      ...topicExtraction,
+      metadata: {
+        extractedAt: new Date().toISOString(),
+        input,
+        minConfidence: topicExtractionService.minConfidence
+      }
+    });
+  } catch (error) {
+    logger.error('Error extracting topics:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/assessment
+ * Generate a multiple-choice diagnostic quiz for the learner's topics
+ */
+router.post('/assessment', async (req, res, next) => {
+  try {
+    const validation = validateAssessmentRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { provider, model, ...request } = validation.data;
+
+    const unavailable = await checkLLMAvailability(provider, model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const assessment = await assessmentService.create(request, {
+      bypassCache: shouldBypassCache(req),
+      provider,
+      model
+    });
+
+    res.status(201).json({
+      ...assessmentService.toPublic(assessment),
+      metadata: {
+        topicExtraction: assessment.topicExtraction,
+        llm: assessment.llm
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating assessment:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/assessment/:id
+ * Get an assessment's questions, with answers and the result once submitted
+ */
+router.get('/assessment/:id', async (req, res, next) => {
+  try {
+    const assessment = await assessmentService.get(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({
+        error: 'Assessment not found'
+      });
+    }
+
+    res.json(assessmentService.toPublic(assessment));
+  } catch (error) {
+    logger.error('Error retrieving assessment:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/assessment/:id/submit
+ * Score the learner's answers into per-topic proficiency. Pass the
+ * assessment id as assessmentId to /generate to use it.
+ */
+router.post('/assessment/:id/submit', async (req, res, next) => {
+  try {
+    const validation = validateAssessmentSubmission(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const assessment = await assessmentService.get(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({
+        error: 'Assessment not found'
+      });
+    }
+
+    if (assessment.submittedAt) {
+      return res.status(409).json({
+        error: 'Assessment has already been submitted'
+      });
+    }
+
+    const answerErrors = assessmentService.findAnswerErrors(assessment, validation.data.answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: answerErrors
+      });
+    }
+
+    const submitted = await assessmentService.submit(assessment, validation.data.answers);
+
+    res.json({
+      assessmentId: submitted.id,
+      submittedAt: submitted.submittedAt,
+      ...submitted.result
+    });
+  } catch (error) {
+    logger.error('Error scoring assessment:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/learning-path/test-ollama
- * Test Ollama connection and model availability
+ * Test the LLM provider connection and model availability. Tests the default
+ * provider unless ?provider= names another; the path predates other providers.
  */
 router.get('/test-ollama', async (req, res, next) => {
   try {
@@ -270,31 +839,81 @@ router.get('/test-ollama', async (req, res, next) => {
       });
     }
 
-    const testResult = await llmService.testConnection();
-    
-    if (testResult.success) {
+    const provider = req.query.provider ? String(req.query.provider).trim().toLowerCase() : undefined;
+    if (provider && !availableLLMProviders().includes(provider)) {
+      return res.status(400).json(unknownProviderError(provider));
+    }
+
+    const { success, error, response, ...details } = await llmService.testConnection({ provider });
+
+    if (success) {
       res.json({
         status: 'success',
-        message: 'Ollama connection successful',
-        model: testResult.model,
-        host: testResult.host,
-        response: testResult.response,
+        message: `${details.provider} connection successful`,
+        ...details,
+        response,
         timestamp: new Date().toISOString()
       });
     } else {
       res.status(503).json({
         status: 'failed',
-        error: testResult.error,
-        suggestions: [
-          'Make sure Ollama is running: ollama serve',
-          `Make sure model is installed: ollama pull ${process.env.OLLAMA_MODEL || 'llama3.2:latest'}`,
-          'Check if Ollama is accessible at: ' + (process.env.OLLAMA_HOST || 'http://localhost:11434')
-        ],
+        ...details,
+        error,
+        suggestions: llmService.getProvider(provider).troubleshooting(),
         timestamp: new Date().toISOString()
       });
     }
   } catch (error) {
-    logger.error('Error testing Ollama connection:', error);
+    logger.error('Error testing LLM connection:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/models
+ * List the models installed on the default LLM provider, or on ?provider=
+ */
+router.get('/models', async (req, res, next) => {
+  try {
+    if (!llmService) {
+      return res.status(500).json({
+        error: 'LLM service is not initialized'
+      });
+    }
+
+    const provider = req.query.provider ? String(req.query.provider).trim().toLowerCase() : undefined;
+    if (provider && !availableLLMProviders().includes(provider)) {
+      return res.status(400).json(unknownProviderError(provider));
+    }
+
+    const llm = llmService.getProvider(provider);
+    const allowedModels = getAllowedModels();
+
+    let models;
+    try {
+      models = await llm.listModels();
+    } catch (error) {
+      logger.error(`Failed to list ${llm.name} models:`, error.message);
+      return res.status(503).json({
+        error: `LLM provider ${llm.name} is not available`,
+        details: error.message,
+        suggestions: llm.troubleshooting()
+      });
+    }
+
+    res.json({
+      provider: llm.name,
+      defaultModel: llm.model,
+      allowedModels,
+      models: models.map(model => ({
+        ...model,
+        default: model.name === llm.model,
+        allowed: model.name === llm.model || allowedModels.includes(model.name)
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing models:', error);
     next(error);
   }
 });
@@ -313,34 +932,391 @@ router.get('/status', async (req, res) => {
       redhatContentService: 'operational',
       llmService: llmService ? 'initialized' : 'unavailable'
     },
+    jobs: jobQueue.stats(),
     environment: process.env.NODE_ENV || 'development',
     configuration: {
-      ollamaHost: process.env.OLLAMA_HOST || 'http://localhost:11434',
-      ollamaModel: process.env.OLLAMA_MODEL || 'llama3.2:latest'
+      llmProvider: llmService ? llmService.getProvider().describe() : { provider: process.env.LLM_PROVIDER || 'ollama' },
+      availableLLMProviders: availableLLMProviders()
     }
   };
 
-  // Test Ollama if service is available
+  // Check the default LLM provider if the service is available
   if (llmService) {
     try {
-      const healthCheck = await llmService.checkOllamaHealth();
+      const healthCheck = await llmService.checkHealth();
       status.services.llmService = healthCheck.healthy ? 'operational' : 'unavailable';
       
       if (!healthCheck.healthy) {
         status.status = 'degraded';
-        status.warnings = [healthCheck.error];
+        status.warnings = [`${healthCheck.provider}: ${healthCheck.error}`];
       }
     } catch (error) {
       status.services.llmService = 'error';
       status.status = 'degraded';
-      status.warnings = ['Failed to check Ollama health: ' + error.message];
+      status.warnings = ['Failed to check LLM provider health: ' + error.message];
     }
   } else {
     status.status = 'degraded';
-    status.warnings = ['LLM service is not available - check Ollama configuration'];
+    status.warnings = ['LLM service is not available - check LLM_PROVIDER and the provider configuration'];
   }
 
   res.json(status);
 });
 
+/**
+ * GET /api/learning-path/:id
+ * Get a saved learning path with the profile, topics and search results used to generate it.
+ * Registered last so it doesn't shadow the fixed GET routes above.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    res.json(savedPath);
+  } catch (error) {
+    logger.error('Error retrieving learning path:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/:id/progress
+ * Mark resources and phases done, log time spent and record self-assessment
+ */
+router.post('/:id/progress', async (req, res, next) => {
+  try {
+    const validation = validateProgressUpdate(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const referenceErrors = progressService.findReferenceErrors(savedPath.learningPath, validation.data);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: referenceErrors
+      });
+    }
+
+    const progress = await progressService.recordProgress(savedPath, validation.data);
+
+    res.json(progressService.summarize(savedPath, progress));
+  } catch (error) {
+    logger.error('Error recording progress:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/:id/progress
+ * Percent complete per phase, estimated remaining time and the next recommended resource
+ */
+router.get('/:id/progress', async (req, res, next) => {
+  try {
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const progress = await progressService.get(savedPath.id);
+
+    res.json(progressService.summarize(savedPath, progress));
+  } catch (error) {
+    logger.error('Error retrieving progress:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/:id/schedule?start=YYYY-MM-DD
+ * Week-by-week study schedule for a saved learning path, from its current
+ * phases and the learner's time commitment
+ */
+router.get('/:id/schedule', async (req, res, next) => {
+  try {
+    const validation = validateScheduleQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const startDate = validation.data.start || (savedPath.startDate ? new Date(savedPath.startDate) : undefined);
+
+    res.json({
+      learningPathId: savedPath.id,
+      ...scheduleService.buildSchedule(savedPath.learningPath, savedPath.userProfile && savedPath.userProfile.timeCommitment, { startDate })
+    });
+  } catch (error) {
+    logger.error('Error building learning path schedule:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/:id/export?format=md|html|ics|csv
+ * Download a saved learning path as Markdown, print-ready HTML, an iCalendar
+ * study schedule (?start=YYYY-MM-DD&time=HH:MM) or a CSV of resources
+ */
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const validation = validateExportQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const { format, start, time } = validation.data;
+    const { contentType, filename, body } = exportService.export(savedPath, format, {
+      start: start || (savedPath.startDate ? new Date(savedPath.startDate) : undefined),
+      time
+    });
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    logger.error('Error exporting learning path:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/learning-path/:id/phase/:n/labs
+ * Labs saved for a phase of a learning path (empty until generated)
+ */
+router.get('/:id/phase/:n/labs', async (req, res, next) => {
+  try {
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const phase = (savedPath.learningPath.phases || []).find(candidate => String(candidate.phase) === req.params.n);
+    if (!phase) {
+      return res.status(404).json({
+        error: 'Phase not found'
+      });
+    }
+
+    res.json({
+      learningPathId: savedPath.id,
+      phase: phase.phase,
+      title: phase.title,
+      labs: phase.labs || []
+    });
+  } catch (error) {
+    logger.error('Error retrieving labs:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/:id/phase/:n/labs
+ * Generate hands-on lab exercises for one phase of a saved learning path,
+ * replacing any it already has
+ */
+router.post('/:id/phase/:n/labs', async (req, res, next) => {
+  try {
+    const validation = validateLabsRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const phase = (savedPath.learningPath.phases || []).find(candidate => String(candidate.phase) === req.params.n);
+    if (!phase) {
+      return res.status(404).json({
+        error: 'Phase not found'
+      });
+    }
+
+    const { count, provider, model } = validation.data;
+    const unavailable = await checkLLMAvailability(provider, model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const generated = await labService.generateForPhase(phase, {
+      topics: savedPath.extractedTopics,
+      count,
+      userProfile: savedPath.userProfile,
+      provider,
+      model
+    });
+
+    await learningPathStore.update({
+      ...savedPath,
+      learningPath: {
+        ...savedPath.learningPath,
+        phases: savedPath.learningPath.phases.map(candidate => (
+          candidate.phase === phase.phase ? { ...candidate, labs: generated.labs } : candidate
+        ))
+      }
+    });
+
+    res.json({
+      learningPathId: savedPath.id,
+      phase: phase.phase,
+      title: phase.title,
+      topics: generated.topics,
+      labs: generated.labs,
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        llm: llmService.describeGeneration({ provider, model })
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating labs:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/learning-path/:id/adapt
+ * Regenerate the phases not yet completed from the learner's feedback and return what changed
+ */
+router.post('/:id/adapt', generationQuota(), async (req, res, next) => {
+  try {
+    const validation = validateAdaptRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const savedPath = await getSavedPath(req);
+    if (!savedPath) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    const referenceErrors = adaptationService.findReferenceErrors(savedPath.learningPath, validation.data);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: referenceErrors
+      });
+    }
+
+    const { provider, model, generationOptions, ...request } = validation.data;
+
+    const unavailable = await checkLLMAvailability(provider, model);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const completedPhases = await adaptationService.getCompletedPhases(savedPath);
+    if (completedPhases.length === (savedPath.learningPath.phases || []).length) {
+      return res.status(409).json({
+        error: 'All phases of this learning path are already complete'
+      });
+    }
+
+    const result = await adaptationService.adapt(savedPath, request, {
+      bypassCache: shouldBypassCache(req),
+      provider,
+      model,
+      generationOptions
+    });
+
+    logger.info('Adapted learning path', {
+      id: savedPath.id,
+      completedPhases: result.completedPhases,
+      ...result.diff.summary
+    });
+
+    res.json({
+      id: result.savedPath.id,
+      learningPath: result.savedPath.learningPath,
+      schedule: scheduleService.buildSchedule(result.savedPath.learningPath, result.savedPath.userProfile.timeCommitment, {
+        startDate: result.savedPath.startDate ? new Date(result.savedPath.startDate) : undefined
+      }),
+      diff: result.diff,
+      metadata: {
+        adaptedAt: result.savedPath.updatedAt,
+        completedPhases: result.completedPhases,
+        newTopics: result.newTopics,
+        llm: llmService.describeGeneration({ provider, model, generationOptions }),
+        cache: result.cache,
+        enrichment: result.enrichment,
+        grounding: result.grounding,
+        certifications: result.certifications
+      }
+    });
+  } catch (error) {
+    logger.error('Error adapting learning path:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/learning-path/:id
+ * Delete a saved learning path
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await getSavedPath(req) && await learningPathStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Learning path not found'
+      });
+    }
+
+    await progressService.delete(req.params.id);
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting learning path:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
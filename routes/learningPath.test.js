@@ -0,0 +1,121 @@
+const express = require('express');
+const axios = require('axios');
+const router = require('./learningPath');
+const GenerationService = require('../services/generationService');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const profile = {
+  interests: ['Ansible', 'automation'],
+  experience: 'Linux administrator, new to automation',
+  goals: ['Automate server configuration'],
+  timeCommitment: '5 hours per week',
+  preferredLearningStyle: 'Hands-on practice'
+};
+
+/**
+ * Split a Server-Sent Events body into [{ event, data }]
+ */
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+
+let server;
+let api;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/learning-path', router);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1', () => {
+    api = axios.create({
+      baseURL: `http://127.0.0.1:${server.address().port}/api/learning-path`,
+      validateStatus: () => true
+    });
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('POST /generate/stream', () => {
+  test('streams progress, tokens and the learning path as events', async () => {
+    const response = await api.post('/generate/stream', profile, { responseType: 'text' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(response.data);
+    const names = events.map(({ event }) => event);
+
+    expect(names[0]).toBe('topics');
+    expect(names).toContain('search');
+    expect(names).toContain('generating');
+    expect(names).toContain('token');
+    expect(names.slice(-2)).toEqual(['learningPath', 'done']);
+    expect(names.indexOf('generating')).toBeLessThan(names.indexOf('token'));
+
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.token).join('');
+    const { data: result } = events.find(({ event }) => event === 'learningPath');
+    expect(JSON.parse(tokens).title).toBe(result.learningPath.title);
+    expect(result.id).toEqual(expect.any(String));
+  });
+
+  test('rejects an invalid profile with a JSON error before streaming', async () => {
+    const response = await api.post('/generate/stream', { interests: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Validation failed');
+  });
+
+  test('answers a failure before streaming with a JSON error', async () => {
+    const prepare = jest.spyOn(GenerationService.prototype, 'prepare').mockRejectedValueOnce(new Error('Storage unavailable'));
+
+    try {
+      const response = await api.post('/generate/stream', profile);
+
+      expect(response.status).toBe(500);
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(response.data.error.status).toBe(500);
+    } finally {
+      prepare.mockRestore();
+    }
+  });
+
+  test('reports a failure after streaming starts as an error event', async () => {
+    const generate = jest.spyOn(GenerationService.prototype, 'generate').mockRejectedValueOnce(new Error('Search failed'));
+
+    try {
+      const response = await api.post('/generate/stream', profile, { responseType: 'text' });
+
+      expect(response.status).toBe(200);
+      expect(parseEvents(response.data)).toEqual([{ event: 'error', data: { message: 'Search failed' } }]);
+    } finally {
+      generate.mockRestore();
+    }
+  });
+});
+
+describe('POST /:id/adapt', () => {
+  test('searches a new interest and reports the model used', async () => {
+    const generated = await api.post('/generate', profile);
+    expect(generated.status).toBe(200);
+
+    const response = await api.post(`/${generated.data.id}/adapt`, {
+      interests: ['Quarkus'],
+      generationOptions: { temperature: 0.3 }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.metadata.newTopics).toEqual(['quarkus']);
+    expect(response.data.metadata.llm).toMatchObject({ provider: 'mock', generationOptions: { temperature: 0.3 } });
+  });
+});
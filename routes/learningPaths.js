@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+
+const LearningPathStore = require('../services/learningPathStore');
+const { validateLearningPathListQuery } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const learningPathStore = new LearningPathStore();
+
+/**
+ * GET /api/learning-paths
+ * List saved learning paths, filterable by topic, difficulty and creation date
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const validation = validateLearningPathListQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+
+    const result = await learningPathStore.list(validation.data);
+
+    res.json({
+      learningPaths: result.items,
+      pagination: result.pagination,
+      metadata: {
+        retrievedAt: new Date().toISOString(),
+        filters: {
+          topic: validation.data.topic || null,
+          difficulty: validation.data.difficulty || null,
+          from: validation.data.from || null,
+          to: validation.data.to || null
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing learning paths:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
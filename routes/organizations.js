@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+
+const LearningPathStore = require('../services/learningPathStore');
+const ProgressService = require('../services/progressService');
+const OrganizationService = require('../services/organizationService');
+const AssignmentService = require('../services/assignmentService');
+const {
+  validateOrganizationRequest,
+  validateMember,
+  validateMemberUpdate,
+  validateAssignmentRequest
+} = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const organizationService = new OrganizationService();
+const assignmentService = new AssignmentService({
+  learningPathStore: new LearningPathStore(),
+  progressService: new ProgressService()
+});
+
+const ALL_ROLES = ['admin', 'manager', 'learner'];
+
+const validationFailed = (res, errors) => res.status(400).json({
+  error: 'Validation failed',
+  details: errors
+});
+
+/**
+ * Load the organization in :id and check that the caller may act in it.
+ * The caller acts as the member whose token is in the X-Member-Token header,
+ * and that member needs one of `roles`. Admin API keys act as organization
+ * admins without a token.
+ */
+const authorize = (...roles) => async (req, res, next) => {
+  try {
+    const organization = await organizationService.get(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found'
+      });
+    }
+    req.organization = organization;
+
+    if (req.apiKey && req.apiKey.role === 'admin') {
+      req.member = null;
+      return next();
+    }
+
+    const member = organizationService.findMemberByToken(organization, req.get('X-Member-Token'));
+    if (!member) {
+      return res.status(403).json({
+        error: 'Send the token of a member of this organization in the X-Member-Token header'
+      });
+    }
+    if (!roles.includes(member.role)) {
+      return res.status(403).json({
+        error: `This action requires the ${roles.join(' or ')} role`
+      });
+    }
+
+    req.member = member;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Who made a change, for assignment records
+ */
+const actor = (req) => (req.member ? req.member.id : `api-key:${req.apiKey.id}`);
+
+const isManager = (req) => !req.member || req.member.role !== 'learner';
+
+/**
+ * POST /api/organizations
+ * Create an organization with its members; at least one must be an admin.
+ * The response is the only place the members' tokens are shown.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = validateOrganizationRequest(req.body);
+    if (!validation.isValid) {
+      return validationFailed(res, validation.errors);
+    }
+
+    const { organization, tokens } = await organizationService.create(validation.data);
+    const body = organizationService.toPublic(organization);
+    res.status(201).location(`${req.baseUrl}/${organization.id}`).json({
+      ...body,
+      members: body.members.map(member => ({ ...member, token: tokens[member.id] }))
+    });
+  } catch (error) {
+    logger.error('Error creating organization:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/organizations/:id
+ * The organization and its members, with member ids for managers and admins,
+ * who assign paths by them
+ */
+router.get('/:id', authorize(...ALL_ROLES), (req, res) => {
+  res.json(organizationService.toPublic(req.organization, { memberIds: isManager(req) }));
+});
+
+/**
+ * POST /api/organizations/:id/members
+ * Add a member (admins only); the response has their token
+ */
+router.post('/:id/members', authorize('admin'), async (req, res, next) => {
+  try {
+    const validation = validateMember(req.body);
+    if (!validation.isValid) {
+      return validationFailed(res, validation.errors);
+    }
+
+    const { member, token } = await organizationService.addMember(req.organization, validation.data);
+    res.status(201).json({ ...organizationService.toPublicMember(member), token });
+  } catch (error) {
+    logger.error('Error adding organization member:', error);
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/organizations/:id/members/:memberId
+ * Change a member's name, email or role (admins only)
+ */
+router.patch('/:id/members/:memberId', authorize('admin'), async (req, res, next) => {
+  try {
+    if (!organizationService.findMember(req.organization, req.params.memberId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const validation = validateMemberUpdate(req.body);
+    if (!validation.isValid) {
+      return validationFailed(res, validation.errors);
+    }
+
+    const member = await organizationService.updateMember(req.organization, req.params.memberId, validation.data);
+    res.json(organizationService.toPublicMember(member));
+  } catch (error) {
+    logger.error('Error updating organization member:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/organizations/:id/members/:memberId/token
+ * Give a member a new token, for a lost or leaked one (admins only)
+ */
+router.post('/:id/members/:memberId/token', authorize('admin'), async (req, res, next) => {
+  try {
+    if (!organizationService.findMember(req.organization, req.params.memberId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const token = await organizationService.resetToken(req.organization, req.params.memberId);
+    res.json({ memberId: req.params.memberId, token });
+  } catch (error) {
+    logger.error('Error resetting member token:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/members/:memberId
+ * Remove a member along with their assigned paths and progress (admins only)
+ */
+router.delete('/:id/members/:memberId', authorize('admin'), async (req, res, next) => {
+  try {
+    if (!organizationService.findMember(req.organization, req.params.memberId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    await organizationService.removeMember(req.organization, req.params.memberId);
+    await assignmentService.removeForMember(req.organization.id, req.params.memberId);
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error removing organization member:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/organizations/:id/assignments
+ * Assign a saved learning path (e.g. the id from /generate) to members.
+ * Each member gets their own copy of the path to record progress against.
+ */
+router.post('/:id/assignments', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const validation = validateAssignmentRequest(req.body);
+    if (!validation.isValid) {
+      return validationFailed(res, validation.errors);
+    }
+
+    const result = await assignmentService.assign(req.organization, validation.data, { assignedBy: actor(req) });
+    res.status(result.assigned.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Error assigning learning path:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/organizations/:id/assignments
+ * Assignments with their progress. Managers and admins see everyone's
+ * (or one member's with ?memberId=); learners see their own.
+ */
+router.get('/:id/assignments', authorize(...ALL_ROLES), async (req, res, next) => {
+  try {
+    const memberId = isManager(req) ? req.query.memberId : req.member.id;
+    if (!isManager(req) && req.query.memberId && req.query.memberId !== req.member.id) {
+      return res.status(403).json({
+        error: 'Learners can only see their own assignments'
+      });
+    }
+
+    const assignments = await assignmentService.list(req.organization.id, { memberId });
+    res.json({
+      assignments: await Promise.all(assignments.map(assignment => assignmentService.describe(assignment))),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing assignments:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/organizations/:id/assignments/:assignmentId
+ * One assignment with its progress, for managers, admins and the assigned learner
+ */
+router.get('/:id/assignments/:assignmentId', authorize(...ALL_ROLES), async (req, res, next) => {
+  try {
+    const assignment = await assignmentService.get(req.organization.id, req.params.assignmentId);
+    if (!assignment || (!isManager(req) && assignment.memberId !== req.member.id)) {
+      return res.status(404).json({
+        error: 'Assignment not found'
+      });
+    }
+
+    res.json(await assignmentService.describe(assignment));
+  } catch (error) {
+    logger.error('Error getting assignment:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/assignments/:assignmentId
+ * Unassign a path, deleting the member's copy and its progress
+ */
+router.delete('/:id/assignments/:assignmentId', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const assignment = await assignmentService.get(req.organization.id, req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        error: 'Assignment not found'
+      });
+    }
+
+    await assignmentService.remove(assignment);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error removing assignment:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/organizations/:id/summary
+ * Completion, time spent and certification progress per member and for the team
+ */
+router.get('/:id/summary', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const summary = await assignmentService.summarize(req.organization);
+    res.json({
+      ...summary,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error summarizing organization progress:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const axios = require('axios');
+const router = require('./organizations');
+const learningPathRouter = require('./learningPath');
+const learningPathsRouter = require('./learningPaths');
+const LearningPathStore = require('../services/learningPathStore');
+const { errorHandler } = require('../middleware/errorHandler');
+
+let server;
+let api;
+let paths;
+
+beforeAll((done) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/organizations', router);
+  app.use('/api/learning-path', learningPathRouter);
+  app.use('/api/learning-paths', learningPathsRouter);
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1', () => {
+    const baseURL = `http://127.0.0.1:${server.address().port}/api`;
+    api = axios.create({ baseURL: `${baseURL}/organizations`, validateStatus: () => true });
+    paths = axios.create({ baseURL, validateStatus: () => true });
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+const as = (member) => ({ headers: { 'X-Member-Token': member.token } });
+
+const createOrganization = async () => {
+  const response = await api.post('/', {
+    name: 'Platform team',
+    members: [
+      { name: 'Ada', email: 'ada@example.com', role: 'admin' },
+      { name: 'Lin', email: 'lin@example.com' },
+      { name: 'Sam', email: 'sam@example.com', role: 'manager' }
+    ]
+  });
+  expect(response.status).toBe(201);
+
+  const [admin, learner, manager] = response.data.members;
+  return { organization: response.data, admin, learner, manager };
+};
+
+describe('organization members', () => {
+  test('get their token once, when they are created', async () => {
+    const { organization, admin, learner } = await createOrganization();
+
+    expect(admin.token).toMatch(/^[a-f0-9]{48}$/);
+    expect(learner.token).not.toBe(admin.token);
+    expect(admin.tokenHash).toBeUndefined();
+
+    const response = await api.get(`/${organization.id}`, as(admin));
+    expect(response.status).toBe(200);
+    response.data.members.forEach(member => {
+      expect(member.token).toBeUndefined();
+      expect(member.tokenHash).toBeUndefined();
+    });
+  });
+
+  test('are identified by their token, not their id', async () => {
+    const { organization, admin, learner } = await createOrganization();
+
+    expect((await api.get(`/${organization.id}`)).status).toBe(403);
+    expect((await api.get(`/${organization.id}`, { headers: { 'X-Member-Id': admin.id } })).status).toBe(403);
+    expect((await api.get(`/${organization.id}`, { headers: { 'X-Member-Token': 'f'.repeat(48) } })).status).toBe(403);
+
+    const response = await api.post(`/${organization.id}/members`, { name: 'Eve', email: 'eve@example.com', role: 'admin' }, as(learner));
+    expect(response.status).toBe(403);
+    expect(response.data.error).toBe('This action requires the admin role');
+  });
+
+  test('only show member ids to managers and admins', async () => {
+    const { organization, admin, learner, manager } = await createOrganization();
+
+    const asAdmin = await api.get(`/${organization.id}`, as(admin));
+    expect(asAdmin.data.members.map(member => member.id)).toEqual([admin.id, learner.id, manager.id]);
+
+    const asLearner = await api.get(`/${organization.id}`, as(learner));
+    expect(asLearner.status).toBe(200);
+    expect(asLearner.data.members).toEqual([
+      expect.objectContaining({ name: 'Ada', role: 'admin' }),
+      expect.objectContaining({ name: 'Lin', role: 'learner' }),
+      expect.objectContaining({ name: 'Sam', role: 'manager' })
+    ]);
+    asLearner.data.members.forEach(member => expect(member.id).toBeUndefined());
+  });
+
+  test('show managers the member ids they assign paths by', async () => {
+    const { organization, admin, learner, manager } = await createOrganization();
+
+    const asManager = await api.get(`/${organization.id}`, as(manager));
+    expect(asManager.status).toBe(200);
+    expect(asManager.data.members.map(member => member.id)).toEqual([admin.id, learner.id, manager.id]);
+    asManager.data.members.forEach(member => expect(member.tokenHash).toBeUndefined());
+  });
+
+  test('added by an admin get a token of their own', async () => {
+    const { organization, admin } = await createOrganization();
+
+    const added = await api.post(`/${organization.id}/members`, { name: 'Kim', email: 'kim@example.com', role: 'manager' }, as(admin));
+    expect(added.status).toBe(201);
+    expect(added.data).toMatchObject({ name: 'Kim', role: 'manager', token: expect.any(String) });
+
+    expect((await api.get(`/${organization.id}/summary`, as(added.data))).status).toBe(200);
+  });
+
+  test('lose access with their old token once an admin resets it', async () => {
+    const { organization, admin, learner } = await createOrganization();
+
+    const reset = await api.post(`/${organization.id}/members/${learner.id}/token`, {}, as(admin));
+    expect(reset.status).toBe(200);
+    expect(reset.data.memberId).toBe(learner.id);
+
+    expect((await api.get(`/${organization.id}`, as(learner))).status).toBe(403);
+    expect((await api.get(`/${organization.id}`, as(reset.data))).status).toBe(200);
+    expect((await api.post(`/${organization.id}/members/${learner.id}/token`, {}, as(reset.data))).status).toBe(403);
+  });
+});
+
+describe('organization assignments', () => {
+  test('are only listed for the learner themself', async () => {
+    const { organization, admin, learner } = await createOrganization();
+
+    expect((await api.get(`/${organization.id}/assignments`, as(learner))).status).toBe(200);
+
+    const response = await api.get(`/${organization.id}/assignments`, { ...as(learner), params: { memberId: admin.id } });
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('assigned learning paths', () => {
+  const assignPath = async () => {
+    const team = await createOrganization();
+    const source = await new LearningPathStore().save({
+      userProfile: { interests: ['Ansible'] },
+      extractedTopics: ['ansible'],
+      searchResults: {},
+      learningPath: { title: 'Ansible Basics', phases: [{ phase: 1, title: 'Playbooks', resources: [] }] }
+    });
+
+    const response = await api.post(`/${team.organization.id}/assignments`, { learningPathId: source.id, memberIds: [team.learner.id] }, as(team.manager));
+    expect(response.status).toBe(201);
+
+    return { ...team, copyId: response.data.assigned[0].learningPathId };
+  };
+
+  test('are only available to the member and the managers of their organization', async () => {
+    const { learner, manager, copyId } = await assignPath();
+    const { learner: outsider } = await createOrganization();
+
+    expect((await paths.get(`/learning-path/${copyId}`)).status).toBe(403);
+    expect((await paths.get(`/learning-path/${copyId}`, as(outsider))).status).toBe(403);
+    expect((await paths.delete(`/learning-path/${copyId}`)).status).toBe(403);
+    expect((await paths.post(`/learning-path/${copyId}/progress`, { phases: [{ phase: 1 }] })).status).toBe(403);
+
+    expect((await paths.get(`/learning-path/${copyId}`, as(learner))).status).toBe(200);
+    expect((await paths.post(`/learning-path/${copyId}/progress`, { phases: [{ phase: 1 }] }, as(learner))).status).toBe(200);
+    expect((await paths.get(`/learning-path/${copyId}/progress`, as(manager))).status).toBe(200);
+  });
+
+  test('are not available to other learners of the organization', async () => {
+    const { organization, admin, copyId } = await assignPath();
+    const added = await api.post(`/${organization.id}/members`, { name: 'Kim', email: 'kim@example.com' }, as(admin));
+
+    expect((await paths.get(`/learning-path/${copyId}`, as(added.data))).status).toBe(403);
+  });
+
+  test('are left out of the saved path listing', async () => {
+    const { copyId } = await assignPath();
+    const response = await paths.get('/learning-paths', { params: { limit: 100 } });
+
+    expect(response.status).toBe(200);
+    expect(response.data.learningPaths.length).toBeGreaterThan(0);
+    expect(response.data.learningPaths.map(path => path.id)).not.toContain(copyId);
+  });
+});
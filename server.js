@@ -1,12 +1,15 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const learningPathRoutes = require('./routes/learningPath');
+const learningPathsRoutes = require('./routes/learningPaths');
+const organizationRoutes = require('./routes/organizations');
+const adminRoutes = require('./routes/admin');
 const { logger } = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { authenticate, requireAdmin, createRateLimiter } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -35,8 +38,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// API key authentication and per-key rate limits for everything under /api
+app.use('/api', authenticate, createRateLimiter());
+
 // API routes
 app.use('/api/learning-path', learningPathRoutes);
+app.use('/api/learning-paths', learningPathsRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/admin', requireAdmin, adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -0,0 +1,201 @@
+const { diffLearningPaths } = require('../utils/learningPathDiff');
+const { logger } = require('../utils/logger');
+
+const SEARCH_SOURCE_KEYS = ['documentation', 'training', 'tv', 'videos'];
+
+/**
+ * Regenerates the unfinished phases of a saved learning path from the
+ * learner's progress and feedback, keeping completed phases fixed.
+ */
+class AdaptationService {
+  constructor({ llmService, redhatContentService, topicExtractionService, groundingService, certificationService, progressService, learningPathStore }) {
+    this.llmService = llmService;
+    this.redhatContentService = redhatContentService;
+    this.topicExtractionService = topicExtractionService;
+    this.groundingService = groundingService;
+    this.progressService = progressService;
+    this.certificationService = certificationService;
+    this.learningPathStore = learningPathStore;
+  }
+
+  /**
+   * Phase numbers the learner has finished, according to their progress
+   */
+  async getCompletedPhases(savedPath) {
+    const progress = await this.progressService.get(savedPath.id);
+    return this.progressService.summarize(savedPath, progress).phases
+      .filter(phase => phase.completed)
+      .map(phase => phase.phase);
+  }
+
+  /**
+   * Check that phase feedback refers to phases in the path, returning { field, message } errors
+   */
+  findReferenceErrors(learningPath, request) {
+    const phaseNumbers = new Set((learningPath.phases || []).map(phase => phase.phase));
+
+    return (request.phaseFeedback || [])
+      .map(({ phase }, index) => ({ phase, index }))
+      .filter(({ phase }) => !phaseNumbers.has(phase))
+      .map(({ phase, index }) => ({
+        field: `phaseFeedback.${index}.phase`,
+        message: `Phase ${phase} does not exist in this learning path`
+      }));
+  }
+
+  /**
+   * Adapt a saved path and store the result under the same id.
+   * Resolves to { savedPath, diff, completedPhases, newTopics, grounding, cache, enrichment }.
+   */
+  async adapt(savedPath, request, { bypassCache = false, provider, model, generationOptions } = {}) {
+    const completedPhases = await this.getCompletedPhases(savedPath);
+    const userProfile = {
+      ...savedPath.userProfile,
+      interests: [...new Set([...savedPath.userProfile.interests, ...(request.interests || [])])],
+      goals: [...new Set([...savedPath.userProfile.goals, ...(request.goals || [])])]
+    };
+
+    const newTopics = await this.extractNewTopics(savedPath, request, { bypassCache, provider, model });
+    const searchCache = { hits: 0, misses: 0 };
+    const enrichmentStats = { enriched: 0, failed: 0 };
+    let searchResults = savedPath.searchResults;
+
+    if (newTopics.length > 0) {
+      logger.info(`Searching new topics for adapted learning path ${savedPath.id}:`, newTopics);
+      const newResults = await this.redhatContentService.searchAllSources(newTopics, {
+        bypassCache,
+        cacheStats: searchCache,
+        enrichmentStats
+      });
+      searchResults = this.mergeSearchResults(savedPath.searchResults, newResults);
+    }
+
+    const adaptedPath = await this.llmService.adaptLearningPath(userProfile, savedPath.learningPath, {
+      completedPhases,
+      feedback: request,
+      searchResults,
+      provider,
+      model,
+      generationOptions
+    });
+
+    if (adaptedPath.validation && adaptedPath.validation.status === 'fallback') {
+      const error = new Error(`The model did not return a valid learning path: ${adaptedPath.parseError}`);
+      error.status = 502;
+      throw error;
+    }
+
+    const mergedPath = this.mergePhases(savedPath.learningPath, adaptedPath, completedPhases);
+    const { learningPath: groundedPath, report: grounding } = this.groundingService.groundLearningPath(mergedPath, searchResults);
+    const { learningPath, report: certifications } = this.certificationService.mapLearningPath(groundedPath, userProfile.certificationGoals);
+    const diff = diffLearningPaths(savedPath.learningPath, learningPath);
+    const adaptedAt = new Date().toISOString();
+
+    const updated = await this.learningPathStore.update({
+      ...savedPath,
+      userProfile,
+      extractedTopics: [...new Set([...(savedPath.extractedTopics || []), ...newTopics])],
+      searchResults,
+      learningPath,
+      grounding,
+      certifications,
+      adaptations: [
+        ...(savedPath.adaptations || []),
+        { adaptedAt, feedback: request, completedPhases, newTopics, diff: diff.summary }
+      ]
+    });
+
+    return {
+      savedPath: updated,
+      diff,
+      completedPhases,
+      newTopics,
+      grounding,
+      certifications,
+      cache: { search: searchCache },
+      enrichment: enrichmentStats
+    };
+  }
+
+  /**
+   * Topics in the feedback and new interests/goals that the path wasn't
+   * searched for. The extractor already drops unconfident LLM topics; keyword
+   * fallback topics are kept so new interests are searched without a model.
+   */
+  async extractNewTopics(savedPath, request, options) {
+    const text = [
+      request.feedback,
+      ...(request.interests || []),
+      ...(request.goals || []),
+      ...(request.phaseFeedback || []).map(feedback => feedback.comment)
+    ].filter(Boolean).join(' ');
+
+    if (!text) {
+      return [];
+    }
+
+    const existing = new Set((savedPath.extractedTopics || []).map(topic => topic.toLowerCase()));
+    const { topics } = await this.topicExtractionService.extract(text, options);
+
+    return topics
+      .map(({ topic }) => topic)
+      .filter(topic => !existing.has(topic.toLowerCase()));
+  }
+
+  /**
+   * Add new search results to the stored ones, skipping URLs already present
+   */
+  mergeSearchResults(existing, additional) {
+    const merged = {};
+
+    for (const sourceKey of SEARCH_SOURCE_KEYS) {
+      const current = existing[sourceKey] || [];
+      const urls = new Set(current.map(result => result.url));
+      merged[sourceKey] = [...current, ...(additional[sourceKey] || []).filter(result => !urls.has(result.url))];
+    }
+
+    merged.all = this.redhatContentService.deduplicateResults([...(existing.all || []), ...(additional.all || [])]);
+
+    return merged;
+  }
+
+  /**
+   * Combine the original completed phases with the model's rewritten ones.
+   * The model's copies of completed phases are ignored, and rewritten phases
+   * take over the numbers of the unfinished phases so progress recorded
+   * against them still applies.
+   */
+  mergePhases(originalPath, adaptedPath, completedPhases) {
+    const originalPhases = originalPath.phases || [];
+    const adaptedPhases = adaptedPath.phases || [];
+    const openNumbers = originalPhases.map(phase => phase.phase).filter(number => !completedPhases.includes(number));
+    const completedTitles = new Map(originalPhases
+      .filter(phase => completedPhases.includes(phase.phase))
+      .map(phase => [phase.phase, phase.title.trim().toLowerCase()]));
+
+    // A phase numbered like a completed one is its copy if the title matches, or if the
+    // model returned the whole path rather than only the remaining phases
+    const returnedWholePath = adaptedPhases.length > openNumbers.length;
+    const isCompletedCopy = (phase) => completedTitles.has(phase.phase)
+      && (returnedWholePath || completedTitles.get(phase.phase) === (phase.title || '').trim().toLowerCase());
+
+    const fixed = originalPhases.filter(phase => completedPhases.includes(phase.phase));
+    const rewritten = adaptedPhases
+      .filter(phase => !isCompletedCopy(phase))
+      .sort((a, b) => a.phase - b.phase);
+
+    let nextNumber = Math.max(0, ...originalPhases.map(phase => phase.phase));
+
+    const renumbered = rewritten.map((phase, index) => ({
+      ...phase,
+      phase: index < openNumbers.length ? openNumbers[index] : ++nextNumber
+    }));
+
+    return {
+      ...adaptedPath,
+      phases: [...fixed, ...renumbered].sort((a, b) => a.phase - b.phase)
+    };
+  }
+}
+
+module.exports = AdaptationService;
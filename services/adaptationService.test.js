@@ -0,0 +1,85 @@
+const AdaptationService = require('./adaptationService');
+const TopicExtractionService = require('./topicExtractionService');
+
+const savedPath = {
+  id: 'path-1',
+  userProfile: { interests: ['OpenShift'], goals: ['Deploy applications'] },
+  extractedTopics: ['openshift'],
+  searchResults: { documentation: [], training: [], tv: [], videos: [], all: [] },
+  learningPath: {
+    title: 'OpenShift Learning Path',
+    phases: [
+      { phase: 1, title: 'Foundations', resources: [] },
+      { phase: 2, title: 'Operators', resources: [] }
+    ]
+  }
+};
+
+/**
+ * An AdaptationService with fakes for everything but topic extraction
+ */
+const createService = ({ topicExtractionService = new TopicExtractionService({ mode: 'keyword' }) } = {}) => {
+  const llmService = {
+    adaptLearningPath: jest.fn(async (userProfile, learningPath) => ({
+      ...learningPath,
+      validation: { status: 'valid', repairAttempts: 0 }
+    }))
+  };
+  const redhatContentService = {
+    searchAllSources: jest.fn(async () => ({ documentation: [], training: [], tv: [], videos: [], all: [] })),
+    deduplicateResults: (results) => results
+  };
+
+  const service = new AdaptationService({
+    llmService,
+    redhatContentService,
+    topicExtractionService,
+    groundingService: { groundLearningPath: (learningPath) => ({ learningPath, report: {} }) },
+    certificationService: { mapLearningPath: (learningPath) => ({ learningPath, report: {} }) },
+    progressService: {
+      get: async () => null,
+      summarize: () => ({ phases: [{ phase: 1, completed: true }, { phase: 2, completed: false }] })
+    },
+    learningPathStore: { update: async (record) => record }
+  });
+
+  return { service, llmService, redhatContentService };
+};
+
+describe('AdaptationService.extractNewTopics', () => {
+  test('keeps keyword fallback topics so new interests are searched without a model', async () => {
+    const { service } = createService();
+
+    const topics = await service.extractNewTopics(savedPath, { interests: ['Quarkus'] });
+
+    expect(topics).toEqual(['quarkus']);
+  });
+
+  test('skips topics the path was already searched for', async () => {
+    const { service } = createService();
+
+    const topics = await service.extractNewTopics(savedPath, { interests: ['OpenShift', 'Ansible'] });
+
+    expect(topics).toEqual(['ansible']);
+  });
+});
+
+describe('AdaptationService.adapt', () => {
+  test('searches new interests and passes the model and generation options to the LLM', async () => {
+    const { service, llmService, redhatContentService } = createService();
+
+    const result = await service.adapt(savedPath, { interests: ['Quarkus'] }, {
+      provider: 'mock',
+      model: 'mock-large',
+      generationOptions: { temperature: 0.2 }
+    });
+
+    expect(result.newTopics).toEqual(['quarkus']);
+    expect(redhatContentService.searchAllSources).toHaveBeenCalledWith(['quarkus'], expect.any(Object));
+    expect(llmService.adaptLearningPath).toHaveBeenCalledWith(
+      expect.objectContaining({ interests: ['OpenShift', 'Quarkus'] }),
+      savedPath.learningPath,
+      expect.objectContaining({ completedPhases: [1], provider: 'mock', model: 'mock-large', generationOptions: { temperature: 0.2 } })
+    );
+  });
+});
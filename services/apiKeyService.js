@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateApiKey } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+/**
+ * SHA-256 hex digest of an API key, as stored in keyHash
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * API keys read from API_KEYS_FILE (JSON or YAML, default api-keys.yaml).
+ * Keys are kept only as hashes. Each key has a role (admin or client), a
+ * rate limit and a daily generation quota, defaulting to RATE_LIMIT_WINDOW_MS,
+ * RATE_LIMIT_MAX_REQUESTS and DAILY_GENERATION_QUOTA. Authentication is
+ * disabled only when the file doesn't exist; a file that can't be read or
+ * has no valid keys is an error, so a typo never opens the API.
+ */
+class ApiKeyService {
+  constructor({
+    file = process.env.API_KEYS_FILE || 'api-keys.yaml',
+    defaultRateLimit = {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000,
+      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100
+    },
+    defaultDailyGenerationQuota = parseInt(process.env.DAILY_GENERATION_QUOTA, 10) || 50
+  } = {}) {
+    this.file = path.resolve(file);
+    this.defaultRateLimit = defaultRateLimit;
+    this.defaultDailyGenerationQuota = defaultDailyGenerationQuota;
+    this.keys = null;
+  }
+
+  /**
+   * Read and validate the key file, skipping invalid and duplicate entries.
+   * Returns [] when there is no file; throws when it can't be parsed or
+   * has no valid keys.
+   */
+  loadKeys() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    let entries;
+    try {
+      const contents = fs.readFileSync(this.file, 'utf8');
+      const parsed = path.extname(this.file).toLowerCase() === '.json' ? JSON.parse(contents) : yaml.load(contents);
+      entries = Array.isArray(parsed) ? parsed : parsed?.keys;
+    } catch (error) {
+      throw new Error(`Failed to load API key file ${this.file}: ${error.message}`);
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`API key file ${this.file} must be an array or an object with a "keys" array`);
+    }
+
+    const keys = new Map();
+    for (const entry of entries) {
+      const validation = validateApiKey(entry);
+      if (!validation.isValid) {
+        logger.warn(`Skipping invalid API key in ${path.basename(this.file)}:`, validation.errors.map(({ field, message }) => ({ field, message })));
+        continue;
+      }
+
+      const { id, name, key, keyHash, role, rateLimit, dailyGenerationQuota, disabled } = validation.data;
+      if (keys.has(id)) {
+        logger.warn(`Skipping duplicate API key id ${id}`);
+        continue;
+      }
+
+      keys.set(id, {
+        id,
+        name: name || id,
+        role,
+        rateLimit: { ...this.defaultRateLimit, ...rateLimit },
+        dailyGenerationQuota: dailyGenerationQuota === undefined ? this.defaultDailyGenerationQuota : dailyGenerationQuota,
+        disabled,
+        keyHash: keyHash || hashApiKey(key)
+      });
+    }
+
+    if (keys.size === 0) {
+      throw new Error(`API key file ${this.file} has no valid keys; remove the file to turn authentication off`);
+    }
+
+    return [...keys.values()];
+  }
+
+  /**
+   * All configured keys, loaded on first use. Throws like loadKeys, so the
+   * server fails to start (or requests fail) rather than running without keys.
+   */
+  getKeys() {
+    if (!this.keys) {
+      this.keys = this.loadKeys();
+      logger.info(this.keys.length > 0
+        ? `Loaded ${this.keys.length} API keys`
+        : `API key authentication is disabled: ${this.file} does not exist`);
+    }
+
+    return this.keys;
+  }
+
+  isEnabled() {
+    return this.getKeys().length > 0;
+  }
+
+  /**
+   * The enabled key matching a presented key, or null
+   */
+  authenticate(presentedKey) {
+    if (!presentedKey) {
+      return null;
+    }
+
+    const presentedHash = Buffer.from(hashApiKey(presentedKey), 'hex');
+    return this.getKeys().find(apiKey => !apiKey.disabled
+      && crypto.timingSafeEqual(Buffer.from(apiKey.keyHash, 'hex'), presentedHash)) || null;
+  }
+
+  /**
+   * A key as reported to admins, without its hash
+   */
+  toPublic({ keyHash, ...apiKey }) {
+    return apiKey;
+  }
+}
+
+let defaultService = null;
+
+/**
+ * The shared API key service used by the auth middleware and admin routes
+ */
+const getApiKeyService = () => {
+  if (!defaultService) {
+    defaultService = new ApiKeyService();
+  }
+  return defaultService;
+};
+
+module.exports = ApiKeyService;
+module.exports.getApiKeyService = getApiKeyService;
+module.exports.hashApiKey = hashApiKey;
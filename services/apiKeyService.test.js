@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyService = require('./apiKeyService');
+const { hashApiKey } = require('./apiKeyService');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const serviceWithFile = (name, contents) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return new ApiKeyService({ file });
+};
+
+describe('ApiKeyService', () => {
+  test('turns authentication off only when there is no key file', () => {
+    const service = new ApiKeyService({ file: path.join(dir, 'missing.yaml') });
+
+    expect(service.isEnabled()).toBe(false);
+  });
+
+  test('loads keys with defaults and matches them by hash', () => {
+    const service = serviceWithFile('api-keys.yaml', [
+      'keys:',
+      '  - id: portal',
+      '    key: portal-key-0123456789',
+      `  - id: ops\n    keyHash: ${hashApiKey('ops-key-0123456789')}\n    role: admin`
+    ].join('\n'));
+
+    expect(service.isEnabled()).toBe(true);
+    expect(service.authenticate('portal-key-0123456789')).toMatchObject({ id: 'portal', role: 'client', dailyGenerationQuota: 50 });
+    expect(service.authenticate('ops-key-0123456789')).toMatchObject({ id: 'ops', role: 'admin' });
+    expect(service.authenticate('wrong-key-0123456789')).toBeNull();
+  });
+
+  test('refuses a key file that cannot be parsed', () => {
+    const service = serviceWithFile('api-keys.yaml', 'keys:\n  - id: portal\n   key: [unclosed');
+
+    expect(() => service.isEnabled()).toThrow(/Failed to load API key file/);
+    expect(() => service.authenticate('portal-key-0123456789')).toThrow(/Failed to load API key file/);
+  });
+
+  test('refuses a key file without a keys array', () => {
+    const service = serviceWithFile('api-keys.json', JSON.stringify({ key: 'portal-key-0123456789' }));
+
+    expect(() => service.getKeys()).toThrow(/must be an array or an object with a "keys" array/);
+  });
+
+  test('refuses a key file where no key is valid', () => {
+    const service = serviceWithFile('api-keys.yaml', 'keys:\n  - id: portal\n    key: short\n  - name: no id\n');
+
+    expect(() => service.getKeys()).toThrow(/has no valid keys/);
+  });
+});
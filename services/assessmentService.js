@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { logger } = require('../utils/logger');
+const { createTopicMatcher, phaseText } = require('../utils/topicMatcher');
+
+const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+/**
+ * Proficiency level for a share of correct answers
+ */
+const levelForScore = (percent) => {
+  if (percent >= 80) return 'Advanced';
+  if (percent >= 40) return 'Intermediate';
+  return 'Beginner';
+};
+
+/**
+ * Skill-gap assessments: multiple-choice diagnostic quizzes generated for a
+ * learner's topics, scored into per-topic proficiency that /generate uses to
+ * skip phases below the learner's demonstrated level
+ */
+class AssessmentService {
+  constructor({ llmService, topicExtractionService, storage = getStorage('assessments') }) {
+    this.llmService = llmService;
+    this.topicExtractionService = topicExtractionService;
+    this.storage = storage;
+  }
+
+  /**
+   * Generate and save a quiz for the request's topics (or the topics extracted
+   * from its text, interests and goals). Resolves to the saved assessment.
+   */
+  async create(request, { bypassCache = false, provider, model } = {}) {
+    const { text, interests = [], goals = [], experience, questionsPerTopic } = request;
+    let topics = request.topics;
+    let topicExtraction = null;
+
+    if (!topics || topics.length === 0) {
+      const input = [text, ...interests, ...goals].filter(Boolean).join(' ');
+      topicExtraction = await this.topicExtractionService.extract(input, { bypassCache, provider, model });
+      topics = topicExtraction.topics.map(({ topic }) => topic);
+    }
+
+    if (topics.length === 0) {
+      const error = new Error('No topics found to assess');
+      error.status = 400;
+      throw error;
+    }
+
+    let questions;
+    try {
+      questions = await this.llmService.generateQuiz(topics, { questionsPerTopic, experience, provider, model });
+    } catch (error) {
+      error.status = error.status || 502;
+      throw error;
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      topics: topics.filter(topic => questions.some(question => question.topic === topic)),
+      topicExtraction,
+      llm: this.llmService.describeGeneration({ provider, model }),
+      questions: questions.map(question => ({ id: crypto.randomUUID(), ...question })),
+      submittedAt: null,
+      result: null
+    };
+
+    await this.storage.put(record.id, record);
+    logger.info(`Created assessment ${record.id} with ${record.questions.length} questions`, { topics: record.topics });
+
+    return record;
+  }
+
+  /**
+   * Get a saved assessment by id, or null if it doesn't exist
+   */
+  async get(id) {
+    return this.storage.get(id);
+  }
+
+  /**
+   * An assessment as shown to the learner: answers and explanations stay
+   * hidden until it has been submitted
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      createdAt: record.createdAt,
+      topics: record.topics,
+      submittedAt: record.submittedAt,
+      questions: record.questions.map(({ correctIndex, explanation, ...question }) => (
+        record.submittedAt ? { ...question, correctIndex, explanation } : question
+      )),
+      result: record.result
+    };
+  }
+
+  /**
+   * Answers that refer to questions not in the assessment or to options they don't have.
+   * Returns errors in the same { field, message } shape as request validation.
+   */
+  findAnswerErrors(record, answers) {
+    const errors = [];
+
+    answers.forEach(({ questionId, answer }, index) => {
+      const question = record.questions.find(candidate => candidate.id === questionId);
+      if (!question) {
+        errors.push({ field: `answers.${index}.questionId`, message: 'Question is not part of this assessment', value: questionId });
+      } else if (answer >= question.options.length) {
+        errors.push({ field: `answers.${index}.answer`, message: `Answer must be an option index from 0 to ${question.options.length - 1}`, value: answer });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Score the answers (unanswered questions count as wrong), save the result
+   * and resolve to the updated assessment
+   */
+  async submit(record, answers) {
+    const chosen = new Map(answers.map(({ questionId, answer }) => [questionId, answer]));
+
+    const questions = record.questions.map(question => ({
+      id: question.id,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      answer: chosen.has(question.id) ? chosen.get(question.id) : null,
+      correctIndex: question.correctIndex,
+      correct: chosen.get(question.id) === question.correctIndex,
+      explanation: question.explanation
+    }));
+
+    const proficiency = record.topics.map(topic => {
+      const topicQuestions = questions.filter(question => question.topic === topic);
+      const correct = topicQuestions.filter(question => question.correct).length;
+      const percent = Math.round((correct / topicQuestions.length) * 100);
+
+      return { topic, correct, total: topicQuestions.length, percent, level: levelForScore(percent) };
+    });
+
+    const correct = questions.filter(question => question.correct).length;
+    const updated = {
+      ...record,
+      submittedAt: new Date().toISOString(),
+      result: {
+        score: { correct, total: questions.length, percent: Math.round((correct / questions.length) * 100) },
+        proficiency,
+        questions
+      }
+    };
+
+    await this.storage.put(updated.id, updated);
+    logger.info(`Scored assessment ${updated.id}: ${correct}/${questions.length}`);
+
+    return updated;
+  }
+
+  /**
+   * Assessed topics a phase covers, matched as whole words in its title,
+   * description and resources. Pass the matcher when checking several phases.
+   */
+  phaseTopics(phase, proficiency, matchTopics = createTopicMatcher(proficiency, ({ topic }) => topic)) {
+    return matchTopics(phaseText(phase));
+  }
+
+  /**
+   * Drop phases the learner has already mastered: phases whose assessed
+   * topics were all scored above the phase's difficulty. The remaining phases
+   * are renumbered; if every phase qualifies, none are skipped.
+   * Returns { learningPath, skippedPhases } without modifying the input path.
+   */
+  skipMasteredPhases(learningPath, proficiency = []) {
+    const phases = learningPath.phases || [];
+    const skippedPhases = [];
+    const matchTopics = createTopicMatcher(proficiency, ({ topic }) => topic);
+
+    const kept = phases.filter(phase => {
+      const difficulty = LEVELS.findIndex(level => level.toLowerCase() === String(phase.difficulty || '').trim().toLowerCase());
+      const topics = this.phaseTopics(phase, proficiency, matchTopics);
+      const mastered = difficulty !== -1 && topics.length > 0
+        && topics.every(({ level }) => LEVELS.indexOf(level) > difficulty);
+
+      if (mastered) {
+        skippedPhases.push({
+          phase: phase.phase,
+          title: phase.title,
+          difficulty: phase.difficulty,
+          topics: topics.map(({ topic, level }) => ({ topic, level }))
+        });
+      }
+      return !mastered;
+    });
+
+    if (kept.length === 0) {
+      return { learningPath, skippedPhases: [] };
+    }
+
+    return {
+      learningPath: {
+        ...learningPath,
+        phases: kept.map((phase, index) => ({ ...phase, phase: index + 1 }))
+      },
+      skippedPhases
+    };
+  }
+}
+
+module.exports = AssessmentService;
@@ -0,0 +1,90 @@
+const AssessmentService = require('./assessmentService');
+const MemoryStorage = require('./storage/memoryStorage');
+
+const QUESTIONS = [
+  { topic: 'Podman', question: 'Which command runs a container?', options: ['podman run', 'podman ps'], correctIndex: 0, explanation: 'run starts one', difficulty: 'Beginner' },
+  { topic: 'Podman', question: 'Which command lists containers?', options: ['podman run', 'podman ps'], correctIndex: 1, explanation: 'ps lists them', difficulty: 'Beginner' },
+  { topic: 'SELinux', question: 'Which mode enforces policy?', options: ['permissive', 'enforcing'], correctIndex: 1, explanation: 'enforcing', difficulty: 'Intermediate' }
+];
+
+const createService = () => new AssessmentService({
+  llmService: {
+    generateQuiz: jest.fn(async () => QUESTIONS),
+    describeGeneration: () => ({ provider: 'mock', model: 'mock' })
+  },
+  topicExtractionService: { extract: jest.fn() },
+  storage: new MemoryStorage('assessments')
+});
+
+describe('AssessmentService', () => {
+  test('hides answers until the assessment is submitted', async () => {
+    const service = createService();
+    const record = await service.create({ topics: ['Podman', 'SELinux', 'Ansible'] });
+
+    expect(record.topics).toEqual(['Podman', 'SELinux']);
+    service.toPublic(record).questions.forEach(question => {
+      expect(question.correctIndex).toBeUndefined();
+      expect(question.explanation).toBeUndefined();
+    });
+  });
+
+  test('scores answers into per-topic proficiency, counting unanswered questions as wrong', async () => {
+    const service = createService();
+    const record = await service.create({ topics: ['Podman', 'SELinux'] });
+    const [run, list] = record.questions;
+
+    const submitted = await service.submit(record, [
+      { questionId: run.id, answer: 0 },
+      { questionId: list.id, answer: 0 }
+    ]);
+
+    expect(submitted.result.score).toEqual({ correct: 1, total: 3, percent: 33 });
+    expect(submitted.result.proficiency).toEqual([
+      { topic: 'Podman', correct: 1, total: 2, percent: 50, level: 'Intermediate' },
+      { topic: 'SELinux', correct: 0, total: 1, percent: 0, level: 'Beginner' }
+    ]);
+    expect(service.toPublic(submitted).questions[0].correctIndex).toBe(0);
+    expect(await service.get(record.id)).toMatchObject({ submittedAt: submitted.submittedAt });
+  });
+
+  test('reports answers to unknown questions or options', async () => {
+    const service = createService();
+    const record = await service.create({ topics: ['Podman'] });
+
+    expect(service.findAnswerErrors(record, [
+      { questionId: 'missing', answer: 0 },
+      { questionId: record.questions[0].id, answer: 5 }
+    ]).map(error => error.field)).toEqual(['answers.0.questionId', 'answers.1.answer']);
+  });
+});
+
+describe('AssessmentService.skipMasteredPhases', () => {
+  const service = createService();
+  const learningPath = {
+    title: 'Containers',
+    phases: [
+      { phase: 1, title: 'Podman basics', difficulty: 'Beginner', resources: [] },
+      { phase: 2, title: 'Securing containers', description: 'SELinux labels for Podman volumes', difficulty: 'Beginner', resources: [] },
+      { phase: 3, title: 'Advanced Podman', difficulty: 'Advanced', resources: [] }
+    ]
+  };
+
+  test('drops phases whose topics were all scored above their difficulty and renumbers the rest', () => {
+    const proficiency = [{ topic: 'Podman', level: 'Intermediate' }, { topic: 'SELinux', level: 'Beginner' }];
+    const { learningPath: tailored, skippedPhases } = service.skipMasteredPhases(learningPath, proficiency);
+
+    expect(skippedPhases).toEqual([
+      { phase: 1, title: 'Podman basics', difficulty: 'Beginner', topics: [{ topic: 'Podman', level: 'Intermediate' }] }
+    ]);
+    expect(tailored.phases.map(({ phase, title }) => [phase, title])).toEqual([[1, 'Securing containers'], [2, 'Advanced Podman']]);
+    expect(learningPath.phases).toHaveLength(3);
+  });
+
+  test('keeps every phase rather than skipping them all', () => {
+    const proficiency = [{ topic: 'Podman', level: 'Advanced' }, { topic: 'SELinux', level: 'Advanced' }];
+    const { learningPath: tailored, skippedPhases } = service.skipMasteredPhases({ phases: learningPath.phases.slice(0, 2) }, proficiency);
+
+    expect(tailored.phases).toHaveLength(2);
+    expect(skippedPhases).toEqual([]);
+  });
+});
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { logger } = require('../utils/logger');
+
+// Saved paths and progress records read at once when summarizing a team
+const SUMMARY_CONCURRENCY = 10;
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0);
+
+/**
+ * Learning paths assigned to organization members. Each assignment saves
+ * the member their own copy of the path, so progress is tracked per member
+ * with the usual progress routes, and summarizes completion, time spent and
+ * certification progress for managers.
+ */
+class AssignmentService {
+  constructor({ learningPathStore, progressService, storage = getStorage('assignments') }) {
+    this.learningPathStore = learningPathStore;
+    this.progressService = progressService;
+    this.storage = storage;
+  }
+
+  /**
+   * Assign a saved learning path to members of an organization. Members who
+   * already have the path are skipped. Resolves to { assigned, skipped };
+   * rejects with status 404 for an unknown path and 400 for non-members.
+   */
+  async assign(organization, { learningPathId, memberIds, dueDate, note }, { assignedBy = null } = {}) {
+    const source = await this.learningPathStore.get(learningPathId);
+    if (!source) {
+      throw httpError('Learning path not found', 404);
+    }
+
+    const unknown = memberIds.filter(memberId => !organization.members.some(member => member.id === memberId));
+    if (unknown.length > 0) {
+      throw httpError(`Not members of this organization: ${unknown.join(', ')}`, 400);
+    }
+
+    const existing = await this.list(organization.id);
+    const assigned = [];
+    const skipped = [];
+
+    for (const memberId of memberIds) {
+      const current = existing.find(assignment => assignment.memberId === memberId && assignment.sourceLearningPathId === learningPathId);
+      if (current) {
+        skipped.push({ memberId, assignmentId: current.id, reason: 'Already assigned this learning path' });
+        continue;
+      }
+
+      const copy = await this.learningPathStore.copy(source, {
+        assignment: { organizationId: organization.id, memberId, sourceLearningPathId: learningPathId }
+      });
+
+      const assignment = {
+        id: crypto.randomUUID(),
+        organizationId: organization.id,
+        memberId,
+        learningPathId: copy.id,
+        sourceLearningPathId: learningPathId,
+        title: source.learningPath.title,
+        assignedBy,
+        assignedAt: new Date().toISOString(),
+        dueDate: dueDate ? dueDate.toISOString().slice(0, 10) : null,
+        note: note || null
+      };
+
+      await this.storage.put(assignment.id, assignment);
+      assigned.push(assignment);
+    }
+
+    logger.info(`Assigned learning path ${learningPathId} to ${assigned.length} members of organization ${organization.id}`, { skipped: skipped.length });
+
+    return { assigned, skipped };
+  }
+
+  /**
+   * An organization's assignments, oldest first, optionally for one member
+   */
+  async list(organizationId, { memberId } = {}) {
+    const records = await this.storage.list();
+
+    return records
+      .filter(record => record.organizationId === organizationId && (!memberId || record.memberId === memberId))
+      .sort((a, b) => a.assignedAt.localeCompare(b.assignedAt));
+  }
+
+  /**
+   * An assignment of the organization by id, or null
+   */
+  async get(organizationId, id) {
+    const assignment = await this.storage.get(id);
+    return assignment && assignment.organizationId === organizationId ? assignment : null;
+  }
+
+  /**
+   * Remove an assignment with the member's copy of the path and its progress
+   */
+  async remove(assignment) {
+    await this.learningPathStore.delete(assignment.learningPathId);
+    await this.progressService.delete(assignment.learningPathId);
+    await this.storage.delete(assignment.id);
+    logger.info(`Removed assignment ${assignment.id}`);
+  }
+
+  async removeForMember(organizationId, memberId) {
+    for (const assignment of await this.list(organizationId, { memberId })) {
+      await this.remove(assignment);
+    }
+  }
+
+  /**
+   * An assignment with its progress (null once the member's copy has been
+   * deleted), whether it is overdue, and progress toward its certification goals
+   */
+  async describe(assignment) {
+    const savedPath = await this.learningPathStore.get(assignment.learningPathId);
+    if (!savedPath) {
+      return { ...assignment, progress: null, overdue: false, certifications: [] };
+    }
+
+    const summary = this.progressService.summarize(savedPath, await this.progressService.get(savedPath.id));
+    const completed = summary.overall.totalPhases > 0 && summary.overall.completedPhases === summary.overall.totalPhases;
+
+    return {
+      ...assignment,
+      progress: {
+        ...summary.overall,
+        completed,
+        updatedAt: summary.updatedAt
+      },
+      overdue: Boolean(assignment.dueDate && !completed && assignment.dueDate < new Date().toISOString().slice(0, 10)),
+      certifications: this.certificationProgress(savedPath, summary)
+    };
+  }
+
+  /**
+   * Progress toward each certification goal of a path: an exam objective
+   * counts as completed once a completed phase covers it
+   */
+  certificationProgress(savedPath, summary) {
+    const completedPhases = new Set(summary.phases.filter(phase => phase.completed).map(phase => phase.phase));
+
+    return ((savedPath.certifications && savedPath.certifications.goals) || []).map(({ code, name, totalObjectives, covered }) => {
+      const completedObjectiveIds = covered
+        .filter(objective => objective.coveredBy.some(({ phase }) => completedPhases.has(phase)))
+        .map(objective => objective.id);
+
+      return {
+        code,
+        name,
+        totalObjectives,
+        completedObjectives: completedObjectiveIds.length,
+        percentComplete: totalObjectives > 0 ? Math.round((completedObjectiveIds.length / totalObjectives) * 100) : 0,
+        completedObjectiveIds
+      };
+    });
+  }
+
+  /**
+   * Merge certification progress from several paths: objectives completed
+   * in any of them count
+   */
+  mergeCertifications(certificationLists) {
+    const byCode = new Map();
+
+    for (const certification of certificationLists.flat()) {
+      const merged = byCode.get(certification.code) || { ...certification, completedObjectiveIds: [] };
+      merged.completedObjectiveIds = [...new Set([...merged.completedObjectiveIds, ...certification.completedObjectiveIds])];
+      byCode.set(certification.code, merged);
+    }
+
+    return [...byCode.values()].map(({ completedObjectiveIds, ...certification }) => ({
+      ...certification,
+      completedObjectives: completedObjectiveIds.length,
+      percentComplete: certification.totalObjectives > 0 ? Math.round((completedObjectiveIds.length / certification.totalObjectives) * 100) : 0
+    }));
+  }
+
+  /**
+   * Completion, time spent and certification progress per member and for
+   * the whole team
+   */
+  async summarize(organization) {
+    const assignments = await mapWithConcurrency(await this.list(organization.id), SUMMARY_CONCURRENCY, assignment => this.describe(assignment));
+
+    const members = organization.members.map(member => {
+      const own = assignments.filter(assignment => assignment.memberId === member.id);
+      const tracked = own.filter(assignment => assignment.progress);
+      const activity = tracked.map(assignment => assignment.progress.updatedAt).filter(Boolean).sort();
+
+      return {
+        id: member.id,
+        name: member.name,
+        email: member.email,
+        role: member.role,
+        assignments: own.length,
+        completedAssignments: tracked.filter(assignment => assignment.progress.completed).length,
+        overdueAssignments: own.filter(assignment => assignment.overdue).length,
+        percentComplete: average(tracked.map(assignment => assignment.progress.percentComplete)),
+        timeSpentMinutes: tracked.reduce((sum, assignment) => sum + assignment.progress.timeSpentMinutes, 0),
+        lastActivityAt: activity.length > 0 ? activity[activity.length - 1] : null,
+        certifications: this.mergeCertifications(own.map(assignment => assignment.certifications)),
+        paths: own.map(({ id, learningPathId, title, dueDate, overdue, progress }) => ({
+          assignmentId: id,
+          learningPathId,
+          title,
+          dueDate,
+          overdue,
+          percentComplete: progress ? progress.percentComplete : null,
+          completed: progress ? progress.completed : false,
+          timeSpentMinutes: progress ? progress.timeSpentMinutes : 0
+        }))
+      };
+    });
+
+    const tracked = assignments.filter(assignment => assignment.progress);
+    const certifications = new Map();
+    for (const member of members) {
+      for (const { code, name, percentComplete } of member.certifications) {
+        const entry = certifications.get(code) || { code, name, members: 0, percents: [], completedBy: 0 };
+        entry.members++;
+        entry.percents.push(percentComplete);
+        if (percentComplete === 100) entry.completedBy++;
+        certifications.set(code, entry);
+      }
+    }
+
+    return {
+      organizationId: organization.id,
+      name: organization.name,
+      team: {
+        members: members.length,
+        membersWithAssignments: members.filter(member => member.assignments > 0).length,
+        assignments: assignments.length,
+        completedAssignments: tracked.filter(assignment => assignment.progress.completed).length,
+        overdueAssignments: assignments.filter(assignment => assignment.overdue).length,
+        percentComplete: average(tracked.map(assignment => assignment.progress.percentComplete)),
+        timeSpentMinutes: members.reduce((sum, member) => sum + member.timeSpentMinutes, 0),
+        certifications: [...certifications.values()].map(({ percents, ...entry }) => ({ ...entry, percentComplete: average(percents) }))
+      },
+      members
+    };
+  }
+}
+
+module.exports = AssignmentService;
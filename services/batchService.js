@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { validateLearningPathRequest } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const hashLine = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Generates learning paths for a JSONL file of profiles, one
+ * /generate-style request per line, with bounded concurrency. Every line
+ * gets a result record ({ line, inputHash, success, ... }); runs skip lines
+ * that already have one, so an interrupted run can be resumed from its
+ * results. Used by the batch endpoint (results saved in the `batches`
+ * collection) and by bin/batch.js (results appended to a JSONL file).
+ */
+class BatchService {
+  constructor({ generationService, storage = getStorage('batches'), concurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2 }) {
+    this.generationService = generationService;
+    this.storage = storage;
+    this.concurrency = concurrency;
+
+    // Ids of batches running in this process
+    this.active = new Set();
+  }
+
+  /**
+   * Non-blank lines of JSONL text as [{ line, input, inputHash }], line numbers 1-based
+   */
+  parse(text) {
+    return String(text || '')
+      .split(/\r?\n/)
+      .map((input, index) => ({ line: index + 1, input: input.trim() }))
+      .filter(({ input }) => input.length > 0)
+      .map(entry => ({ ...entry, inputHash: hashLine(entry.input) }));
+  }
+
+  /**
+   * Results from earlier output (JSONL text or records) by line number. The
+   * last result for a line wins; results for lines whose input has since
+   * changed are ignored by run().
+   */
+  readResults(output) {
+    const records = typeof output === 'string'
+      ? output.split(/\r?\n/).filter(line => line.trim()).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          // A line cut short by an interrupted write
+          return [];
+        }
+      })
+      : output || [];
+
+    return new Map(records.filter(record => Number.isInteger(record.line)).map(record => [record.line, record]));
+  }
+
+  /**
+   * Validate and generate one line. Never throws: failures become
+   * { success: false, error: { message, details? } } results.
+   */
+  async processEntry({ line, input, inputHash }, { defaults = {}, bypassCache = false } = {}) {
+    const base = { line, inputHash };
+    const failure = (error) => ({ ...base, success: false, error, completedAt: new Date().toISOString() });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      return failure({ message: `Invalid JSON: ${error.message}` });
+    }
+
+    const validation = validateLearningPathRequest({ ...defaults, ...parsed });
+    if (!validation.isValid) {
+      return failure({ message: 'Validation failed', details: validation.errors });
+    }
+
+    try {
+      const prepared = await this.generationService.prepare(validation.data);
+      if (prepared.error) {
+        return failure({ message: prepared.error.body.error, details: prepared.error.body.details });
+      }
+
+      const result = await this.generationService.generate(prepared.request, { bypassCache });
+      return {
+        ...base,
+        success: true,
+        id: result.id,
+        title: result.learningPath.title,
+        completedAt: new Date().toISOString(),
+        result
+      };
+    } catch (error) {
+      logger.error(`Batch line ${line} failed:`, error.message);
+      return failure({ message: error.message });
+    }
+  }
+
+  /**
+   * The entries without a result for their current input in `previous` (a
+   * Map from readResults), plus failed ones when retryFailed is set
+   */
+  selectPending(entries, previous, { retryFailed = false } = {}) {
+    const isDone = ({ line, inputHash }) => {
+      const result = previous.get(line);
+      return result && result.inputHash === inputHash && (result.success || !retryFailed);
+    };
+
+    return entries.filter(entry => !isDone(entry));
+  }
+
+  /**
+   * Process the entries that have no result in `previous` (a Map from
+   * readResults), plus earlier failures when retryFailed is set. onResult is
+   * called with each new result as soon as it is ready, so callers can save
+   * progress as they go. Resolves to the run's summary.
+   */
+  async run(entries, { previous = new Map(), retryFailed = false, concurrency = this.concurrency, defaults, bypassCache, onResult = () => {} } = {}) {
+    const pending = this.selectPending(entries, previous, { retryFailed });
+    const summary = { total: entries.length, skipped: entries.length - pending.length, succeeded: 0, failed: 0 };
+
+    logger.info(`Running batch of ${pending.length} profiles (${summary.skipped} already done) with concurrency ${concurrency}`);
+
+    await mapWithConcurrency(pending, concurrency, async (entry) => {
+      const result = await this.processEntry(entry, { defaults, bypassCache });
+      summary[result.success ? 'succeeded' : 'failed']++;
+      await onResult(result);
+    });
+
+    return summary;
+  }
+
+  /**
+   * Save a batch from JSONL text and start running it in the background.
+   * Resolves to the saved batch; rejects with status 400 when there are no lines.
+   */
+  async create(text, { defaults = {}, bypassCache = false } = {}) {
+    const entries = this.parse(text);
+    if (entries.length === 0) {
+      const error = new Error('The batch has no profiles; send one JSON request per line');
+      error.status = 400;
+      throw error;
+    }
+
+    const batch = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      defaults,
+      entries,
+      results: [],
+      summary: null
+    };
+
+    await this.storage.put(batch.id, batch);
+    this.start(batch, { bypassCache });
+
+    return batch;
+  }
+
+  /**
+   * Run a saved batch in the background, saving each result as it arrives
+   */
+  start(batch, { retryFailed = false, bypassCache = false } = {}) {
+    let current = batch;
+    // Saves run one after another so results aren't lost to overlapping writes
+    let saving = Promise.resolve();
+    const save = (changes) => {
+      saving = saving.then(async () => {
+        current = { ...current, ...changes(current), updatedAt: new Date().toISOString() };
+        await this.storage.put(current.id, current);
+      });
+      return saving;
+    };
+
+    this.active.add(batch.id);
+    this.run(batch.entries, {
+      previous: this.readResults(batch.results),
+      retryFailed,
+      defaults: batch.defaults,
+      bypassCache,
+      onResult: (result) => save(({ results }) => ({ results: [...results.filter(entry => entry.line !== result.line), result] }))
+    })
+      .then(() => save(({ entries, results }) => ({
+        status: 'done',
+        finishedAt: new Date().toISOString(),
+        summary: this.summarize(entries, results)
+      })))
+      .catch(error => logger.error(`Batch ${batch.id} stopped:`, error.message))
+      .finally(() => this.active.delete(batch.id));
+  }
+
+  /**
+   * Resume a batch: run its lines that have no result, and its failed lines
+   * when retryFailed is set. Rejects with status 409 while it is still running.
+   */
+  async resume(batch, { retryFailed = false, bypassCache = false } = {}) {
+    if (this.active.has(batch.id)) {
+      const error = new Error('Batch is still running');
+      error.status = 409;
+      throw error;
+    }
+
+    const resumed = { ...batch, status: 'running', finishedAt: null, summary: null, updatedAt: new Date().toISOString() };
+    await this.storage.put(resumed.id, resumed);
+    this.start(resumed, { retryFailed, bypassCache });
+
+    return resumed;
+  }
+
+  /**
+   * Get a saved batch by id, or null. A batch left running by an earlier
+   * server process is reported as interrupted.
+   */
+  async get(id) {
+    const batch = await this.storage.get(id);
+    if (batch && batch.status === 'running' && !this.active.has(id)) {
+      return { ...batch, status: 'interrupted' };
+    }
+    return batch;
+  }
+
+  /**
+   * Line counts by outcome
+   */
+  summarize(entries, results) {
+    const byLine = this.readResults(results);
+    const current = entries.map(entry => byLine.get(entry.line)).filter(result => result);
+
+    return {
+      total: entries.length,
+      succeeded: current.filter(result => result.success).length,
+      failed: current.filter(result => !result.success).length,
+      pending: entries.length - current.length
+    };
+  }
+
+  /**
+   * A batch as reported to clients, without its input lines and results
+   */
+  toPublic({ entries, results, defaults, ...batch }) {
+    return { ...batch, summary: batch.summary || this.summarize(entries, results) };
+  }
+}
+
+module.exports = BatchService;
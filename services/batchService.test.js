@@ -0,0 +1,84 @@
+const BatchService = require('./batchService');
+const MemoryStorage = require('./storage/memoryStorage');
+
+const profile = {
+  interests: ['OpenShift'],
+  experience: 'beginner',
+  goals: ['Deploy applications'],
+  timeCommitment: '3-5 hours/week',
+  preferredLearningStyle: 'hands-on'
+};
+
+const createService = () => {
+  const generationService = {
+    prepare: jest.fn(async request => ({ request })),
+    generate: jest.fn(async request => {
+      if (request.interests.includes('Broken')) throw new Error('model timed out');
+      return { id: `path-${request.interests[0]}`, learningPath: { title: `${request.interests[0]} path` } };
+    })
+  };
+
+  return { generationService, service: new BatchService({ generationService, storage: new MemoryStorage('batches'), concurrency: 2 }) };
+};
+
+const jsonl = (...profiles) => profiles.map(entry => (typeof entry === 'string' ? entry : JSON.stringify(entry))).join('\n');
+
+describe('BatchService', () => {
+  test('gives every line a result, reporting invalid and failed lines', async () => {
+    const { service } = createService();
+    const entries = service.parse(jsonl(
+      { ...profile, interests: ['Ansible'] },
+      '',
+      '{ not json',
+      { interests: [] },
+      { ...profile, interests: ['Broken'] }
+    ));
+    const results = [];
+
+    const summary = await service.run(entries, { onResult: result => results.push(result) });
+
+    expect(entries.map(entry => entry.line)).toEqual([1, 3, 4, 5]);
+    expect(summary).toEqual({ total: 4, skipped: 0, succeeded: 1, failed: 3 });
+    const byLine = Object.fromEntries(results.map(result => [result.line, result]));
+    expect(byLine[1]).toMatchObject({ success: true, id: 'path-Ansible', title: 'Ansible path' });
+    expect(byLine[3].error.message).toMatch(/^Invalid JSON/);
+    expect(byLine[4].error).toMatchObject({ message: 'Validation failed', details: expect.any(Array) });
+    expect(byLine[5].error).toEqual({ message: 'model timed out' });
+  });
+
+  test('resumes from earlier results, rerunning lines whose input changed', async () => {
+    const { service, generationService } = createService();
+    const first = service.parse(jsonl({ ...profile, interests: ['Ansible'] }, { ...profile, interests: ['Broken'] }));
+    const output = [];
+    await service.run(first, { onResult: result => output.push(JSON.stringify(result)) });
+
+    // An interrupted write leaves a partial last line
+    const previous = service.readResults(`${output.join('\n')}\n{"line": 3, "succ`);
+    const edited = service.parse(jsonl({ ...profile, interests: ['Ansible'] }, { ...profile, interests: ['Broken'] }, { ...profile, interests: ['Podman'] }));
+    generationService.generate.mockClear();
+
+    expect(await service.run(edited, { previous })).toEqual({ total: 3, skipped: 2, succeeded: 1, failed: 0 });
+    expect(generationService.generate).toHaveBeenCalledTimes(1);
+
+    expect(await service.run(edited, { previous, retryFailed: true })).toMatchObject({ skipped: 1, failed: 1 });
+
+    const changed = service.parse(jsonl({ ...profile, interests: ['Quay'] }));
+    expect(service.selectPending(changed, previous).map(entry => entry.line)).toEqual([1]);
+  });
+
+  test('saves background batches as they run and refuses to resume a running one', async () => {
+    const { service } = createService();
+    const batch = await service.create(jsonl({ ...profile, interests: ['Ansible'] }, { ...profile, interests: ['Broken'] }));
+
+    await expect(service.resume(batch)).rejects.toMatchObject({ status: 409 });
+    while (service.active.has(batch.id)) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const saved = await service.get(batch.id);
+    expect(saved).toMatchObject({ status: 'done', summary: { total: 2, succeeded: 1, failed: 1, pending: 0 } });
+    expect(service.toPublic(saved).entries).toBeUndefined();
+
+    await expect(service.create('\n  \n')).rejects.toMatchObject({ status: 400 });
+  });
+});
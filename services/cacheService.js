@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const FileStorage = require('./storage/fileStorage');
+const { logger } = require('../utils/logger');
+
+/**
+ * Hash any JSON-serializable value into a stable cache key
+ */
+const hashKey = (value) => crypto
+  .createHash('sha256')
+  .update(typeof value === 'string' ? value : JSON.stringify(value))
+  .digest('hex');
+
+/**
+ * Namespaced TTL cache held in memory and optionally persisted to disk
+ * (CACHE_PERSIST=true) so entries survive restarts.
+ */
+class CacheService {
+  constructor({
+    enabled = process.env.CACHE_ENABLED !== 'false',
+    persist = process.env.CACHE_PERSIST === 'true',
+    maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    directory = process.env.STORAGE_DIR || 'data'
+  } = {}) {
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.memory = new Map();
+    this.disk = persist ? new FileStorage('cache', { directory }) : null;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Storage id for a namespaced key
+   */
+  entryId(namespace, key) {
+    return hashKey(`${namespace}:${key}`);
+  }
+
+  isExpired(entry) {
+    return new Date(entry.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Get a live cache entry ({ value, cachedAt, expiresAt, ... }) or null
+   */
+  async get(namespace, key) {
+    if (!this.enabled) return null;
+
+    const id = this.entryId(namespace, key);
+    let entry = this.memory.get(id);
+
+    if (!entry && this.disk) {
+      entry = await this.disk.get(id);
+      if (entry) {
+        this.remember(entry);
+      }
+    }
+
+    if (entry && this.isExpired(entry)) {
+      await this.delete(id);
+      entry = null;
+    }
+
+    if (entry) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+    }
+
+    return entry || null;
+  }
+
+  /**
+   * Store a value for ttlMs milliseconds
+   */
+  async set(namespace, key, value, ttlMs) {
+    if (!this.enabled) return null;
+
+    const now = Date.now();
+    const entry = {
+      id: this.entryId(namespace, key),
+      namespace,
+      key,
+      value,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+
+    this.remember(entry);
+    this.stats.writes++;
+
+    if (this.disk) {
+      try {
+        await this.disk.put(entry.id, entry);
+      } catch (error) {
+        logger.warn(`Failed to persist cache entry ${namespace}:${key}:`, error.message);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Return the cached value for a key, or compute and cache it.
+   * Resolves to { value, cache: { hit, cachedAt, expiresAt } }.
+   */
+  async wrap(namespace, key, ttlMs, compute, { bypass = false, shouldCache = () => true } = {}) {
+    if (!bypass) {
+      const cached = await this.get(namespace, key);
+      if (cached) {
+        logger.debug(`Cache hit for ${namespace}:${key}`);
+        return {
+          value: cached.value,
+          cache: { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt }
+        };
+      }
+    }
+
+    const value = await compute();
+    let entry = null;
+
+    if (shouldCache(value)) {
+      entry = await this.set(namespace, key, value, ttlMs);
+    }
+
+    return {
+      value,
+      cache: {
+        hit: false,
+        bypassed: bypass,
+        cachedAt: entry ? entry.cachedAt : null,
+        expiresAt: entry ? entry.expiresAt : null
+      }
+    };
+  }
+
+  /**
+   * Keep an entry in memory, evicting the oldest entries past maxEntries
+   */
+  remember(entry) {
+    this.memory.delete(entry.id);
+    this.memory.set(entry.id, entry);
+
+    while (this.memory.size > this.maxEntries) {
+      const oldestId = this.memory.keys().next().value;
+      this.memory.delete(oldestId);
+    }
+  }
+
+  async delete(id) {
+    const deleted = this.memory.delete(id);
+    const deletedFromDisk = this.disk ? await this.disk.delete(id) : false;
+    return deleted || deletedFromDisk;
+  }
+
+  /**
+   * List live entries (without their values), optionally for one namespace
+   */
+  async list({ namespace } = {}) {
+    const entries = new Map(this.memory);
+
+    if (this.disk) {
+      for (const entry of await this.disk.list()) {
+        if (!entries.has(entry.id)) {
+          entries.set(entry.id, entry);
+        }
+      }
+    }
+
+    return [...entries.values()]
+      .filter(entry => !namespace || entry.namespace === namespace)
+      .filter(entry => !this.isExpired(entry))
+      .map(({ id, namespace: entryNamespace, key, cachedAt, expiresAt, value }) => ({
+        id,
+        namespace: entryNamespace,
+        key,
+        cachedAt,
+        expiresAt,
+        sizeBytes: Buffer.byteLength(JSON.stringify(value))
+      }));
+  }
+
+  /**
+   * Remove every entry, or only those in a namespace. Returns the number removed.
+   */
+  async purge({ namespace } = {}) {
+    const ids = new Set([...this.memory.values()]
+      .filter(entry => !namespace || entry.namespace === namespace)
+      .map(entry => entry.id));
+
+    if (this.disk) {
+      for (const entry of await this.disk.list()) {
+        if (!namespace || entry.namespace === namespace) {
+          ids.add(entry.id);
+        }
+      }
+    }
+
+    for (const id of ids) {
+      await this.delete(id);
+    }
+
+    logger.info(`Purged ${ids.size} cache entries${namespace ? ` from ${namespace}` : ''}`);
+    return ids.size;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      persistent: Boolean(this.disk),
+      maxEntries: this.maxEntries,
+      memoryEntries: this.memory.size,
+      ...this.stats
+    };
+  }
+}
+
+// Shared so the admin API inspects the same cache the services fill
+let defaultCache = null;
+
+const getCache = () => {
+  if (!defaultCache) {
+    defaultCache = new CacheService();
+  }
+  return defaultCache;
+};
+
+module.exports = CacheService;
+module.exports.getCache = getCache;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CacheService = require('./cacheService');
+
+const HOUR = 60 * 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CacheService', () => {
+  test('computes a value once and serves it until it expires', async () => {
+    const cache = new CacheService({ persist: false });
+    const compute = jest.fn(async () => ['result']);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const first = await cache.wrap('search', 'openshift', HOUR, compute);
+    const second = await cache.wrap('search', 'openshift', HOUR, compute);
+    expect(first.cache.hit).toBe(false);
+    expect(second).toMatchObject({ value: ['result'], cache: { hit: true, expiresAt: new Date(now + HOUR).toISOString() } });
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    Date.now.mockReturnValue(now + HOUR);
+    expect((await cache.wrap('search', 'openshift', HOUR, compute)).cache.hit).toBe(false);
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 2, writes: 2 });
+  });
+
+  test('skips the lookup when bypassed and only stores values worth caching', async () => {
+    const cache = new CacheService({ persist: false });
+    await cache.set('search', 'ansible', ['cached'], HOUR);
+
+    const bypassed = await cache.wrap('search', 'ansible', HOUR, async () => ['fresh'], { bypass: true });
+    expect(bypassed).toMatchObject({ value: ['fresh'], cache: { hit: false, bypassed: true } });
+
+    await cache.wrap('search', 'empty', HOUR, async () => [], { shouldCache: value => value.length > 0 });
+    expect(await cache.get('search', 'empty')).toBeNull();
+  });
+
+  test('evicts the least recently stored entries past maxEntries', async () => {
+    const cache = new CacheService({ persist: false, maxEntries: 2 });
+    await cache.set('search', 'a', 1, HOUR);
+    await cache.set('search', 'b', 2, HOUR);
+    await cache.set('search', 'c', 3, HOUR);
+
+    expect(await cache.get('search', 'a')).toBeNull();
+    expect((await cache.list()).map(entry => entry.key)).toEqual(['b', 'c']);
+  });
+
+  test('lists and purges entries by namespace', async () => {
+    const cache = new CacheService({ persist: false });
+    await cache.set('search', 'a', ['x'], HOUR);
+    await cache.set('llm-generation', 'b', { title: 'Path' }, HOUR);
+
+    expect(await cache.list({ namespace: 'search' })).toEqual([
+      expect.objectContaining({ namespace: 'search', key: 'a', sizeBytes: 5 })
+    ]);
+    expect(await cache.purge({ namespace: 'search' })).toBe(1);
+    expect((await cache.list()).map(entry => entry.namespace)).toEqual(['llm-generation']);
+  });
+
+  test('does nothing while disabled', async () => {
+    const cache = new CacheService({ enabled: false, persist: false });
+    const compute = jest.fn(async () => 'value');
+
+    await cache.wrap('search', 'a', HOUR, compute);
+    await cache.wrap('search', 'a', HOUR, compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps persisted entries across instances', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    try {
+      await new CacheService({ persist: true, directory }).set('search', 'a', ['persisted'], HOUR);
+
+      const restarted = new CacheService({ persist: true, directory });
+      expect((await restarted.get('search', 'a')).value).toEqual(['persisted']);
+      expect(await restarted.purge()).toBe(1);
+      expect(await new CacheService({ persist: true, directory }).get('search', 'a')).toBeNull();
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
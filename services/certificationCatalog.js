@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { tokenize } = require('../utils/bm25');
+const { validateCertification } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const CATALOG_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Built-in catalog of Red Hat certifications with their exam codes,
+ * prerequisites and exam objectives, read from the JSON/YAML files in
+ * CERTIFICATION_CATALOG_DIR (default catalog/certifications)
+ */
+class CertificationCatalog {
+  constructor({ directory = process.env.CERTIFICATION_CATALOG_DIR || path.join(process.env.CATALOG_DIR || 'catalog', 'certifications') } = {}) {
+    this.directory = path.resolve(directory);
+    this.certifications = null;
+  }
+
+  /**
+   * Read and validate every certification file, skipping invalid entries
+   */
+  loadFileEntries() {
+    if (!fs.existsSync(this.directory)) {
+      logger.warn(`Certification catalog directory ${this.directory} does not exist`);
+      return [];
+    }
+
+    const certifications = [];
+    const files = fs.readdirSync(this.directory)
+      .filter(file => CATALOG_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const contents = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        const parsed = path.extname(file).toLowerCase() === '.json' ? JSON.parse(contents) : yaml.load(contents);
+        const entries = Array.isArray(parsed) ? parsed : parsed?.certifications;
+
+        if (!Array.isArray(entries)) {
+          throw new Error('Certification catalog must be an array or an object with a "certifications" array');
+        }
+
+        for (const entry of entries) {
+          const validation = validateCertification(entry);
+          if (validation.isValid) {
+            certifications.push(validation.data);
+          } else {
+            logger.warn(`Skipping invalid certification in ${file}:`, validation.errors);
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to load certification file ${file}:`, error.message);
+      }
+    }
+
+    return certifications;
+  }
+
+  /**
+   * All certifications, loaded on first use. Later files override earlier ones with the same code.
+   */
+  getCertifications() {
+    if (!this.certifications) {
+      const byCode = new Map();
+      for (const certification of this.loadFileEntries()) {
+        byCode.set(certification.code, certification);
+      }
+
+      this.certifications = [...byCode.values()];
+      logger.info(`Loaded ${this.certifications.length} certifications`);
+    }
+
+    return this.certifications;
+  }
+
+  /**
+   * Certification by exam code (case-insensitive), or null
+   */
+  get(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    return this.getCertifications().find(certification => certification.code === normalized) || null;
+  }
+
+  /**
+   * The certification a free-text name refers to ("RHCSA", "EX280",
+   * "Red Hat Certified OpenShift Administrator", "OpenShift admin"), or null.
+   * Exam codes win, then the longest name or alias found in the text, then
+   * the name sharing the most terms.
+   */
+  find(text) {
+    const normalized = String(text || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    const code = normalized.match(/\b([a-z]{2,3}\d{3})\b/);
+    if (code && this.get(code[1])) {
+      return this.get(code[1]);
+    }
+
+    let best = null;
+    for (const certification of this.getCertifications()) {
+      const names = [certification.name, certification.shortName, ...certification.aliases].filter(Boolean);
+
+      for (const name of names) {
+        const phrase = name.toLowerCase();
+        if (new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}($|[^a-z0-9])`).test(normalized) && (!best || phrase.length > best.length)) {
+          best = { certification, length: phrase.length };
+        }
+      }
+    }
+    if (best) return best.certification;
+
+    // Jaccard similarity of the terms, as grounding does for titles
+    const terms = new Set(tokenize(normalized));
+    let closest = null;
+    for (const certification of this.getCertifications()) {
+      const nameTerms = new Set(tokenize(certification.name));
+      const shared = [...terms].filter(term => nameTerms.has(term)).length;
+      const similarity = shared / (terms.size + nameTerms.size - shared || 1);
+
+      if (similarity >= 0.5 && (!closest || similarity > closest.similarity)) {
+        closest = { certification, similarity };
+      }
+    }
+
+    return closest ? closest.certification : null;
+  }
+
+  /**
+   * Drop the loaded certifications so the next lookup rereads the files
+   */
+  invalidate() {
+    this.certifications = null;
+  }
+}
+
+let defaultCatalog = null;
+
+const getCertificationCatalog = () => {
+  if (!defaultCatalog) {
+    defaultCatalog = new CertificationCatalog();
+  }
+  return defaultCatalog;
+};
+
+module.exports = CertificationCatalog;
+module.exports.getCertificationCatalog = getCertificationCatalog;
@@ -0,0 +1,184 @@
+const { getCertificationCatalog } = require('./certificationCatalog');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Maps learning paths onto the certification catalog: tags resources and
+ * activities with the exam objectives they cover, checks the recommended
+ * certification sequence against prerequisites, and reports the objectives
+ * of the learner's certificationGoals that the path leaves uncovered.
+ */
+class CertificationService {
+  constructor(catalog = getCertificationCatalog()) {
+    this.catalog = catalog;
+    this.objectivePatterns = new Map();
+  }
+
+  /**
+   * Look up free-text certification names. Returns { recognized, unrecognized },
+   * recognized as [{ input, code, name }] without duplicates.
+   */
+  resolveCertifications(names = []) {
+    const recognized = [];
+    const unrecognized = [];
+
+    for (const input of names) {
+      const certification = this.catalog.find(input);
+      if (!certification) {
+        unrecognized.push(input);
+      } else if (!recognized.some(entry => entry.code === certification.code)) {
+        recognized.push({ input, code: certification.code, name: certification.name });
+      }
+    }
+
+    return { recognized, unrecognized };
+  }
+
+  /**
+   * One pattern per objective matching any of its keywords as whole words (plurals included)
+   */
+  objectivePattern(objective) {
+    if (!this.objectivePatterns.has(objective.id)) {
+      const keywords = objective.keywords.map(keyword => escapeRegExp(keyword)).join('|');
+      this.objectivePatterns.set(objective.id, new RegExp(`(^|[^a-z0-9])(${keywords})(e?s)?($|[^a-z0-9])`, 'i'));
+    }
+    return this.objectivePatterns.get(objective.id);
+  }
+
+  /**
+   * Ids of the objectives of the given certifications that a piece of text covers
+   */
+  matchObjectives(text, certifications) {
+    if (!text) return [];
+
+    return certifications.flatMap(certification => certification.objectives
+      .filter(objective => this.objectivePattern(objective).test(text))
+      .map(objective => objective.id));
+  }
+
+  /**
+   * Tag every resource and phase with the exam objectives it covers, for the
+   * certifications in the learner's goals and the path's recommendations.
+   * Returns { learningPath, report } without modifying the input path.
+   */
+  mapLearningPath(learningPath, certificationGoals = []) {
+    const certificationPath = learningPath.certificationPath || {};
+    const goals = this.resolveCertifications(certificationGoals);
+    const recommended = this.resolveCertifications([...(certificationPath.recommended || []), ...(certificationPath.sequence || [])]);
+    const certifications = [...new Set([...goals.recognized, ...recommended.recognized].map(({ code }) => code))]
+      .map(code => this.catalog.get(code));
+
+    // Objective id -> [{ phase, type, title }] of what covers it
+    const coverage = new Map();
+    const cover = (ids, entry) => {
+      for (const id of ids) {
+        coverage.set(id, [...(coverage.get(id) || []), entry]);
+      }
+    };
+
+    // Tags from an earlier mapping (kept phases of an adapted path) are recomputed
+    const phases = (learningPath.phases || []).map(({ examObjectives: previousPhaseObjectives, ...phase }) => {
+      const phaseObjectives = new Set();
+
+      const resources = (phase.resources || []).map(({ examObjectives: previousObjectives, ...resource }) => {
+        const examObjectives = this.matchObjectives(`${resource.title} ${resource.description || ''}`, certifications);
+        cover(examObjectives, { phase: phase.phase, type: 'resource', title: resource.title });
+        examObjectives.forEach(id => phaseObjectives.add(id));
+
+        return examObjectives.length > 0 ? { ...resource, examObjectives } : resource;
+      });
+
+      for (const [type, items] of [['practiceActivity', phase.practiceActivities], ['assessmentCriterion', phase.assessmentCriteria]]) {
+        for (const item of items || []) {
+          const examObjectives = this.matchObjectives(item, certifications);
+          cover(examObjectives, { phase: phase.phase, type, title: item });
+          examObjectives.forEach(id => phaseObjectives.add(id));
+        }
+      }
+
+      return phaseObjectives.size > 0 ? { ...phase, resources, examObjectives: [...phaseObjectives] } : { ...phase, resources };
+    });
+
+    return {
+      learningPath: { ...learningPath, phases },
+      report: {
+        goals: goals.recognized.map(goal => this.describeCoverage(goal, coverage)),
+        unrecognizedGoals: goals.unrecognized,
+        recommended: recommended.recognized,
+        sequence: this.checkSequence(certificationPath)
+      }
+    };
+  }
+
+  /**
+   * Covered and uncovered objectives of one goal certification
+   */
+  describeCoverage({ input, code, name }, coverage) {
+    const { objectives } = this.catalog.get(code);
+    const covered = objectives.filter(objective => coverage.has(objective.id));
+
+    return {
+      input,
+      code,
+      name,
+      totalObjectives: objectives.length,
+      coveredObjectives: covered.length,
+      coveragePercent: Math.round((covered.length / objectives.length) * 100),
+      covered: covered.map(({ id, title }) => ({ id, title, coveredBy: coverage.get(id) })),
+      uncovered: objectives
+        .filter(objective => !coverage.has(objective.id))
+        .map(({ id, title }) => ({ id, title }))
+    };
+  }
+
+  /**
+   * Check the recommended certifications, in sequence order, against their
+   * prerequisites. Required prerequisites that are missing or come later make
+   * the sequence invalid; recommended ones only produce warnings.
+   */
+  checkSequence(certificationPath = {}) {
+    const ordered = this.resolveCertifications([...(certificationPath.sequence || []), ...(certificationPath.recommended || [])]);
+    const codes = ordered.recognized.map(({ code }) => code);
+    const issues = [];
+
+    codes.forEach((code, index) => {
+      const certification = this.catalog.get(code);
+      const checks = [
+        ...certification.prerequisites.map(prerequisite => ({ prerequisite, required: true })),
+        ...certification.recommendedBefore.map(prerequisite => ({ prerequisite, required: false }))
+      ];
+
+      for (const { prerequisite, required } of checks) {
+        const position = codes.indexOf(prerequisite);
+        const relation = required ? 'requires' : 'is best taken after';
+
+        if (position === -1) {
+          issues.push({
+            certification: code,
+            prerequisite,
+            required,
+            type: 'missing',
+            message: `${code} ${relation} ${prerequisite}, which the path doesn't recommend (fine if the learner already holds it)`
+          });
+        } else if (position > index) {
+          issues.push({
+            certification: code,
+            prerequisite,
+            required,
+            type: 'out-of-order',
+            message: `${code} ${relation} ${prerequisite}, but comes before it in the sequence`
+          });
+        }
+      }
+    });
+
+    return {
+      certifications: codes,
+      unrecognized: ordered.unrecognized,
+      valid: !issues.some(issue => issue.required),
+      issues
+    };
+  }
+}
+
+module.exports = CertificationService;
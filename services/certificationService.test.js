@@ -0,0 +1,64 @@
+const CertificationService = require('./certificationService');
+
+const service = new CertificationService();
+
+describe('CertificationService', () => {
+  test('recognizes certifications by exam code, name or alias', () => {
+    expect(service.resolveCertifications(['RHCSA', 'ex200', 'Red Hat Certified Engineer', 'podman', 'Underwater basket weaving'])).toEqual({
+      recognized: [
+        { input: 'RHCSA', code: 'EX200', name: 'Red Hat Certified System Administrator' },
+        { input: 'Red Hat Certified Engineer', code: 'EX294', name: 'Red Hat Certified Engineer' },
+        { input: 'podman', code: 'EX188', name: 'Red Hat Certified Specialist in Containers' }
+      ],
+      unrecognized: ['Underwater basket weaving']
+    });
+  });
+
+  test('tags resources and phases with the exam objectives they cover and reports the rest', () => {
+    const learningPath = {
+      phases: [{
+        phase: 1,
+        title: 'Podman',
+        resources: [
+          { title: 'Building images with a Containerfile', description: 'Multi-stage builds and image layers' },
+          { title: 'Company history', examObjectives: ['EX188.5'] }
+        ],
+        practiceActivities: ['Run rootless containers'],
+        assessmentCriteria: ['Explain what a pod is']
+      }]
+    };
+
+    const { learningPath: mapped, report } = service.mapLearningPath(learningPath, ['EX188']);
+    const [phase] = mapped.phases;
+
+    expect(phase.resources[0].examObjectives).toEqual(['EX188.1']);
+    expect(phase.resources[1].examObjectives).toBeUndefined();
+    expect(phase.examObjectives).toEqual(['EX188.1', 'EX188.3', 'EX188.4']);
+
+    const [goal] = report.goals;
+    expect(goal).toMatchObject({ code: 'EX188', totalObjectives: 5, coveredObjectives: 3, coveragePercent: 60 });
+    expect(goal.covered[1]).toEqual({
+      id: 'EX188.3',
+      title: 'Run containers locally using Podman',
+      coveredBy: [{ phase: 1, type: 'practiceActivity', title: 'Run rootless containers' }]
+    });
+    expect(goal.uncovered.map(objective => objective.id)).toEqual(['EX188.2', 'EX188.5']);
+  });
+
+  test('checks the recommended sequence against prerequisites', () => {
+    expect(service.checkSequence({ sequence: ['EX200', 'EX294'] })).toEqual({
+      certifications: ['EX200', 'EX294'],
+      unrecognized: [],
+      valid: true,
+      issues: []
+    });
+
+    const outOfOrder = service.checkSequence({ sequence: ['RHCE', 'RHCSA'] });
+    expect(outOfOrder.valid).toBe(false);
+    expect(outOfOrder.issues).toEqual([expect.objectContaining({ certification: 'EX294', prerequisite: 'EX200', required: true, type: 'out-of-order' })]);
+
+    const missingRecommended = service.checkSequence({ recommended: ['EX280'] });
+    expect(missingRecommended.valid).toBe(true);
+    expect(missingRecommended.issues).toEqual([expect.objectContaining({ prerequisite: 'EX188', required: false, type: 'missing' })]);
+  });
+});
@@ -0,0 +1,135 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Runs one profile and one set of search results through several models so
+ * their learning paths can be compared side by side.
+ */
+class ComparisonService {
+  constructor({ llmService, redhatContentService, topicExtractionService, groundingService }) {
+    this.llmService = llmService;
+    this.redhatContentService = redhatContentService;
+    this.topicExtractionService = topicExtractionService;
+    this.groundingService = groundingService;
+  }
+
+  /**
+   * Each model as { provider, model, generationOptions }, with the request's
+   * provider and generationOptions as defaults
+   */
+  resolveCandidates(models, { provider, generationOptions } = {}) {
+    return models.map(entry => {
+      const candidate = typeof entry === 'string' ? { model: entry } : entry;
+      return {
+        provider: candidate.provider || provider,
+        model: candidate.model,
+        generationOptions: { ...generationOptions, ...candidate.generationOptions }
+      };
+    });
+  }
+
+  /**
+   * Extract topics and search once, then generate with every candidate in turn.
+   * Models run one after another so they don't compete for the same hardware
+   * and distort each other's timings. Resolves to
+   * { extractedTopics, topicExtraction, searchResults, results, cache, enrichment }.
+   */
+  async compare(userProfile, candidates, { provider, bypassCache = false } = {}) {
+    const topicExtraction = await this.topicExtractionService.extractFromProfile(userProfile, { bypassCache, provider });
+    const extractedTopics = topicExtraction.topics.map(({ topic }) => topic);
+
+    const searchCache = { hits: 0, misses: 0 };
+    const enrichmentStats = { enriched: 0, failed: 0 };
+    const searchResults = await this.redhatContentService.searchAllSources(extractedTopics, {
+      bypassCache,
+      cacheStats: searchCache,
+      enrichmentStats
+    });
+
+    const results = [];
+    for (const candidate of candidates) {
+      results.push(await this.runCandidate(userProfile, searchResults, candidate));
+    }
+
+    return {
+      extractedTopics,
+      topicExtraction,
+      searchResults,
+      results,
+      cache: { search: searchCache },
+      enrichment: enrichmentStats
+    };
+  }
+
+  /**
+   * Generate with one candidate and measure the result. Generation errors are
+   * reported in the result rather than thrown so the other models still run.
+   */
+  async runCandidate(userProfile, searchResults, candidate) {
+    const llm = this.llmService.describeGeneration(candidate);
+    const usage = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    const startedAt = Date.now();
+
+    try {
+      const generatedPath = await this.llmService.generateLearningPath(userProfile, searchResults, { ...candidate, usage });
+      const durationMs = Date.now() - startedAt;
+      const { learningPath, report: grounding } = this.groundingService.groundLearningPath(generatedPath, searchResults);
+      const validation = generatedPath.validation || {};
+
+      logger.info(`Compared ${llm.provider}/${llm.model} in ${durationMs}ms`);
+
+      return {
+        llm,
+        success: true,
+        durationMs,
+        tokens: this.summarizeUsage(usage),
+        parse: {
+          success: validation.status !== 'fallback',
+          status: validation.status,
+          repairAttempts: validation.repairAttempts || 0
+        },
+        grounding: {
+          totalResources: grounding.totalResources,
+          verified: grounding.verified,
+          verifiedRatio: grounding.verifiedRatio
+        },
+        structure: this.describeStructure(generatedPath),
+        learningPath
+      };
+    } catch (error) {
+      logger.warn(`Comparison run failed for ${llm.provider}/${llm.model}:`, error.message);
+
+      return {
+        llm,
+        success: false,
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+        tokens: this.summarizeUsage(usage)
+      };
+    }
+  }
+
+  summarizeUsage({ requests, promptTokens, completionTokens }) {
+    return { requests, prompt: promptTokens, completion: completionTokens, total: promptTokens + completionTokens };
+  }
+
+  /**
+   * Phase and resource counts of a learning path as the model returned it
+   */
+  describeStructure(learningPath) {
+    const phases = learningPath.phases || [];
+    const resourcesPerPhase = phases.map(phase => (phase.resources || []).length);
+    const totalResources = resourcesPerPhase.reduce((sum, count) => sum + count, 0);
+
+    return {
+      phaseCount: phases.length,
+      resourcesPerPhase,
+      totalResources,
+      averageResourcesPerPhase: phases.length > 0 ? Number((totalResources / phases.length).toFixed(1)) : 0,
+      practiceActivities: phases.reduce((sum, phase) => sum + (phase.practiceActivities || []).length, 0),
+      assessmentCriteria: phases.reduce((sum, phase) => sum + (phase.assessmentCriteria || []).length, 0),
+      learningObjectives: (learningPath.learningObjectives || []).length
+    };
+  }
+}
+
+module.exports = ComparisonService;
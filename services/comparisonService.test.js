@@ -0,0 +1,77 @@
+const ComparisonService = require('./comparisonService');
+const GroundingService = require('./groundingService');
+
+const searchResults = { all: [{ title: 'DO180', url: 'https://www.redhat.com/en/services/training/do180' }] };
+
+const generatedPath = (resourceUrl) => ({
+  title: 'OpenShift',
+  learningObjectives: ['Deploy applications'],
+  phases: [{
+    phase: 1,
+    title: 'Basics',
+    resources: [{ title: 'DO180', url: resourceUrl }],
+    practiceActivities: ['Deploy an app', 'Scale it'],
+    assessmentCriteria: ['Explain pods']
+  }],
+  validation: { status: 'repaired', repairAttempts: 1 }
+});
+
+const createService = () => {
+  const llmService = {
+    describeGeneration: ({ provider = 'ollama', model }) => ({ provider, model }),
+    generateLearningPath: jest.fn(async (profile, results, { model, usage }) => {
+      if (model === 'broken') throw new Error('model not found');
+      usage.requests++;
+      usage.promptTokens += 100;
+      usage.completionTokens += 50;
+      return generatedPath(model === 'grounded' ? searchResults.all[0].url : 'https://example.com/made-up');
+    })
+  };
+
+  return {
+    llmService,
+    service: new ComparisonService({
+      llmService,
+      redhatContentService: { searchAllSources: jest.fn(async () => searchResults) },
+      topicExtractionService: { extractFromProfile: jest.fn(async () => ({ topics: [{ topic: 'openshift', confidence: 0.8 }], method: 'keyword' })) },
+      groundingService: new GroundingService()
+    })
+  };
+};
+
+describe('ComparisonService', () => {
+  test('resolves candidates against the request defaults', () => {
+    const { service } = createService();
+
+    expect(service.resolveCandidates(['llama3.2', { provider: 'openai', model: 'gpt', generationOptions: { temperature: 0 } }], {
+      provider: 'ollama',
+      generationOptions: { temperature: 0.7, maxTokens: 2000 }
+    })).toEqual([
+      { provider: 'ollama', model: 'llama3.2', generationOptions: { temperature: 0.7, maxTokens: 2000 } },
+      { provider: 'openai', model: 'gpt', generationOptions: { temperature: 0, maxTokens: 2000 } }
+    ]);
+  });
+
+  test('searches once and measures every model, reporting failures without stopping', async () => {
+    const { service, llmService } = createService();
+    const candidates = service.resolveCandidates(['grounded', 'broken', 'ungrounded'], { provider: 'ollama' });
+
+    const comparison = await service.compare({ interests: ['OpenShift'] }, candidates);
+
+    expect(comparison.extractedTopics).toEqual(['openshift']);
+    expect(llmService.generateLearningPath).toHaveBeenCalledTimes(3);
+    expect(llmService.generateLearningPath.mock.calls.every(([, results]) => results === searchResults)).toBe(true);
+
+    const [grounded, broken, ungrounded] = comparison.results;
+    expect(grounded).toMatchObject({
+      llm: { provider: 'ollama', model: 'grounded' },
+      success: true,
+      tokens: { requests: 1, prompt: 100, completion: 50, total: 150 },
+      parse: { success: true, status: 'repaired', repairAttempts: 1 },
+      grounding: { totalResources: 1, verified: 1, verifiedRatio: 1 },
+      structure: { phaseCount: 1, resourcesPerPhase: [1], practiceActivities: 2, assessmentCriteria: 1, learningObjectives: 1 }
+    });
+    expect(broken).toMatchObject({ success: false, error: 'model not found', tokens: { total: 0 } });
+    expect(ungrounded.grounding).toMatchObject({ verified: 0, verifiedRatio: 0 });
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { getStorage } = require('./storage');
+const { Bm25Index } = require('../utils/bm25');
+const { logger } = require('../utils/logger');
+
+const CATALOG_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Local catalog of Red Hat resources for offline search.
+ * Entries come from the JSON/YAML files in CATALOG_DIR plus entries imported
+ * through the admin API, which are kept in storage and override file entries
+ * with the same id.
+ */
+class ContentCatalog {
+  constructor({ directory = process.env.CATALOG_DIR || 'catalog', storage = getStorage('catalog') } = {}) {
+    this.directory = path.resolve(directory);
+    this.storage = storage;
+    this.index = null;
+    this.entries = null;
+  }
+
+  /**
+   * Stable id for an entry, derived from its URL unless one is given
+   */
+  static entryId(entry) {
+    return entry.id || crypto.createHash('sha1').update(entry.url).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Read every catalog file in the catalog directory
+   */
+  loadFileEntries() {
+    if (!fs.existsSync(this.directory)) {
+      logger.warn(`Catalog directory ${this.directory} does not exist`);
+      return [];
+    }
+
+    const entries = [];
+    const files = fs.readdirSync(this.directory)
+      .filter(file => CATALOG_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      try {
+        const contents = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        const parsed = this.parseCatalog(contents, path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml');
+        entries.push(...parsed.map(entry => ({ ...entry, catalogFile: file })));
+      } catch (error) {
+        logger.error(`Failed to load catalog file ${file}:`, error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse catalog text holding either an array of entries or { entries: [...] }
+   */
+  parseCatalog(contents, format = 'json') {
+    const parsed = format === 'json' ? JSON.parse(contents) : yaml.load(contents);
+    const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+
+    if (!Array.isArray(entries)) {
+      throw new Error('Catalog must be an array of entries or an object with an "entries" array');
+    }
+
+    return entries;
+  }
+
+  /**
+   * All catalog entries, loading and indexing them on first use
+   */
+  async getEntries() {
+    if (!this.entries) {
+      const byId = new Map();
+
+      for (const entry of this.loadFileEntries()) {
+        byId.set(ContentCatalog.entryId(entry), { ...entry, id: ContentCatalog.entryId(entry) });
+      }
+      for (const entry of await this.storage.list()) {
+        byId.set(entry.id, entry);
+      }
+
+      this.entries = [...byId.values()];
+      this.index = new Bm25Index(this.entries, entry => [
+        { text: entry.title, weight: 3 },
+        { text: (entry.topics || []).join(' '), weight: 2 },
+        { text: entry.description, weight: 1 }
+      ]);
+
+      logger.info(`Loaded ${this.entries.length} catalog entries`);
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Full-text search the catalog, optionally restricted to some content types
+   */
+  async search(query, { limit = 10, types } = {}) {
+    await this.getEntries();
+
+    // Over-fetch so type filtering still leaves enough results
+    return this.index.search(query, types ? limit * 5 : limit)
+      .filter(({ document }) => !types || types.includes(document.type))
+      .slice(0, limit)
+      .map(({ document, score }) => ({ ...document, score: Number(score.toFixed(3)) }));
+  }
+
+  /**
+   * Add or update catalog entries. In "replace" mode previously imported entries are removed first.
+   */
+  async importEntries(entries, { mode = 'merge' } = {}) {
+    if (mode === 'replace') {
+      for (const existing of await this.storage.list()) {
+        await this.storage.delete(existing.id);
+      }
+    }
+
+    const imported = [];
+    for (const entry of entries) {
+      const record = {
+        ...entry,
+        id: ContentCatalog.entryId(entry),
+        importedAt: new Date().toISOString()
+      };
+      await this.storage.put(record.id, record);
+      imported.push(record);
+    }
+
+    this.invalidate();
+    logger.info(`Imported ${imported.length} catalog entries (${mode})`);
+
+    return imported;
+  }
+
+  /**
+   * Drop the cached entries and index so the next search reloads them
+   */
+  invalidate() {
+    this.entries = null;
+    this.index = null;
+  }
+}
+
+// Shared so entries imported through the admin API are visible to search
+let defaultCatalog = null;
+
+const getContentCatalog = () => {
+  if (!defaultCatalog) {
+    defaultCatalog = new ContentCatalog();
+  }
+  return defaultCatalog;
+};
+
+module.exports = ContentCatalog;
+module.exports.getContentCatalog = getContentCatalog;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentCatalog = require('./contentCatalog');
+const MemoryStorage = require('./storage/memoryStorage');
+
+let directory;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  fs.writeFileSync(path.join(directory, 'docs.json'), JSON.stringify([
+    { title: 'OpenShift networking guide', url: 'https://docs.redhat.com/openshift/networking', type: 'documentation', topics: ['openshift'] },
+    { title: 'Ansible playbook basics', url: 'https://docs.ansible.com/playbooks', type: 'documentation', topics: ['ansible'] }
+  ]));
+  fs.writeFileSync(path.join(directory, 'training.yaml'), [
+    'entries:',
+    '  - id: do180',
+    '    title: Red Hat OpenShift Administration I (DO180)',
+    '    url: https://www.redhat.com/en/services/training/do180',
+    '    type: training',
+    '    topics: [openshift, containers]'
+  ].join('\n'));
+  fs.writeFileSync(path.join(directory, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(directory, 'notes.txt'), 'ignored');
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const createCatalog = () => new ContentCatalog({ directory, storage: new MemoryStorage('catalog') });
+
+describe('ContentCatalog', () => {
+  test('loads JSON and YAML catalog files, skipping unreadable ones', async () => {
+    const entries = await createCatalog().getEntries();
+
+    expect(entries.map(entry => entry.title).sort()).toEqual([
+      'Ansible playbook basics',
+      'OpenShift networking guide',
+      'Red Hat OpenShift Administration I (DO180)'
+    ]);
+    expect(entries.find(entry => entry.id === 'do180').catalogFile).toBe('training.yaml');
+  });
+
+  test('searches entries, optionally keeping to some content types', async () => {
+    const catalog = createCatalog();
+
+    const results = await catalog.search('openshift');
+    expect(results.map(result => result.type).sort()).toEqual(['documentation', 'training']);
+    expect(results[0].score).toEqual(expect.any(Number));
+
+    expect((await catalog.search('openshift', { types: ['training'] })).map(result => result.id)).toEqual(['do180']);
+  });
+
+  test('imported entries override file entries with the same id and are searchable at once', async () => {
+    const catalog = createCatalog();
+    await catalog.search('openshift');
+
+    await catalog.importEntries([
+      { id: 'do180', title: 'OpenShift Administration I, updated', url: 'https://www.redhat.com/en/services/training/do180', type: 'training' },
+      { title: 'Podman in production', url: 'https://developers.redhat.com/podman', type: 'article' }
+    ]);
+
+    const entries = await catalog.getEntries();
+    expect(entries).toHaveLength(4);
+    expect(entries.find(entry => entry.id === 'do180').title).toBe('OpenShift Administration I, updated');
+    expect((await catalog.search('podman')).map(result => result.id)).toEqual([ContentCatalog.entryId({ url: 'https://developers.redhat.com/podman' })]);
+  });
+
+  test('replacing imports removes the entries imported before', async () => {
+    const catalog = createCatalog();
+    await catalog.importEntries([{ title: 'Podman in production', url: 'https://developers.redhat.com/podman' }]);
+    await catalog.importEntries([{ title: 'Quay registry', url: 'https://docs.redhat.com/quay' }], { mode: 'replace' });
+
+    expect(await catalog.search('podman')).toEqual([]);
+    expect(await catalog.search('quay')).toHaveLength(1);
+  });
+
+  test('rejects catalogs that are not a list of entries', () => {
+    expect(() => createCatalog().parseCatalog('{"items": []}')).toThrow('"entries" array');
+    expect(createCatalog().parseCatalog('- title: A\n  url: https://a', 'yaml')).toEqual([{ title: 'A', url: 'https://a' }]);
+  });
+});
@@ -0,0 +1,232 @@
+const cheerio = require('cheerio');
+const { getCache } = require('./cacheService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { formatDuration } = require('../utils/duration');
+const { logger } = require('../utils/logger');
+const { checkPublicHost, publicRequestOptions } = require('../utils/publicAddress');
+
+// Red Hat course and exam codes, e.g. RH124, DO180, EX280
+const COURSE_CODE_PATTERN = /\b(?:RH|DO|AD|CL|EX|AU|BH|JB|MS|CS|LS)\d{3}[A-Z]?\b/i;
+const LEVELS = ['beginner', 'foundational', 'intermediate', 'advanced', 'expert'];
+const LEVEL_PATTERN = new RegExp(`\\b(?:skill|experience|difficulty|course)?\\s*level\\s*:?\\s*(${LEVELS.join('|')})\\b`, 'i');
+const DURATION_PATTERN = /\b(?:course\s+)?(?:duration|length)\s*:?\s*(\d+(?:\.\d+)?\s*(?:days?|hours?|hrs?|minutes?|mins?|weeks?))\b/i;
+const SITE_SUFFIX_PATTERN = /\s*[|\-–]\s*Red Hat(?: TV| Developer| Customer Portal| Documentation)?\s*$/i;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Fetches the page behind each search result and fills in metadata the
+ * search snippet lacks: description, duration, course code, skill level
+ * and published date. Existing values are kept, except that a longer page
+ * description replaces the snippet.
+ */
+class ResourceEnrichmentService {
+  constructor({
+    httpClient,
+    enabled = process.env.ENRICHMENT_ENABLED !== 'false',
+    concurrency = parseInt(process.env.ENRICHMENT_CONCURRENCY) || 3,
+    timeoutMs = parseInt(process.env.ENRICHMENT_TIMEOUT_MS) || 5000,
+    cacheTtlMs = parseInt(process.env.ENRICHMENT_CACHE_TTL_MS) || 24 * 60 * 60 * 1000
+  } = {}) {
+    this.httpClient = httpClient;
+    this.enabled = enabled;
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = getCache();
+  }
+
+  /**
+   * Enrich a list of search results. options.bypassCache refetches pages,
+   * options.preferPageTitle replaces result titles with the page's own, and
+   * options.enrichmentStats ({ enriched, failed }) is updated for reporting.
+   */
+  async enrich(results, options = {}) {
+    if (!this.enabled || results.length === 0) {
+      return results;
+    }
+
+    return mapWithConcurrency(results, this.concurrency, async (result) => {
+      const metadata = await this.fetchMetadata(result.url, options);
+
+      if (options.enrichmentStats) {
+        options.enrichmentStats[metadata ? 'enriched' : 'failed']++;
+      }
+
+      return metadata ? this.mergeMetadata(result, metadata, options) : result;
+    });
+  }
+
+  /**
+   * Fetch and parse a page's metadata, or null if it can't be read. Result
+   * URLs come from search providers, so pages (and redirects) on private or
+   * local addresses are never fetched.
+   */
+  async fetchMetadata(url, options = {}) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        return null;
+      }
+      checkPublicHost(hostname);
+
+      const { value } = await this.cache.wrap(
+        'page-metadata',
+        url,
+        this.cacheTtlMs,
+        async () => {
+          const response = await this.httpClient.get(url, {
+            timeout: this.timeoutMs,
+            maxContentLength: MAX_PAGE_BYTES,
+            responseType: 'text',
+            ...publicRequestOptions()
+          });
+
+          const contentType = response.headers['content-type'] || '';
+          if (contentType && !contentType.includes('html')) {
+            return null;
+          }
+
+          return this.parseMetadata(response.data, url);
+        },
+        { bypass: options.bypassCache, shouldCache: (metadata) => Boolean(metadata) }
+      );
+
+      return value;
+    } catch (error) {
+      logger.debug(`Failed to enrich ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pull metadata from a page, preferring schema.org JSON-LD over meta tags
+   * over the page text
+   */
+  parseMetadata(html, url = '') {
+    const $ = cheerio.load(html);
+    const structured = this.readStructuredData($);
+    const meta = (name) => $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).attr('content');
+
+    const title = structured.name || meta('og:title') || $('h1').first().text().trim() || $('title').text().trim();
+    const description = structured.description || meta('og:description') || meta('description') || meta('twitter:description');
+
+    // Space out elements so text from neighbouring tags doesn't run together
+    $('body *').append(' ');
+    const text = $('body').text().replace(/\s+/g, ' ').substring(0, 50000);
+
+    const durationMatch = text.match(DURATION_PATTERN);
+    const duration = formatDuration(structured.duration || structured.timeRequired)
+      || formatDuration(meta('video:duration') || meta('og:video:duration'))
+      || (durationMatch && durationMatch[1])
+      || $('[class*="duration"]').first().text().trim();
+
+    const courseCodeMatch = [structured.courseCode, title, url]
+      .filter(Boolean)
+      .map(value => String(value).match(COURSE_CODE_PATTERN))
+      .find(Boolean);
+
+    const levelMatch = text.match(LEVEL_PATTERN);
+    const level = this.normalizeLevel(structured.educationalLevel) || (levelMatch && this.normalizeLevel(levelMatch[1]));
+
+    const publishedDate = this.normalizeDate(structured.datePublished || structured.uploadDate)
+      || this.normalizeDate(meta('article:published_time') || meta('datePublished') || meta('date') || meta('DC.date.issued'))
+      || this.normalizeDate($('time[datetime]').first().attr('datetime'));
+
+    const metadata = {};
+    if (title) metadata.title = title.replace(/\s+/g, ' ').replace(SITE_SUFFIX_PATTERN, '').trim();
+    if (description) metadata.description = description.replace(/\s+/g, ' ').trim();
+    if (duration) metadata.duration = duration;
+    if (courseCodeMatch) metadata.courseCode = courseCodeMatch[0].toUpperCase();
+    if (level) metadata.level = level;
+    if (publishedDate) metadata.publishedDate = publishedDate;
+
+    return Object.keys(metadata).length > 0 ? metadata : null;
+  }
+
+  /**
+   * Merge the fields of every JSON-LD object on the page, first value wins
+   */
+  readStructuredData($) {
+    const merged = {};
+
+    $('script[type="application/ld+json"]').each((index, element) => {
+      try {
+        const data = JSON.parse($(element).contents().text());
+        const items = [].concat(data).flatMap(item => [].concat((item && item['@graph']) || item));
+
+        for (const item of items) {
+          if (!item || typeof item !== 'object') continue;
+
+          const instance = [].concat(item.hasCourseInstance || [])[0];
+          const fields = {
+            ...item,
+            timeRequired: item.timeRequired || (instance && instance.courseWorkload)
+          };
+
+          for (const key of ['name', 'description', 'duration', 'timeRequired', 'courseCode', 'educationalLevel', 'datePublished', 'uploadDate']) {
+            if (merged[key] === undefined && typeof fields[key] === 'string' && fields[key].trim()) {
+              merged[key] = fields[key].trim();
+            }
+          }
+        }
+      } catch (e) {
+        // Ignore malformed JSON-LD blocks
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Map a level label onto Beginner/Intermediate/Advanced
+   */
+  normalizeLevel(value) {
+    const level = (value || '').toLowerCase();
+    if (level.includes('beginner') || level.includes('foundational') || level.includes('introductory')) return 'Beginner';
+    if (level.includes('intermediate')) return 'Intermediate';
+    if (level.includes('advanced') || level.includes('expert')) return 'Advanced';
+    return null;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD, or null if it can't be parsed
+   */
+  normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+  }
+
+  /**
+   * Fill in the fields a search result is missing from page metadata
+   */
+  mergeMetadata(result, metadata, { preferPageTitle = false } = {}) {
+    const enriched = { ...result, enriched: true };
+
+    if (metadata.title && (preferPageTitle || !result.title || /(\.\.\.|…)$/.test(result.title))) {
+      enriched.title = metadata.title;
+    }
+
+    if (metadata.description && metadata.description.length > (result.description || '').length) {
+      enriched.description = metadata.description;
+    }
+
+    for (const field of ['duration', 'courseCode', 'level', 'publishedDate']) {
+      if (metadata[field] && !result[field]) {
+        enriched[field] = metadata[field];
+      }
+    }
+
+    return enriched;
+  }
+
+  getCapabilities() {
+    return {
+      enabled: this.enabled,
+      concurrency: this.concurrency,
+      timeoutMs: this.timeoutMs
+    };
+  }
+}
+
+module.exports = ResourceEnrichmentService;
@@ -0,0 +1,96 @@
+const http = require('http');
+const axios = require('axios');
+const ResourceEnrichmentService = require('./enrichmentService');
+
+const PAGE = `<!doctype html>
+<html>
+  <head>
+    <title>Red Hat System Administration I (RH124) | Red Hat</title>
+    <meta name="description" content="An introduction to Linux administration.">
+    <script type="application/ld+json">
+      {"@type": "Course", "name": "Red Hat System Administration I", "timeRequired": "PT40H", "educationalLevel": "Beginner"}
+    </script>
+  </head>
+  <body><time datetime="2026-03-02">2 March 2026</time></body>
+</html>`;
+
+const fakeClient = (data = PAGE, headers = { 'content-type': 'text/html' }) => ({
+  get: jest.fn(async () => ({ data, headers }))
+});
+
+const createService = (httpClient) => new ResourceEnrichmentService({ httpClient, enabled: true });
+
+describe('ResourceEnrichmentService', () => {
+  test('reads metadata from JSON-LD, meta tags and the page', () => {
+    const metadata = createService(fakeClient()).parseMetadata(PAGE, 'https://www.redhat.com/en/services/training/rh124');
+
+    expect(metadata).toEqual({
+      title: 'Red Hat System Administration I',
+      description: 'An introduction to Linux administration.',
+      duration: '40h',
+      courseCode: 'RH124',
+      level: 'Beginner',
+      publishedDate: '2026-03-02'
+    });
+  });
+
+  test('fills in missing fields and keeps the ones a result already has', async () => {
+    const httpClient = fakeClient();
+    const stats = { enriched: 0, failed: 0 };
+    const [result] = await createService(httpClient).enrich([
+      { title: 'RH124…', url: 'https://www.redhat.com/en/services/training/rh124', description: 'Linux', level: 'Intermediate' }
+    ], { enrichmentStats: stats, bypassCache: true });
+
+    expect(result).toMatchObject({
+      title: 'Red Hat System Administration I',
+      description: 'An introduction to Linux administration.',
+      duration: '40h',
+      level: 'Intermediate',
+      enriched: true
+    });
+    expect(stats).toEqual({ enriched: 1, failed: 0 });
+  });
+
+  test('leaves results unchanged for pages that are not HTML', async () => {
+    const result = { title: 'Guide', url: 'https://www.redhat.com/guide.pdf' };
+    const [enriched] = await createService(fakeClient('%PDF', { 'content-type': 'application/pdf' }))
+      .enrich([result], { bypassCache: true });
+
+    expect(enriched).toBe(result);
+  });
+
+  test.each([
+    'http://127.0.0.1/admin',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'file:///etc/passwd'
+  ])('does not fetch %s', async (url) => {
+    const httpClient = fakeClient();
+
+    expect(await createService(httpClient).fetchMetadata(url, { bypassCache: true })).toBeNull();
+    expect(httpClient.get).not.toHaveBeenCalled();
+  });
+
+  test('refuses redirects to a private address', async () => {
+    const httpClient = fakeClient();
+    await createService(httpClient).fetchMetadata('https://www.redhat.com/en/topics/linux', { bypassCache: true });
+
+    const { beforeRedirect } = httpClient.get.mock.calls[0][1];
+    expect(() => beforeRedirect({ hostname: '169.254.169.254' })).toThrow('not a public address');
+    expect(() => beforeRedirect({ hostname: '93.184.216.34' })).not.toThrow();
+  });
+
+  test('does not connect to a name resolving to this host', async () => {
+    const requests = jest.fn((req, res) => res.end(PAGE));
+    const server = http.createServer(requests);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://localhost:${server.address().port}/`;
+      expect(await createService(axios.create()).fetchMetadata(url, { bypassCache: true })).toBeNull();
+      expect(requests).not.toHaveBeenCalled();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,407 @@
+const ScheduleService = require('./scheduleService');
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\[\]*_`])/g, '\\$1');
+
+// Percent-encode what would end a Markdown link destination early
+const escapeMarkdownUrl = (url) => String(url ?? '')
+  .replace(/[()<>\s]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const escapeIcsText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const escapeCsv = (value) => {
+  let text = String(value ?? '');
+  // Spreadsheets run cells starting with these as formulas (CSV injection)
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Fold an iCalendar content line at 75 octets (RFC 5545), continuing with a
+ * leading space. Lines break between characters, never inside a UTF-8 sequence.
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts toward their 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Floating local time (no time zone), so events land at the same wall-clock time anywhere
+const formatIcsDateTime = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+
+const formatIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Renders saved learning paths as Markdown, print-ready HTML, an iCalendar
+ * study schedule or a CSV of resources.
+ */
+class ExportService {
+  constructor(scheduleService = new ScheduleService()) {
+    this.scheduleService = scheduleService;
+  }
+
+  /**
+   * Render a saved learning path. Returns { contentType, filename, body }.
+   * ICS options: start (Date, default next Monday) and time ("HH:MM", default 18:00).
+   */
+  export(savedPath, format, options = {}) {
+    const renderers = {
+      md: () => this.toMarkdown(savedPath),
+      html: () => this.toHtml(savedPath),
+      ics: () => this.toIcs(savedPath, options),
+      csv: () => this.toCsv(savedPath)
+    };
+
+    if (!renderers[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const slug = (savedPath.learningPath.title || 'learning-path')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'learning-path';
+
+    return {
+      contentType: FORMATS[format].contentType,
+      filename: `${slug}.${FORMATS[format].extension}`,
+      body: renderers[format]()
+    };
+  }
+
+  toMarkdown(savedPath) {
+    const path = savedPath.learningPath;
+    const lines = [`# ${escapeMarkdown(path.title)}`, '', path.description, ''];
+
+    lines.push(`- **Total estimated time:** ${path.totalEstimatedTime}`);
+    lines.push(`- **Difficulty:** ${path.difficultyLevel}`);
+    if (savedPath.userProfile && savedPath.userProfile.timeCommitment) {
+      lines.push(`- **Time commitment:** ${savedPath.userProfile.timeCommitment}`);
+    }
+    lines.push('');
+
+    const list = (heading, items) => {
+      if (!items || items.length === 0) return;
+      lines.push(`## ${heading}`, '');
+      items.forEach(item => lines.push(`- ${item}`));
+      lines.push('');
+    };
+
+    list('Prerequisites', path.prerequisites);
+    list('Learning Objectives', path.learningObjectives);
+
+    for (const phase of path.phases || []) {
+      lines.push(`## Phase ${phase.phase}: ${escapeMarkdown(phase.title)}`, '');
+      lines.push(`*${phase.estimatedTime} · ${phase.difficulty}*`, '');
+      lines.push(phase.description, '');
+
+      if ((phase.resources || []).length > 0) {
+        lines.push('### Resources', '');
+        for (const resource of phase.resources) {
+          const details = [resource.type, resource.duration, resource.priority && `${resource.priority} priority`].filter(Boolean).join(', ');
+          lines.push(`- [${escapeMarkdown(resource.title)}](${escapeMarkdownUrl(resource.url)})${details ? ` (${details})` : ''}`);
+          if (resource.description) {
+            lines.push(`  ${resource.description}`);
+          }
+        }
+        lines.push('');
+      }
+
+      const subList = (heading, items) => {
+        if (!items || items.length === 0) return;
+        lines.push(`### ${heading}`, '');
+        items.forEach(item => lines.push(`- [ ] ${item}`));
+        lines.push('');
+      };
+
+      subList('Practice Activities', phase.practiceActivities);
+      subList('Assessment Criteria', phase.assessmentCriteria);
+
+      (phase.labs || []).forEach(lab => lines.push(...this.labToMarkdown(lab)));
+    }
+
+    const certification = path.certificationPath || {};
+    if ((certification.recommended || []).length > 0 || (certification.sequence || []).length > 0) {
+      lines.push('## Certification Path', '');
+      if ((certification.recommended || []).length > 0) {
+        lines.push(`**Recommended:** ${certification.recommended.join(', ')}`, '');
+      }
+      (certification.sequence || []).forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+      lines.push('');
+    }
+
+    list('Next Steps', path.nextSteps);
+
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+  }
+
+  /**
+   * One lab exercise as Markdown lines
+   */
+  labToMarkdown(lab) {
+    const lines = [`### Lab: ${escapeMarkdown(lab.title)}`, '', `**Objective:** ${lab.objective}`, ''];
+    if (lab.estimatedTime || lab.difficulty) {
+      lines.push(`*${[lab.estimatedTime, lab.difficulty].filter(Boolean).join(' · ')}*`, '');
+    }
+
+    lines.push('**Setup**', '');
+    lab.setup.forEach(item => lines.push(`- ${item}`));
+    lines.push('', '**Steps**', '');
+    lab.steps.forEach((step, index) => {
+      lines.push(`${index + 1}. ${step.instruction}`);
+      if (step.file) {
+        const content = step.file.content.replace(/\n$/, '').split('\n').map(line => `   ${line}`);
+        lines.push('', `   \`${step.file.path}\`:`, '', `   \`\`\`${step.file.language || ''}`, ...content, '   ```', '');
+      }
+      if ((step.commands || []).length > 0) {
+        lines.push('', '   ```bash', ...step.commands.map(command => `   ${command}`), '   ```', '');
+      }
+    });
+    lines.push('', '**Expected results**', '');
+    lab.expectedResults.forEach(item => lines.push(`- ${item}`));
+    lines.push('', '**Verification**', '');
+    lab.verification.forEach(({ check, command, expectedOutput }) => {
+      lines.push(`- [ ] ${check}${command ? `: \`${command}\`` : ''}${expectedOutput ? ` → ${expectedOutput}` : ''}`);
+    });
+    lines.push('');
+
+    return lines;
+  }
+
+  toHtml(savedPath) {
+    const path = savedPath.learningPath;
+    const list = (items, tag = 'ul') => (items && items.length > 0)
+      ? `<${tag}>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`
+      : '';
+    const section = (heading, items, tag) => (items && items.length > 0)
+      ? `<section><h2>${heading}</h2>${list(items, tag)}</section>`
+      : '';
+
+    const phases = (path.phases || []).map(phase => {
+      const resources = (phase.resources || []).map(resource => {
+        const details = [resource.type, resource.duration, resource.priority && `${resource.priority} priority`].filter(Boolean).join(' · ');
+        return `<li><a href="${escapeHtml(resource.url)}">${escapeHtml(resource.title)}</a>${details ? ` <span class="meta">${escapeHtml(details)}</span>` : ''}`
+          + `${resource.description ? `<br><span class="description">${escapeHtml(resource.description)}</span>` : ''}`
+          + `<br><span class="url">${escapeHtml(resource.url)}</span></li>`;
+      }).join('');
+
+      return `<section class="phase">
+<h2>Phase ${escapeHtml(phase.phase)}: ${escapeHtml(phase.title)}</h2>
+<p class="meta">${escapeHtml(phase.estimatedTime)} · ${escapeHtml(phase.difficulty)}</p>
+<p>${escapeHtml(phase.description)}</p>
+${resources ? `<h3>Resources</h3><ul class="resources">${resources}</ul>` : ''}
+${(phase.practiceActivities || []).length > 0 ? `<h3>Practice Activities</h3>${list(phase.practiceActivities)}` : ''}
+${(phase.assessmentCriteria || []).length > 0 ? `<h3>Assessment Criteria</h3>${list(phase.assessmentCriteria)}` : ''}
+${(phase.labs || []).map(lab => this.labToHtml(lab)).join('\n')}
+</section>`;
+    }).join('\n');
+
+    const certification = path.certificationPath || {};
+    const certificationSection = ((certification.recommended || []).length > 0 || (certification.sequence || []).length > 0)
+      ? `<section><h2>Certification Path</h2>${(certification.recommended || []).length > 0 ? `<p><strong>Recommended:</strong> ${escapeHtml(certification.recommended.join(', '))}</p>` : ''}${list(certification.sequence, 'ol')}</section>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(path.title)}</title>
+<style>
+  body { font-family: "Red Hat Text", "Helvetica Neue", Arial, sans-serif; color: #151515; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { color: #ee0000; margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #d2d2d2; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #6a6e73; font-size: 0.9em; }
+  .summary { display: flex; gap: 2rem; flex-wrap: wrap; }
+  .resources li { margin-bottom: 0.5rem; }
+  .url { display: none; color: #6a6e73; font-size: 0.8em; word-break: break-all; }
+  pre { background: #f0f0f0; padding: 0.5rem; overflow-x: auto; font-size: 0.85em; }
+  a { color: #0066cc; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { color: inherit; text-decoration: none; }
+    .url { display: inline; }
+    .phase { page-break-inside: avoid; }
+    h2, h3 { page-break-after: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(path.title)}</h1>
+<p>${escapeHtml(path.description)}</p>
+<p class="summary meta">
+  <span><strong>Total estimated time:</strong> ${escapeHtml(path.totalEstimatedTime)}</span>
+  <span><strong>Difficulty:</strong> ${escapeHtml(path.difficultyLevel)}</span>
+  ${savedPath.userProfile && savedPath.userProfile.timeCommitment ? `<span><strong>Time commitment:</strong> ${escapeHtml(savedPath.userProfile.timeCommitment)}</span>` : ''}
+</p>
+${section('Prerequisites', path.prerequisites)}
+${section('Learning Objectives', path.learningObjectives)}
+${phases}
+${certificationSection}
+${section('Next Steps', path.nextSteps)}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * One lab exercise as an HTML block
+   */
+  labToHtml(lab) {
+    const list = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const steps = lab.steps.map(step => `<li>${escapeHtml(step.instruction)}`
+      + `${step.file ? `<p><code>${escapeHtml(step.file.path)}</code></p><pre><code>${escapeHtml(step.file.content)}</code></pre>` : ''}`
+      + `${(step.commands || []).length > 0 ? `<pre><code>${escapeHtml(step.commands.join('\n'))}</code></pre>` : ''}</li>`).join('');
+    const checks = lab.verification.map(({ check, command, expectedOutput }) => `<li>${escapeHtml(check)}`
+      + `${command ? ` <code>${escapeHtml(command)}</code>` : ''}${expectedOutput ? ` → ${escapeHtml(expectedOutput)}` : ''}</li>`).join('');
+    const details = [lab.estimatedTime, lab.difficulty].filter(Boolean).join(' · ');
+
+    return `<div class="lab">
+<h3>Lab: ${escapeHtml(lab.title)}</h3>
+${details ? `<p class="meta">${escapeHtml(details)}</p>` : ''}
+<p><strong>Objective:</strong> ${escapeHtml(lab.objective)}</p>
+<h4>Setup</h4>${list(lab.setup)}
+<h4>Steps</h4><ol>${steps}</ol>
+<h4>Expected results</h4>${list(lab.expectedResults)}
+<h4>Verification</h4><ul>${checks}</ul>
+</div>`;
+  }
+
+  toCsv(savedPath) {
+    const header = ['phase', 'phaseTitle', 'phaseEstimatedTime', 'title', 'url', 'type', 'source', 'duration', 'priority', 'description'];
+    const rows = [header];
+
+    for (const phase of savedPath.learningPath.phases || []) {
+      for (const resource of phase.resources || []) {
+        rows.push([
+          phase.phase,
+          phase.title,
+          phase.estimatedTime,
+          resource.title,
+          resource.url,
+          resource.type,
+          resource.source,
+          resource.duration,
+          resource.priority,
+          resource.description
+        ]);
+      }
+    }
+
+    return `${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Calendar events for the study sessions of the path's schedule (the one
+   * /schedule returns), starting at `time` on each study day. A day shared by
+   * two phases has back-to-back events. Returns
+   * [{ phase, start, end, session, sessions }] with floating times.
+   */
+  scheduleSessions(savedPath, { start = this.scheduleService.nextMonday(), time = '18:00' } = {}) {
+    const schedule = this.scheduleService.buildSchedule(savedPath.learningPath, savedPath.userProfile && savedPath.userProfile.timeCommitment, { startDate: start });
+    const phases = new Map((savedPath.learningPath.phases || []).map(phase => [phase.phase, phase]));
+    const sessions = schedule.weeks.flatMap(week => week.sessions);
+    const [hours, minutes] = time.split(':').map(Number);
+
+    // Sessions per phase, for "(2/6)" in the summaries
+    const totals = new Map();
+    sessions.forEach(session => totals.set(session.phase, (totals.get(session.phase) || 0) + 1));
+
+    const counts = new Map();
+    let previous = null;
+
+    return sessions.map(({ date, phase, minutes: length }) => {
+      const dayStart = new Date(`${date}T00:00:00Z`);
+      const begin = previous && previous.date === date
+        ? previous.end
+        : new Date(Date.UTC(dayStart.getUTCFullYear(), dayStart.getUTCMonth(), dayStart.getUTCDate(), hours, minutes));
+      const end = new Date(begin.getTime() + (length * 60 * 1000));
+      previous = { date, end };
+
+      counts.set(phase, (counts.get(phase) || 0) + 1);
+      return {
+        phase: phases.get(phase),
+        start: begin,
+        end,
+        session: counts.get(phase),
+        sessions: totals.get(phase)
+      };
+    });
+  }
+
+  toIcs(savedPath, options = {}) {
+    const path = savedPath.learningPath;
+    const stamp = formatIcsTimestamp(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Red Hat Learning Path Generator//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(path.title)}`
+    ];
+
+    for (const { phase, start, end, session, sessions } of this.scheduleSessions(savedPath, options)) {
+      const resources = (phase.resources || []).map(resource => `- ${resource.title}: ${resource.url}`);
+      const description = [
+        phase.description,
+        resources.length > 0 ? `Resources:\n${resources.join('\n')}` : null,
+        (phase.practiceActivities || []).length > 0 ? `Practice:\n${phase.practiceActivities.map(activity => `- ${activity}`).join('\n')}` : null,
+        (phase.labs || []).length > 0 ? `Labs:\n${phase.labs.map(lab => `- ${lab.title}`).join('\n')}` : null
+      ].filter(Boolean).join('\n\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${savedPath.id}-phase-${phase.phase}-${session}@redhat-learning-path-generator`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDateTime(start)}`,
+        `DTEND:${formatIcsDateTime(end)}`,
+        `SUMMARY:${escapeIcsText(`Phase ${phase.phase}: ${phase.title} (${session}/${sessions})`)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `CATEGORIES:${escapeIcsText(path.title)}`,
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,143 @@
+const ExportService = require('./exportService');
+
+const savedPath = {
+  id: 'path-1',
+  userProfile: { timeCommitment: '4 hours per week' },
+  learningPath: {
+    title: 'Déploiement OpenShift — Grundlagen für Einsteiger',
+    description: 'Containers, "pods" & <operators>',
+    totalEstimatedTime: '2 weeks',
+    difficultyLevel: 'Beginner',
+    prerequisites: ['Basic Linux knowledge'],
+    learningObjectives: ['Deploy an application'],
+    phases: [{
+      phase: 1,
+      title: 'Fondations — conteneurs, images et registres d’entreprise',
+      description: 'Ünderstand images, containers and registries before deploying anything to a cluster ✓',
+      estimatedTime: '1 week',
+      difficulty: 'Beginner',
+      resources: [{
+        title: 'Getting started, part 1',
+        url: 'https://docs.redhat.com/en/documentation/openshift_container_platform',
+        type: 'documentation',
+        source: 'Red Hat Docs',
+        duration: '2 hours',
+        priority: 'High',
+        description: 'Says "hello", then deploys'
+      }],
+      practiceActivities: ['Run a container'],
+      assessmentCriteria: ['Explain images']
+    }],
+    certificationPath: { recommended: ['EX280'], sequence: ['EX188', 'EX280'] },
+    nextSteps: ['Operators']
+  }
+};
+
+const exportService = new ExportService();
+
+describe('ExportService.export', () => {
+  test('names the file after the title and sets the content type', () => {
+    const { contentType, filename } = exportService.export(savedPath, 'md');
+
+    expect(contentType).toBe('text/markdown; charset=utf-8');
+    expect(filename).toBe('d-ploiement-openshift-grundlagen-f-r-einsteiger.md');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => exportService.export(savedPath, 'pdf')).toThrow('Unsupported export format: pdf');
+  });
+
+  test('renders Markdown with phases, resources and checklists', () => {
+    const { body } = exportService.export(savedPath, 'md');
+
+    expect(body).toMatch(/^# Déploiement OpenShift/);
+    expect(body).toContain('## Phase 1: Fondations');
+    expect(body).toContain('- [Getting started, part 1](https://docs.redhat.com/en/documentation/openshift_container_platform) (documentation, 2 hours, High priority)');
+    expect(body).toContain('- [ ] Run a container');
+    expect(body).toContain('1. EX188');
+  });
+
+  test('escapes HTML', () => {
+    const { body } = exportService.export(savedPath, 'html');
+
+    expect(body).toContain('<p>Containers, &quot;pods&quot; &amp; &lt;operators&gt;</p>');
+    expect(body).not.toContain('<operators>');
+  });
+
+  test('writes one CSV row per resource, quoting fields that need it', () => {
+    const { body } = exportService.export(savedPath, 'csv');
+    const rows = body.trim().split('\r\n');
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toBe('phase,phaseTitle,phaseEstimatedTime,title,url,type,source,duration,priority,description');
+    expect(rows[1]).toContain('"Getting started, part 1"');
+    expect(rows[1]).toContain('"Says ""hello"", then deploys"');
+  });
+
+  test('keeps spreadsheets from running cells as formulas', () => {
+    const phase = savedPath.learningPath.phases[0];
+    const { body } = exportService.export({
+      ...savedPath,
+      learningPath: {
+        ...savedPath.learningPath,
+        phases: [{ ...phase, resources: [{ ...phase.resources[0], title: '=HYPERLINK("https://evil.example","x")', description: '@SUM(A1)', source: '-1+2' }] }]
+      }
+    }, 'csv');
+    const row = body.trim().split('\r\n')[1];
+
+    expect(row).toContain(`"'=HYPERLINK(""https://evil.example"",""x"")"`);
+    expect(row).toContain(",'@SUM(A1)");
+    expect(row).toContain(",'-1+2,");
+  });
+
+  test('keeps resource URLs inside their Markdown links', () => {
+    const phase = savedPath.learningPath.phases[0];
+    const { body } = exportService.export({
+      ...savedPath,
+      learningPath: {
+        ...savedPath.learningPath,
+        phases: [{ ...phase, resources: [{ ...phase.resources[0], url: 'https://example.com/a_(b)) [x](javascript:alert(1)' }] }]
+      }
+    }, 'md');
+
+    expect(body).toContain('](https://example.com/a_%28b%29%29%20[x]%28javascript:alert%281%29)');
+  });
+});
+
+describe('ExportService iCalendar export', () => {
+  const { body } = exportService.export(savedPath, 'ics', { start: new Date('2026-11-02'), time: '07:30' });
+  const lines = body.split('\r\n').slice(0, -1);
+
+  test('folds lines at 75 octets, counting multi-byte characters', () => {
+    for (const line of lines) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+  });
+
+  test('never splits a character across folded lines', () => {
+    const unfolded = body.replace(/\r\n /g, '');
+
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(unfolded).not.toContain('�');
+    expect(unfolded).toContain('SUMMARY:Phase 1: Fondations — conteneurs\\, images et registres d’entreprise (1/2)');
+    expect(unfolded).toContain('before deploying anything to a cluster ✓');
+  });
+
+  test('schedules sessions at the requested time from the start date', () => {
+    expect(lines).toContain('DTSTART:20261102T073000');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+  });
+
+  test('spreads a phase over the weeks of its estimatedTime', () => {
+    const phase = { ...savedPath.learningPath.phases[0], title: 'Containers', estimatedTime: '3 weeks' };
+    const { body: spread } = exportService.export({
+      ...savedPath,
+      userProfile: { timeCommitment: '6 hours per week' },
+      learningPath: { ...savedPath.learningPath, phases: [phase] }
+    }, 'ics', { start: new Date('2026-11-02T00:00:00Z'), time: '18:00' });
+
+    const starts = [...spread.matchAll(/^DTSTART:(\d{8})T/gm)].map(match => match[1]);
+    expect(starts).toEqual(['20261102', '20261109', '20261116']);
+    expect(spread).toContain('SUMMARY:Phase 1: Containers (3/3)');
+  });
+});
@@ -0,0 +1,269 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Error thrown when the caller aborts a generation
+ */
+const abortError = () => {
+  const error = new Error('Learning path generation aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * The learning path generation pipeline shared by /generate, the stream and
+ * background jobs: topic extraction, search, generation, assessment
+ * tailoring, grounding, certification mapping, optional labs, scheduling and
+ * saving the result.
+ */
+class GenerationService {
+  constructor({ llmService, redhatContentService, topicExtractionService, groundingService, certificationService, scheduleService, assessmentService, labService, learningPathStore }) {
+    this.llmService = llmService;
+    this.redhatContentService = redhatContentService;
+    this.topicExtractionService = topicExtractionService;
+    this.groundingService = groundingService;
+    this.certificationService = certificationService;
+    this.scheduleService = scheduleService;
+    this.assessmentService = assessmentService;
+    this.labService = labService;
+    this.learningPathStore = learningPathStore;
+  }
+
+  /**
+   * Split a validated generation request into the learner profile and the
+   * generation settings, adding the per-topic proficiency of a submitted
+   * assessment to the profile. Resolves to { request }, or to
+   * { error: { status, body } } when the assessment doesn't exist or hasn't
+   * been submitted.
+   */
+  async prepare(data) {
+    const { provider, model, generationOptions, startDate = this.scheduleService.nextMonday(), assessmentId, labs = false, ...userProfile } = data;
+    const request = { userProfile, provider, model, generationOptions, startDate, assessmentId, labs };
+
+    if (!assessmentId) {
+      return { request };
+    }
+
+    const assessment = await this.assessmentService.get(assessmentId);
+    let problem = null;
+    if (!assessment) {
+      problem = 'Assessment not found';
+    } else if (!assessment.result) {
+      problem = 'Assessment has not been submitted yet';
+    }
+
+    if (problem) {
+      return {
+        error: {
+          status: 400,
+          body: { error: 'Validation failed', details: [{ field: 'assessmentId', message: problem, value: assessmentId }] }
+        }
+      };
+    }
+
+    return {
+      request: {
+        ...request,
+        userProfile: {
+          ...userProfile,
+          assessmentId,
+          proficiency: assessment.result.proficiency.map(({ topic, percent, level }) => ({ topic, percent, level }))
+        }
+      }
+    };
+  }
+
+  /**
+   * Run the pipeline for a prepared request and resolve to the response
+   * /generate returns. onProgress(event, data) is called as stages complete
+   * (topics, search, generating, repairing, grounding, labs); passing onToken
+   * streams the model's output. Aborting the signal cancels the model request.
+   */
+  async generate(request, { bypassCache = false, signal, onProgress = () => {}, onToken } = {}) {
+    const { userProfile, provider, model, generationOptions, startDate, assessmentId, labs: withLabs } = request;
+    const llmOptions = { provider, model, generationOptions };
+
+    logger.info('Generating learning path for user profile:', {
+      interests: userProfile.interests,
+      experience: userProfile.experience,
+      goals: userProfile.goals
+    });
+
+    // Extract topics from user interests and goals
+    const topicExtraction = await this.topicExtractionService.extractFromProfile(userProfile, { bypassCache, provider, model });
+    const extractedTopics = topicExtraction.topics.map(({ topic }) => topic);
+    onProgress('topics', { extractedTopics, ...topicExtraction });
+
+    const searchCache = { hits: 0, misses: 0 };
+    const enrichmentStats = { enriched: 0, failed: 0 };
+
+    // Search for relevant Red Hat content
+    const searchResults = await this.redhatContentService.searchAllSources(extractedTopics, {
+      bypassCache,
+      cacheStats: searchCache,
+      enrichmentStats,
+      onSourceComplete: (source, results) => {
+        if (!(signal && signal.aborted)) {
+          onProgress('search', { source, count: results.length, results });
+        }
+      }
+    });
+
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+
+    onProgress('generating', { totalResources: searchResults.all.length });
+
+    const { learningPath: generatedPath, cache: generationCache } = await this.generateLearningPath(userProfile, searchResults, {
+      ...llmOptions,
+      bypassCache,
+      signal,
+      onToken,
+      onRepair: (repair) => onProgress('repairing', repair)
+    });
+
+    // Skip phases the learner's assessment shows they have mastered
+    const { learningPath: tailoredPath, skippedPhases } = this.assessmentService.skipMasteredPhases(generatedPath, userProfile.proficiency);
+
+    // Check the resources against the search results the model was given
+    const { learningPath: groundedPath, report: grounding } = this.groundingService.groundLearningPath(tailoredPath, searchResults);
+    onProgress('grounding', grounding);
+
+    // Map the phases onto exam objectives and check the certification sequence
+    const { learningPath: mappedPath, report: certifications } = this.certificationService.mapLearningPath(groundedPath, userProfile.certificationGoals);
+
+    // Optionally add hands-on labs to every phase
+    let learningPath = mappedPath;
+    let labs = null;
+    if (withLabs) {
+      ({ learningPath, report: labs } = await this.labService.addLabs(mappedPath, {
+        topics: extractedTopics,
+        userProfile,
+        provider,
+        model,
+        signal,
+        onPhase: (result) => onProgress('labs', result)
+      }));
+
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+    }
+
+    // Spread the phases over calendar weeks at the learner's weekly hours
+    const schedule = this.scheduleService.buildSchedule(learningPath, userProfile.timeCommitment, { startDate });
+
+    const savedPath = await this.persistLearningPath({ userProfile, extractedTopics, searchResults, learningPath, grounding, certifications, startDate: schedule.startDate });
+
+    logger.info('Successfully generated learning path', {
+      totalResources: searchResults.all.length,
+      phases: learningPath.phases?.length || 0
+    });
+
+    return this.buildResponse({
+      learningPath,
+      userProfile,
+      searchResults,
+      extractedTopics,
+      topicExtraction,
+      llm: this.llmService.describeGeneration(llmOptions),
+      savedPath,
+      schedule,
+      assessment: assessmentId ? { id: assessmentId, proficiency: userProfile.proficiency, skippedPhases } : null,
+      cache: { search: searchCache, generation: generationCache },
+      enrichment: enrichmentStats,
+      grounding,
+      certifications,
+      labs
+    });
+  }
+
+  /**
+   * Generate with the model, or reuse a cached generation for identical
+   * inputs. With onToken the model's output is streamed; a cached path is
+   * returned straight away, without token callbacks.
+   */
+  async generateLearningPath(userProfile, searchResults, { bypassCache, signal, onToken, onRepair, ...llmOptions }) {
+    if (!onToken) {
+      return this.llmService.generateLearningPathCached(userProfile, searchResults, { ...llmOptions, bypassCache });
+    }
+
+    const cached = bypassCache ? null : await this.llmService.getCachedLearningPath(userProfile, searchResults, llmOptions);
+    if (cached) {
+      return cached;
+    }
+
+    const learningPath = await this.llmService.generateLearningPathStream(userProfile, searchResults, {
+      ...llmOptions,
+      signal,
+      onToken,
+      onRepair
+    });
+
+    return {
+      learningPath,
+      cache: {
+        ...(await this.llmService.cacheLearningPath(userProfile, searchResults, learningPath, llmOptions)),
+        bypassed: bypassCache
+      }
+    };
+  }
+
+  /**
+   * Save a generated learning path. A storage failure is logged rather than
+   * thrown so the (expensive) generation still reaches the client.
+   */
+  async persistLearningPath(record) {
+    try {
+      return await this.learningPathStore.save(record);
+    } catch (error) {
+      logger.error('Failed to save learning path:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Result counts per content source
+   */
+  summarizeContentSources(searchResults) {
+    return {
+      totalResources: searchResults.all ? searchResults.all.length : 0,
+      documentation: searchResults.documentation ? searchResults.documentation.length : 0,
+      training: searchResults.training ? searchResults.training.length : 0,
+      tv: searchResults.tv ? searchResults.tv.length : 0,
+      videos: searchResults.videos ? searchResults.videos.length : 0
+    };
+  }
+
+  /**
+   * Wrap a generated learning path with the metadata returned to clients
+   */
+  buildResponse({ learningPath, userProfile, searchResults, extractedTopics, topicExtraction = null, llm = null, savedPath = null, schedule = null, assessment = null, cache = null, enrichment = null, grounding = null, certifications = null, labs = null }) {
+    return {
+      id: savedPath ? savedPath.id : null,
+      learningPath,
+      schedule,
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        userProfile: {
+          interests: userProfile.interests,
+          experience: userProfile.experience,
+          timeCommitment: userProfile.timeCommitment,
+          preferredLearningStyle: userProfile.preferredLearningStyle
+        },
+        contentSources: this.summarizeContentSources(searchResults),
+        extractedTopics,
+        topicExtraction,
+        llm,
+        assessment,
+        cache,
+        enrichment,
+        grounding,
+        certifications,
+        labs
+      }
+    };
+  }
+}
+
+module.exports = GenerationService;
@@ -0,0 +1,156 @@
+const { tokenize } = require('../utils/bm25');
+const { logger } = require('../utils/logger');
+
+const GROUNDING_MODES = ['flag', 'drop', 'replace'];
+const RESULT_METADATA_FIELDS = ['duration', 'level', 'courseCode', 'publishedDate'];
+
+/**
+ * Checks that the resources in a generated learning path come from the
+ * search results the model was given, handling the rest according to
+ * GROUNDING_MODE:
+ * - flag: keep hallucinated resources but mark them
+ * - drop: remove them
+ * - replace: swap in the search result with the closest title, dropping those without one
+ */
+class GroundingService {
+  constructor() {
+    const mode = (process.env.GROUNDING_MODE || 'flag').toLowerCase();
+    this.mode = GROUNDING_MODES.includes(mode) ? mode : 'flag';
+    this.similarityThreshold = parseFloat(process.env.GROUNDING_SIMILARITY_THRESHOLD) || 0.5;
+  }
+
+  /**
+   * Normalize a URL so trivial differences (scheme, www, trailing slash, fragment) still match
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url.trim());
+      const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const pathname = parsed.pathname.replace(/\/+$/, '');
+      return `${host}${pathname}${parsed.search}`;
+    } catch {
+      return (url || '').trim().toLowerCase();
+    }
+  }
+
+  /**
+   * Jaccard similarity of the title terms
+   */
+  titleSimilarity(a, b) {
+    const termsA = new Set(tokenize(a));
+    const termsB = new Set(tokenize(b));
+    if (termsA.size === 0 || termsB.size === 0) return 0;
+
+    const shared = [...termsA].filter(term => termsB.has(term)).length;
+    return shared / (termsA.size + termsB.size - shared);
+  }
+
+  /**
+   * Search result whose title best matches, if it clears the similarity threshold
+   */
+  findClosestResult(title, candidates) {
+    let best = null;
+
+    for (const candidate of candidates) {
+      const similarity = this.titleSimilarity(title, candidate.title);
+      if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { result: candidate, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Copy the enriched page metadata of the matching search result onto a resource,
+   * keeping anything the model already filled in
+   */
+  withResultMetadata(resource, result) {
+    const merged = { ...resource };
+
+    for (const field of RESULT_METADATA_FIELDS) {
+      if (result[field] && !merged[field]) {
+        merged[field] = result[field];
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Check every phase resource against searchResults.all.
+   * Returns { learningPath, report } without modifying the input path.
+   */
+  groundLearningPath(learningPath, searchResults, { mode = this.mode } = {}) {
+    const candidates = (searchResults && searchResults.all) || [];
+    const knownResults = new Map(candidates.map(result => [this.normalizeUrl(result.url), result]));
+    const hallucinated = [];
+    let totalResources = 0;
+    let verified = 0;
+
+    const phases = (learningPath.phases || []).map(phase => {
+      const resources = [];
+
+      for (const resource of phase.resources || []) {
+        totalResources++;
+
+        const known = resource.url && knownResults.get(this.normalizeUrl(resource.url));
+        if (known) {
+          verified++;
+          resources.push({ ...this.withResultMetadata(resource, known), grounding: { status: 'verified' } });
+          continue;
+        }
+
+        const finding = { phase: phase.phase, title: resource.title, url: resource.url };
+        const closest = mode === 'replace' ? this.findClosestResult(resource.title, candidates) : null;
+
+        if (mode === 'flag') {
+          resources.push({ ...resource, grounding: { status: 'hallucinated' } });
+          finding.action = 'flagged';
+        } else if (closest) {
+          resources.push({
+            ...this.withResultMetadata(resource, closest.result),
+            title: closest.result.title,
+            url: closest.result.url,
+            grounding: { status: 'replaced', originalTitle: resource.title, originalUrl: resource.url }
+          });
+          finding.action = 'replaced';
+          finding.replacement = {
+            title: closest.result.title,
+            url: closest.result.url,
+            similarity: Number(closest.similarity.toFixed(2))
+          };
+        } else {
+          finding.action = 'dropped';
+        }
+
+        hallucinated.push(finding);
+      }
+
+      return { ...phase, resources };
+    });
+
+    const report = {
+      mode,
+      totalResources,
+      verified,
+      hallucinatedCount: hallucinated.length,
+      verifiedRatio: totalResources > 0 ? Number((verified / totalResources).toFixed(2)) : null,
+      hallucinated
+    };
+
+    if (hallucinated.length > 0) {
+      logger.warn(`${hallucinated.length} of ${totalResources} learning path resources were not in the search results`, {
+        mode,
+        urls: hallucinated.map(finding => finding.url)
+      });
+    }
+
+    return {
+      learningPath: { ...learningPath, phases },
+      report
+    };
+  }
+}
+
+module.exports = GroundingService;
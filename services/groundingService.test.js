@@ -0,0 +1,69 @@
+const GroundingService = require('./groundingService');
+
+const searchResults = {
+  all: [
+    { title: 'Red Hat OpenShift Administration I (DO180)', url: 'https://www.redhat.com/en/services/training/do180' },
+    { title: 'Getting started with Ansible playbooks', url: 'https://docs.ansible.com/ansible/latest/playbook_guide/' }
+  ]
+};
+
+const learningPath = {
+  title: 'Platform engineering',
+  phases: [{
+    phase: 1,
+    title: 'Foundations',
+    resources: [
+      { title: 'DO180', url: 'http://redhat.com/en/services/training/do180/#overview' },
+      { title: 'Ansible playbooks getting started', url: 'https://docs.ansible.com/made-up-page' },
+      { title: 'Quantum Kubernetes', url: 'https://example.com/not-real' }
+    ]
+  }]
+};
+
+const service = new GroundingService();
+
+describe('GroundingService', () => {
+  test('matches URLs that only differ in scheme, www, trailing slash or fragment', () => {
+    expect(service.normalizeUrl('https://www.Redhat.com/en/training/#top')).toBe(service.normalizeUrl('http://redhat.com/en/training'));
+    expect(service.normalizeUrl('https://redhat.com/search?q=a')).not.toBe(service.normalizeUrl('https://redhat.com/search?q=b'));
+  });
+
+  test('flags resources that are not in the search results', () => {
+    const { learningPath: grounded, report } = service.groundLearningPath(learningPath, searchResults, { mode: 'flag' });
+
+    expect(grounded.phases[0].resources.map(resource => resource.grounding.status)).toEqual(['verified', 'hallucinated', 'hallucinated']);
+    expect(report).toMatchObject({ mode: 'flag', totalResources: 3, verified: 1, hallucinatedCount: 2, verifiedRatio: 0.33 });
+    expect(report.hallucinated.map(finding => finding.action)).toEqual(['flagged', 'flagged']);
+    expect(learningPath.phases[0].resources[0].grounding).toBeUndefined();
+  });
+
+  test('drops resources that are not in the search results', () => {
+    const { learningPath: grounded, report } = service.groundLearningPath(learningPath, searchResults, { mode: 'drop' });
+
+    expect(grounded.phases[0].resources.map(resource => resource.title)).toEqual(['DO180']);
+    expect(report.hallucinated.map(finding => finding.action)).toEqual(['dropped', 'dropped']);
+  });
+
+  test('replaces resources with the search result with the closest title, dropping the rest', () => {
+    const { learningPath: grounded, report } = service.groundLearningPath(learningPath, searchResults, { mode: 'replace' });
+
+    expect(grounded.phases[0].resources).toEqual([
+      expect.objectContaining({ title: 'DO180', grounding: { status: 'verified' } }),
+      expect.objectContaining({
+        title: 'Getting started with Ansible playbooks',
+        url: 'https://docs.ansible.com/ansible/latest/playbook_guide/',
+        grounding: { status: 'replaced', originalTitle: 'Ansible playbooks getting started', originalUrl: 'https://docs.ansible.com/made-up-page' }
+      })
+    ]);
+    expect(report.hallucinated[0].replacement).toEqual({
+      title: 'Getting started with Ansible playbooks',
+      url: 'https://docs.ansible.com/ansible/latest/playbook_guide/',
+      similarity: 1
+    });
+    expect(report.hallucinated[1].action).toBe('dropped');
+  });
+
+  test('reports no ratio for a path without resources', () => {
+    expect(service.groundLearningPath({ phases: [] }, searchResults).report.verifiedRatio).toBeNull();
+  });
+});
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStorage } = require('./storage');
+const { logger } = require('../utils/logger');
+const { checkCallbackUrl, getAllowedCallbackHosts } = require('../utils/callbackUrl');
+const { publicLookup } = require('../utils/publicAddress');
+
+const FINISHED_STATUSES = ['done', 'failed'];
+
+/**
+ * In-process queue for long-running generations. Jobs run at most
+ * `concurrency` at a time so a single local model isn't flooded, and are
+ * saved so their status and result outlive the request that created them.
+ * Jobs still queued or running when the server stops are reported as failed.
+ */
+class JobQueue {
+  constructor({
+    concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    maxQueued = parseInt(process.env.JOB_QUEUE_LIMIT, 10) || 100,
+    webhookTimeoutMs = parseInt(process.env.JOB_WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    webhookSecret = process.env.JOB_WEBHOOK_SECRET,
+    callbackAllowedHosts = getAllowedCallbackHosts(),
+    storage = getStorage('jobs')
+  } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.webhookTimeoutMs = webhookTimeoutMs;
+    this.webhookSecret = webhookSecret;
+    this.callbackAllowedHosts = callbackAllowedHosts;
+    this.storage = storage;
+
+    // Jobs waiting to start, in order, as { id, run }
+    this.pending = [];
+    // Ids of jobs queued or running in this process
+    this.active = new Set();
+    this.running = 0;
+  }
+
+  /**
+   * Queue `run(setStatus)`, which resolves to the job's result and may call
+   * setStatus to report its progress. Resolves to the saved job; rejects with
+   * status 503 when the queue is full and 400 when the callback URL can't be
+   * notified (see checkCallbackUrl).
+   */
+  async enqueue(run, { type, request = null, callbackUrl = null } = {}) {
+    if (this.pending.length >= this.maxQueued) {
+      const error = new Error(`Job queue is full (${this.maxQueued} jobs waiting)`);
+      error.status = 503;
+      throw error;
+    }
+
+    if (callbackUrl) {
+      await checkCallbackUrl(callbackUrl, { allowedHosts: this.callbackAllowedHosts });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      request,
+      callbackUrl,
+      webhook: null,
+      result: null,
+      error: null
+    };
+
+    await this.storage.put(job.id, job);
+    this.pending.push({ id: job.id, run });
+    this.active.add(job.id);
+    logger.info(`Queued ${type} job ${job.id}`, { queued: this.pending.length, running: this.running });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { id, run } = this.pending.shift();
+      this.running++;
+
+      this.execute(id, run)
+        .catch(error => logger.error(`Job ${id} could not be completed:`, error.message))
+        .finally(() => {
+          this.running--;
+          this.active.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Run one job, saving its status as it progresses and its result or error at the end
+   */
+  async execute(id, run) {
+    await this.update(id, { startedAt: new Date().toISOString() });
+
+    // Status updates are saved in order, and before the final result
+    let saving = Promise.resolve();
+    const setStatus = (status) => {
+      saving = saving.then(() => this.update(id, { status }));
+      return saving;
+    };
+
+    let finished;
+    try {
+      const result = await run(setStatus);
+      await saving;
+      finished = await this.update(id, { status: 'done', finishedAt: new Date().toISOString(), result });
+      logger.info(`Job ${id} finished`);
+    } catch (error) {
+      logger.error(`Job ${id} failed:`, error.message);
+      await saving.catch(() => {});
+      finished = await this.update(id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: { message: error.message, status: error.status || 500 }
+      });
+    }
+
+    if (finished.callbackUrl) {
+      await this.update(id, { webhook: await this.notify(finished) });
+    }
+  }
+
+  /**
+   * Merge changes into a saved job
+   */
+  async update(id, changes) {
+    const job = { ...(await this.storage.get(id)), ...changes, updatedAt: new Date().toISOString() };
+    await this.storage.put(id, job);
+    return job;
+  }
+
+  /**
+   * POST the finished job to its callback URL. Failures are recorded, not
+   * retried. With JOB_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256
+   * in the X-Signature-256 header. Without an allowlist the host is checked
+   * again at connection time, so a name re-pointed at a private address since
+   * the job was queued isn't followed, and redirects are not followed.
+   */
+  async notify(job) {
+    const body = JSON.stringify({ id: job.id, type: job.type, status: job.status, finishedAt: job.finishedAt, result: job.result, error: job.error });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    try {
+      await checkCallbackUrl(job.callbackUrl, { allowedHosts: this.callbackAllowedHosts });
+      const response = await axios.post(job.callbackUrl, body, {
+        headers,
+        timeout: this.webhookTimeoutMs,
+        maxRedirects: 0,
+        ...(this.callbackAllowedHosts.length === 0 && { lookup: publicLookup })
+      });
+      logger.info(`Delivered webhook for job ${job.id}`, { status: response.status });
+      return { deliveredAt: new Date().toISOString(), status: response.status, error: null };
+    } catch (error) {
+      logger.warn(`Webhook for job ${job.id} failed:`, error.message);
+      return { deliveredAt: null, status: error.response ? error.response.status : null, error: error.message };
+    }
+  }
+
+  /**
+   * Get a saved job by id, or null. A job left unfinished by an earlier
+   * server process is marked failed.
+   */
+  async get(id) {
+    const job = await this.storage.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status) || this.active.has(id)) {
+      return job;
+    }
+
+    return this.update(id, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: { message: 'The server stopped before the job finished', status: 500 }
+    });
+  }
+
+  /**
+   * A job as reported to clients: without the request, with its place in line while queued
+   */
+  toPublic({ request, ...job }) {
+    return { ...job, position: this.position(job.id) };
+  }
+
+  /**
+   * 1-based place of a queued job in line, or null once it has started
+   */
+  position(id) {
+    const index = this.pending.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Current load: running and waiting jobs and the limits
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      maxQueued: this.maxQueued
+    };
+  }
+}
+
+module.exports = JobQueue;
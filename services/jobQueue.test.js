@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const http = require('http');
+const JobQueue = require('./jobQueue');
+const MemoryStorage = require('./storage/memoryStorage');
+
+const createQueue = (options = {}) => new JobQueue({ storage: new MemoryStorage('jobs'), callbackAllowedHosts: [], ...options });
+
+/**
+ * Resolves once `queue` has finished job `id` and recorded its webhook
+ */
+const waitForWebhook = async (queue, id) => {
+  for (;;) {
+    const job = await queue.get(id);
+    if (job.webhook) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('JobQueue callbacks', () => {
+  test('refuses a callback URL pointing at a private address', async () => {
+    const queue = createQueue();
+
+    await expect(queue.enqueue(async () => ({}), { type: 'test', callbackUrl: 'http://169.254.169.254/latest/meta-data/' }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(queue.stats().queued).toBe(0);
+  });
+
+  test('does not deliver to a host that resolves to a private address', async () => {
+    const queue = createQueue();
+    const webhook = await queue.notify({ id: 'job-1', type: 'test', status: 'done', callbackUrl: 'http://localhost:9/hook' });
+
+    expect(webhook.deliveredAt).toBeNull();
+    expect(webhook.error).toMatch(/non-public address/);
+  });
+
+  test('delivers signed results to an allowlisted host', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ body, signature: req.headers['x-signature-256'] });
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const queue = createQueue({ callbackAllowedHosts: ['127.0.0.1'], webhookSecret: 'secret' });
+      const job = await queue.enqueue(async () => ({ title: 'Path' }), {
+        type: 'test',
+        callbackUrl: `http://127.0.0.1:${server.address().port}/hook`
+      });
+
+      const finished = await waitForWebhook(queue, job.id);
+
+      expect(finished.webhook).toMatchObject({ status: 200, error: null });
+      expect(JSON.parse(received[0].body)).toMatchObject({ id: job.id, status: 'done', result: { title: 'Path' } });
+      expect(received[0].signature).toBe(`sha256=${crypto.createHmac('sha256', 'secret').update(received[0].body).digest('hex')}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const { logger } = require('../utils/logger');
+const { createTopicMatcher, phaseText } = require('../utils/topicMatcher');
+
+/**
+ * Hands-on lab exercises for learning path phases: concrete setup, commands,
+ * files to write and verification checks generated for the topics a phase covers
+ */
+class LabService {
+  constructor({ llmService }) {
+    this.llmService = llmService;
+  }
+
+  /**
+   * Topics a phase covers, matched as whole words in its title, description,
+   * resources and practice activities. Falls back to every topic when none
+   * match. Pass the matcher when checking several phases.
+   */
+  phaseTopics(phase, topics = [], matchTopics = createTopicMatcher(topics)) {
+    const matched = matchTopics(phaseText(phase, phase.practiceActivities));
+    return matched.length > 0 ? matched : topics;
+  }
+
+  /**
+   * Generate labs for one phase. Resolves to { topics, labs }; model
+   * failures are rejected with status 502.
+   */
+  async generateForPhase(phase, { topics = [], matchTopics, count, userProfile, provider, model } = {}) {
+    const phaseTopics = this.phaseTopics(phase, topics, matchTopics);
+
+    let labs;
+    try {
+      labs = await this.llmService.generateLabs(phase, { topics: phaseTopics, count, userProfile, provider, model });
+    } catch (error) {
+      error.status = error.status || 502;
+      throw error;
+    }
+
+    logger.info(`Generated ${labs.length} labs for phase ${phase.phase}`, { topics: phaseTopics });
+    return { topics: phaseTopics, labs };
+  }
+
+  /**
+   * Generate labs for every phase, one phase at a time, and attach them as
+   * each phase's `labs`. A phase whose generation fails keeps no labs and is
+   * reported instead of failing the path. onPhase is called after each phase.
+   * Returns { learningPath, report } without modifying the input path.
+   */
+  async addLabs(learningPath, { topics = [], count = 1, userProfile, provider, model, signal, onPhase } = {}) {
+    const phases = [];
+    const report = { generated: 0, failed: [] };
+    const matchTopics = createTopicMatcher(topics);
+
+    for (const phase of learningPath.phases || []) {
+      if (signal && signal.aborted) {
+        phases.push(phase);
+        continue;
+      }
+
+      try {
+        const { labs } = await this.generateForPhase(phase, { topics, matchTopics, count, userProfile, provider, model });
+        phases.push({ ...phase, labs });
+        report.generated += labs.length;
+        if (onPhase) onPhase({ phase: phase.phase, labs: labs.length });
+      } catch (error) {
+        logger.warn(`Failed to generate labs for phase ${phase.phase}:`, error.message);
+        phases.push(phase);
+        report.failed.push({ phase: phase.phase, error: error.message });
+        if (onPhase) onPhase({ phase: phase.phase, labs: 0, error: error.message });
+      }
+    }
+
+    return { learningPath: { ...learningPath, phases }, report };
+  }
+}
+
+module.exports = LabService;
@@ -0,0 +1,67 @@
+const LabService = require('./labService');
+
+const learningPath = {
+  title: 'Automation',
+  phases: [
+    { phase: 1, title: 'Ansible playbooks', resources: [] },
+    { phase: 2, title: 'Shipping images', resources: [], practiceActivities: ['Build an image with Podman'] },
+    { phase: 3, title: 'Review', resources: [] }
+  ]
+};
+
+const lab = (phase) => ({ title: `Lab for ${phase.title}`, steps: [] });
+
+describe('LabService', () => {
+  test('generates labs for the topics a phase covers, or every topic when it covers none', async () => {
+    const llmService = { generateLabs: jest.fn(async phase => [lab(phase)]) };
+    const service = new LabService({ llmService });
+    const topics = ['Ansible', 'Podman'];
+
+    expect((await service.generateForPhase(learningPath.phases[0], { topics })).topics).toEqual(['Ansible']);
+    expect((await service.generateForPhase(learningPath.phases[1], { topics })).topics).toEqual(['Podman']);
+    expect((await service.generateForPhase(learningPath.phases[2], { topics })).topics).toEqual(topics);
+    expect(llmService.generateLabs).toHaveBeenCalledWith(learningPath.phases[0], expect.objectContaining({ topics: ['Ansible'] }));
+  });
+
+  test('rejects model failures with status 502', async () => {
+    const service = new LabService({ llmService: { generateLabs: jest.fn().mockRejectedValue(new Error('Model returned no JSON')) } });
+
+    await expect(service.generateForPhase(learningPath.phases[0], { topics: ['Ansible'] }))
+      .rejects.toMatchObject({ status: 502, message: 'Model returned no JSON' });
+  });
+
+  test('attaches labs to every phase and reports phases that fail', async () => {
+    const llmService = {
+      generateLabs: jest.fn(async (phase) => {
+        if (phase.phase === 2) throw new Error('timed out');
+        return [lab(phase), lab(phase)];
+      })
+    };
+    const onPhase = jest.fn();
+
+    const { learningPath: withLabs, report } = await new LabService({ llmService })
+      .addLabs(learningPath, { topics: ['Ansible', 'Podman'], count: 2, onPhase });
+
+    expect(withLabs.phases.map(phase => (phase.labs || []).length)).toEqual([2, 0, 2]);
+    expect(report).toEqual({ generated: 4, failed: [{ phase: 2, error: 'timed out' }] });
+    expect(onPhase).toHaveBeenCalledWith({ phase: 2, labs: 0, error: 'timed out' });
+    expect(learningPath.phases[0].labs).toBeUndefined();
+  });
+
+  test('stops generating once the signal is aborted', async () => {
+    const abortController = new AbortController();
+    const llmService = {
+      generateLabs: jest.fn(async (phase) => {
+        abortController.abort();
+        return [lab(phase)];
+      })
+    };
+
+    const { learningPath: withLabs, report } = await new LabService({ llmService })
+      .addLabs(learningPath, { signal: abortController.signal });
+
+    expect(llmService.generateLabs).toHaveBeenCalledTimes(1);
+    expect(withLabs.phases).toHaveLength(3);
+    expect(report.generated).toBe(1);
+  });
+});
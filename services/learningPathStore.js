@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { logger } = require('../utils/logger');
+
+class LearningPathStore {
+  constructor(storage = getStorage('learning-paths')) {
+    this.storage = storage;
+  }
+
+  /**
+   * Save a generated learning path along with the inputs used to produce it
+   */
+  async save({ userProfile, extractedTopics, searchResults, learningPath, grounding = null, certifications = null, startDate = null }) {
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      userProfile,
+      extractedTopics,
+      searchResults,
+      learningPath,
+      grounding,
+      certifications,
+      startDate
+    };
+
+    await this.storage.put(record.id, record);
+    logger.info(`Saved learning path ${record.id}`);
+
+    return record;
+  }
+
+  /**
+   * Get a saved learning path by id, or null if it doesn't exist
+   */
+  async get(id) {
+    return this.storage.get(id);
+  }
+
+  /**
+   * Overwrite a saved learning path, stamping updatedAt
+   */
+  async update(record) {
+    const updated = { ...record, updatedAt: new Date().toISOString() };
+
+    await this.storage.put(updated.id, updated);
+    logger.info(`Updated learning path ${updated.id}`);
+
+    return updated;
+  }
+
+  /**
+   * Save a copy of a learning path under a new id, with changes merged in.
+   * Progress is tracked per id, so each copy gets its own.
+   */
+  async copy(record, changes = {}) {
+    const { updatedAt, ...source } = record;
+    const copied = { ...source, ...changes, id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+
+    await this.storage.put(copied.id, copied);
+    logger.info(`Copied learning path ${record.id} to ${copied.id}`);
+
+    return copied;
+  }
+
+  /**
+   * Delete a saved learning path, returning whether it existed
+   */
+  async delete(id) {
+    const deleted = await this.storage.delete(id);
+    if (deleted) {
+      logger.info(`Deleted learning path ${id}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * List saved learning paths, newest first, with optional filters and
+   * pagination. Members' copies of paths assigned in an organization are
+   * left out; they are listed with the organization's assignments.
+   */
+  async list({ page = 1, limit = 20, topic, difficulty, from, to } = {}) {
+    const records = await this.storage.list();
+
+    const filtered = records
+      .filter(record => !record.assignment)
+      .filter(record => !topic || this.matchesTopic(record, topic))
+      .filter(record => !difficulty || (record.learningPath?.difficultyLevel || '').toLowerCase().includes(difficulty.toLowerCase()))
+      .filter(record => !from || new Date(record.createdAt) >= new Date(from))
+      .filter(record => !to || new Date(record.createdAt) <= new Date(to))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const start = (page - 1) * limit;
+
+    return {
+      items: filtered.slice(start, start + limit).map(record => this.summarize(record)),
+      pagination: {
+        page,
+        limit,
+        total: filtered.length,
+        totalPages: Math.ceil(filtered.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Check a record's extracted topics and interests against a topic filter
+   */
+  matchesTopic(record, topic) {
+    const needle = topic.toLowerCase();
+    const haystack = [
+      ...(record.extractedTopics || []),
+      ...(record.userProfile?.interests || [])
+    ];
+
+    return haystack.some(value => value.toLowerCase().includes(needle));
+  }
+
+  /**
+   * Condensed view of a record for list responses
+   */
+  summarize(record) {
+    return {
+      id: record.id,
+      createdAt: record.createdAt,
+      title: record.learningPath?.title,
+      difficultyLevel: record.learningPath?.difficultyLevel,
+      totalEstimatedTime: record.learningPath?.totalEstimatedTime,
+      phases: record.learningPath?.phases?.length || 0,
+      interests: record.userProfile?.interests || [],
+      extractedTopics: record.extractedTopics || []
+    };
+  }
+}
+
+module.exports = LearningPathStore;
@@ -0,0 +1,37 @@
+const OllamaProvider = require('./ollamaProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+const providers = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Register an LLM provider class. Providers expose a `name`, a `description`,
+ * a `model`, `generate(prompt, { json, temperature, topP, maxTokens, signal, onToken, onUsage, task })`
+ * resolving to the completion text and reporting { promptTokens, completionTokens }
+ * to onUsage, `listModels()`, `checkHealth()` resolving to { healthy, error? },
+ * `troubleshooting()` listing setup hints, and `describe()`.
+ */
+const registerLLMProvider = (name, Provider) => {
+  providers[name] = Provider;
+};
+
+/**
+ * Instantiate a registered LLM provider by name
+ */
+const createLLMProvider = (name, options = {}) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  registerLLMProvider,
+  createLLMProvider,
+  availableLLMProviders: () => Object.keys(providers)
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const { learningPathResourceSchema } = require('../../utils/validation');
+
+// Prompt section headings and the resource type/source they hold
+const CONTENT_SECTIONS = {
+  'RED HAT TV VIDEOS': { type: 'video', source: 'Red Hat TV' },
+  'OTHER RED HAT VIDEOS': { type: 'video', source: 'Red Hat Videos' },
+  'RED HAT DOCUMENTATION': { type: 'documentation', source: 'Red Hat Docs' },
+  'RED HAT TRAINING COURSES': { type: 'training', source: 'Red Hat Training' }
+};
+
+const isValidResource = (resource) => !learningPathResourceSchema.validate(resource).error;
+
+/**
+ * Deterministic provider for tests and demos that needs no model. Learning
+ * path requests get a path built from the resources listed in the prompt,
+ * repair requests get the previous response without its invalid resources,
+ * topic requests get the canonical topics named in the input, quiz requests
+ * get placeholder questions whose first option is correct, lab requests get
+ * a placeholder lab per requested lab for the phase's topics, and anything
+ * else is echoed back. MOCK_LLM_RESPONSE_FILE replaces every response with
+ * the file's contents.
+ */
+class MockProvider {
+  constructor({ model = 'mock', responseFile = process.env.MOCK_LLM_RESPONSE_FILE } = {}) {
+    this.name = 'mock';
+    this.description = 'Deterministic mock responses, no model required';
+    this.model = model;
+    this.responseFile = responseFile;
+  }
+
+  async generate(prompt, { task, signal, onToken, onUsage } = {}) {
+    const response = this.respond(prompt, task);
+
+    // Roughly four characters per token
+    if (onUsage) {
+      onUsage({ promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(response.length / 4) });
+    }
+
+    if (onToken) {
+      for (const token of response.match(/[\s\S]{1,20}/g) || []) {
+        if (signal && signal.aborted) {
+          throw new Error('Request aborted');
+        }
+        onToken(token);
+      }
+    }
+
+    return response;
+  }
+
+  respond(prompt, task) {
+    if (this.responseFile) {
+      return fs.readFileSync(this.responseFile, 'utf8');
+    }
+
+    switch (task) {
+      case 'test':
+        return 'Hello, Red Hat learning assistant ready!';
+      case 'topics':
+        return JSON.stringify({ topics: this.buildTopics(prompt) });
+      case 'quiz':
+        return JSON.stringify({ questions: this.buildQuiz(prompt) });
+      case 'labs':
+        return JSON.stringify({ labs: this.buildLabs(prompt) });
+      case 'learning-path':
+      case 'adapt':
+        return JSON.stringify(this.buildLearningPath(prompt));
+      case 'repair':
+        return JSON.stringify(this.repairLearningPath(prompt));
+      default:
+        return prompt;
+    }
+  }
+
+  /**
+   * Canonical topics from the prompt's vocabulary that appear in the learner input
+   */
+  buildTopics(prompt) {
+    const input = (prompt.match(/LEARNER INPUT:\n([\s\S]*?)\n\n/) || [])[1] || '';
+    const vocabulary = ((prompt.match(/canonical names when they fit: (.*)/) || [])[1] || '').split(',');
+
+    return vocabulary
+      .map(topic => topic.trim())
+      .filter(topic => topic && new RegExp(`\\b${topic}\\b`, 'i').test(input))
+      .map(topic => ({ topic, confidence: 0.9 }));
+  }
+
+  /**
+   * Questions for every topic in the prompt, easiest first, with the first option correct
+   */
+  buildQuiz(prompt) {
+    const topics = ((prompt.match(/TOPICS: (.*)/) || [])[1] || '').split(',').map(topic => topic.trim()).filter(Boolean);
+    const count = parseInt((prompt.match(/QUESTIONS PER TOPIC: (\d+)/) || [])[1], 10) || 3;
+    const difficulties = ['Beginner', 'Intermediate', 'Advanced'];
+
+    return topics.flatMap(topic => Array.from({ length: count }, (_, index) => ({
+      topic,
+      difficulty: difficulties[Math.min(index, difficulties.length - 1)],
+      question: `Question ${index + 1} about ${topic}?`,
+      options: ['Correct answer', 'Wrong answer A', 'Wrong answer B', 'Wrong answer C'],
+      correctIndex: 0,
+      explanation: `Placeholder explanation for ${topic}`
+    })));
+  }
+
+  /**
+   * Placeholder labs for the phase and topics in the prompt
+   */
+  buildLabs(prompt) {
+    const title = (prompt.match(/^PHASE \d+: (.*)$/m) || [])[1] || 'Phase';
+    const topics = (prompt.match(/^TOPICS: (.*)$/m) || [])[1] || title;
+    const count = parseInt((prompt.match(/^LABS: (\d+)$/m) || [])[1], 10) || 1;
+
+    return Array.from({ length: count }, (_, index) => ({
+      title: `${title} lab ${index + 1}`,
+      objective: `Practise ${topics}`,
+      difficulty: 'Beginner',
+      estimatedTime: '45 minutes',
+      setup: ['A RHEL 9 virtual machine'],
+      steps: [{
+        instruction: `Write the lab file for ${topics}`,
+        commands: ['cat lab.yml'],
+        file: { path: 'lab.yml', language: 'yaml', content: `# ${topics}\n` }
+      }],
+      expectedResults: ['The file exists'],
+      verification: [{ check: 'The file is readable', command: 'test -r lab.yml && echo ok', expectedOutput: 'ok' }]
+    }));
+  }
+
+  /**
+   * Two-phase learning path over the resources listed in the prompt
+   */
+  buildLearningPath(prompt) {
+    const resources = [];
+    let section = null;
+    let current = null;
+
+    for (const line of prompt.split('\n')) {
+      const heading = line.trim().replace(/:$/, '');
+      if (CONTENT_SECTIONS[heading]) {
+        section = CONTENT_SECTIONS[heading];
+        continue;
+      }
+
+      const item = line.match(/^\d+\. (.+)$/);
+      if (item && section) {
+        current = { title: item[1].trim(), ...section };
+        continue;
+      }
+
+      const field = line.match(/^\s+(URL|Duration|Description): (.*)$/);
+      if (field && current) {
+        current[field[1].toLowerCase()] = field[2].trim();
+        if (field[1] === 'URL') {
+          resources.push(current);
+        }
+      }
+    }
+
+    const interests = (prompt.match(/- Interests: (.*)/) || [])[1] || 'Red Hat technologies';
+    const toResource = (resource, index) => ({
+      title: resource.title,
+      url: resource.url,
+      type: resource.type,
+      source: resource.source,
+      duration: resource.duration || '',
+      priority: index === 0 ? 'High' : 'Medium',
+      description: resource.description || resource.title
+    });
+
+    const validResources = resources.map(toResource).filter(isValidResource);
+    const half = Math.ceil(validResources.length / 2);
+
+    return {
+      title: `${interests} Learning Path`,
+      description: `A learning path covering ${interests}`,
+      totalEstimatedTime: '4 weeks',
+      difficultyLevel: 'Beginner',
+      prerequisites: ['Basic Linux knowledge'],
+      learningObjectives: [`Understand ${interests}`],
+      phases: [
+        {
+          phase: 1,
+          title: 'Foundations',
+          description: `Core concepts of ${interests}`,
+          estimatedTime: '2 weeks',
+          difficulty: 'Beginner',
+          resources: validResources.slice(0, half),
+          practiceActivities: ['Follow the introductory resources'],
+          assessmentCriteria: ['Explain the core concepts']
+        },
+        {
+          phase: 2,
+          title: 'Practice',
+          description: `Hands-on work with ${interests}`,
+          estimatedTime: '2 weeks',
+          difficulty: 'Intermediate',
+          resources: validResources.slice(half),
+          practiceActivities: ['Complete a small project'],
+          assessmentCriteria: ['Deploy a working example']
+        }
+      ],
+      certificationPath: {
+        recommended: [],
+        sequence: []
+      },
+      nextSteps: ['Explore advanced topics']
+    };
+  }
+
+  /**
+   * The previous response from a repair prompt with invalid resources removed
+   */
+  repairLearningPath(prompt) {
+    const previous = (prompt.match(/PREVIOUS RESPONSE:\n([\s\S]*?)\n\nREQUIRED STRUCTURE:/) || [])[1];
+
+    try {
+      const learningPath = JSON.parse(previous);
+      return {
+        ...learningPath,
+        phases: (learningPath.phases || []).map(phase => ({
+          ...phase,
+          resources: (phase.resources || []).filter(isValidResource)
+        }))
+      };
+    } catch (error) {
+      return this.buildLearningPath(prompt);
+    }
+  }
+
+  async listModels() {
+    return [{ name: this.model }];
+  }
+
+  async checkHealth() {
+    return { healthy: true };
+  }
+
+  troubleshooting() {
+    return [];
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model };
+  }
+}
+
+module.exports = MockProvider;
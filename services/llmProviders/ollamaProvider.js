@@ -0,0 +1,127 @@
+const { Ollama } = require('ollama');
+
+/**
+ * Generates through a local Ollama server
+ */
+class OllamaProvider {
+  constructor({
+    host = process.env.OLLAMA_HOST || 'http://localhost:11434',
+    model = process.env.OLLAMA_MODEL || 'llama3.2:latest'
+  } = {}) {
+    this.name = 'ollama';
+    this.description = `Ollama at ${host}`;
+    this.host = host;
+    this.model = model;
+    this.client = new Ollama({ host });
+  }
+
+  /**
+   * Generate a completion for a prompt, streaming tokens to onToken when given
+   * and reporting token counts to onUsage. Aborting the signal cancels the request.
+   */
+  async generate(prompt, { json = false, temperature, topP, maxTokens, signal, onToken, onUsage } = {}) {
+    // The ollama client aborts every request it has in flight, so cancellable requests get their own
+    const client = signal ? new Ollama({ host: this.host }) : this.client;
+    const abortRequest = () => client.abort();
+
+    if (signal) {
+      if (signal.aborted) {
+        throw new Error('Request aborted before generation started');
+      }
+      signal.addEventListener('abort', abortRequest, { once: true });
+    }
+
+    // client.abort() only cancels streamed requests, so cancellable requests are always streamed
+    const stream = Boolean(onToken || signal);
+
+    const request = {
+      model: this.model,
+      prompt,
+      format: json ? 'json' : undefined,
+      options: {
+        temperature,
+        top_p: topP,
+        num_predict: maxTokens
+      }
+    };
+
+    try {
+      if (!stream) {
+        const response = await client.generate({ ...request, stream: false });
+        this.reportUsage(response, onUsage);
+        return response.response;
+      }
+
+      const chunks = await client.generate({ ...request, stream: true });
+      let fullResponse = '';
+
+      for await (const chunk of chunks) {
+        if (chunk.response) {
+          fullResponse += chunk.response;
+          if (onToken) {
+            onToken(chunk.response);
+          }
+        }
+        if (chunk.done) {
+          this.reportUsage(chunk, onUsage);
+        }
+      }
+
+      return fullResponse;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abortRequest);
+      }
+    }
+  }
+
+  reportUsage(response, onUsage) {
+    if (onUsage) {
+      onUsage({ promptTokens: response.prompt_eval_count, completionTokens: response.eval_count });
+    }
+  }
+
+  async listModels() {
+    const { models } = await this.client.list();
+    return models.map(model => ({
+      name: model.name,
+      size: model.size,
+      family: model.details?.family,
+      parameterSize: model.details?.parameter_size
+    }));
+  }
+
+  /**
+   * Check that the server is reachable and the model is installed
+   */
+  async checkHealth() {
+    const models = await this.listModels();
+
+    if (!models.some(model => model.name === this.model)) {
+      return {
+        healthy: false,
+        error: `Model ${this.model} not found`,
+        availableModels: models.map(model => model.name)
+      };
+    }
+
+    return { healthy: true };
+  }
+
+  /**
+   * Steps to try when the provider is unavailable
+   */
+  troubleshooting() {
+    return [
+      'Make sure Ollama is running: ollama serve',
+      `Make sure model is installed: ollama pull ${this.model}`,
+      `Check if Ollama is accessible at: ${this.host}`
+    ];
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, host: this.host };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,73 @@
+const http = require('http');
+const OllamaProvider = require('./ollamaProvider');
+
+let server;
+let host;
+let requests;
+
+beforeAll((done) => {
+  // Streams one chunk straight away and finishes a second later
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = { body: JSON.parse(body), closed: false };
+      requests.push(request);
+      res.on('close', () => { request.closed = !res.writableFinished; });
+
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ response: '{"ok":', done: false })}\n`);
+      const timer = setTimeout(() => {
+        res.end(`${JSON.stringify({ response: 'true}', done: true, prompt_eval_count: 3, eval_count: 2 })}\n`);
+      }, 1000);
+      res.on('close', () => clearTimeout(timer));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    host = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('OllamaProvider.generate', () => {
+  test('collects a cancellable request without token callbacks', async () => {
+    const provider = new OllamaProvider({ host, model: 'test-model' });
+    const onUsage = jest.fn();
+
+    const response = await provider.generate('prompt', { signal: new AbortController().signal, onUsage });
+
+    expect(response).toBe('{"ok":true}');
+    expect(requests[0].body).toMatchObject({ model: 'test-model', stream: true });
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 3, completionTokens: 2 });
+  });
+
+  test('aborting the signal cancels a request without token callbacks', async () => {
+    const provider = new OllamaProvider({ host, model: 'test-model' });
+    const abortController = new AbortController();
+
+    const generating = provider.generate('prompt', { signal: abortController.signal });
+    setTimeout(() => abortController.abort(), 200);
+
+    await expect(generating).rejects.toThrow();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(requests[0].closed).toBe(true);
+  });
+
+  test('rejects straight away when the signal is already aborted', async () => {
+    const provider = new OllamaProvider({ host, model: 'test-model' });
+    const abortController = new AbortController();
+    abortController.abort();
+
+    await expect(provider.generate('prompt', { signal: abortController.signal })).rejects.toThrow(/aborted/);
+    expect(requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,151 @@
+const axios = require('axios');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Generates through any server exposing the OpenAI chat completions API,
+ * such as llama.cpp server, vLLM or LM Studio
+ */
+class OpenAICompatibleProvider {
+  constructor({
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || 'local-model',
+    jsonMode = process.env.OPENAI_JSON_MODE !== 'false',
+    timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 300000
+  } = {}) {
+    this.name = 'openai';
+    this.description = `OpenAI-compatible API at ${baseUrl}`;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    // Not every server accepts response_format, so JSON mode can be turned off
+    this.jsonMode = jsonMode;
+    this.httpClient = axios.create({
+      baseURL: this.baseUrl,
+      timeout,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Generate a completion for a prompt, streaming tokens to onToken when given
+   * and reporting token counts to onUsage. Aborting the signal cancels the request.
+   */
+  async generate(prompt, { json = false, temperature, topP, maxTokens, signal, onToken, onUsage } = {}) {
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      top_p: topP,
+      max_tokens: maxTokens,
+      stream: Boolean(onToken)
+    };
+
+    if (onToken) {
+      // Without this, OpenAI-style servers leave usage out of streamed responses
+      body.stream_options = { include_usage: true };
+    }
+
+    if (json && this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (!onToken) {
+      const response = await this.httpClient.post('/chat/completions', body, { signal });
+      this.reportUsage(response.data.usage, onUsage);
+      return response.data.choices?.[0]?.message?.content || '';
+    }
+
+    const response = await this.httpClient.post('/chat/completions', body, { signal, responseType: 'stream' });
+    return this.readStream(response.data, onToken, onUsage);
+  }
+
+  /**
+   * Collect the content deltas of a server-sent event stream, skipping events
+   * that aren't JSON. Usage is only reported by servers that include it in the
+   * stream.
+   */
+  async readStream(stream, onToken, onUsage) {
+    let buffer = '';
+    let fullResponse = '';
+
+    const readLine = (line) => {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        logger.debug(`Skipping malformed ${this.name} stream event:`, data.substring(0, 200));
+        return;
+      }
+
+      if (event.usage) {
+        this.reportUsage(event.usage, onUsage);
+      }
+
+      const token = event.choices?.[0]?.delta?.content;
+      if (token) {
+        fullResponse += token;
+        onToken(token);
+      }
+    };
+
+    for await (const chunk of stream) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(readLine);
+    }
+
+    // The last event may not end with a newline
+    readLine(buffer);
+
+    return fullResponse;
+  }
+
+  reportUsage(usage, onUsage) {
+    if (onUsage && usage) {
+      onUsage({ promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens });
+    }
+  }
+
+  async listModels() {
+    const response = await this.httpClient.get('/models');
+    return (response.data.data || []).map(model => ({ name: model.id, ownedBy: model.owned_by }));
+  }
+
+  /**
+   * Check that the server is reachable and, if it lists models, serves the configured one
+   */
+  async checkHealth() {
+    const models = await this.listModels();
+
+    if (models.length > 0 && !models.some(model => model.name === this.model)) {
+      return {
+        healthy: false,
+        error: `Model ${this.model} not found`,
+        availableModels: models.map(model => model.name)
+      };
+    }
+
+    return { healthy: true };
+  }
+
+  /**
+   * Steps to try when the provider is unavailable
+   */
+  troubleshooting() {
+    return [
+      `Make sure the server is running and accessible at: ${this.baseUrl}`,
+      `Make sure the server serves model ${this.model} (GET ${this.baseUrl}/models)`,
+      'Set OPENAI_API_KEY if the server requires an API key'
+    ];
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, baseUrl: this.baseUrl };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,78 @@
+const http = require('http');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+let server;
+let baseUrl;
+let requests;
+
+const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = { body: JSON.parse(body), headers: req.headers };
+      requests.push(request);
+
+      if (!request.body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{ message: { content: '{"ok":true}' } }],
+          usage: { prompt_tokens: 5, completion_tokens: 4 }
+        }));
+        return;
+      }
+
+      // A keep-alive comment, a malformed event and a last event without a trailing newline
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': keep-alive\n\n');
+      res.write(event({ choices: [{ delta: { content: '{"ok":' } }] }));
+      res.write('data: {not json\n\n');
+      res.write(event({ choices: [{ delta: { content: 'true}' } }] }));
+      res.end(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } })}`);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('OpenAICompatibleProvider.generate', () => {
+  test('returns the message of a non-streamed completion', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'test-model' });
+    const onUsage = jest.fn();
+
+    const response = await provider.generate('prompt', { json: true, onUsage });
+
+    expect(response).toBe('{"ok":true}');
+    expect(requests[0].body).toMatchObject({ model: 'test-model', stream: false, response_format: { type: 'json_object' } });
+    expect(requests[0].body.stream_options).toBeUndefined();
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 5, completionTokens: 4 });
+  });
+
+  test('streams tokens, skipping malformed events and reading the last one', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'test-model', jsonMode: false });
+    const tokens = [];
+    const onUsage = jest.fn();
+
+    const response = await provider.generate('prompt', { json: true, onToken: token => tokens.push(token), onUsage });
+
+    expect(response).toBe('{"ok":true}');
+    expect(tokens).toEqual(['{"ok":', 'true}']);
+    expect(requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(requests[0].body.response_format).toBeUndefined();
+    expect(onUsage).toHaveBeenCalledWith({ promptTokens: 3, completionTokens: 2 });
+  });
+});
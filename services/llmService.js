@@ -1,70 +1,174 @@
-const { Ollama } = require('ollama');
 const { logger } = require('../utils/logger');
+const { getCache, hashKey } = require('./cacheService');
+const { createLLMProvider } = require('./llmProviders');
+const { getCertificationCatalog } = require('./certificationCatalog');
+const { validateLearningPath, validateExtractedTopics, validateQuizQuestion, validateLab } = require('../utils/validation');
+
+// JSON structure the model must return, shared by the generation and repair prompts
+const LEARNING_PATH_FORMAT = `{
+  "title": "Learning Path Title",
+  "description": "Brief description of what the learner will achieve",
+  "totalEstimatedTime": "X weeks/months",
+  "difficultyLevel": "Beginner/Intermediate/Advanced",
+  "prerequisites": ["List of prerequisites"],
+  "learningObjectives": ["List of key learning objectives"],
+  "phases": [
+    {
+      "phase": 1,
+      "title": "Phase Title",
+      "description": "What this phase covers",
+      "estimatedTime": "X days/weeks",
+      "difficulty": "Beginner/Intermediate/Advanced",
+      "resources": [
+        {
+          "title": "Resource Title",
+          "url": "Resource URL",
+          "type": "video/documentation/training/certification",
+          "source": "Red Hat TV/Red Hat Docs/Red Hat Training",
+          "duration": "Duration if applicable",
+          "priority": "High/Medium/Low",
+          "description": "What the learner will gain from this resource"
+        }
+      ],
+      "practiceActivities": ["List of hands-on activities"],
+      "assessmentCriteria": ["How to measure progress in this phase"]
+    }
+  ],
+  "certificationPath": {
+    "recommended": ["List of relevant Red Hat certifications"],
+    "sequence": ["Order in which certifications should be pursued"]
+  },
+  "nextSteps": ["Suggestions for continued learning beyond this path"]
+}`;
 
 class LLMService {
   constructor() {
-    this.ollamaHost = process.env.OLLAMA_HOST || 'http://localhost:11434';
-    this.model = process.env.OLLAMA_MODEL || 'llama3.2:latest';
-    
-    this.ollama = new Ollama({
-      host: this.ollamaHost
-    });
+    // Provider used when a request doesn't name one; instances are created on first use
+    this.defaultProvider = process.env.LLM_PROVIDER || 'ollama';
+    this.providers = new Map();
+
+    this.generationOptions = {
+      temperature: 0.7,
+      topP: 0.9,
+      maxTokens: 4000,
+    };
+
+    // How many times to ask the model to fix output that fails schema validation
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+    this.maxRepairAttempts = Number.isNaN(repairAttempts) ? 2 : repairAttempts;
 
-    logger.info(`Initializing LLM service with Ollama host: ${this.ollamaHost}, model: ${this.model}`);
+    this.cache = getCache();
+    this.generationCacheTtl = parseInt(process.env.GENERATION_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+    const provider = this.getProvider();
+    logger.info(`Initializing LLM service with provider: ${provider.name}, model: ${provider.model}`);
+  }
+
+  /**
+   * Provider instance by name, defaulting to LLM_PROVIDER, using the provider's
+   * configured model unless another is given. Throws for unknown names.
+   */
+  getProvider(name = this.defaultProvider, model) {
+    const key = model ? `${name}:${model}` : name;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createLLMProvider(name, model ? { model } : {}));
+    }
+    return this.providers.get(key);
   }
 
   /**
-   * Check if Ollama is available and the model is installed
+   * Default generation options with a request's overrides. Overrides use the
+   * Ollama option names (temperature, num_predict, top_p).
    */
-  async checkOllamaHealth() {
+  resolveGenerationOptions(overrides = {}) {
+    const options = { ...this.generationOptions };
+
+    if (overrides.temperature !== undefined) options.temperature = overrides.temperature;
+    if (overrides.num_predict !== undefined) options.maxTokens = overrides.num_predict;
+    if (overrides.top_p !== undefined) options.topP = overrides.top_p;
+
+    return options;
+  }
+
+  /**
+   * Provider, model and effective generation options for a request, as reported to clients
+   */
+  describeGeneration({ provider, model, generationOptions } = {}) {
+    const { temperature, maxTokens, topP } = this.resolveGenerationOptions(generationOptions);
+
+    return {
+      ...this.getProvider(provider, model).describe(),
+      generationOptions: { temperature, num_predict: maxTokens, top_p: topP }
+    };
+  }
+
+  /**
+   * onUsage callback adding a provider's token counts to a usage stats
+   * object ({ requests, promptTokens, completionTokens }), if one is given
+   */
+  recordUsage(usage) {
+    if (!usage) {
+      return undefined;
+    }
+
+    return ({ promptTokens, completionTokens }) => {
+      usage.requests++;
+      usage.promptTokens += promptTokens || 0;
+      usage.completionTokens += completionTokens || 0;
+    };
+  }
+
+  /**
+   * Check that a provider is reachable and its model is available
+   */
+  async checkHealth({ provider, model } = {}) {
+    const llm = this.getProvider(provider, model);
+
     try {
-      const models = await this.ollama.list();
-      const modelExists = models.models.some(model => model.name === this.model);
-      
-      if (!modelExists) {
-        logger.warn(`Model ${this.model} not found. Available models:`, models.models.map(m => m.name));
-        return { healthy: false, error: `Model ${this.model} not found` };
+      const health = await llm.checkHealth();
+
+      if (!health.healthy) {
+        logger.warn(`LLM provider ${llm.name} is unhealthy: ${health.error}`, { availableModels: health.availableModels });
       }
-      
-      return { healthy: true };
+
+      return { ...health, provider: llm.name, model: llm.model };
     } catch (error) {
-      logger.error('Ollama health check failed:', error.message);
-      return { healthy: false, error: error.message };
+      logger.error(`LLM provider ${llm.name} health check failed:`, error.message);
+      return { healthy: false, error: error.message, provider: llm.name, model: llm.model };
     }
   }
 
+  /**
+   * Check a provider's health, throwing if it can't serve requests
+   */
+  async assertHealthy({ provider, model } = {}) {
+    const healthCheck = await this.checkHealth({ provider, model });
+    if (!healthCheck.healthy) {
+      throw new Error(`LLM provider ${healthCheck.provider} unavailable: ${healthCheck.error}`);
+    }
+    return this.getProvider(provider, model);
+  }
+
   /**
    * Generate a personalized learning path based on user interests and available content
    */
-  async generateLearningPath(userProfile, searchResults) {
+  async generateLearningPath(userProfile, searchResults, { provider, model, generationOptions, usage } = {}) {
     try {
       logger.info('Generating learning path for user profile:', userProfile);
 
-      // Check Ollama health first
-      const healthCheck = await this.checkOllamaHealth();
-      if (!healthCheck.healthy) {
-        throw new Error(`Ollama service unavailable: ${healthCheck.error}`);
-      }
+      const llm = await this.assertHealthy({ provider, model });
+      const fullPrompt = this.buildLearningPathPrompt(userProfile, searchResults);
 
-      const systemPrompt = this.buildSystemPrompt();
-      const userPrompt = this.buildUserPrompt(userProfile, searchResults);
-      
-      const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+      logger.info(`Sending request to ${llm.name} (${llm.model})...`);
 
-      logger.info('Sending request to Ollama...');
-      
-      const response = await this.ollama.generate({
-        model: this.model,
-        prompt: fullPrompt,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          num_predict: 4000,
-        },
-        stream: false
+      const response = await llm.generate(fullPrompt, {
+        ...this.resolveGenerationOptions(generationOptions),
+        json: true,
+        task: 'learning-path',
+        onUsage: this.recordUsage(usage)
       });
 
-      const learningPath = this.parseLearningPathResponse(response.response);
+      const learningPath = await this.resolveLearningPath(response, { provider, model, generationOptions, usage });
       
       logger.info('Successfully generated learning path');
       return learningPath;
@@ -74,6 +178,113 @@ class LLMService {
     }
   }
 
+  /**
+   * Generate a learning path, reusing the cached result for identical inputs.
+   * Resolves to { learningPath, cache } where cache describes the hit or miss.
+   */
+  async generateLearningPathCached(userProfile, searchResults, { bypassCache = false, ...llmOptions } = {}) {
+    if (!bypassCache) {
+      const cached = await this.getCachedLearningPath(userProfile, searchResults, llmOptions);
+      if (cached) {
+        logger.info('Serving learning path from cache');
+        return cached;
+      }
+    }
+
+    const learningPath = await this.generateLearningPath(userProfile, searchResults, llmOptions);
+    const cache = await this.cacheLearningPath(userProfile, searchResults, learningPath, llmOptions);
+
+    return { learningPath, cache: { ...cache, bypassed: bypassCache } };
+  }
+
+  /**
+   * Look up a cached generation for these inputs, or null
+   */
+  async getCachedLearningPath(userProfile, searchResults, llmOptions = {}) {
+    const entry = await this.cache.get('generation', this.getGenerationCacheKey(userProfile, searchResults, llmOptions));
+    return entry
+      ? { learningPath: entry.value, cache: { hit: true, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt } }
+      : null;
+  }
+
+  /**
+   * Cache a generated learning path, skipping unparseable fallbacks
+   */
+  async cacheLearningPath(userProfile, searchResults, learningPath, llmOptions = {}) {
+    if (learningPath.parseError) {
+      return { hit: false, cachedAt: null, expiresAt: null };
+    }
+
+    const entry = await this.cache.set(
+      'generation',
+      this.getGenerationCacheKey(userProfile, searchResults, llmOptions),
+      learningPath,
+      this.generationCacheTtl
+    );
+
+    return { hit: false, cachedAt: entry ? entry.cachedAt : null, expiresAt: entry ? entry.expiresAt : null };
+  }
+
+  /**
+   * Cache key for a generation: everything that affects the prompt and the model's output
+   */
+  getGenerationCacheKey(userProfile, searchResults, { provider, model, generationOptions } = {}) {
+    const llm = this.getProvider(provider, model);
+
+    return hashKey({
+      userProfile,
+      searchResults,
+      provider: llm.name,
+      model: llm.model,
+      options: this.resolveGenerationOptions(generationOptions)
+    });
+  }
+
+  /**
+   * Generate a learning path while streaming tokens back as the provider produces them.
+   * Aborting the signal cancels the underlying model request.
+   */
+  async generateLearningPathStream(userProfile, searchResults, { onToken, onRepair, signal, provider, model, generationOptions } = {}) {
+    try {
+      const llm = await this.assertHealthy({ provider, model });
+
+      logger.info(`Streaming request to ${llm.name} (${llm.model})...`);
+
+      const fullResponse = await llm.generate(this.buildLearningPathPrompt(userProfile, searchResults), {
+        ...this.resolveGenerationOptions(generationOptions),
+        json: true,
+        task: 'learning-path',
+        signal,
+        onToken: onToken || (() => {})
+      });
+
+      const learningPath = await this.resolveLearningPath(fullResponse, { provider, model, generationOptions, signal, onRepair });
+
+      logger.info('Successfully generated streamed learning path');
+      return learningPath;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        logger.info('Learning path stream aborted by client');
+        const abortError = new Error('Learning path generation aborted');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+
+      logger.error('Error streaming learning path:', error.message);
+      throw new Error(`Failed to generate learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Combine the system and user prompts for a learning path request
+   */
+  buildLearningPathPrompt(userProfile, searchResults) {
+    const systemPrompt = this.buildSystemPrompt();
+    const userPrompt = this.buildUserPrompt(userProfile, searchResults);
+
+    return `${systemPrompt}\n\n${userPrompt}`;
+  }
+
   /**
    * Build system prompt for the LLM
    */
@@ -92,41 +303,7 @@ GUIDELINES:
 
 RESPONSE FORMAT:
 You MUST respond with a valid JSON object with the following structure:
-{
-  "title": "Learning Path Title",
-  "description": "Brief description of what the learner will achieve",
-  "totalEstimatedTime": "X weeks/months",
-  "difficultyLevel": "Beginner/Intermediate/Advanced",
-  "prerequisites": ["List of prerequisites"],
-  "learningObjectives": ["List of key learning objectives"],
-  "phases": [
-    {
-      "phase": 1,
-      "title": "Phase Title",
-      "description": "What this phase covers",
-      "estimatedTime": "X days/weeks",
-      "difficulty": "Beginner/Intermediate/Advanced",
-      "resources": [
-        {
-          "title": "Resource Title",
-          "url": "Resource URL",
-          "type": "video/documentation/training/certification",
-          "source": "Red Hat TV/Red Hat Docs/Red Hat Training",
-          "duration": "Duration if applicable",
-          "priority": "High/Medium/Low",
-          "description": "What the learner will gain from this resource"
-        }
-      ],
-      "practiceActivities": ["List of hands-on activities"],
-      "assessmentCriteria": ["How to measure progress in this phase"]
-    }
-  ],
-  "certificationPath": {
-    "recommended": ["List of relevant Red Hat certifications"],
-    "sequence": ["Order in which certifications should be pursued"]
-  },
-  "nextSteps": ["Suggestions for continued learning beyond this path"]
-}
+${LEARNING_PATH_FORMAT}
 
 IMPORTANT:
 - Only use the provided Red Hat content in your recommendations
@@ -138,61 +315,102 @@ IMPORTANT:
   }
 
   /**
-   * Build user prompt with profile and search results
+   * One numbered resource entry for the prompt, listing whichever enriched fields it has
    */
-  buildUserPrompt(userProfile, searchResults) {
-    const { interests, experience, goals, timeCommitment, preferredLearningStyle } = userProfile;
+  formatResourceForPrompt(resource, index) {
+    const lines = [
+      `${index + 1}. ${resource.title}`,
+      `   URL: ${resource.url}`
+    ];
+
+    if (resource.courseCode) lines.push(`   Course Code: ${resource.courseCode}`);
+    if (resource.level) lines.push(`   Level: ${resource.level}`);
+    if (resource.duration) lines.push(`   Duration: ${resource.duration}`);
+    if (resource.publishedDate) lines.push(`   Published: ${resource.publishedDate}`);
+    lines.push(`   Description: ${resource.description}`);
+
+    return `${lines.join('\n')}\n   \n`;
+  }
 
-    let prompt = `Create a personalized Red Hat learning path based on the following user profile:
+  /**
+   * Describe the learner for the prompt
+   */
+  buildProfileSection(userProfile) {
+    const { interests, experience, goals, timeCommitment, preferredLearningStyle, certificationGoals = [], proficiency = [] } = userProfile;
+    const assessed = proficiency.map(({ topic, percent, level }) => `${topic} ${percent}% (${level})`);
 
-USER PROFILE:
+    return `USER PROFILE:
 - Interests: ${interests.join(', ')}
 - Experience Level: ${experience}
 - Learning Goals: ${goals.join(', ')}
 - Available Time Commitment: ${timeCommitment}
 - Preferred Learning Style: ${preferredLearningStyle}
+${certificationGoals.length > 0 ? `- Certification Goals: ${certificationGoals.join(', ')}\n` : ''}${assessed.length > 0 ? `- Assessed Proficiency (diagnostic quiz, trust this over the stated experience; skip material below these levels): ${assessed.join(', ')}\n` : ''}`;
+  }
 
-AVAILABLE RED HAT CONTENT:
+  /**
+   * The certification catalog for the prompt, with the exam objectives of
+   * the learner's certification goals
+   */
+  buildCertificationSection(userProfile) {
+    const catalog = getCertificationCatalog();
+    const certifications = catalog.getCertifications();
+    if (certifications.length === 0) return '';
+
+    const describe = (certification) => {
+      const requires = certification.prerequisites.length > 0 ? `, requires ${certification.prerequisites.join(', ')}` : '';
+      const after = certification.recommendedBefore.length > 0 ? `, best taken after ${certification.recommendedBefore.join(', ')}` : '';
+      return `- ${certification.code}: ${certification.name}${certification.shortName ? ` (${certification.shortName})` : ''}${requires}${after}`;
+    };
+
+    let section = `RED HAT CERTIFICATIONS (recommend only these, by name and exam code, with prerequisites earlier in the sequence):
+${certifications.map(describe).join('\n')}
 `;
 
-    // Add search results by category
-    if (searchResults.tv && searchResults.tv.length > 0) {
-      prompt += '\nRED HAT TV VIDEOS:\n';
-      searchResults.tv.forEach((resource, index) => {
-        prompt += `${index + 1}. ${resource.title}
-   URL: ${resource.url}
-   Duration: ${resource.duration || 'N/A'}
-   Description: ${resource.description}
-   
+    const goals = [...new Set((userProfile.certificationGoals || []).map(goal => catalog.find(goal)).filter(Boolean))];
+    for (const certification of goals) {
+      section += `\n${certification.code} EXAM OBJECTIVES (cover each with resources or practice activities):
+${certification.objectives.map(objective => `- ${objective.title}`).join('\n')}
 `;
-      });
     }
 
-    if (searchResults.documentation && searchResults.documentation.length > 0) {
-      prompt += '\nRED HAT DOCUMENTATION:\n';
-      searchResults.documentation.forEach((resource, index) => {
-        prompt += `${index + 1}. ${resource.title}
-   URL: ${resource.url}
-   Description: ${resource.description}
-   
-`;
-      });
-    }
+    return section;
+  }
 
-    if (searchResults.training && searchResults.training.length > 0) {
-      prompt += '\nRED HAT TRAINING COURSES:\n';
-      searchResults.training.forEach((resource, index) => {
-        prompt += `${index + 1}. ${resource.title}
-   URL: ${resource.url}
-   Level: ${resource.level || 'N/A'}
-   Duration: ${resource.duration || 'N/A'}
-   Description: ${resource.description}
-   
-`;
-      });
+  /**
+   * List the search results for the prompt, grouped by source
+   */
+  buildContentSection(searchResults) {
+    let section = 'AVAILABLE RED HAT CONTENT:\n';
+
+    const sources = [
+      ['tv', 'RED HAT TV VIDEOS'],
+      ['videos', 'OTHER RED HAT VIDEOS'],
+      ['documentation', 'RED HAT DOCUMENTATION'],
+      ['training', 'RED HAT TRAINING COURSES']
+    ];
+
+    for (const [sourceKey, heading] of sources) {
+      if (searchResults[sourceKey] && searchResults[sourceKey].length > 0) {
+        section += `\n${heading}:\n`;
+        searchResults[sourceKey].forEach((resource, index) => {
+          section += this.formatResourceForPrompt(resource, index);
+        });
+      }
     }
 
-    prompt += `
+    return section;
+  }
+
+  /**
+   * Build user prompt with profile and search results
+   */
+  buildUserPrompt(userProfile, searchResults) {
+    return `Create a personalized Red Hat learning path based on the following user profile:
+
+${this.buildProfileSection(userProfile)}
+${this.buildContentSection(searchResults)}
+${this.buildCertificationSection(userProfile)}
 Please create a comprehensive, structured learning path that:
 1. Matches the user's interests and experience level
 2. Achieves their stated learning goals
@@ -201,79 +419,234 @@ Please create a comprehensive, structured learning path that:
 5. Uses only the Red Hat content provided above
 6. Progresses logically from foundational to advanced concepts
 7. Includes practical, hands-on activities
-8. Suggests relevant Red Hat certifications
+8. Suggests relevant Red Hat certifications from the list above and covers the exam objectives of the user's certification goals
 
 Return ONLY a valid JSON object following the specified format.`;
-
-    return prompt;
   }
 
   /**
-   * Parse the LLM response and ensure it's valid JSON
+   * Regenerate the unfinished phases of a learning path from the learner's feedback.
+   * The model returns a complete path; keeping completed phases fixed is up to the caller.
    */
-  parseLearningPathResponse(response) {
+  async adaptLearningPath(userProfile, learningPath, { completedPhases = [], feedback = {}, searchResults, provider, model, generationOptions }) {
     try {
-      // Clean the response - remove any markdown formatting or extra text
-      let cleanResponse = response.trim();
-      
-      // Try to extract JSON from the response
-      const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanResponse = jsonMatch[0];
+      logger.info('Adapting learning path', { completedPhases });
+
+      const llm = await this.assertHealthy({ provider, model });
+      const prompt = `${this.buildSystemPrompt()}\n\n${this.buildAdaptationPrompt(userProfile, learningPath, { completedPhases, feedback, searchResults })}`;
+
+      const response = await llm.generate(prompt, {
+        ...this.resolveGenerationOptions(generationOptions),
+        json: true,
+        task: 'adapt'
+      });
+
+      const adaptedPath = await this.resolveLearningPath(response, { provider, model, generationOptions });
+
+      logger.info('Successfully adapted learning path');
+      return adaptedPath;
+    } catch (error) {
+      logger.error('Error adapting learning path:', error.message);
+      throw new Error(`Failed to adapt learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * User prompt for adapting an existing path to progress and feedback
+   */
+  buildAdaptationPrompt(userProfile, learningPath, { completedPhases, feedback, searchResults }) {
+    // Drop annotations added after generation; the model only needs the path itself
+    const { validation, rawResponse, parseError, ...currentPath } = learningPath;
+    currentPath.phases = (currentPath.phases || []).map(({ examObjectives, labs, ...phase }) => ({
+      ...phase,
+      resources: (phase.resources || []).map(({ grounding, examObjectives: resourceObjectives, ...resource }) => resource)
+    }));
+
+    const completed = (learningPath.phases || []).filter(phase => completedPhases.includes(phase.phase));
+    const feedbackLines = [];
+
+    if (feedback.difficulty) feedbackLines.push(`- Overall difficulty: ${feedback.difficulty.replace('_', ' ')}`);
+    for (const { phase, difficulty, comment } of feedback.phaseFeedback || []) {
+      feedbackLines.push(`- Phase ${phase}: ${[difficulty && difficulty.replace('_', ' '), comment].filter(Boolean).join(' - ')}`);
+    }
+    if (feedback.feedback) feedbackLines.push(`- Comments: ${feedback.feedback}`);
+
+    return `Adapt the following Red Hat learning path to the learner's progress and feedback.
+
+${this.buildProfileSection(userProfile)}
+COMPLETED PHASES (copy these unchanged, with the same phase numbers):
+${completed.length > 0 ? completed.map(phase => `- Phase ${phase.phase}: ${phase.title}`).join('\n') : '- None'}
+
+LEARNER FEEDBACK:
+${feedbackLines.length > 0 ? feedbackLines.join('\n') : '- None'}
+
+CURRENT LEARNING PATH:
+${JSON.stringify(currentPath, null, 2)}
+
+${this.buildContentSection(searchResults)}
+${this.buildCertificationSection(userProfile)}
+Return the complete learning path with:
+1. The completed phases exactly as they are
+2. The remaining phases rewritten to address the feedback: simplify or add foundations where it was too hard, move faster or go deeper where it was too easy
+3. Resources taken only from the current path or the content provided above
+4. Updated totalEstimatedTime and difficultyLevel for the whole path
+
+Return ONLY a valid JSON object following the specified format.`;
+  }
+
+  /**
+   * Turn a raw model response into a schema-valid learning path, asking the
+   * model to repair invalid output up to maxRepairAttempts times before
+   * falling back to a generic path. The result's `validation` field records
+   * whether it was valid as generated, repaired, or a fallback.
+   */
+  async resolveLearningPath(rawResponse, { provider, model, generationOptions, usage, signal, onRepair } = {}) {
+    const llm = this.getProvider(provider, model);
+    let response = rawResponse;
+    let result = this.parseLearningPathResponse(response);
+    let attempts = 0;
+
+    while (!result.isValid && attempts < this.maxRepairAttempts) {
+      // Don't start another model call for a client that has gone away
+      if (signal && signal.aborted) {
+        const abortError = new Error('Learning path generation aborted');
+        abortError.name = 'AbortError';
+        throw abortError;
       }
-      
-      // Try to parse as JSON
-      const parsed = JSON.parse(cleanResponse);
-      
-      // Validate that it has the required structure
-      if (!parsed.title || !parsed.phases) {
-        throw new Error('Invalid learning path structure');
+
+      attempts++;
+      logger.warn(`Learning path failed validation, requesting repair (attempt ${attempts}/${this.maxRepairAttempts})`, {
+        errors: result.errors
+      });
+
+      if (onRepair) {
+        onRepair({ attempt: attempts, errors: result.errors });
       }
-      
-      return parsed;
+
+      response = await llm.generate(this.buildRepairPrompt(response, result.errors), {
+        ...this.resolveGenerationOptions(generationOptions),
+        temperature: 0.2,
+        json: true,
+        task: 'repair',
+        signal,
+        onUsage: this.recordUsage(usage)
+      });
+
+      result = this.parseLearningPathResponse(response);
+    }
+
+    if (result.isValid) {
+      return {
+        ...result.learningPath,
+        validation: { status: attempts > 0 ? 'repaired' : 'valid', repairAttempts: attempts }
+      };
+    }
+
+    logger.error('Learning path still invalid after repair attempts, using fallback', { errors: result.errors });
+    logger.debug('Raw response:', response);
+
+    return this.buildFallbackLearningPath(response, result.errors, attempts);
+  }
+
+  /**
+   * Parse the LLM response and validate it against the learning path schema.
+   * Returns { isValid, learningPath, errors }.
+   */
+  parseLearningPathResponse(response) {
+    // Clean the response - remove any markdown formatting or extra text
+    let cleanResponse = (response || '').trim();
+
+    // Try to extract JSON from the response
+    const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      cleanResponse = jsonMatch[0];
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanResponse);
     } catch (error) {
-      logger.error('Failed to parse LLM response as JSON:', error.message);
-      logger.debug('Raw response:', response);
-      
-      // Return a structured fallback response
       return {
-        title: 'Custom Red Hat Learning Path',
-        description: 'A personalized learning path based on your interests',
-        totalEstimatedTime: '4-8 weeks',
-        difficultyLevel: 'Intermediate',
-        prerequisites: ['Basic Linux knowledge'],
-        learningObjectives: ['Gain proficiency in Red Hat technologies'],
-        phases: [
-          {
-            phase: 1,
-            title: 'Foundation Phase',
-            description: 'Build foundational knowledge',
-            estimatedTime: '2-3 weeks',
-            difficulty: 'Beginner',
-            resources: [],
-            practiceActivities: ['Hands-on labs', 'Practice exercises'],
-            assessmentCriteria: ['Complete all resources', 'Demonstrate basic understanding']
-          }
-        ],
-        certificationPath: {
-          recommended: ['Red Hat Certified System Administrator (RHCSA)'],
-          sequence: ['Start with RHCSA foundation']
-        },
-        nextSteps: ['Continue with advanced topics', 'Pursue additional certifications'],
-        rawResponse: response,
-        parseError: error.message
+        isValid: false,
+        learningPath: null,
+        errors: [{ field: '', message: `Response is not valid JSON: ${error.message}` }]
       };
     }
+
+    const validation = validateLearningPath(parsed);
+
+    return {
+      isValid: validation.isValid,
+      learningPath: validation.data,
+      errors: validation.errors
+    };
+  }
+
+  /**
+   * Prompt asking the model to fix a response that failed validation
+   */
+  buildRepairPrompt(response, errors) {
+    const errorList = errors
+      .map(error => `- ${error.field ? `${error.field}: ` : ''}${error.message}`)
+      .join('\n');
+
+    return `Your previous response was not a valid learning path. Fix it so it matches the required structure exactly.
+
+VALIDATION ERRORS:
+${errorList}
+
+PREVIOUS RESPONSE:
+${response}
+
+REQUIRED STRUCTURE:
+${LEARNING_PATH_FORMAT}
+
+Keep all valid content from the previous response. Use real URLs from the previous response only; remove resources whose URL is missing or invalid.
+Return ONLY the corrected JSON object, no additional text or formatting.`;
+  }
+
+  /**
+   * Generic learning path returned when the model never produced valid output
+   */
+  buildFallbackLearningPath(response, errors, repairAttempts) {
+    return {
+      title: 'Custom Red Hat Learning Path',
+      description: 'A personalized learning path based on your interests',
+      totalEstimatedTime: '4-8 weeks',
+      difficultyLevel: 'Intermediate',
+      prerequisites: ['Basic Linux knowledge'],
+      learningObjectives: ['Gain proficiency in Red Hat technologies'],
+      phases: [
+        {
+          phase: 1,
+          title: 'Foundation Phase',
+          description: 'Build foundational knowledge',
+          estimatedTime: '2-3 weeks',
+          difficulty: 'Beginner',
+          resources: [],
+          practiceActivities: ['Hands-on labs', 'Practice exercises'],
+          assessmentCriteria: ['Complete all resources', 'Demonstrate basic understanding']
+        }
+      ],
+      certificationPath: {
+        recommended: ['Red Hat Certified System Administrator (RHCSA)'],
+        sequence: ['Start with RHCSA foundation']
+      },
+      nextSteps: ['Continue with advanced topics', 'Pursue additional certifications'],
+      rawResponse: response,
+      parseError: errors.map(error => error.field ? `${error.field}: ${error.message}` : error.message).join('; '),
+      validation: { status: 'fallback', repairAttempts, errors }
+    };
   }
 
   /**
    * Enhance search results with AI-powered content analysis
    */
-  async analyzeContentRelevance(userInterests, searchResults) {
+  async analyzeContentRelevance(userInterests, searchResults, { provider } = {}) {
     try {
-      const healthCheck = await this.checkOllamaHealth();
+      const healthCheck = await this.checkHealth({ provider });
       if (!healthCheck.healthy) {
-        logger.warn('Skipping content analysis due to Ollama unavailability');
+        logger.warn(`Skipping content analysis due to ${healthCheck.provider} unavailability`);
         return searchResults;
       }
 
@@ -285,17 +658,13 @@ ${JSON.stringify(searchResults, null, 2)}
 Return a JSON object with relevance scores (0-100) and explanations for each piece of content.
 Return ONLY the JSON object, no additional text.`;
 
-      const response = await this.ollama.generate({
-        model: this.model,
-        prompt: prompt,
-        options: {
-          temperature: 0.3,
-          num_predict: 2000,
-        },
-        stream: false
+      const response = await this.getProvider(provider).generate(prompt, {
+        temperature: 0.3,
+        maxTokens: 2000,
+        task: 'analysis'
       });
 
-      return JSON.parse(response.response);
+      return JSON.parse(response);
     } catch (error) {
       logger.error('Error analyzing content relevance:', error.message);
       return searchResults; // Return original results if analysis fails
@@ -303,38 +672,189 @@ Return ONLY the JSON object, no additional text.`;
   }
 
   /**
-   * Test the Ollama connection and model availability
+   * Ask the model for the Red Hat products and skills a learner's input is about.
+   * Resolves to [{ topic, confidence }]; throws if the provider fails or the output is invalid.
    */
-  async testConnection() {
+  async extractTopics(text, { vocabulary = [], provider, model } = {}) {
+    const prompt = `Identify the Red Hat products, technologies and skills this learner wants to study.
+
+LEARNER INPUT:
+${text}
+
+Rules:
+- Return short, normalized topic names suitable as search terms (e.g. "openshift", "quarkus", "ansible automation platform")
+- Prefer these canonical names when they fit: ${vocabulary.join(', ')}
+- Give each topic a confidence between 0 and 1 that the learner wants to study it
+- Ignore filler words and generic verbs such as "learn" or "understand"
+- Return at most 8 topics
+
+Return ONLY a JSON object of the form {"topics": [{"topic": "openshift", "confidence": 0.9}]}`;
+
+    const response = await this.getProvider(provider, model).generate(prompt, {
+      temperature: 0.1,
+      maxTokens: 400,
+      json: true,
+      task: 'topics'
+    });
+
+    let parsed;
     try {
-      logger.info('Testing Ollama connection...');
-      
-      const healthCheck = await this.checkOllamaHealth();
+      parsed = JSON.parse(response);
+    } catch (error) {
+      throw new Error(`Topic extraction response is not valid JSON: ${error.message}`);
+    }
+
+    const validation = validateExtractedTopics(parsed);
+    if (!validation.isValid) {
+      throw new Error(`Invalid topic extraction response: ${validation.errors.map(error => error.message).join('; ')}`);
+    }
+
+    return validation.data.topics;
+  }
+
+  /**
+   * Generate a multiple-choice diagnostic quiz with questionsPerTopic questions
+   * for each topic. Invalid questions and questions on other topics are
+   * dropped; throws when none are left.
+   */
+  async generateQuiz(topics, { questionsPerTopic = 3, experience, provider, model } = {}) {
+    const prompt = `Write a multiple-choice diagnostic quiz that measures what a learner already knows about these Red Hat topics.
+
+TOPICS: ${topics.join(', ')}
+QUESTIONS PER TOPIC: ${questionsPerTopic}
+${experience ? `LEARNER'S OWN DESCRIPTION OF THEIR EXPERIENCE: ${experience}\n` : ''}
+Rules:
+- Write exactly ${questionsPerTopic} questions for each topic, using the topic names exactly as listed
+- Spread the questions from Beginner to Advanced difficulty
+- Give each question 4 options with exactly one correct answer, and correctIndex as the 0-based index of that answer
+- Test practical knowledge (commands, concepts, troubleshooting), not release dates or marketing
+- Explain the correct answer in one sentence
+
+Return ONLY a JSON object of the form {"questions": [{"topic": "openshift", "difficulty": "Beginner", "question": "...", "options": ["...", "...", "...", "..."], "correctIndex": 0, "explanation": "..."}]}`;
+
+    const response = await this.getProvider(provider, model).generate(prompt, {
+      ...this.generationOptions,
+      temperature: 0.4,
+      json: true,
+      task: 'quiz'
+    });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response);
+    } catch (error) {
+      throw new Error(`Quiz response is not valid JSON: ${error.message}`);
+    }
+
+    const questions = [];
+    for (const candidate of (parsed && Array.isArray(parsed.questions)) ? parsed.questions : []) {
+      const validation = validateQuizQuestion(candidate);
+      if (!validation.isValid) {
+        logger.warn('Dropping invalid quiz question:', validation.errors.map(error => error.message).join('; '));
+      } else if (topics.includes(validation.data.topic)) {
+        questions.push(validation.data);
+      }
+    }
+
+    if (questions.length === 0) {
+      throw new Error('Quiz response contained no valid questions for the requested topics');
+    }
+
+    return questions;
+  }
+
+  /**
+   * Generate `count` hands-on lab exercises for one phase of a learning path,
+   * targeting the given topics. Invalid labs are dropped; throws when none are left.
+   */
+  async generateLabs(phase, { topics = [], count = 2, userProfile, provider, model } = {}) {
+    const resources = (phase.resources || []).map(resource => `- ${resource.title}`);
+    const activities = (phase.practiceActivities || []).map(activity => `- ${activity}`);
+
+    const prompt = `Design hands-on lab exercises for one phase of a Red Hat learning path.
+
+${userProfile ? this.buildProfileSection(userProfile) : ''}
+PHASE ${phase.phase}: ${phase.title}
+DESCRIPTION: ${phase.description}
+DIFFICULTY: ${phase.difficulty}
+TOPICS: ${topics.length > 0 ? topics.join(', ') : phase.title}
+LABS: ${count}
+RESOURCES:
+${resources.length > 0 ? resources.join('\n') : '- None'}
+PRACTICE ACTIVITIES:
+${activities.length > 0 ? activities.join('\n') : '- None'}
+
+Rules:
+- Write exactly ${count} lab(s), each practising the phase's topics with the real tools: an Ansible playbook for Ansible, oc commands and YAML manifests for OpenShift, podman and a Containerfile for containers, dnf, systemctl and firewall-cmd for RHEL
+- Setup lists what the learner needs before starting; prefer free environments such as the Developer Sandbox for Red Hat OpenShift or a no-cost RHEL developer subscription
+- Steps give the exact commands to run, and every file to write (playbook, manifest, Containerfile) in full
+- Expected results say what the learner sees when the lab works
+- Verification checks are commands with the output that proves the lab is complete
+- Match the phase difficulty and build on its resources and practice activities
+
+Return ONLY a JSON object of the form {"labs": [{"title": "...", "objective": "...", "difficulty": "Beginner", "estimatedTime": "45 minutes", "setup": ["..."], "steps": [{"instruction": "...", "commands": ["..."], "file": {"path": "site.yml", "language": "yaml", "content": "..."}}], "expectedResults": ["..."], "verification": [{"check": "...", "command": "...", "expectedOutput": "..."}]}]}`;
+
+    const response = await this.getProvider(provider, model).generate(prompt, {
+      ...this.generationOptions,
+      temperature: 0.4,
+      json: true,
+      task: 'labs'
+    });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response);
+    } catch (error) {
+      throw new Error(`Lab response is not valid JSON: ${error.message}`);
+    }
+
+    const labs = [];
+    for (const candidate of (parsed && Array.isArray(parsed.labs)) ? parsed.labs : []) {
+      const validation = validateLab(candidate);
+      if (validation.isValid) {
+        labs.push(validation.data);
+      } else {
+        logger.warn('Dropping invalid lab:', validation.errors.map(error => error.message).join('; '));
+      }
+    }
+
+    if (labs.length === 0) {
+      throw new Error('Lab response contained no valid labs');
+    }
+
+    return labs.slice(0, count);
+  }
+
+  /**
+   * Test the provider connection and model availability
+   */
+  async testConnection({ provider } = {}) {
+    const llm = this.getProvider(provider);
+
+    try {
+      logger.info(`Testing ${llm.name} connection...`);
+
+      const healthCheck = await this.checkHealth({ provider });
       if (!healthCheck.healthy) {
-        return { success: false, error: healthCheck.error };
+        return { success: false, error: healthCheck.error, ...llm.describe() };
       }
 
       // Test with a simple prompt
-      const testResponse = await this.ollama.generate({
-        model: this.model,
-        prompt: 'Respond with just "Hello, Red Hat learning assistant ready!" and nothing else.',
-        options: {
-          temperature: 0.1,
-          num_predict: 50,
-        },
-        stream: false
+      const testResponse = await llm.generate('Respond with just "Hello, Red Hat learning assistant ready!" and nothing else.', {
+        temperature: 0.1,
+        maxTokens: 50,
+        task: 'test'
       });
 
-      logger.info('Ollama test successful');
-      return { 
-        success: true, 
-        response: testResponse.response.trim(),
-        model: this.model,
-        host: this.ollamaHost
+      logger.info(`${llm.name} test successful`);
+      return {
+        success: true,
+        response: testResponse.trim(),
+        ...llm.describe()
       };
     } catch (error) {
-      logger.error('Ollama connection test failed:', error.message);
-      return { success: false, error: error.message };
+      logger.error(`${llm.name} connection test failed:`, error.message);
+      return { success: false, error: error.message, ...llm.describe() };
     }
   }
 }
@@ -0,0 +1,106 @@
+const LLMService = require('./llmService');
+
+const validPath = {
+  title: 'Ansible Learning Path',
+  description: 'Automate Linux servers with Ansible',
+  totalEstimatedTime: '4 weeks',
+  difficultyLevel: 'Beginner',
+  prerequisites: ['Basic Linux knowledge'],
+  learningObjectives: ['Write playbooks'],
+  phases: [{
+    phase: 1,
+    title: 'Foundations',
+    description: 'Inventories and ad hoc commands',
+    estimatedTime: '2 weeks',
+    difficulty: 'Beginner',
+    resources: [{
+      title: 'Ansible documentation',
+      url: 'https://docs.redhat.com/en/documentation/red_hat_ansible_automation_platform',
+      type: 'documentation',
+      source: 'Red Hat Docs',
+      duration: '2 hours',
+      priority: 'High',
+      description: 'Reference for the platform'
+    }],
+    practiceActivities: ['Run an ad hoc command'],
+    assessmentCriteria: ['Explain inventories']
+  }],
+  certificationPath: { recommended: [], sequence: [] },
+  nextSteps: ['Learn roles']
+};
+
+/**
+ * An LLMService whose default provider returns the given responses in order
+ */
+const serviceWithResponses = (...responses) => {
+  const llmService = new LLMService();
+  const generate = jest.fn();
+  responses.forEach(response => generate.mockResolvedValueOnce(response));
+  llmService.providers.set(llmService.defaultProvider, { name: 'scripted', model: 'scripted', generate });
+  return { llmService, generate };
+};
+
+describe('LLMService.resolveLearningPath', () => {
+  test('accepts a valid response without repairs', async () => {
+    const { llmService, generate } = serviceWithResponses();
+
+    const learningPath = await llmService.resolveLearningPath(JSON.stringify(validPath));
+
+    expect(learningPath.title).toBe(validPath.title);
+    expect(learningPath.validation).toEqual({ status: 'valid', repairAttempts: 0 });
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  test('asks the model to repair an invalid response', async () => {
+    const { llmService, generate } = serviceWithResponses(JSON.stringify(validPath));
+    const onRepair = jest.fn();
+
+    const learningPath = await llmService.resolveLearningPath('{"title": "Incomplete"}', { onRepair });
+
+    expect(learningPath.validation).toEqual({ status: 'repaired', repairAttempts: 1 });
+    expect(onRepair).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1 }));
+    expect(generate).toHaveBeenCalledWith(expect.stringContaining('VALIDATION ERRORS'), expect.objectContaining({ task: 'repair' }));
+  });
+
+  test('falls back to a generic path once the repair attempts run out', async () => {
+    const { llmService, generate } = serviceWithResponses('not json', 'still not json');
+
+    const learningPath = await llmService.resolveLearningPath('not json');
+
+    expect(generate).toHaveBeenCalledTimes(llmService.maxRepairAttempts);
+    expect(learningPath.validation.status).toBe('fallback');
+  });
+
+  test('stops repairing once the signal is aborted', async () => {
+    const { llmService, generate } = serviceWithResponses();
+    const abortController = new AbortController();
+    abortController.abort();
+
+    await expect(llmService.resolveLearningPath('not json', { signal: abortController.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(generate).not.toHaveBeenCalled();
+  });
+});
+
+describe('LLMService.adaptLearningPath', () => {
+  test('uses the requested model and generation options', async () => {
+    const llmService = new LLMService();
+    const generate = jest.fn().mockResolvedValue(JSON.stringify(validPath));
+    const getProvider = jest.spyOn(llmService, 'getProvider').mockReturnValue({
+      name: 'scripted',
+      model: 'scripted-large',
+      generate,
+      checkHealth: async () => ({ healthy: true })
+    });
+
+    await llmService.adaptLearningPath({ interests: ['Ansible'], goals: [] }, validPath, {
+      searchResults: { documentation: [], training: [], tv: [], videos: [], all: [] },
+      provider: 'mock',
+      model: 'scripted-large',
+      generationOptions: { temperature: 0.1, num_predict: 1000 }
+    });
+
+    expect(getProvider).toHaveBeenCalledWith('mock', 'scripted-large');
+    expect(generate).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ task: 'adapt', temperature: 0.1, maxTokens: 1000 }));
+  });
+});
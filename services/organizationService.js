@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { hashApiKey } = require('./apiKeyService');
+const { logger } = require('../utils/logger');
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Organizations and their members. Each member has a role: admins manage
+ * members, managers assign learning paths and see the team's progress, and
+ * learners follow the paths assigned to them. Members prove who they are
+ * with a secret token, kept only as a hash like API keys.
+ */
+class OrganizationService {
+  constructor({ storage = getStorage('organizations') } = {}) {
+    this.storage = storage;
+  }
+
+  /**
+   * A new random member token and the hash stored for it
+   */
+  newToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, tokenHash: hashApiKey(token) };
+  }
+
+  /**
+   * A new member and their token: { member, token }
+   */
+  newMember({ name, email, role }) {
+    const { token, tokenHash } = this.newToken();
+    return { member: { id: crypto.randomUUID(), name, email, role, joinedAt: new Date().toISOString(), tokenHash }, token };
+  }
+
+  /**
+   * Create an organization from validated { name, members }. Resolves to
+   * { organization, tokens } with each member's token by member id; the
+   * tokens can't be read back later. Rejects with status 409 when two
+   * members share an email address.
+   */
+  async create({ name, members }) {
+    const emails = members.map(member => member.email);
+    const duplicate = emails.find((email, index) => emails.indexOf(email) !== index);
+    if (duplicate) {
+      throw httpError(`More than one member has the email ${duplicate}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const created = members.map(member => this.newMember(member));
+    const organization = {
+      id: crypto.randomUUID(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      members: created.map(({ member }) => member)
+    };
+
+    await this.storage.put(organization.id, organization);
+    logger.info(`Created organization ${organization.id} with ${organization.members.length} members`);
+
+    return { organization, tokens: Object.fromEntries(created.map(({ member, token }) => [member.id, token])) };
+  }
+
+  /**
+   * Get an organization by id, or null
+   */
+  async get(id) {
+    return this.storage.get(id);
+  }
+
+  findMember(organization, memberId) {
+    return organization.members.find(member => member.id === memberId) || null;
+  }
+
+  /**
+   * The member a presented token belongs to, or null
+   */
+  findMemberByToken(organization, token) {
+    if (!token) {
+      return null;
+    }
+
+    const presentedHash = Buffer.from(hashApiKey(token), 'hex');
+    return organization.members.find(member => member.tokenHash
+      && crypto.timingSafeEqual(Buffer.from(member.tokenHash, 'hex'), presentedHash)) || null;
+  }
+
+  /**
+   * Whether a caller may use a member's copy of an assigned path (its
+   * `assignment`) through the learning path routes: admin API keys, the
+   * member themself and the organization's managers and admins may
+   */
+  async canAccessAssignedPath({ organizationId, memberId }, { apiKey, memberToken }) {
+    if (apiKey && apiKey.role === 'admin') {
+      return true;
+    }
+
+    const organization = await this.get(organizationId);
+    const member = organization && this.findMemberByToken(organization, memberToken);
+    return Boolean(member) && (member.id === memberId || member.role !== 'learner');
+  }
+
+  /**
+   * Give a member a new token, replacing the old one. Resolves to the token.
+   */
+  async resetToken(organization, memberId) {
+    const { token, tokenHash } = this.newToken();
+    const members = organization.members.map(member => (member.id === memberId ? { ...member, tokenHash } : member));
+
+    await this.save({ ...organization, members });
+    logger.info(`Reset the token of member ${memberId} in organization ${organization.id}`);
+
+    return token;
+  }
+
+  /**
+   * A member as reported to clients, without their token hash
+   */
+  toPublicMember({ tokenHash, ...member }) {
+    return member;
+  }
+
+  /**
+   * An organization as reported to clients. Managers and admins see member
+   * ids, which they assign paths by; learners get names, emails and roles.
+   */
+  toPublic(organization, { memberIds = true } = {}) {
+    return {
+      ...organization,
+      members: organization.members.map(member => {
+        const { id, ...visible } = this.toPublicMember(member);
+        return memberIds ? { id, ...visible } : visible;
+      })
+    };
+  }
+
+  async save(organization) {
+    const updated = { ...organization, updatedAt: new Date().toISOString() };
+    await this.storage.put(updated.id, updated);
+    return updated;
+  }
+
+  /**
+   * Add a member. Resolves to { member, token }; rejects with status 409
+   * when the email is already a member's.
+   */
+  async addMember(organization, member) {
+    if (organization.members.some(existing => existing.email === member.email)) {
+      throw httpError(`${member.email} is already a member`, 409);
+    }
+
+    const added = this.newMember(member);
+    await this.save({ ...organization, members: [...organization.members, added.member] });
+    logger.info(`Added member ${added.member.id} to organization ${organization.id}`);
+
+    return added;
+  }
+
+  /**
+   * Change a member's name, email or role. Rejects with status 409 for an
+   * email already in use and when it would leave the organization without an admin.
+   */
+  async updateMember(organization, memberId, changes) {
+    if (changes.email && organization.members.some(member => member.id !== memberId && member.email === changes.email)) {
+      throw httpError(`${changes.email} is already a member`, 409);
+    }
+
+    const members = organization.members.map(member => (member.id === memberId ? { ...member, ...changes } : member));
+    this.checkHasAdmin(members);
+
+    await this.save({ ...organization, members });
+    return this.findMember({ members }, memberId);
+  }
+
+  /**
+   * Remove a member. Rejects with status 409 when they are the last admin.
+   */
+  async removeMember(organization, memberId) {
+    const members = organization.members.filter(member => member.id !== memberId);
+    this.checkHasAdmin(members);
+
+    await this.save({ ...organization, members });
+    logger.info(`Removed member ${memberId} from organization ${organization.id}`);
+  }
+
+  checkHasAdmin(members) {
+    if (!members.some(member => member.role === 'admin')) {
+      throw httpError('An organization needs at least one admin', 409);
+    }
+  }
+}
+
+module.exports = OrganizationService;
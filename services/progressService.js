@@ -0,0 +1,245 @@
+const { getStorage } = require('./storage');
+const { parseDurationMinutes } = require('../utils/duration');
+const { parseWeeklyHours } = require('../utils/timeCommitment');
+const { logger } = require('../utils/logger');
+
+// Effort assumed for a resource whose duration is missing or can't be parsed
+const DEFAULT_RESOURCE_MINUTES = 60;
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Tracks a learner's progress through a saved learning path: completed
+ * resources and phases, time spent, and self-assessment against each
+ * phase's assessmentCriteria. Progress is stored per learning path id.
+ */
+class ProgressService {
+  constructor(storage = getStorage('progress')) {
+    this.storage = storage;
+  }
+
+  emptyProgress(learningPathId) {
+    return {
+      learningPathId,
+      createdAt: null,
+      updatedAt: null,
+      resources: {},
+      phases: {},
+      timeLog: [],
+      selfAssessment: {}
+    };
+  }
+
+  /**
+   * Stored progress for a learning path, or an empty record
+   */
+  async get(learningPathId) {
+    return (await this.storage.get(learningPathId)) || this.emptyProgress(learningPathId);
+  }
+
+  async delete(learningPathId) {
+    return this.storage.delete(learningPathId);
+  }
+
+  resourceKey(phase, url) {
+    return `${phase}:${url.trim()}`;
+  }
+
+  findPhase(learningPath, phaseNumber) {
+    return (learningPath.phases || []).find(phase => phase.phase === phaseNumber);
+  }
+
+  findCriterion(phase, criterion) {
+    const needle = criterion.trim().toLowerCase();
+    return (phase.assessmentCriteria || []).find(candidate => candidate.trim().toLowerCase() === needle);
+  }
+
+  /**
+   * Check that an update only refers to phases, resources and criteria in the path.
+   * Returns errors in the same { field, message } shape as request validation.
+   */
+  findReferenceErrors(learningPath, update) {
+    const errors = [];
+
+    const checkPhase = (field, phaseNumber) => {
+      const phase = this.findPhase(learningPath, phaseNumber);
+      if (!phase) {
+        errors.push({ field, message: `Phase ${phaseNumber} does not exist in this learning path` });
+      }
+      return phase;
+    };
+
+    (update.resources || []).forEach(({ phase: phaseNumber, url }, index) => {
+      const phase = checkPhase(`resources.${index}.phase`, phaseNumber);
+      if (phase && !(phase.resources || []).some(resource => resource.url && resource.url.trim() === url.trim())) {
+        errors.push({ field: `resources.${index}.url`, message: `Phase ${phaseNumber} has no resource with URL ${url}` });
+      }
+    });
+
+    (update.phases || []).forEach(({ phase }, index) => checkPhase(`phases.${index}.phase`, phase));
+    (update.timeSpent || []).forEach(({ phase }, index) => checkPhase(`timeSpent.${index}.phase`, phase));
+
+    (update.selfAssessment || []).forEach(({ phase: phaseNumber, criterion }, index) => {
+      const phase = checkPhase(`selfAssessment.${index}.phase`, phaseNumber);
+      if (phase && !this.findCriterion(phase, criterion)) {
+        errors.push({ field: `selfAssessment.${index}.criterion`, message: `"${criterion}" is not an assessment criterion of phase ${phaseNumber}` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Apply a validated progress update to a saved learning path's progress
+   */
+  async recordProgress(savedPath, update) {
+    const progress = await this.get(savedPath.id);
+    const now = new Date().toISOString();
+
+    for (const { phase, url, completed } of update.resources || []) {
+      const key = this.resourceKey(phase, url);
+      if (completed) {
+        progress.resources[key] = { phase, url: url.trim(), completedAt: now };
+      } else {
+        delete progress.resources[key];
+      }
+    }
+
+    for (const { phase, completed } of update.phases || []) {
+      if (completed) {
+        progress.phases[phase] = { completedAt: now };
+      } else {
+        delete progress.phases[phase];
+      }
+    }
+
+    for (const { phase, minutes, note } of update.timeSpent || []) {
+      progress.timeLog.push({ phase, minutes, note, loggedAt: now });
+    }
+
+    for (const { phase: phaseNumber, criterion, rating, notes } of update.selfAssessment || []) {
+      const canonical = this.findCriterion(this.findPhase(savedPath.learningPath, phaseNumber), criterion);
+      progress.selfAssessment[`${phaseNumber}:${canonical}`] = {
+        phase: phaseNumber,
+        criterion: canonical,
+        rating,
+        notes,
+        assessedAt: now
+      };
+    }
+
+    progress.createdAt = progress.createdAt || now;
+    progress.updatedAt = now;
+
+    await this.storage.put(savedPath.id, progress);
+    logger.info(`Recorded progress for learning path ${savedPath.id}`);
+
+    return progress;
+  }
+
+  /**
+   * Percent complete per phase, estimated remaining time against the learner's
+   * timeCommitment, and the next recommended resource
+   */
+  summarize(savedPath, progress) {
+    const phaseTimeSpent = (phaseNumber) => progress.timeLog
+      .filter(entry => entry.phase === phaseNumber)
+      .reduce((sum, entry) => sum + entry.minutes, 0);
+
+    const phases = (savedPath.learningPath.phases || []).map(phase => {
+      const markedComplete = Boolean(progress.phases[phase.phase]);
+      const resources = (phase.resources || []).map(resource => ({
+        title: resource.title,
+        url: resource.url,
+        type: resource.type,
+        priority: resource.priority,
+        duration: resource.duration,
+        completed: markedComplete || Boolean(resource.url && progress.resources[this.resourceKey(phase.phase, resource.url)])
+      }));
+
+      const completedResources = resources.filter(resource => resource.completed).length;
+      const completed = markedComplete || (resources.length > 0 && completedResources === resources.length);
+      const remainingMinutes = resources
+        .filter(resource => !resource.completed)
+        .reduce((sum, resource) => sum + (parseDurationMinutes(resource.duration) || DEFAULT_RESOURCE_MINUTES), 0);
+
+      return {
+        phase: phase.phase,
+        title: phase.title,
+        completed,
+        percentComplete: completed ? 100 : resources.length > 0 ? Math.round((completedResources / resources.length) * 100) : 0,
+        completedResources,
+        totalResources: resources.length,
+        timeSpentMinutes: phaseTimeSpent(phase.phase),
+        remainingMinutes,
+        resources,
+        selfAssessment: (phase.assessmentCriteria || []).map(criterion => {
+          const assessment = progress.selfAssessment[`${phase.phase}:${criterion}`];
+          return {
+            criterion,
+            rating: assessment ? assessment.rating : null,
+            notes: assessment ? assessment.notes : undefined,
+            assessedAt: assessment ? assessment.assessedAt : null
+          };
+        })
+      };
+    });
+
+    const totalResources = phases.reduce((sum, phase) => sum + phase.totalResources, 0);
+    const completedResources = phases.reduce((sum, phase) => sum + phase.completedResources, 0);
+    const completedPhases = phases.filter(phase => phase.completed).length;
+    const remainingMinutes = phases.reduce((sum, phase) => sum + phase.remainingMinutes, 0);
+    const weeklyHours = parseWeeklyHours(savedPath.userProfile && savedPath.userProfile.timeCommitment);
+
+    let percentComplete = 0;
+    if (totalResources > 0) {
+      percentComplete = Math.round((completedResources / totalResources) * 100);
+    } else if (phases.length > 0) {
+      percentComplete = Math.round((completedPhases / phases.length) * 100);
+    }
+
+    return {
+      learningPathId: savedPath.id,
+      updatedAt: progress.updatedAt,
+      overall: {
+        percentComplete,
+        completedPhases,
+        totalPhases: phases.length,
+        completedResources,
+        totalResources,
+        timeSpentMinutes: progress.timeLog.reduce((sum, entry) => sum + entry.minutes, 0)
+      },
+      estimatedRemaining: {
+        minutes: remainingMinutes,
+        hours: Number((remainingMinutes / 60).toFixed(1)),
+        timeCommitment: savedPath.userProfile ? savedPath.userProfile.timeCommitment : null,
+        weeklyHours,
+        weeks: weeklyHours ? Number((remainingMinutes / 60 / weeklyHours).toFixed(1)) : null
+      },
+      nextResource: this.findNextResource(phases),
+      phases
+    };
+  }
+
+  /**
+   * Highest-priority unfinished resource in the first unfinished phase
+   */
+  findNextResource(phases) {
+    for (const phase of phases) {
+      if (phase.completed) continue;
+
+      const next = phase.resources
+        .filter(resource => !resource.completed)
+        .sort((a, b) => (PRIORITY_ORDER[(a.priority || '').toLowerCase()] ?? 3) - (PRIORITY_ORDER[(b.priority || '').toLowerCase()] ?? 3))[0];
+
+      if (next) {
+        const { completed, ...resource } = next;
+        return { phase: phase.phase, phaseTitle: phase.title, ...resource };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = ProgressService;
@@ -0,0 +1,85 @@
+const ProgressService = require('./progressService');
+const MemoryStorage = require('./storage/memoryStorage');
+
+const savedPath = {
+  id: 'path-1',
+  userProfile: { timeCommitment: '3 hours per week' },
+  learningPath: {
+    title: 'OpenShift',
+    phases: [
+      {
+        phase: 1,
+        title: 'Containers',
+        resources: [
+          { title: 'Podman basics', url: 'https://example.com/podman', duration: '30 minutes', priority: 'Low' },
+          { title: 'Images', url: 'https://example.com/images', duration: '2 hours', priority: 'High' }
+        ],
+        assessmentCriteria: ['Run a container']
+      },
+      {
+        phase: 2,
+        title: 'Clusters',
+        resources: [{ title: 'DO180', url: 'https://example.com/do180', priority: 'High' }]
+      }
+    ]
+  }
+};
+
+const createService = () => new ProgressService(new MemoryStorage('progress'));
+
+describe('ProgressService', () => {
+  test('starts with empty progress', async () => {
+    const service = createService();
+    const summary = service.summarize(savedPath, await service.get(savedPath.id));
+
+    expect(summary.overall).toMatchObject({ percentComplete: 0, completedPhases: 0, totalResources: 3 });
+    expect(summary.estimatedRemaining).toMatchObject({ minutes: 210, hours: 3.5, weeklyHours: 3, weeks: 1.2 });
+    expect(summary.nextResource).toMatchObject({ phase: 1, title: 'Images' });
+  });
+
+  test('summarizes completed resources, time spent and self-assessment', async () => {
+    const service = createService();
+    await service.recordProgress(savedPath, {
+      resources: [{ phase: 1, url: ' https://example.com/images ', completed: true }],
+      timeSpent: [{ phase: 1, minutes: 90, note: 'Built two images' }],
+      selfAssessment: [{ phase: 1, criterion: 'run a container', rating: 4 }]
+    });
+
+    const summary = service.summarize(savedPath, await service.get(savedPath.id));
+
+    expect(summary.overall).toMatchObject({ percentComplete: 33, completedResources: 1, timeSpentMinutes: 90 });
+    expect(summary.phases[0]).toMatchObject({ percentComplete: 50, timeSpentMinutes: 90, remainingMinutes: 30 });
+    expect(summary.phases[0].selfAssessment).toEqual([
+      expect.objectContaining({ criterion: 'Run a container', rating: 4 })
+    ]);
+    expect(summary.nextResource).toMatchObject({ phase: 1, title: 'Podman basics' });
+  });
+
+  test('counts a phase marked complete as fully done until it is unmarked', async () => {
+    const service = createService();
+    await service.recordProgress(savedPath, { phases: [{ phase: 1, completed: true }] });
+
+    let summary = service.summarize(savedPath, await service.get(savedPath.id));
+    expect(summary.phases[0]).toMatchObject({ completed: true, percentComplete: 100, completedResources: 2 });
+    expect(summary.nextResource).toMatchObject({ phase: 2, title: 'DO180' });
+
+    await service.recordProgress(savedPath, { phases: [{ phase: 1, completed: false }] });
+    summary = service.summarize(savedPath, await service.get(savedPath.id));
+    expect(summary.phases[0].completed).toBe(false);
+  });
+
+  test('reports updates referring to phases, resources or criteria not in the path', () => {
+    const errors = createService().findReferenceErrors(savedPath.learningPath, {
+      resources: [{ phase: 1, url: 'https://example.com/missing' }, { phase: 9, url: 'https://example.com/podman' }],
+      timeSpent: [{ phase: 3, minutes: 10 }],
+      selfAssessment: [{ phase: 2, criterion: 'Anything' }]
+    });
+
+    expect(errors.map(error => error.field)).toEqual([
+      'resources.0.url',
+      'resources.1.phase',
+      'timeSpent.0.phase',
+      'selfAssessment.0.criterion'
+    ]);
+  });
+});
@@ -1,6 +1,19 @@
 const axios = require('axios');
-const cheerio = require('cheerio');
 const { logger } = require('../utils/logger');
+const { createSearchProvider, parseProviderList } = require('./searchProviders');
+const { getCache } = require('./cacheService');
+const ResourceEnrichmentService = require('./enrichmentService');
+
+// Web search first, with the local catalog as the offline fallback
+const DEFAULT_PROVIDER_CHAIN = ['duckduckgo', 'catalog'];
+
+// Content sources and the label attached to their results
+const SEARCH_SOURCES = {
+  documentation: 'Red Hat Docs',
+  training: 'Red Hat Training',
+  tv: 'Red Hat TV',
+  videos: 'Red Hat Videos'
+};
 
 class RedHatContentService {
   constructor() {
@@ -19,13 +32,77 @@ class RedHatContentService {
         'Upgrade-Insecure-Requests': '1'
       }
     });
+
+    this.cache = getCache();
+    this.searchCacheTtl = parseInt(process.env.SEARCH_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+    this.enrichmentService = new ResourceEnrichmentService({ httpClient: this.axiosInstance });
+
+    // "first" stops at the first provider with results, "merge" combines every provider
+    this.providerStrategy = process.env.SEARCH_PROVIDER_STRATEGY === 'merge' ? 'merge' : 'first';
+    this.sourceProviders = this.configureSearchProviders();
   }
- 
 
   /**
-   * Search DuckDuckGo for Red Hat documentation
+   * Build the provider chain for each source from SEARCH_PROVIDERS,
+   * overridable per source with SEARCH_PROVIDERS_DOCUMENTATION/_TRAINING/_TV/_VIDEOS
    */
-  async searchRedHatDocs(topics) {
+  configureSearchProviders() {
+    const defaultChain = parseProviderList(process.env.SEARCH_PROVIDERS);
+    const instances = new Map();
+    const sourceProviders = {};
+
+    const getProvider = (name) => {
+      if (!instances.has(name)) {
+        try {
+          instances.set(name, createSearchProvider(name, {
+            httpClient: this.axiosInstance,
+            maxResults: this.maxResults
+          }));
+        } catch (error) {
+          logger.error(`Failed to initialize search provider ${name}:`, error.message);
+          instances.set(name, null);
+        }
+      }
+      return instances.get(name);
+    };
+
+    for (const sourceKey of Object.keys(SEARCH_SOURCES)) {
+      const sourceChain = parseProviderList(process.env[`SEARCH_PROVIDERS_${sourceKey.toUpperCase()}`]);
+      const chain = sourceChain.length > 0 ? sourceChain : defaultChain.length > 0 ? defaultChain : DEFAULT_PROVIDER_CHAIN;
+
+      sourceProviders[sourceKey] = chain.map(getProvider).filter(Boolean);
+
+      if (sourceProviders[sourceKey].length === 0) {
+        logger.warn(`No working search providers configured for ${sourceKey}`);
+      }
+    }
+
+    return sourceProviders;
+  }
+
+  /**
+   * List the providers in use and which sources each one serves
+   */
+  getActiveProviders() {
+    const active = new Map();
+
+    for (const [sourceKey, providers] of Object.entries(this.sourceProviders)) {
+      for (const provider of providers) {
+        if (!active.has(provider.name)) {
+          active.set(provider.name, { name: provider.name, description: provider.description, sources: [] });
+        }
+        active.get(provider.name).sources.push(sourceKey);
+      }
+    }
+
+    return [...active.values()];
+  }
+
+
+  /**
+   * Search for Red Hat documentation
+   */
+  async searchRedHatDocs(topics, options = {}) {
     try {
       logger.info(`Searching Red Hat documentation for topics: ${topics.join(', ')}`);
       
@@ -40,20 +117,15 @@ class RedHatContentService {
           ];
           
           for (const query of queries) {
-            const results = await this.performDuckDuckGoSearch(query, 'Red Hat Docs');
+            const results = await this.performSearch(query, 'documentation', options);
             searchResults.push(...results);
           }
         } catch (error) {
           logger.error(`Error searching Red Hat docs for topic ${topic}:`, error.message);
         }
       }
-      
-      // Always ensure we have some results for documentation
-      if (searchResults.length === 0) {
-        // searchResults.push(...this.generateFallbackResults(topics.join(' '), 'Red Hat Docs'));
-      }
 
-      return this.deduplicateResults(searchResults);
+      return await this.enrichmentService.enrich(this.deduplicateResults(searchResults), options);
     } catch (error) {
       logger.error('Error searching Red Hat documentation:', error.message);
       return [];
@@ -61,9 +133,9 @@ class RedHatContentService {
   }
 
   /**
-   * Search DuckDuckGo for Red Hat training content
+   * Search for Red Hat training content
    */
-  async searchRedHatTraining(topics) {
+  async searchRedHatTraining(topics, options = {}) {
     try {
       logger.info(`Searching Red Hat training for topics: ${topics.join(', ')}`);
       
@@ -78,20 +150,15 @@ class RedHatContentService {
           ];
           
           for (const query of queries) {
-            const results = await this.performDuckDuckGoSearch(query, 'Red Hat Training');
+            const results = await this.performSearch(query, 'training', options);
             searchResults.push(...results);
           }
         } catch (error) {
           logger.error(`Error searching Red Hat training for topic ${topic}:`, error.message);
         }
       }
-      
-      // Always ensure we have some results for training
-      if (searchResults.length === 0) {
-        // searchResults.push(...this.generateFallbackResults(topics.join(' '), 'Red Hat Training'));
-      }
 
-      return this.deduplicateResults(searchResults);
+      return await this.enrichmentService.enrich(this.deduplicateResults(searchResults), options);
     } catch (error) {
       logger.error('Error searching Red Hat training:', error.message);
       return [];
@@ -99,9 +166,41 @@ class RedHatContentService {
   }
 
   /**
-   * Search DuckDuckGo for Red Hat videos (TV and YouTube)
+   * Search Red Hat TV; title, duration and description come from each video's detail page
    */
-  async searchRedHatVideos(topics) {
+  async searchRedHatTV(topics, options = {}) {
+    try {
+      logger.info(`Searching Red Hat TV for topics: ${topics.join(', ')}`);
+
+      const searchResults = [];
+
+      for (const topic of topics) {
+        try {
+          const queries = [
+            `site:tv.redhat.com "${topic}"`
+          ];
+
+          for (const query of queries) {
+            const results = await this.performSearch(query, 'tv', options);
+            searchResults.push(...results.filter(result => result.domain === 'tv.redhat.com'));
+          }
+        } catch (error) {
+          logger.error(`Error searching Red Hat TV for topic ${topic}:`, error.message);
+        }
+      }
+
+      // Red Hat TV titles in search results are often truncated, so prefer the detail page's
+      return await this.enrichmentService.enrich(this.deduplicateResults(searchResults), { ...options, preferPageTitle: true });
+    } catch (error) {
+      logger.error('Error searching Red Hat TV:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Search for other Red Hat videos (YouTube and the wider web); Red Hat TV has its own source
+   */
+  async searchRedHatVideos(topics, options = {}) {
     try {
       logger.info(`Searching Red Hat videos for topics: ${topics.join(', ')}`);
       
@@ -110,34 +209,24 @@ class RedHatContentService {
       for (const topic of topics) {
         try {
           const queries = [
-            // Red Hat TV specific searches
-            `site:tv.redhat.com "${topic}"`,
-            // `site:tv.redhat.com "${topic}" video`,
-            // `"tv.redhat.com" "${topic}"`,
             // YouTube searches
-            // `site:youtube.com "Red Hat" "${topic}" video`,
+            `site:youtube.com "Red Hat" "${topic}"`,
             // `site:youtube.com "@RedHat" "${topic}"`,
             // General video searches
-            // `"Red Hat TV" "${topic}"`,
             // `"Red Hat" "${topic}" video tutorial`,
             // `"Red Hat" "${topic}" webinar`
           ];
           
           for (const query of queries) {
-            const results = await this.performDuckDuckGoSearch(query, 'Red Hat Videos');
-            searchResults.push(...results);
+            const results = await this.performSearch(query, 'videos', options);
+            searchResults.push(...results.filter(result => result.domain !== 'tv.redhat.com'));
           }
         } catch (error) {
           logger.error(`Error searching Red Hat videos for topic ${topic}:`, error.message);
         }
       }
-      
-      // Always ensure we have some video results
-      if (searchResults.length === 0) {
-        // searchResults.push(...this.generateFallbackVideoResults(topics.join(' '), 'Red Hat Videos'));
-      }
 
-      return this.deduplicateResults(searchResults);
+      return await this.enrichmentService.enrich(this.deduplicateResults(searchResults), options);
     } catch (error) {
       logger.error('Error searching Red Hat videos:', error.message);
       return [];
@@ -145,342 +234,79 @@ class RedHatContentService {
   }
 
   /**
-   * Perform DuckDuckGo search and scrape results
+   * Run a query for a source, serving repeated queries from the cache.
+   * options.bypassCache skips the cache lookup; options.cacheStats ({ hits, misses })
+   * is updated so callers can report cache usage.
    */
-  async performDuckDuckGoSearch(query, source = 'DuckDuckGo') {
-    try {
-      logger.debug(`Performing DuckDuckGo search: "${query}"`);
-      
-      // Add delay to avoid rate limiting
-      await this.delay(Math.random() * 1000 + 500);
-      
-      // Use DuckDuckGo HTML search (better for scraping)
-      const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-      
-      const response = await this.axiosInstance.get(searchUrl, {
-        headers: {
-          ...this.axiosInstance.defaults.headers,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      const results = [];
-      
-      // Use the correct selectors for DuckDuckGo HTML version
-      const resultSelectors = [
-        '.result',
-        '.results_links',
-        '.result__body'
-      ];
-      
-      let foundResults = false;
-      
-      for (const selector of resultSelectors) {
-        if (foundResults) break;
-        
-        $(selector).each((index, element) => {
-          if (index >= this.maxResults) return false;
-          
-          const $element = $(element);
-          
-          // Extract title and URL using DuckDuckGo HTML selectors
-          let title = $element.find('.result__title a, .result-title a').first().text().trim();
-          let url = $element.find('.result__title a, .result-title a').first().attr('href');
-          let description = $element.find('.result__snippet, .snippet').first().text().trim();
-          
-          // Fallback extraction methods
-          if (!title) {
-            title = $element.find('a').first().text().trim();
-          }
-          if (!url) {
-            url = $element.find('a').first().attr('href');
-          }
-          if (!description) {
-            description = $element.text().replace(title, '').trim().substring(0, 200);
-          }
-          
-          // Clean up the URL
-          if (url) {
-            if (url.startsWith('/l/?uddg=')) {
-              try {
-                const urlParams = new URLSearchParams(url.split('?')[1]);
-                url = decodeURIComponent(urlParams.get('uddg'));
-              } catch (e) {
-                url = null;
-              }
-            } else if (url.startsWith('/')) {
-              url = `https://duckduckgo.com${url}`;
-            }
-          }
-          
-          // Only include valid Red Hat related results
-          if (title && url && this.isRedHatRelated(title, url, description)) {
-            results.push({
-              title: this.cleanTitle(title),
-              url: url,
-              description: this.cleanDescription(description),
-              type: this.determineContentType(url, title),
-              source: source,
-              searchQuery: query,
-              domain: this.extractDomain(url)
-            });
-            foundResults = true;
-          }
-        });
-      }
-      
-      // If no results found, try a fallback approach with mock data based on query
-      if (results.length === 0) {
-        logger.debug(`No results from DuckDuckGo, generating fallback results for: "${query}"`);
-        // return this.generateFallbackResults(query, source);
+  async performSearch(query, sourceKey, options = {}) {
+    const cacheKey = `${sourceKey}:${this.normalizeQuery(query)}`;
+
+    const { value: results, cache } = await this.cache.wrap(
+      'search',
+      cacheKey,
+      this.searchCacheTtl,
+      () => this.searchProviders(query, sourceKey),
+      {
+        bypass: options.bypassCache,
+        // Don't remember empty results, they're usually a transient network failure
+        shouldCache: (value) => value.length > 0
       }
-      
-      logger.debug(`Found ${results.length} results for query: "${query}"`);
-      return results;
-      
-    } catch (error) {
-      logger.error(`DuckDuckGo search failed for query "${query}":`, error.message);
-      // Return fallback results on error
-      // return this.generateFallbackResults(query, source);
+    );
+
+    if (options.cacheStats) {
+      options.cacheStats[cache.hit ? 'hits' : 'misses']++;
     }
-  }
 
-  /**
-   * Add delay for rate limiting
-   */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return results;
   }
 
   /**
-   * Generate fallback results when search fails
+   * Normalize a query so trivially different spellings share a cache entry
    */
-  generateFallbackResults(query, source) {
-    const results = [];
-    const queryLower = query.toLowerCase();
-    
-    // Generate realistic Red Hat content based on the search query
-    if (queryLower.includes('openshift')) {
-      results.push(
-        {
-          title: 'Red Hat OpenShift Documentation',
-          url: 'https://docs.redhat.com/en/documentation/openshift_container_platform',
-          description: 'Complete documentation for Red Hat OpenShift Container Platform',
-          type: 'documentation',
-          source: source,
-          searchQuery: query,
-          domain: 'docs.redhat.com'
-        },
-        {
-          title: 'Getting Started with OpenShift',
-          url: 'https://www.redhat.com/en/technologies/cloud-computing/openshift',
-          description: 'Learn about Red Hat OpenShift, the enterprise Kubernetes platform',
-          type: 'article',
-          source: source,
-          searchQuery: query,
-          domain: 'redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('ansible')) {
-      results.push(
-        {
-          title: 'Ansible Automation Platform Documentation',
-          url: 'https://docs.redhat.com/en/documentation/red_hat_ansible_automation_platform',
-          description: 'Documentation for Red Hat Ansible Automation Platform',
-          type: 'documentation',
-          source: source,
-          searchQuery: query,
-          domain: 'docs.redhat.com'
-        },
-        {
-          title: 'Red Hat Ansible Training',
-          url: 'https://www.redhat.com/en/services/training/all-courses-exams?f[0]=taxonomy_training_course_type%3A799',
-          description: 'Ansible training courses and certifications from Red Hat',
-          type: 'training',
-          source: source,
-          searchQuery: query,
-          domain: 'redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('rhel') || queryLower.includes('linux')) {
-      results.push(
-        {
-          title: 'Red Hat Enterprise Linux Documentation',
-          url: 'https://docs.redhat.com/en/documentation/red_hat_enterprise_linux',
-          description: 'Complete RHEL documentation and system administration guides',
-          type: 'documentation',
-          source: source,
-          searchQuery: query,
-          domain: 'docs.redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('training') || queryLower.includes('certification')) {
-      results.push(
-        {
-          title: 'Red Hat Training and Certification',
-          url: 'https://www.redhat.com/en/services/training',
-          description: 'Red Hat training courses and certification programs',
-          type: 'training',
-          source: source,
-          searchQuery: query,
-          domain: 'redhat.com'
-        }
-      );
-    }
-    
-    // Generic Red Hat results if no specific matches
-    if (results.length === 0) {
-      results.push(
-        {
-          title: 'Red Hat Customer Portal',
-          url: 'https://access.redhat.com/',
-          description: 'Access Red Hat documentation, support, and resources',
-          type: 'documentation',
-          source: source,
-          searchQuery: query,
-          domain: 'access.redhat.com'
-        },
-        {
-          title: 'Red Hat Developer',
-          url: 'https://developers.redhat.com/',
-          description: 'Resources and tools for Red Hat developers',
-          type: 'article',
-          source: source,
-          searchQuery: query,
-          domain: 'developers.redhat.com'
-        }
-      );
-    }
-    
-    return results.slice(0, Math.min(3, this.maxResults));
+  normalizeQuery(query) {
+    return query.toLowerCase().replace(/\s+/g, ' ').trim();
   }
 
   /**
-   * Generate fallback video results when video search fails
+   * Run a query through the provider chain configured for a source and
+   * normalize the Red Hat related hits
    */
-  generateFallbackVideoResults(query, source) {
+  async searchProviders(query, sourceKey) {
+    const providers = this.sourceProviders[sourceKey] || [];
+    const source = SEARCH_SOURCES[sourceKey];
     const results = [];
-    const queryLower = query.toLowerCase();
-    
-    // Generate realistic Red Hat TV and video content based on the search query
-    if (queryLower.includes('openshift')) {
-      results.push(
-        {
-          title: 'Navigating tomorrow: Red Hat OpenShift\'s roadmap in 2025 and beyond',
-          url: 'https://tv.redhat.com/detail/6376346795112/navigating-tomorrow-red-hat-openshifts-roadmap-in-2025-and-beyond',
-          description: 'Discover the future of Red Hat OpenShift and see how we continue to redefine container orchestration and application deployment across the hybrid cloud.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        },
-        {
-          title: 'Introduction to OpenShift Virtualization - Part 1',
-          url: 'https://tv.redhat.com/detail/6370254516112/introduction-to-openshift-virtualization-part-1',
-          description: 'Red Hat OpenShift Virtualization is an add-on component to Red Hat OpenShift that allows you to run virtualized workloads in the same infrastructure as your existing containerized workloads.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('ansible')) {
-      results.push(
-        {
-          title: 'The future of automation: Red Hat Ansible Automation Platform roadmap',
-          url: 'https://tv.redhat.com/detail/6370134335114/the-future-of-automation-red-hat-ansible-automation-platform-roadmap',
-          description: 'Explore Ansible\'s automation roadmap and discover new features coming to the Red Hat Ansible Automation Platform.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        },
-        {
-          title: 'Super-sized network orchestration with Ansible',
-          url: 'https://tv.redhat.com/detail/6370134335115/super-sized-network-orchestration-with-ansible',
-          description: 'Learn advanced network automation techniques using Red Hat Ansible for large-scale infrastructure management.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('rhel') || queryLower.includes('linux')) {
-      results.push(
-        {
-          title: 'The Red Hat Enterprise Linux 10 roadmap: Reimagining a Linux platform',
-          url: 'https://tv.redhat.com/detail/6370134335116/the-red-hat-enterprise-linux-10-roadmap-reimagining-a-linux-platform',
-          description: 'Discover RHEL 10 features and development roadmap for the next generation of enterprise Linux.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        }
-      );
-    }
-    
-    if (queryLower.includes('ai') || queryLower.includes('artificial intelligence')) {
-      results.push(
-        {
-          title: 'Red Hat AI roadmap: Our vision and strategy',
-          url: 'https://tv.redhat.com/detail/6370134335118/red-hat-ai-roadmap-our-vision-and-strategy',
-          description: 'Learn about Red Hat\'s comprehensive AI strategy and roadmap for artificial intelligence technologies.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        },
-        {
-          title: 'AI inferencing for developers and administrators',
-          url: 'https://tv.redhat.com/detail/6370134335119/ai-inferencing-for-developers-and-administrators',
-          description: 'Practical AI inferencing techniques and tools for developers and system administrators.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        }
-      );
-    }
-    
-    // Generic Red Hat TV content if no specific matches
-    if (results.length === 0) {
-      results.push(
-        {
-          title: 'Red Hat TV - Latest Videos and Webinars',
-          url: 'https://tv.redhat.com/',
-          description: 'Explore the latest Red Hat videos, webinars, and technical content on Red Hat TV.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
-        },
-        {
-          title: 'Red Hat Summit 2025: Ecosystem keynote',
-          url: 'https://tv.redhat.com/detail/6370134335120/red-hat-summit-2025-ecosystem-keynote',
-          description: 'Watch the Red Hat Summit 2025 ecosystem keynote featuring the latest innovations and partnerships.',
-          type: 'video',
-          source: source,
-          searchQuery: query,
-          domain: 'tv.redhat.com'
+
+    for (const provider of providers) {
+      try {
+        const hits = await provider.search(query, { source: sourceKey });
+        const relevant = hits
+          .filter(hit => this.isRedHatRelated(hit.title, hit.url, hit.description || ''))
+          .map(hit => ({
+            title: this.cleanTitle(hit.title),
+            url: hit.url,
+            description: this.cleanDescription(hit.description || ''),
+            type: hit.type || this.determineContentType(hit.url, hit.title),
+            source: source,
+            searchQuery: query,
+            domain: this.extractDomain(hit.url),
+            provider: provider.name,
+            ...(hit.level && { level: hit.level }),
+            ...(hit.duration && { duration: hit.duration })
+          }));
+
+        results.push(...relevant);
+
+        // In "first" mode later providers are only fallbacks
+        if (relevant.length > 0 && this.providerStrategy === 'first') {
+          break;
         }
-      );
+      } catch (error) {
+        logger.error(`${provider.name} search failed for query "${query}":`, error.message);
+      }
     }
-    
-    return results.slice(0, Math.min(3, this.maxResults));
+
+    logger.debug(`Found ${results.length} results for query: "${query}"`);
+    return results;
   }
 
   /**
@@ -586,27 +412,38 @@ class RedHatContentService {
 
   /**
    * Generate comprehensive search results for all Red Hat sources
+   * Pass options.onSourceComplete(source, results) to be notified as each source finishes;
+   * other options are passed through to performSearch
    */
-  async searchAllSources(topics) {
+  async searchAllSources(topics, options = {}) {
     try {
       logger.info(`Searching all Red Hat sources for topics: ${topics.join(', ')}`);
+
+      const notify = (source) => (results) => {
+        if (options.onSourceComplete) {
+          options.onSourceComplete(source, results);
+        }
+        return results;
+      };
       
               // Perform all searches in parallel for better performance
-        const [docsResults, trainingResults, videoResults] = await Promise.allSettled([
-          this.searchRedHatDocs(topics),
-          this.searchRedHatTraining(topics),
-          this.searchRedHatVideos(topics)
+        const [docsResults, trainingResults, tvResults, videoResults] = await Promise.allSettled([
+          this.searchRedHatDocs(topics, options).then(notify('documentation')),
+          this.searchRedHatTraining(topics, options).then(notify('training')),
+          this.searchRedHatTV(topics, options).then(notify('tv')),
+          this.searchRedHatVideos(topics, options).then(notify('videos'))
         ]);
 
 
       const documentation = docsResults.status === 'fulfilled' ? docsResults.value : [];
       const training = trainingResults.status === 'fulfilled' ? trainingResults.value : [];
+      const tv = tvResults.status === 'fulfilled' ? tvResults.value : [];
       const videos = videoResults.status === 'fulfilled' ? videoResults.value : [];
 
       // Log any failures
-      [docsResults, trainingResults, videoResults].forEach((result, index) => {
+      [docsResults, trainingResults, tvResults, videoResults].forEach((result, index) => {
         if (result.status === 'rejected') {
-          const sources = ['Documentation', 'Training', 'Videos'];
+          const sources = ['Documentation', 'Training', 'Red Hat TV', 'Videos'];
           logger.error(`Search failed for ${sources[index]}:`, result.reason);
         }
       });
@@ -615,6 +452,7 @@ class RedHatContentService {
       const allResults = [
         ...documentation,
         ...training,
+        ...tv,
         ...videos
       ];
 
@@ -625,6 +463,7 @@ class RedHatContentService {
               return {
           documentation: documentation,
           training: training,
+          tv: tv,
           videos: videos,
           all: deduplicatedResults
         };
@@ -634,6 +473,34 @@ class RedHatContentService {
     }
   }
 
+  /**
+   * Search only the given sources ('tv', 'videos', 'documentation',
+   * 'training', or 'all' for every source). Resolves to results per source
+   * searched plus the deduplicated `all`.
+   */
+  async searchSources(topics, sources = ['all'], options = {}) {
+    if (sources.includes('all')) {
+      return this.searchAllSources(topics, options);
+    }
+
+    const searches = {
+      tv: () => this.searchRedHatTV(topics, options),
+      videos: () => this.searchRedHatVideos(topics, options),
+      documentation: () => this.searchRedHatDocs(topics, options),
+      training: () => this.searchRedHatTraining(topics, options)
+    };
+
+    const searchResults = {};
+    for (const [source, search] of Object.entries(searches)) {
+      if (sources.includes(source)) {
+        searchResults[source] = await search();
+      }
+    }
+
+    searchResults.all = this.deduplicateResults(Object.values(searchResults).flat());
+    return searchResults;
+  }
+
   /**
    * Remove duplicate results based on title similarity and URL
    */
@@ -687,55 +554,19 @@ class RedHatContentService {
     }
   }
 
-  /**
-   * Extract topics from user input using enhanced keyword matching
-   */
-  extractTopics(userInput) {
-    const input = userInput.toLowerCase();
-    const topics = [];
-    
-    const topicKeywords = {
-      'openshift': ['openshift', 'kubernetes', 'k8s', 'containers', 'orchestration', 'pods', 'deployment'],
-      'ansible': ['ansible', 'automation', 'playbook', 'configuration management', 'infrastructure as code'],
-      'rhel': ['rhel', 'red hat enterprise linux', 'linux', 'system administration', 'centos', 'fedora'],
-      'ai': ['ai', 'artificial intelligence', 'machine learning', 'ml', 'data science', 'neural networks'],
-      'cloud': ['cloud', 'aws', 'azure', 'gcp', 'hybrid cloud', 'multi-cloud', 'cloud native'],
-      'security': ['security', 'selinux', 'compliance', 'vulnerability', 'cybersecurity', 'encryption'],
-      'networking': ['networking', 'network', 'tcp', 'ip', 'dns', 'firewall', 'load balancer'],
-      'storage': ['storage', 'ceph', 'gluster', 'persistent volume', 'block storage', 'object storage'],
-      'monitoring': ['monitoring', 'prometheus', 'grafana', 'observability', 'metrics', 'alerting'],
-      'devops': ['devops', 'ci/cd', 'pipeline', 'deployment', 'continuous integration', 'gitops'],
-      'virtualization': ['virtualization', 'vm', 'virtual machine', 'hypervisor', 'kvm', 'qemu'],
-      'middleware': ['middleware', 'jboss', 'wildfly', 'apache', 'tomcat', 'application server']
-    };
-
-    // Find matching topics
-    for (const [topic, keywords] of Object.entries(topicKeywords)) {
-      if (keywords.some(keyword => input.includes(keyword))) {
-        topics.push(topic);
-      }
-    }
-
-    // If no specific topics found, extract potential topics from the input
-    if (topics.length === 0) {
-      const words = input.split(/\s+/)
-        .filter(word => word.length > 3)
-        .filter(word => !['want', 'learn', 'need', 'help', 'with', 'about', 'from', 'that', 'this', 'they', 'have', 'will', 'been'].includes(word));
-      
-      topics.push(...words.slice(0, 3)); // Take first 3 meaningful words
-    }
-
-    return [...new Set(topics)]; // Remove duplicates
-  }
-
   /**
    * Get search capabilities and status
    */
   getSearchCapabilities() {
     return {
-      searchEngine: 'DuckDuckGo',
+      providers: this.getActiveProviders(),
+      providerStrategy: this.providerStrategy,
+      sourceProviders: Object.fromEntries(
+        Object.entries(this.sourceProviders).map(([sourceKey, providers]) => [sourceKey, providers.map(provider => provider.name)])
+      ),
       maxResults: this.maxResults,
       searchTimeout: this.searchTimeout,
+      enrichment: this.enrichmentService.getCapabilities(),
       supportedSources: ['Red Hat TV', 'Documentation', 'Training', 'Videos'],
       supportedTypes: ['video', 'documentation', 'training', 'article', 'pdf'],
       redHatDomains: [
@@ -0,0 +1,124 @@
+const RedHatContentService = require('./redhatContentService');
+const { registerSearchProvider } = require('./searchProviders');
+
+// Search providers whose hits are set per test
+const hits = {};
+const createTestProvider = (name) => class {
+  constructor() {
+    this.name = name;
+    this.description = `Test provider ${name}`;
+  }
+
+  async search(query, { source }) {
+    const result = hits[name];
+    if (result instanceof Error) throw result;
+    return (result || []).map(hit => ({ ...hit, url: hit.url || `https://www.redhat.com/${name}/${source}` }));
+  }
+};
+
+['first-web', 'second-web'].forEach(name => registerSearchProvider(name, createTestProvider(name)));
+
+const withEnv = (values, fn) => {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+const createService = (env = {}) => withEnv({ SEARCH_PROVIDERS: 'first-web,second-web', ...env }, () => new RedHatContentService());
+
+beforeEach(() => {
+  Object.keys(hits).forEach(name => delete hits[name]);
+});
+
+describe('RedHatContentService search providers', () => {
+  test('configures the provider chain per source', () => {
+    const service = createService({ SEARCH_PROVIDERS_TRAINING: 'second-web' });
+
+    expect(service.getSearchCapabilities().sourceProviders).toMatchObject({
+      documentation: ['first-web', 'second-web'],
+      training: ['second-web']
+    });
+  });
+
+  test('only falls back to later providers when earlier ones find nothing', async () => {
+    const service = createService();
+    hits['first-web'] = [{ title: 'OpenShift networking' }];
+    hits['second-web'] = [{ title: 'OpenShift storage' }];
+
+    const results = await service.searchProviders('openshift', 'documentation');
+    expect(results.map(result => result.provider)).toEqual(['first-web']);
+
+    hits['first-web'] = new Error('rate limited');
+    const fallback = await service.searchProviders('openshift', 'documentation');
+    expect(fallback.map(result => result.provider)).toEqual(['second-web']);
+  });
+
+  test('combines every provider in merge mode', async () => {
+    const service = createService({ SEARCH_PROVIDER_STRATEGY: 'merge' });
+    hits['first-web'] = [{ title: 'OpenShift networking' }];
+    hits['second-web'] = [{ title: 'OpenShift storage' }];
+
+    const results = await service.searchProviders('openshift', 'training');
+    expect(results.map(result => result.provider)).toEqual(['first-web', 'second-web']);
+  });
+
+  test('keeps Red Hat related hits and labels them with their source', async () => {
+    const service = createService();
+    hits['first-web'] = [
+      { title: 'Cooking pasta', url: 'https://example.com/pasta', description: 'Dinner ideas' },
+      { title: 'Getting started with Ansible', url: 'https://docs.ansible.com/intro.html', description: '...Automate everything...' }
+    ];
+
+    const [result, ...rest] = await service.searchProviders('"Red Hat" "ansible" documentation', 'documentation');
+    expect(rest).toEqual([]);
+    expect(result).toMatchObject({
+      title: 'Getting started with Ansible',
+      description: 'Automate everything',
+      type: 'documentation',
+      source: 'Red Hat Docs',
+      domain: 'docs.ansible.com',
+      provider: 'first-web'
+    });
+  });
+});
+
+describe('RedHatContentService Red Hat TV source', () => {
+  const videoHits = [
+    { title: 'OpenShift in 10 minutes', url: 'https://tv.redhat.com/en/watch/openshift-in-10' },
+    { title: 'Red Hat OpenShift demo', url: 'https://www.youtube.com/watch?v=abc123', description: 'A Red Hat demo' }
+  ];
+
+  test('keeps Red Hat TV hits for the tv source and the rest for videos', async () => {
+    const service = createService();
+    hits['first-web'] = videoHits;
+
+    const { tv, videos, all, documentation } = await service.searchSources(['openshift'], ['tv', 'videos'], { bypassCache: true });
+
+    expect(tv).toEqual([expect.objectContaining({ url: videoHits[0].url, source: 'Red Hat TV', type: 'video', domain: 'tv.redhat.com' })]);
+    expect(videos).toEqual([expect.objectContaining({ url: videoHits[1].url, source: 'Red Hat Videos', type: 'video' })]);
+    expect(all).toHaveLength(2);
+    expect(documentation).toBeUndefined();
+  });
+
+  test('searches every source, including Red Hat TV, for "all"', async () => {
+    const service = createService();
+    hits['first-web'] = videoHits;
+    const completed = [];
+
+    const results = await service.searchSources(['openshift'], ['all'], {
+      bypassCache: true,
+      onSourceComplete: (source) => completed.push(source)
+    });
+
+    expect(Object.keys(results).sort()).toEqual(['all', 'documentation', 'training', 'tv', 'videos']);
+    expect(completed.sort()).toEqual(['documentation', 'training', 'tv', 'videos']);
+    expect(results.tv.map(result => result.url)).toEqual([videoHits[0].url]);
+  });
+});
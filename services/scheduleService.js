@@ -0,0 +1,318 @@
+const { parseDurationMinutes, parseDurationWeeks } = require('../utils/duration');
+const { DEFAULT_WEEKLY_HOURS, parseTimeCommitment } = require('../utils/timeCommitment');
+
+const DEFAULT_RESOURCE_MINUTES = 60;
+const DEFAULT_ACTIVITY_MINUTES = 60;
+const DEFAULT_LAB_MINUTES = 90;
+// Keeps a tiny budget ("5 minutes a month") from stretching the schedule over decades
+const MIN_WEEKLY_HOURS = 0.5;
+// Hours per study day assumed when the time commitment doesn't say how many days
+const DEFAULT_SESSION_HOURS = 2;
+// Longest span a phase's estimatedTime may stretch it over
+const MAX_PHASE_WEEKS = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after the start of each week that study days fall on, by study days per week
+const STUDY_DAYS = {
+  1: [0],
+  2: [0, 3],
+  3: [0, 2, 4],
+  4: [0, 1, 3, 4],
+  5: [0, 1, 2, 3, 4],
+  6: [0, 1, 2, 3, 4, 5],
+  7: [0, 1, 2, 3, 4, 5, 6]
+};
+const WEEKEND_DAYS = [5, 6];
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + (days * DAY_MS));
+
+/**
+ * Turns a learning path and the learner's time commitment into a week-by-week
+ * study schedule with a projected completion date
+ */
+class ScheduleService {
+  /**
+   * Weekly hours budget parsed from timeCommitment. Falls back to
+   * DEFAULT_WEEKLY_HOURS, flagged as assumed, when the text has no hours.
+   */
+  getBudget(timeCommitment) {
+    const budget = parseTimeCommitment(timeCommitment);
+
+    return {
+      timeCommitment: timeCommitment || null,
+      ...(budget || {
+        weeklyHours: DEFAULT_WEEKLY_HOURS,
+        minWeeklyHours: DEFAULT_WEEKLY_HOURS,
+        maxWeeklyHours: DEFAULT_WEEKLY_HOURS,
+        daysPerWeek: null,
+        hoursPerDay: null,
+        includesWeekends: null
+      }),
+      assumed: !budget
+    };
+  }
+
+  /**
+   * Days after the start of each week the learner studies on: the weekend
+   * for "weekends", otherwise the first days of the week for the study days
+   * in the budget, or one day per two hours (up to five) when it doesn't say
+   */
+  studyDays(budget) {
+    if (budget.daysPerWeek === 2 && budget.includesWeekends) {
+      return WEEKEND_DAYS;
+    }
+
+    return STUDY_DAYS[budget.daysPerWeek || Math.min(5, Math.max(1, Math.round(budget.weeklyHours / DEFAULT_SESSION_HOURS)))];
+  }
+
+  /**
+   * Spread every phase's resources, practice activities and labs, in order,
+   * over calendar weeks of weeklyHours each starting at startDate. Resources
+   * and labs take their duration (60 and 90 minutes when it's missing) and
+   * activities 60 minutes; anything that doesn't fit in a week carries over
+   * into the next. A phase whose estimatedTime is a span of weeks starts on a
+   * new week and is spread evenly over that many weeks, or more when its work
+   * needs longer at weeklyHours. Each week's hours are shared equally by its study days,
+   * which gives the dated sessions the phase dates, the projected completion
+   * date and the calendar export are built from.
+   */
+  buildSchedule(learningPath, timeCommitment, { startDate = this.nextMonday() } = {}) {
+    const budget = this.getBudget(timeCommitment);
+    const weeklyMinutes = Math.round(Math.max(MIN_WEEKLY_HOURS, budget.weeklyHours) * 60);
+    const studyDays = this.studyDays(budget);
+    const phases = learningPath.phases || [];
+
+    const weeks = [];
+    const phaseSpans = [];
+    let week = null;
+
+    const nextWeek = () => {
+      const index = weeks.length;
+      week = {
+        week: index + 1,
+        startDate: toDateString(addDays(startDate, index * 7)),
+        endDate: toDateString(addDays(startDate, (index * 7) + 6)),
+        minutes: 0,
+        phases: [],
+        items: [],
+        // Where each phase's minutes fall in the week, for splitting it into sessions
+        placements: []
+      };
+      weeks.push(week);
+    };
+
+    nextWeek();
+
+    for (const phase of phases) {
+      const span = { phase: phase.phase, title: phase.title, startWeek: null, minutes: 0 };
+      const items = this.phaseItems(phase);
+      const pace = this.phasePace(phase, items, weeklyMinutes);
+      // The phase's minutes in the current week, while it is paced
+      let paceWeek = null;
+      let paceMinutes = 0;
+
+      if (pace && week.minutes > 0) {
+        nextWeek();
+      }
+
+      for (const item of items) {
+        let remaining = item.minutes;
+        let continued = false;
+        span.minutes += item.minutes;
+
+        while (remaining > 0) {
+          if (paceWeek !== week) {
+            paceWeek = week;
+            paceMinutes = 0;
+          }
+          if (week.minutes >= weeklyMinutes || (pace !== null && paceMinutes >= pace - 1e-6)) {
+            nextWeek();
+            paceWeek = week;
+            paceMinutes = 0;
+          }
+
+          span.startWeek = span.startWeek || week.week;
+          const minutes = Math.min(remaining, weeklyMinutes - week.minutes, pace === null ? Infinity : pace - paceMinutes);
+          paceMinutes += minutes;
+          week.placements.push({ phase: phase.phase, from: week.minutes, to: week.minutes + minutes });
+          week.minutes += minutes;
+          week.items.push({ ...item, minutes: Math.round(minutes), ...(continued && { continued: true }) });
+          if (!week.phases.includes(phase.phase)) {
+            week.phases.push(phase.phase);
+          }
+
+          remaining -= minutes;
+          continued = true;
+        }
+      }
+
+      phaseSpans.push({ ...span, startWeek: span.startWeek || week.week, endWeek: week.week });
+    }
+
+    for (const entry of weeks) {
+      entry.sessions = this.weekSessions(entry, studyDays, weeklyMinutes);
+    }
+
+    const totalMinutes = weeks.reduce((sum, entry) => sum + entry.minutes, 0);
+    const lastWeek = weeks[weeks.length - 1];
+    const totalWeeks = Number(((weeks.length - 1) + (lastWeek.minutes / weeklyMinutes)).toFixed(1));
+    const sessions = weeks.flatMap(entry => entry.sessions);
+    const phaseSessions = (number) => sessions.filter(session => session.phase === number);
+
+    const phaseDates = phaseSpans.map(span => {
+      const own = phaseSessions(span.phase);
+      // A phase with nothing to study starts and ends where the schedule stands
+      return own.length > 0
+        ? { startDate: own[0].date, endDate: own[own.length - 1].date }
+        : { startDate: weeks[span.endWeek - 1].startDate, endDate: weeks[span.endWeek - 1].startDate };
+    });
+
+    return {
+      startDate: toDateString(startDate),
+      projectedCompletionDate: phaseDates.length > 0
+        ? phaseDates.map(dates => dates.endDate).sort().pop()
+        : toDateString(startDate),
+      budget,
+      studyDaysPerWeek: studyDays.length,
+      totalHours: Number((totalMinutes / 60).toFixed(1)),
+      totalWeeks,
+      estimatedTimeCheck: this.checkEstimatedTime(learningPath.totalEstimatedTime, totalWeeks, budget.weeklyHours),
+      phases: phaseSpans.map(({ minutes, ...span }, index) => ({
+        ...span,
+        ...phaseDates[index],
+        hours: Number((minutes / 60).toFixed(1))
+      })),
+      weeks: weeks.map(({ minutes, placements, ...entry }) => ({ ...entry, hours: Number((minutes / 60).toFixed(1)) }))
+    };
+  }
+
+  /**
+   * Minutes per week a phase is studied at to span the weeks of its
+   * estimatedTime ("3 weeks", "1 month"), never more than weeklyMinutes.
+   * Null when estimatedTime isn't a span of weeks, so the phase just fills
+   * the weekly hours.
+   */
+  phasePace(phase, items, weeklyMinutes) {
+    const weeks = parseDurationWeeks(phase.estimatedTime);
+    if (!weeks) {
+      return null;
+    }
+
+    const minutes = items.reduce((sum, item) => sum + item.minutes, 0);
+    return Math.min(weeklyMinutes, minutes / Math.min(MAX_PHASE_WEEKS, Math.max(1, Math.round(weeks))));
+  }
+
+  /**
+   * Split a week's study time into sessions on its study days, each day
+   * taking an equal share of the weekly minutes in order. A day covering the
+   * end of one phase and the start of the next has a session for each.
+   * Returns [{ date, phase, minutes }].
+   */
+  weekSessions(week, studyDays, weeklyMinutes) {
+    const dayMinutes = weeklyMinutes / studyDays.length;
+    const weekStart = new Date(`${week.startDate}T00:00:00Z`);
+    const sessions = [];
+
+    studyDays.forEach((day, index) => {
+      const from = index * dayMinutes;
+      const to = (index + 1) * dayMinutes;
+
+      for (const placement of week.placements) {
+        const minutes = Math.round(Math.min(to, placement.to) - Math.max(from, placement.from));
+        if (minutes < 1) continue;
+
+        const date = toDateString(addDays(weekStart, day));
+        const previous = sessions[sessions.length - 1];
+        if (previous && previous.date === date && previous.phase === placement.phase) {
+          previous.minutes += minutes;
+        } else {
+          sessions.push({ date, phase: placement.phase, minutes });
+        }
+      }
+    });
+
+    return sessions;
+  }
+
+  /**
+   * A phase's resources followed by its practice activities and labs, with the minutes each takes
+   */
+  phaseItems(phase) {
+    return [
+      ...(phase.resources || []).map(resource => ({
+        phase: phase.phase,
+        type: 'resource',
+        title: resource.title,
+        url: resource.url,
+        minutes: parseDurationMinutes(resource.duration) || DEFAULT_RESOURCE_MINUTES
+      })),
+      ...(phase.practiceActivities || []).map(activity => ({
+        phase: phase.phase,
+        type: 'practice',
+        title: activity,
+        minutes: DEFAULT_ACTIVITY_MINUTES
+      })),
+      ...(phase.labs || []).map(lab => ({
+        phase: phase.phase,
+        type: 'lab',
+        title: lab.title,
+        minutes: parseDurationMinutes(lab.estimatedTime) || DEFAULT_LAB_MINUTES
+      }))
+    ];
+  }
+
+  /**
+   * Compare the scheduled weeks with the path's totalEstimatedTime. Within a
+   * week or a quarter of the estimate (whichever is larger) counts as consistent.
+   */
+  checkEstimatedTime(totalEstimatedTime, scheduledWeeks, weeklyHours) {
+    let estimatedWeeks = parseDurationWeeks(totalEstimatedTime);
+    if (estimatedWeeks === null) {
+      const estimatedMinutes = parseDurationMinutes(totalEstimatedTime);
+      estimatedWeeks = estimatedMinutes === null ? null : estimatedMinutes / 60 / weeklyHours;
+    }
+
+    if (estimatedWeeks === null) {
+      return {
+        totalEstimatedTime: totalEstimatedTime || null,
+        estimatedWeeks: null,
+        scheduledWeeks,
+        status: 'unknown',
+        message: 'The learning path has no estimated time to check the schedule against'
+      };
+    }
+
+    const differenceWeeks = Number((scheduledWeeks - estimatedWeeks).toFixed(1));
+    let status = 'consistent';
+    if (Math.abs(differenceWeeks) > Math.max(1, estimatedWeeks * 0.25)) {
+      status = differenceWeeks > 0 ? 'longer' : 'shorter';
+    }
+
+    const messages = {
+      consistent: `The schedule matches the estimated ${totalEstimatedTime}`,
+      longer: `The schedule needs ${differenceWeeks} more weeks than the estimated ${totalEstimatedTime} at ${weeklyHours} hours per week`,
+      shorter: `The schedule needs ${Math.abs(differenceWeeks)} fewer weeks than the estimated ${totalEstimatedTime}; the estimate may include time not covered by listed resources and activities`
+    };
+
+    return {
+      totalEstimatedTime,
+      estimatedWeeks: Number(estimatedWeeks.toFixed(1)),
+      scheduledWeeks,
+      differenceWeeks,
+      status,
+      message: messages[status]
+    };
+  }
+
+  /**
+   * The Monday after the given day (a week today when it is a Monday), at midnight UTC
+   */
+  nextMonday(from = new Date()) {
+    const today = new Date(Date.UTC(from.getFullYear(), from.getMonth(), from.getDate()));
+    const daysUntilMonday = ((8 - today.getUTCDay()) % 7) || 7;
+    return addDays(today, daysUntilMonday);
+  }
+}
+
+module.exports = ScheduleService;
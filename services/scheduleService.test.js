@@ -0,0 +1,91 @@
+const ScheduleService = require('./scheduleService');
+const ExportService = require('./exportService');
+
+const resource = (title, duration) => ({ title, url: `https://docs.redhat.com/${title}`, type: 'documentation', duration });
+
+const learningPath = {
+  title: 'OpenShift Basics',
+  totalEstimatedTime: '3 weeks',
+  phases: [
+    { phase: 1, title: 'Containers', resources: [resource('images', '3 hours'), resource('registries', '3 hours')] },
+    { phase: 2, title: 'Deployments', resources: [resource('pods', '2 hours'), resource('routes', '4 hours')] }
+  ]
+};
+
+const startDate = new Date('2026-11-02T00:00:00Z');
+const scheduleService = new ScheduleService();
+
+describe('ScheduleService.buildSchedule', () => {
+  test('ends the schedule on the last day of the last phase', () => {
+    const schedule = scheduleService.buildSchedule(learningPath, '4-6 hours per week', { startDate });
+    const phaseEnds = schedule.phases.map(phase => phase.endDate);
+
+    expect(schedule.projectedCompletionDate).toBe(phaseEnds[phaseEnds.length - 1]);
+    phaseEnds.forEach(endDate => expect(endDate <= schedule.projectedCompletionDate).toBe(true));
+  });
+
+  test('dates phases by their sessions, sharing each week between its study days', () => {
+    const schedule = scheduleService.buildSchedule(learningPath, '4-6 hours per week', { startDate });
+
+    expect(schedule.studyDaysPerWeek).toBe(3);
+    expect(schedule.weeks[0].sessions).toEqual([
+      { date: '2026-11-02', phase: 1, minutes: 100 },
+      { date: '2026-11-04', phase: 1, minutes: 100 },
+      { date: '2026-11-06', phase: 1, minutes: 100 }
+    ]);
+    expect(schedule.phases[0]).toMatchObject({ startDate: '2026-11-02', endDate: '2026-11-09' });
+    expect(schedule.phases[1]).toMatchObject({ startDate: '2026-11-09', endDate: '2026-11-18' });
+    expect(schedule.projectedCompletionDate).toBe('2026-11-18');
+  });
+
+  test('keeps weekend-only study on Saturdays and Sundays', () => {
+    const schedule = scheduleService.buildSchedule(learningPath, '3 hours on weekends', { startDate });
+    const days = schedule.weeks.flatMap(week => week.sessions).map(session => new Date(`${session.date}T00:00:00Z`).getUTCDay());
+
+    expect(schedule.studyDaysPerWeek).toBe(2);
+    expect(new Set(days)).toEqual(new Set([0, 6]));
+  });
+
+  test('keeps weekday study off weekends', () => {
+    const schedule = scheduleService.buildSchedule(learningPath, '1 hour every day except weekends', { startDate });
+    const days = schedule.weeks.flatMap(week => week.sessions).map(session => new Date(`${session.date}T00:00:00Z`).getUTCDay());
+
+    expect(schedule.studyDaysPerWeek).toBe(5);
+    expect(days.every(day => day >= 1 && day <= 5)).toBe(true);
+  });
+
+  test('spans a phase over the weeks of its estimatedTime, or longer when its work needs it', () => {
+    const paced = {
+      phases: [
+        { ...learningPath.phases[0], estimatedTime: '1 month' },
+        { ...learningPath.phases[1], estimatedTime: '1 week' }
+      ]
+    };
+    const schedule = scheduleService.buildSchedule(paced, '4-6 hours per week', { startDate });
+
+    expect(schedule.phases[0]).toMatchObject({ startWeek: 1, endWeek: 4 });
+    // Six hours of work don't fit in one week of five
+    expect(schedule.phases[1]).toMatchObject({ startWeek: 5, endWeek: 6 });
+    expect(schedule.weeks[0].hours).toBe(1.5);
+  });
+
+  test('starts and completes on the start date for a path without phases', () => {
+    const schedule = scheduleService.buildSchedule({ phases: [] }, '5 hours per week', { startDate });
+
+    expect(schedule.projectedCompletionDate).toBe('2026-11-02');
+  });
+});
+
+describe('ScheduleService and the calendar export', () => {
+  test('put sessions on the same days', () => {
+    const savedPath = { id: 'path-1', userProfile: { timeCommitment: '4-6 hours per week' }, learningPath };
+    const schedule = scheduleService.buildSchedule(learningPath, '4-6 hours per week', { startDate });
+    const { body } = new ExportService(scheduleService).export(savedPath, 'ics', { start: startDate, time: '18:00' });
+
+    const eventDays = [...body.matchAll(/^DTSTART:(\d{8})T/gm)].map(match => match[1]);
+    const sessionDays = schedule.weeks.flatMap(week => week.sessions).map(session => session.date.replace(/-/g, ''));
+
+    expect(eventDays).toEqual(sessionDays);
+    expect(eventDays[eventDays.length - 1]).toBe(schedule.projectedCompletionDate.replace(/-/g, ''));
+  });
+});
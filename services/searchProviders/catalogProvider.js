@@ -0,0 +1,44 @@
+const { getContentCatalog } = require('../contentCatalog');
+
+// Catalog content types that belong to each search source
+const SOURCE_TYPES = {
+  documentation: ['documentation', 'article', 'pdf'],
+  training: ['training', 'certification'],
+  tv: ['video'],
+  videos: ['video']
+};
+
+/**
+ * Searches the local content catalog, so results are available offline
+ */
+class CatalogProvider {
+  constructor({ maxResults = 15, catalog = getContentCatalog() } = {}) {
+    this.name = 'catalog';
+    this.description = `Local content catalog in ${catalog.directory}`;
+    this.maxResults = maxResults;
+    this.catalog = catalog;
+  }
+
+  /**
+   * Search the catalog, keeping to the content types of the requesting source
+   */
+  async search(query, { source } = {}) {
+    const searchQuery = query.replace(/site:\S+/g, ' ');
+    const entries = await this.catalog.search(searchQuery, {
+      limit: this.maxResults,
+      types: SOURCE_TYPES[source]
+    });
+
+    return entries.map(entry => ({
+      title: entry.title,
+      url: entry.url,
+      description: entry.description || '',
+      type: entry.type,
+      level: entry.level,
+      duration: entry.duration,
+      topics: entry.topics
+    }));
+  }
+}
+
+module.exports = CatalogProvider;
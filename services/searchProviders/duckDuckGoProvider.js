@@ -0,0 +1,113 @@
+const cheerio = require('cheerio');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Scrapes the DuckDuckGo HTML endpoint
+ */
+class DuckDuckGoProvider {
+  constructor({ httpClient, maxResults = 15, minDelayMs = 500, maxJitterMs = 1000 } = {}) {
+    this.name = 'duckduckgo';
+    this.description = 'DuckDuckGo HTML search scraping';
+    this.httpClient = httpClient;
+    this.maxResults = maxResults;
+    this.minDelayMs = minDelayMs;
+    this.maxJitterMs = maxJitterMs;
+  }
+
+  /**
+   * Search DuckDuckGo and return { title, url, description } hits
+   */
+  async search(query) {
+    logger.debug(`Performing DuckDuckGo search: "${query}"`);
+
+    // Add delay to avoid rate limiting
+    await this.delay(Math.random() * this.maxJitterMs + this.minDelayMs);
+
+    // Use DuckDuckGo HTML search (better for scraping)
+    const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
+
+    const response = await this.httpClient.get(searchUrl, {
+      headers: {
+        ...this.httpClient.defaults.headers,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache'
+      }
+    });
+
+    const $ = cheerio.load(response.data);
+    const results = [];
+
+    // Use the correct selectors for DuckDuckGo HTML version
+    const resultSelectors = [
+      '.result',
+      '.results_links',
+      '.result__body'
+    ];
+
+    for (const selector of resultSelectors) {
+      if (results.length > 0) break;
+
+      $(selector).each((index, element) => {
+        if (index >= this.maxResults) return false;
+
+        const $element = $(element);
+
+        // Extract title and URL using DuckDuckGo HTML selectors
+        let title = $element.find('.result__title a, .result-title a').first().text().trim();
+        let url = $element.find('.result__title a, .result-title a').first().attr('href');
+        let description = $element.find('.result__snippet, .snippet').first().text().trim();
+
+        // Fallback extraction methods
+        if (!title) {
+          title = $element.find('a').first().text().trim();
+        }
+        if (!url) {
+          url = $element.find('a').first().attr('href');
+        }
+        if (!description) {
+          description = $element.text().replace(title, '').trim().substring(0, 200);
+        }
+
+        url = this.cleanUrl(url);
+
+        if (title && url) {
+          results.push({ title, url, description });
+        }
+      });
+    }
+
+    logger.debug(`DuckDuckGo returned ${results.length} results for query: "${query}"`);
+    return results;
+  }
+
+  /**
+   * Resolve DuckDuckGo redirect links to the target URL
+   */
+  cleanUrl(url) {
+    if (!url) return null;
+
+    if (url.startsWith('/l/?uddg=')) {
+      try {
+        const urlParams = new URLSearchParams(url.split('?')[1]);
+        return decodeURIComponent(urlParams.get('uddg'));
+      } catch (e) {
+        return null;
+      }
+    } else if (url.startsWith('/')) {
+      return `https://duckduckgo.com${url}`;
+    }
+
+    return url;
+  }
+
+  /**
+   * Add delay for rate limiting
+   */
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = DuckDuckGoProvider;
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serves results from a JSON fixture file, for tests and offline demos.
+ * The file holds an array of { title, url, description, keywords } entries;
+ * an entry matches when any query term appears in its text or keywords.
+ */
+class FixtureProvider {
+  constructor({ maxResults = 15, fixturePath = process.env.SEARCH_FIXTURES_PATH } = {}) {
+    if (!fixturePath) {
+      throw new Error('SEARCH_FIXTURES_PATH must be set to use the fixture search provider');
+    }
+
+    this.name = 'fixture';
+    this.description = `Fixture results from ${fixturePath}`;
+    this.maxResults = maxResults;
+    this.entries = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  }
+
+  /**
+   * Return fixture entries matching the query terms
+   */
+  async search(query) {
+    const terms = query
+      .toLowerCase()
+      .replace(/site:\S+/g, ' ')
+      .replace(/["']/g, ' ')
+      .split(/\s+/)
+      .filter(term => term.length > 2 && !['red', 'hat'].includes(term));
+
+    return this.entries
+      .filter(entry => {
+        const text = `${entry.title} ${entry.description || ''} ${(entry.keywords || []).join(' ')}`.toLowerCase();
+        return terms.some(term => text.includes(term));
+      })
+      .slice(0, this.maxResults)
+      .map(({ title, url, description }) => ({ title, url, description: description || '' }));
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,46 @@
+const DuckDuckGoProvider = require('./duckDuckGoProvider');
+const SearxngProvider = require('./searxngProvider');
+const FixtureProvider = require('./fixtureProvider');
+const CatalogProvider = require('./catalogProvider');
+
+const providers = {
+  duckduckgo: DuckDuckGoProvider,
+  searxng: SearxngProvider,
+  fixture: FixtureProvider,
+  catalog: CatalogProvider
+};
+
+/**
+ * Register a search provider class. Providers expose a `name`, a `description`
+ * and `search(query, { source })` resolving to an array of { title, url, description }
+ * hits, optionally with `type`, `level` and `duration`.
+ */
+const registerSearchProvider = (name, Provider) => {
+  providers[name] = Provider;
+};
+
+/**
+ * Instantiate a registered search provider by name
+ */
+const createSearchProvider = (name, options = {}) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown search provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+/**
+ * Parse a comma-separated provider list such as "searxng,duckduckgo"
+ */
+const parseProviderList = (value) => (value || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  registerSearchProvider,
+  createSearchProvider,
+  parseProviderList,
+  availableSearchProviders: () => Object.keys(providers)
+};
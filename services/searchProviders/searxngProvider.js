@@ -0,0 +1,44 @@
+const { logger } = require('../../utils/logger');
+
+/**
+ * Queries a SearXNG instance through its JSON API
+ */
+class SearxngProvider {
+  constructor({ httpClient, maxResults = 15, baseUrl = process.env.SEARXNG_URL } = {}) {
+    if (!baseUrl) {
+      throw new Error('SEARXNG_URL must be set to use the searxng search provider');
+    }
+
+    this.name = 'searxng';
+    this.description = `SearXNG metasearch at ${baseUrl}`;
+    this.httpClient = httpClient;
+    this.maxResults = maxResults;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Search SearXNG and return { title, url, description } hits
+   */
+  async search(query) {
+    logger.debug(`Performing SearXNG search: "${query}"`);
+
+    const response = await this.httpClient.get(`${this.baseUrl}/search`, {
+      params: { q: query, format: 'json' },
+      headers: { 'Accept': 'application/json' }
+    });
+
+    const results = (response.data.results || [])
+      .slice(0, this.maxResults)
+      .filter(result => result.title && result.url)
+      .map(result => ({
+        title: result.title,
+        url: result.url,
+        description: result.content || ''
+      }));
+
+    logger.debug(`SearXNG returned ${results.length} results for query: "${query}"`);
+    return results;
+  }
+}
+
+module.exports = SearxngProvider;
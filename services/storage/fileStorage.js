@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Stores each record as a JSON file in a per-collection directory
+ */
+class FileStorage {
+  constructor(collection, options = {}) {
+    this.collection = collection;
+    this.directory = path.resolve(options.directory || 'data', collection);
+  }
+
+  /**
+   * Resolve the file path for a record, rejecting ids that could escape the directory
+   */
+  filePath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid record id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      const contents = await fs.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put(id, record) {
+    const filePath = this.filePath(id);
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temp file first so readers never see a half-written record;
+    // each write gets its own, so concurrent puts of one id don't clobber it
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return record;
+  }
+
+  async delete(id) {
+    if (!ID_PATTERN.test(id)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const contents = await fs.readFile(path.join(this.directory, file), 'utf8');
+        records.push(JSON.parse(contents));
+      } catch (error) {
+        logger.warn(`Skipping unreadable ${this.collection} record ${file}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+}
+
+module.exports = FileStorage;
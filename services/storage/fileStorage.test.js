@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('./fileStorage');
+
+let directory;
+let storage;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-storage-'));
+  storage = new FileStorage('records', { directory });
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('FileStorage', () => {
+  test('reads back what it stores and lists every record', async () => {
+    await storage.put('a', { id: 'a', value: 1 });
+    await storage.put('b', { id: 'b', value: 2 });
+
+    expect(await storage.get('a')).toEqual({ id: 'a', value: 1 });
+    expect(await storage.get('missing')).toBeNull();
+    expect((await storage.list()).map(record => record.id).sort()).toEqual(['a', 'b']);
+
+    expect(await storage.delete('a')).toBe(true);
+    expect(await storage.delete('a')).toBe(false);
+    expect(await storage.get('a')).toBeNull();
+  });
+
+  test('rejects ids that could escape its directory', async () => {
+    await expect(storage.put('../outside', {})).rejects.toThrow('Invalid record id');
+    expect(await storage.get('../outside')).toBeNull();
+    expect(await storage.delete('../outside')).toBe(false);
+  });
+
+  test('keeps one whole record when the same id is written concurrently', async () => {
+    const writes = Array.from({ length: 10 }, (_, value) => storage.put('shared', { id: 'shared', value }));
+    await Promise.all(writes);
+
+    const record = await storage.get('shared');
+    expect(record.id).toBe('shared');
+    expect(record.value).toBeGreaterThanOrEqual(0);
+    expect(await fs.readdir(path.join(directory, 'records'))).toEqual(['shared.json']);
+  });
+
+  test('skips records it cannot parse when listing', async () => {
+    await storage.put('good', { id: 'good' });
+    await fs.writeFile(path.join(directory, 'records', 'bad.json'), '{ not json');
+
+    expect(await storage.list()).toEqual([{ id: 'good' }]);
+  });
+});
@@ -0,0 +1,44 @@
+const FileStorage = require('./fileStorage');
+const MemoryStorage = require('./memoryStorage');
+const { logger } = require('../../utils/logger');
+
+const drivers = {
+  file: FileStorage,
+  memory: MemoryStorage
+};
+
+// One instance per collection so every router and service sees the same data
+const instances = new Map();
+
+/**
+ * Get the storage backend for a collection, chosen by STORAGE_DRIVER (file or memory)
+ */
+const getStorage = (collection) => {
+  if (!instances.has(collection)) {
+    const driverName = process.env.STORAGE_DRIVER || 'file';
+    const Driver = drivers[driverName];
+
+    if (!Driver) {
+      throw new Error(`Unknown storage driver: ${driverName}. Supported drivers: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    logger.debug(`Using ${driverName} storage for ${collection}`);
+    instances.set(collection, new Driver(collection, {
+      directory: process.env.STORAGE_DIR || 'data'
+    }));
+  }
+
+  return instances.get(collection);
+};
+
+/**
+ * Register an additional storage driver (e.g. a database-backed one)
+ */
+const registerStorageDriver = (name, Driver) => {
+  drivers[name] = Driver;
+};
+
+module.exports = {
+  getStorage,
+  registerStorageDriver
+};
@@ -0,0 +1,32 @@
+// Records are copied in and out so callers can't mutate stored state
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+/**
+ * Keeps records in process memory; data is lost on restart
+ */
+class MemoryStorage {
+  constructor(collection) {
+    this.collection = collection;
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  async put(id, record) {
+    this.records.set(id, clone(record));
+    return record;
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async list() {
+    return [...this.records.values()].map(record => clone(record));
+  }
+}
+
+module.exports = MemoryStorage;
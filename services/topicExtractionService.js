@@ -0,0 +1,137 @@
+const { getCache, hashKey } = require('./cacheService');
+const { logger } = require('../utils/logger');
+
+// Canonical topics and the keywords that imply them
+const TOPIC_KEYWORDS = {
+  'openshift': ['openshift', 'kubernetes', 'k8s', 'containers', 'orchestration', 'pods', 'deployment'],
+  'ansible': ['ansible', 'automation', 'playbook', 'configuration management', 'infrastructure as code'],
+  'rhel': ['rhel', 'red hat enterprise linux', 'linux', 'system administration', 'centos', 'fedora'],
+  'ai': ['ai', 'artificial intelligence', 'machine learning', 'ml', 'data science', 'neural networks'],
+  'cloud': ['cloud', 'aws', 'azure', 'gcp', 'hybrid cloud', 'multi-cloud', 'cloud native'],
+  'security': ['security', 'selinux', 'compliance', 'vulnerability', 'cybersecurity', 'encryption'],
+  'networking': ['networking', 'network', 'tcp', 'ip', 'dns', 'firewall', 'load balancer'],
+  'storage': ['storage', 'ceph', 'gluster', 'persistent volume', 'block storage', 'object storage'],
+  'monitoring': ['monitoring', 'prometheus', 'grafana', 'observability', 'metrics', 'alerting'],
+  'devops': ['devops', 'ci/cd', 'pipeline', 'deployment', 'continuous integration', 'gitops'],
+  'virtualization': ['virtualization', 'vm', 'virtual machine', 'hypervisor', 'kvm', 'qemu'],
+  'middleware': ['middleware', 'jboss', 'wildfly', 'apache', 'tomcat', 'application server']
+};
+
+const STOP_WORDS = ['want', 'learn', 'need', 'help', 'with', 'about', 'from', 'that', 'this', 'they', 'have', 'will', 'been'];
+
+/**
+ * Turns free-text learner input into search topics with confidence scores.
+ * The LLM extractor is used when TOPIC_EXTRACTION=llm (default), falling back
+ * to keyword matching when the model is unavailable or returns nothing usable.
+ */
+class TopicExtractionService {
+  constructor({
+    llmService = null,
+    mode = process.env.TOPIC_EXTRACTION || 'llm',
+    minConfidence = parseFloat(process.env.TOPIC_MIN_CONFIDENCE) || 0.5,
+    maxTopics = parseInt(process.env.TOPIC_MAX_COUNT) || 5
+  } = {}) {
+    this.llmService = llmService;
+    this.mode = mode === 'keyword' ? 'keyword' : 'llm';
+    this.minConfidence = minConfidence;
+    this.maxTopics = maxTopics;
+    this.cache = getCache();
+  }
+
+  /**
+   * Extract topics from a learner's interests and goals
+   */
+  async extractFromProfile({ interests = [], goals = [] }, options = {}) {
+    return this.extract([...interests, ...goals].join(' '), options);
+  }
+
+  /**
+   * Extract topics from text. Resolves to
+   * { topics: [{ topic, confidence }], method: 'llm' | 'keyword', fallbackReason? },
+   * with topics above the confidence threshold, most confident first.
+   */
+  async extract(text, { bypassCache = false, provider, model } = {}) {
+    let fallbackReason = null;
+
+    if (this.mode === 'keyword') {
+      fallbackReason = 'LLM topic extraction is disabled';
+    } else if (!this.llmService) {
+      fallbackReason = 'LLM service is not available';
+    } else {
+      try {
+        const llm = this.llmService.getProvider(provider, model);
+        const { value } = await this.cache.wrap(
+          'topics',
+          hashKey({ text: text.toLowerCase(), provider: llm.name, model: llm.model }),
+          this.llmService.generationCacheTtl,
+          () => this.llmService.extractTopics(text, { vocabulary: Object.keys(TOPIC_KEYWORDS), provider, model }),
+          { bypass: bypassCache }
+        );
+
+        const topics = this.selectTopics(value);
+        if (topics.length > 0) {
+          return { topics, method: 'llm' };
+        }
+
+        fallbackReason = 'LLM returned no confident topics';
+      } catch (error) {
+        logger.warn('LLM topic extraction failed, falling back to keywords:', error.message);
+        fallbackReason = error.message;
+      }
+    }
+
+    return {
+      topics: this.extractKeywordTopics(text),
+      method: 'keyword',
+      fallbackReason
+    };
+  }
+
+  /**
+   * Normalize, deduplicate and threshold topics from the LLM
+   */
+  selectTopics(topics) {
+    const byName = new Map();
+
+    for (const { topic, confidence } of topics) {
+      const name = topic.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (name && confidence >= this.minConfidence && (!byName.has(name) || byName.get(name) < confidence)) {
+        byName.set(name, confidence);
+      }
+    }
+
+    return [...byName.entries()]
+      .map(([topic, confidence]) => ({ topic, confidence: Number(confidence.toFixed(2)) }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, this.maxTopics);
+  }
+
+  /**
+   * Match the input against the keyword map. A topic named directly scores
+   * higher than one implied by a related keyword; when nothing matches, the
+   * first few meaningful words are used with a low score.
+   */
+  extractKeywordTopics(text) {
+    const input = text.toLowerCase();
+    const topics = [];
+
+    for (const [topic, keywords] of Object.entries(TOPIC_KEYWORDS)) {
+      const matched = keywords.filter(keyword => input.includes(keyword));
+      if (matched.length > 0) {
+        topics.push({ topic, confidence: matched.includes(topic) ? 0.8 : 0.6 });
+      }
+    }
+
+    if (topics.length === 0) {
+      const words = input.split(/\s+/)
+        .filter(word => word.length > 3)
+        .filter(word => !STOP_WORDS.includes(word));
+
+      topics.push(...[...new Set(words)].slice(0, 3).map(topic => ({ topic, confidence: 0.2 })));
+    }
+
+    return topics.sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+module.exports = TopicExtractionService;
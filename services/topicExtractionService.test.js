@@ -0,0 +1,71 @@
+const TopicExtractionService = require('./topicExtractionService');
+
+const createLLMService = (extractTopics) => ({
+  generationCacheTtl: 60000,
+  getProvider: () => ({ name: 'mock', model: 'mock' }),
+  extractTopics: jest.fn(extractTopics)
+});
+
+describe('TopicExtractionService', () => {
+  test('keeps confident LLM topics, normalized and most confident first', async () => {
+    const llmService = createLLMService(async () => [
+      { topic: 'Ansible', confidence: 0.7 },
+      { topic: ' GitOps  workflows ', confidence: 0.914 },
+      { topic: 'ansible', confidence: 0.9 },
+      { topic: 'cooking', confidence: 0.2 }
+    ]);
+    const service = new TopicExtractionService({ llmService });
+
+    const result = await service.extract('Automate GitOps workflows with Ansible', { bypassCache: true });
+
+    expect(result).toEqual({
+      topics: [{ topic: 'gitops workflows', confidence: 0.91 }, { topic: 'ansible', confidence: 0.9 }],
+      method: 'llm'
+    });
+    expect(llmService.extractTopics).toHaveBeenCalledWith('Automate GitOps workflows with Ansible', expect.objectContaining({
+      vocabulary: expect.arrayContaining(['openshift', 'ansible'])
+    }));
+  });
+
+  test('falls back to keywords when the LLM fails', async () => {
+    const service = new TopicExtractionService({ llmService: createLLMService(async () => { throw new Error('connect ECONNREFUSED'); }) });
+
+    const result = await service.extract('Deploy pods on OpenShift', { bypassCache: true });
+
+    expect(result).toEqual({
+      topics: [{ topic: 'openshift', confidence: 0.8 }],
+      method: 'keyword',
+      fallbackReason: 'connect ECONNREFUSED'
+    });
+  });
+
+  test('falls back to keywords when the LLM finds nothing confident', async () => {
+    const service = new TopicExtractionService({ llmService: createLLMService(async () => [{ topic: 'linux', confidence: 0.1 }]) });
+
+    const result = await service.extract('Learn SELinux hardening', { bypassCache: true });
+
+    expect(result).toMatchObject({ method: 'keyword', fallbackReason: 'LLM returned no confident topics' });
+    expect(result.topics).toEqual([{ topic: 'rhel', confidence: 0.6 }, { topic: 'security', confidence: 0.6 }]);
+  });
+
+  test('only matches keywords when LLM extraction is turned off', async () => {
+    const llmService = createLLMService(async () => []);
+    const service = new TopicExtractionService({ llmService, mode: 'keyword' });
+
+    const result = await service.extractFromProfile({ interests: ['Kubernetes'], goals: ['Pass the EX280 exam'] });
+
+    expect(result).toMatchObject({ method: 'keyword', fallbackReason: 'LLM topic extraction is disabled' });
+    expect(result.topics).toEqual([{ topic: 'openshift', confidence: 0.6 }]);
+    expect(llmService.extractTopics).not.toHaveBeenCalled();
+  });
+
+  test('uses the first meaningful words when no keyword matches', () => {
+    const service = new TopicExtractionService();
+
+    expect(service.extractKeywordTopics('I want to learn about quantum computing basics')).toEqual([
+      { topic: 'quantum', confidence: 0.2 },
+      { topic: 'computing', confidence: 0.2 },
+      { topic: 'basics', confidence: 0.2 }
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+const { getStorage } = require('./storage');
+const { logger } = require('../utils/logger');
+
+const COUNTERS = ['requests', 'generations', 'rateLimited', 'quotaExceeded'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Per-key usage counters by UTC day: requests, learning path generations,
+ * and requests turned away by the rate limit or the generation quota. The
+ * current day's records are kept in memory and saved after every change.
+ */
+class UsageService {
+  constructor({ storage = getStorage('usage') } = {}) {
+    this.storage = storage;
+
+    // Record promises by id, for the current day only
+    this.days = new Map();
+    // Changes are applied and saved one after another so none are lost
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * A key's usage record for a day, loaded on first use
+   */
+  getDay(keyId, date = today()) {
+    const id = `${keyId}_${date}`;
+
+    if (!this.days.has(id)) {
+      for (const cachedId of this.days.keys()) {
+        if (!cachedId.endsWith(`_${date}`)) this.days.delete(cachedId);
+      }
+
+      const loading = this.storage.get(id).then(record => record || {
+        id,
+        keyId,
+        date,
+        ...Object.fromEntries(COUNTERS.map(counter => [counter, 0])),
+        lastRequestAt: null
+      });
+      // Try again next time if the record couldn't be read
+      loading.catch(() => this.days.delete(id));
+      this.days.set(id, loading);
+    }
+
+    return this.days.get(id);
+  }
+
+  /**
+   * Add to a key's counters for today, e.g. { requests: 1 }. Failures are
+   * logged rather than thrown so usage tracking never fails a request.
+   */
+  record(keyId, increments) {
+    this.saving = this.saving.then(async () => {
+      const day = await this.getDay(keyId);
+      for (const [counter, amount] of Object.entries(increments)) {
+        day[counter] = (day[counter] || 0) + amount;
+      }
+      if (increments.requests) {
+        day.lastRequestAt = new Date().toISOString();
+      }
+
+      await this.storage.put(day.id, { ...day });
+    }).catch(error => {
+      logger.error(`Failed to record usage for ${keyId}:`, error.message);
+    });
+
+    return this.saving;
+  }
+
+  /**
+   * Count `count` generations against a key's quota for today if they fit
+   * (any number when quota is null), or a quotaExceeded otherwise. Runs in
+   * the same queue as other changes, so concurrent requests can't both take
+   * the last generations. Resolves to { reserved, used }, with the
+   * generations used before this reservation; refund with
+   * record(keyId, { generations: -count }).
+   */
+  reserveGenerations(keyId, count, quota) {
+    const reserving = this.saving.then(async () => {
+      const day = await this.getDay(keyId);
+      const used = day.generations;
+      const reserved = quota === null || used + count <= quota;
+
+      if (reserved) {
+        day.generations += count;
+      } else {
+        day.quotaExceeded += 1;
+      }
+      await this.storage.put(day.id, { ...day });
+
+      return { reserved, used };
+    });
+
+    this.saving = reserving.catch(error => {
+      logger.error(`Failed to reserve generations for ${keyId}:`, error.message);
+    });
+
+    return reserving;
+  }
+
+  /**
+   * Generations a key has used today
+   */
+  async generationsToday(keyId) {
+    await this.saving;
+    return (await this.getDay(keyId)).generations;
+  }
+
+  /**
+   * Usage records from the last `days` days (today included), newest first,
+   * optionally for one key
+   */
+  async history({ days = 7, keyId } = {}) {
+    await this.saving;
+
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const records = await this.storage.list();
+
+    return records
+      .filter(record => record.date >= since && (!keyId || record.keyId === keyId))
+      .sort((a, b) => b.date.localeCompare(a.date) || a.keyId.localeCompare(b.keyId));
+  }
+
+  /**
+   * Counter totals over a list of daily records
+   */
+  summarize(records) {
+    return Object.fromEntries(COUNTERS.map(counter => [counter, records.reduce((sum, record) => sum + (record[counter] || 0), 0)]));
+  }
+}
+
+let defaultService = null;
+
+/**
+ * The shared usage service used by the auth middleware and admin routes
+ */
+const getUsageService = () => {
+  if (!defaultService) {
+    defaultService = new UsageService();
+  }
+  return defaultService;
+};
+
+module.exports = UsageService;
+module.exports.getUsageService = getUsageService;
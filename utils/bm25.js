@@ -0,0 +1,102 @@
+// Words too common in Red Hat content to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'your', 'you', 'red', 'hat'
+]);
+
+/**
+ * Lowercase a string and split it into searchable terms
+ */
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9.+#-]+/)
+  .map(term => term.replace(/^[.-]+|[.-]+$/g, ''))
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * Okapi BM25 ranking over a small in-memory document set
+ */
+class Bm25Index {
+  /**
+   * @param {Array} documents - items to index
+   * @param {Function} getFields - returns [{ text, weight }] for a document
+   */
+  constructor(documents, getFields, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = documents;
+    this.termFrequencies = [];
+    this.documentLengths = [];
+    this.documentFrequency = new Map();
+
+    for (const document of documents) {
+      const frequencies = new Map();
+      let length = 0;
+
+      // Weighted fields count their terms several times
+      for (const { text, weight = 1 } of getFields(document)) {
+        for (const term of tokenize(text)) {
+          frequencies.set(term, (frequencies.get(term) || 0) + weight);
+          length += weight;
+        }
+      }
+
+      for (const term of frequencies.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+
+      this.termFrequencies.push(frequencies);
+      this.documentLengths.push(length);
+    }
+
+    const totalLength = this.documentLengths.reduce((sum, length) => sum + length, 0);
+    this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+  }
+
+  /**
+   * Inverse document frequency (the always-positive Lucene variant)
+   */
+  idf(term) {
+    const n = this.documentFrequency.get(term) || 0;
+    const total = this.documents.length;
+    return Math.log(1 + (total - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * Return [{ document, score }] for documents matching the query, best first
+   */
+  search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    this.documents.forEach((document, index) => {
+      const frequencies = this.termFrequencies[index];
+      const lengthNorm = 1 - this.b + this.b * (this.documentLengths[index] / (this.averageLength || 1));
+      let score = 0;
+
+      for (const term of terms) {
+        const frequency = frequencies.get(term);
+        if (frequency) {
+          score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        }
+      }
+
+      if (score > 0) {
+        results.push({ document, score });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  Bm25Index,
+  tokenize
+};
@@ -0,0 +1,38 @@
+const { Bm25Index, tokenize } = require('./bm25');
+
+describe('tokenize', () => {
+  test('keeps technical terms and drops stop words', () => {
+    expect(tokenize('How to install Red Hat OpenShift 4.14 on RHEL-9, with C++ and .NET.')).toEqual([
+      'install', 'openshift', '4.14', 'rhel-9', 'c++', 'net'
+    ]);
+  });
+});
+
+describe('Bm25Index', () => {
+  const documents = [
+    { id: 'networking', title: 'OpenShift networking', body: 'Routes, services and ingress for OpenShift clusters' },
+    { id: 'ansible', title: 'Ansible automation', body: 'Write playbooks to automate RHEL servers' },
+    { id: 'mentions', title: 'Platform overview', body: 'Mentions OpenShift once alongside many other unrelated platform words and products' }
+  ];
+  const index = new Bm25Index(documents, document => [
+    { text: document.title, weight: 3 },
+    { text: document.body, weight: 1 }
+  ]);
+
+  test('ranks documents matching in weighted fields first', () => {
+    expect(index.search('openshift').map(({ document }) => document.id)).toEqual(['networking', 'mentions']);
+  });
+
+  test('returns nothing for queries without matching terms', () => {
+    expect(index.search('kubernetes')).toEqual([]);
+    expect(index.search('the and of')).toEqual([]);
+  });
+
+  test('limits the number of results', () => {
+    expect(index.search('openshift ansible', 1)).toHaveLength(1);
+  });
+
+  test('handles an empty document set', () => {
+    expect(new Bm25Index([], () => []).search('openshift')).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+const dns = require('dns');
+const net = require('net');
+const { isPublicAddress, publicLookup } = require('./publicAddress');
+
+/**
+ * The only hosts callbacks may go to, from JOB_CALLBACK_ALLOWED_HOSTS (empty: any public host)
+ */
+const getAllowedCallbackHosts = () => (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const blockedError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Check that a callback URL can be notified: its host is in `allowedHosts`,
+ * or, with no allowlist, every address it resolves to is public. Rejects with
+ * status 400 otherwise.
+ */
+const checkCallbackUrl = async (url, { allowedHosts = getAllowedCallbackHosts() } = {}) => {
+  // URL keeps the brackets around IPv6 hosts
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (allowedHosts.length > 0) {
+    if (!allowedHosts.includes(hostname)) {
+      throw blockedError(`Callback host ${hostname} is not in JOB_CALLBACK_ALLOWED_HOSTS`);
+    }
+    return;
+  }
+
+  if (net.isIP(hostname)) {
+    if (!isPublicAddress(hostname)) {
+      throw blockedError(`Callback host ${hostname} is not a public address`);
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw blockedError(`Callback host ${hostname} could not be resolved`);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw blockedError(`Callback host ${hostname} resolves to a non-public address (${blocked.address})`);
+  }
+};
+
+module.exports = { checkCallbackUrl, getAllowedCallbackHosts, isPublicAddress, publicLookup };
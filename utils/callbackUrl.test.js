@@ -0,0 +1,47 @@
+const { checkCallbackUrl, isPublicAddress, publicLookup } = require('./callbackUrl');
+
+describe('isPublicAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-address'
+  ])('rejects %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:8.8.8.8'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('checkCallbackUrl', () => {
+  test.each([
+    'http://127.0.0.1:3000/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost/hook'
+  ])('rejects %s with status 400', async (url) => {
+    await expect(checkCallbackUrl(url, { allowedHosts: [] })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('accepts a public address', async () => {
+    await expect(checkCallbackUrl('https://93.184.216.34/hook', { allowedHosts: [] })).resolves.toBeUndefined();
+  });
+
+  test('only accepts allowlisted hosts when there is an allowlist', async () => {
+    const allowedHosts = ['hooks.internal', '127.0.0.1'];
+
+    await expect(checkCallbackUrl('http://127.0.0.1:8080/hook', { allowedHosts })).resolves.toBeUndefined();
+    await expect(checkCallbackUrl('https://93.184.216.34/hook', { allowedHosts }))
+      .rejects.toThrow('Callback host 93.184.216.34 is not in JOB_CALLBACK_ALLOWED_HOSTS');
+  });
+});
+
+describe('publicLookup', () => {
+  test('fails for a name resolving to this host', (done) => {
+    publicLookup('localhost', {}, (error) => {
+      expect(error.message).toMatch(/non-public address/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Format an ISO 8601 duration (PT1H5M30S) or a number of seconds as "1h 5m 30s".
+ * Seconds are dropped once the duration reaches an hour. Returns null for anything else.
+ */
+const formatDuration = (value) => {
+  if (!value) return null;
+
+  let seconds;
+  const iso = String(value).match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+
+  if (iso) {
+    seconds = (parseInt(iso[1] || 0) * 86400) + (parseInt(iso[2] || 0) * 3600) + (parseInt(iso[3] || 0) * 60) + Math.round(parseFloat(iso[4] || 0));
+  } else if (/^\d+(\.\d+)?$/.test(String(value))) {
+    seconds = Math.round(parseFloat(value));
+  } else {
+    return null;
+  }
+
+  if (!seconds) return null;
+
+  const parts = [];
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainder = seconds % 60;
+
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (remainder && !hours) parts.push(`${remainder}s`);
+
+  return parts.join(' ');
+};
+
+// Minutes per unit; a training "day" is a working day
+const UNIT_MINUTES = [
+  [/^(w|wk|wks|weeks?)$/, 5 * 8 * 60],
+  [/^(d|days?)$/, 8 * 60],
+  [/^(h|hr|hrs|hours?)$/, 60],
+  [/^(m|min|mins|minutes?)$/, 1],
+  [/^(s|sec|secs|seconds?)$/, 1 / 60]
+];
+
+/**
+ * Parse a human duration ("2 hours", "1h 30m", "3-4 days", "PT45M", "12:30") into minutes.
+ * Ranges use their midpoint. Returns null when nothing can be parsed.
+ */
+const parseDurationMinutes = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim().toLowerCase();
+
+  if (/^p/i.test(text)) {
+    const formatted = formatDuration(text.toUpperCase());
+    return formatted ? parseDurationMinutes(formatted) : null;
+  }
+
+  // Video lengths such as 1:02:03 or 12:30
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    return Math.round((parseInt(clock[1] || 0) * 60) + parseInt(clock[2]) + (parseInt(clock[3]) / 60));
+  }
+
+  let minutes = 0;
+  let matched = false;
+  const pattern = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = UNIT_MINUTES.find(([unitPattern]) => unitPattern.test(match[3]));
+    if (!unit) continue;
+
+    const amount = match[2] ? (parseFloat(match[1]) + parseFloat(match[2])) / 2 : parseFloat(match[1]);
+    minutes += amount * unit[1];
+    matched = true;
+  }
+
+  return matched ? Math.round(minutes) : null;
+};
+
+// Calendar weeks per unit, for spans such as a phase's estimatedTime
+const UNIT_WEEKS = [
+  [/^(mo|mos|months?)$/, 4.35],
+  [/^(w|wk|wks|weeks?)$/, 1],
+  [/^(d|days?)$/, 1 / 7]
+];
+
+/**
+ * Parse a calendar span ("2 weeks", "2-3 weeks", "1 month", "10 days") into weeks.
+ * Ranges use their midpoint. Returns null for effort durations such as "20 hours".
+ */
+const parseDurationWeeks = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim().toLowerCase();
+  const pattern = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]+)/g;
+  let weeks = 0;
+  let matched = false;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = UNIT_WEEKS.find(([unitPattern]) => unitPattern.test(match[3]));
+    if (!unit) continue;
+
+    const amount = match[2] ? (parseFloat(match[1]) + parseFloat(match[2])) / 2 : parseFloat(match[1]);
+    weeks += amount * unit[1];
+    matched = true;
+  }
+
+  return matched ? weeks : null;
+};
+
+module.exports = { formatDuration, parseDurationMinutes, parseDurationWeeks };
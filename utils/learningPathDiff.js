@@ -0,0 +1,69 @@
+// Fields compared at the top level and for each phase
+const PATH_FIELDS = ['title', 'description', 'totalEstimatedTime', 'difficultyLevel'];
+const PHASE_FIELDS = ['title', 'description', 'estimatedTime', 'difficulty', 'practiceActivities', 'assessmentCriteria'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * [{ field, from, to }] for the fields that differ between two objects
+ */
+const diffFields = (before, after, fields) => fields
+  .filter(field => !isEqual(before[field], after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+const resourceSummary = ({ title, url }) => ({ title, url });
+
+/**
+ * Describe what changed between two versions of a learning path. Phases are
+ * matched by phase number and resources by URL.
+ */
+const diffLearningPaths = (before, after) => {
+  const beforePhases = new Map((before.phases || []).map(phase => [phase.phase, phase]));
+  const afterPhases = new Map((after.phases || []).map(phase => [phase.phase, phase]));
+  const phaseNumbers = [...new Set([...beforePhases.keys(), ...afterPhases.keys()])].sort((a, b) => a - b);
+
+  const phases = phaseNumbers.map(number => {
+    const oldPhase = beforePhases.get(number);
+    const newPhase = afterPhases.get(number);
+
+    if (!oldPhase) {
+      return { phase: number, status: 'added', title: newPhase.title, resourcesAdded: (newPhase.resources || []).map(resourceSummary) };
+    }
+    if (!newPhase) {
+      return { phase: number, status: 'removed', title: oldPhase.title, resourcesRemoved: (oldPhase.resources || []).map(resourceSummary) };
+    }
+
+    const oldUrls = new Set((oldPhase.resources || []).map(resource => resource.url));
+    const newUrls = new Set((newPhase.resources || []).map(resource => resource.url));
+    const changes = diffFields(oldPhase, newPhase, PHASE_FIELDS);
+    const resourcesAdded = (newPhase.resources || []).filter(resource => !oldUrls.has(resource.url)).map(resourceSummary);
+    const resourcesRemoved = (oldPhase.resources || []).filter(resource => !newUrls.has(resource.url)).map(resourceSummary);
+    const modified = changes.length > 0 || resourcesAdded.length > 0 || resourcesRemoved.length > 0;
+
+    return {
+      phase: number,
+      status: modified ? 'modified' : 'unchanged',
+      title: newPhase.title,
+      changes,
+      resourcesAdded,
+      resourcesRemoved
+    };
+  });
+
+  const count = (status) => phases.filter(phase => phase.status === status).length;
+
+  return {
+    summary: {
+      phasesAdded: count('added'),
+      phasesRemoved: count('removed'),
+      phasesModified: count('modified'),
+      phasesUnchanged: count('unchanged'),
+      resourcesAdded: phases.reduce((sum, phase) => sum + (phase.resourcesAdded || []).length, 0),
+      resourcesRemoved: phases.reduce((sum, phase) => sum + (phase.resourcesRemoved || []).length, 0)
+    },
+    changes: diffFields(before, after, PATH_FIELDS),
+    phases
+  };
+};
+
+module.exports = { diffLearningPaths };
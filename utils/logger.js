@@ -14,7 +14,8 @@ const logger = winston.createLogger({
   ]
 });
 
-if (process.env.NODE_ENV !== 'production') {
+// LOG_CONSOLE=false keeps development logs off the console (used by the CLI tools)
+if (process.env.NODE_ENV !== 'production' && process.env.LOG_CONSOLE !== 'false') {
   logger.add(new winston.transports.Console({
     format: winston.format.combine(
       winston.format.colorize(),
@@ -0,0 +1,74 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outbound requests for user-supplied URLs must not reach: this host,
+// private networks, link-local (including cloud metadata at 169.254.169.254),
+// shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet. BlockList checks
+ * IPv4-mapped IPv6 addresses (::ffff:7f00:1) against the IPv4 ranges.
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * A dns.lookup replacement for HTTP clients that fails for hosts resolving to
+ * an address that isn't public, so the address checked is the one connected to.
+ * Node skips the lookup for IP literals: check those with checkPublicHost.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(blockedError(`Host ${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Throw (status 400) for a hostname that is a non-public IP address. Names
+ * are left to publicLookup, which checks what they resolve to.
+ */
+const checkPublicHost = (hostname) => {
+  // URL keeps the brackets around IPv6 hosts
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw blockedError(`Host ${host} is not a public address`);
+  }
+};
+
+/**
+ * axios options that keep a request, and every redirect it follows, on public addresses
+ */
+const publicRequestOptions = () => ({
+  lookup: publicLookup,
+  beforeRedirect: (options) => checkPublicHost(options.hostname)
+});
+
+module.exports = { isPublicAddress, publicLookup, checkPublicHost, publicRequestOptions };
@@ -0,0 +1,20 @@
+const { checkPublicHost, publicLookup } = require('./publicAddress');
+
+describe('checkPublicHost', () => {
+  test.each(['127.0.0.1', '[::1]', '[::ffff:127.0.0.1]', '10.0.0.5', '169.254.169.254'])('rejects %s with status 400', (host) => {
+    expect(() => checkPublicHost(host)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test.each(['93.184.216.34', '[2606:2800:220:1:248:1893:25c8:1946]', 'www.redhat.com'])('accepts %s', (host) => {
+    expect(() => checkPublicHost(host)).not.toThrow();
+  });
+});
+
+describe('publicLookup', () => {
+  test('fails for a name resolving to this host', (done) => {
+    publicLookup('localhost', {}, (error) => {
+      expect(error.message).toMatch(/non-public address/);
+      done();
+    });
+  });
+});
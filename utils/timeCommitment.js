@@ -0,0 +1,110 @@
+// Weekly hours assumed when a time commitment can't be parsed
+const DEFAULT_WEEKLY_HOURS = 5;
+
+const COUNT_WORDS = { once: 1, twice: 2, thrice: 3 };
+
+// Amounts written in words, replaced with numbers before parsing
+const WORD_AMOUNTS = [
+  [/\ban?\s*hour\s*and\s*a\s*half\b/g, '1.5 hours'],
+  [/\b(?:half\s*an?|a\s*half)\s*hour\b/g, '30 minutes'],
+  [/\b(?:an?|one)\s*hour\b/g, '1 hour']
+];
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Study days per week named in the text ("3 days a week", "twice a week",
+ * "weekdays", "weekends", "daily", "each evening", "including weekends",
+ * "every day except weekends") and whether they include weekends. Either is
+ * null when the text doesn't say.
+ */
+const parseStudyDays = (text) => {
+  const count = text.match(/(\d+)(?:\s*(?:-|to)\s*(\d+))?\s*(?:days?|times|sessions|evenings|nights|mornings)\s*(?:a|per|each|every|\/)\s*(?:week|wk)/);
+  if (count) {
+    const days = count[2] ? (parseInt(count[1]) + parseInt(count[2])) / 2 : parseInt(count[1]);
+    return { daysPerWeek: Math.min(7, Math.max(1, Math.round(days))), includesWeekends: null, sessions: true };
+  }
+
+  const word = text.match(/\b(once|twice|thrice)\s*(?:a|per|each|every)\s*week/);
+  if (word) return { daysPerWeek: COUNT_WORDS[word[1]], includesWeekends: null, sessions: true };
+
+  if (/(including|incl\.?|plus|and|\+)\s*(the\s*)?weekends?|7 days/.test(text)) return { daysPerWeek: 7, includesWeekends: true };
+  // Checked before "every day" so "every day except weekends" means weekdays
+  if (/(no|except|not on|excluding|without)\s*(the\s*)?weekends?/.test(text)) return { daysPerWeek: 5, includesWeekends: false };
+  if (/weekends?/.test(text)) return { daysPerWeek: 2, includesWeekends: true };
+  if (/weekdays?|week\s*nights?|mon(day)?\s*(-|to)\s*fri(day)?/.test(text)) return { daysPerWeek: 5, includesWeekends: false };
+  if (/every\s*day|daily|nightly|(each|every)\s*(evening|night|morning)/.test(text)) return { daysPerWeek: 7, includesWeekends: true };
+
+  return { daysPerWeek: null, includesWeekends: null };
+};
+
+/**
+ * Parse a free-text time commitment such as "4-6 hours per week including weekends",
+ * "1 hour a day on weekdays", "2 hours, 3 times a week", "30 minutes daily",
+ * "an hour each evening", "10+ hours/week" or "full-time" into a weekly hours budget:
+ * { weeklyHours, minWeeklyHours, maxWeeklyHours, daysPerWeek, hoursPerDay, includesWeekends }.
+ * Ranges use their midpoint. Returns null when no hours can be found.
+ */
+const parseTimeCommitment = (timeCommitment) => {
+  const text = WORD_AMOUNTS.reduce((result, [pattern, amount]) => result.replace(pattern, amount), (timeCommitment || '').toLowerCase());
+  const studyDays = parseStudyDays(text);
+  let { daysPerWeek } = studyDays;
+  let min;
+  let max;
+
+  if (/full[\s-]?time/.test(text)) {
+    min = max = 40;
+    daysPerWeek = daysPerWeek || 5;
+  } else if (/part[\s-]?time/.test(text)) {
+    min = max = 20;
+  } else {
+    const match = text.match(/(\d+(?:\.\d+)?)\+?(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|h|minutes?|mins?|m)\b/);
+    if (!match) return null;
+
+    const unit = /^m/.test(match[3]) ? 1 / 60 : 1;
+    min = parseFloat(match[1]) * unit;
+    max = (match[2] ? parseFloat(match[2]) : parseFloat(match[1])) * unit;
+
+    // The period the amount is given for, preferring one right after it ("2 hours a day, 5 days a week")
+    const rest = text.slice(match.index + match[0].length);
+    const period = (rest.match(/^\s*(?:\/|per|a|an|each|every)\s*(week|wk|day|night|evening|morning|session|month)/) || rest.match(/^\s*(weekly|daily|nightly|monthly)/) || [])[1]
+      || (/daily|a day|per day|each day|every day|weekday/.test(text) ? 'day' : null)
+      || (/month/.test(text) ? 'month' : null)
+      || (studyDays.sessions ? 'session' : 'week');
+
+    let multiplier = 1;
+    if (/^(day|daily|night|nightly|evening|morning)/.test(period)) {
+      multiplier = daysPerWeek || 7;
+    } else if (/^month/.test(period)) {
+      multiplier = 1 / 4.35;
+    } else if (period === 'session') {
+      multiplier = daysPerWeek || 1;
+    }
+
+    min *= multiplier;
+    max *= multiplier;
+  }
+
+  const weeklyHours = (min + max) / 2;
+  if (!(weeklyHours > 0)) return null;
+
+  return {
+    weeklyHours: round(weeklyHours),
+    minWeeklyHours: round(min),
+    maxWeeklyHours: round(max),
+    daysPerWeek,
+    hoursPerDay: daysPerWeek ? round(weeklyHours / daysPerWeek) : null,
+    includesWeekends: studyDays.includesWeekends
+  };
+};
+
+/**
+ * Estimate weekly study hours from a free-text time commitment.
+ * Returns null when no estimate can be made.
+ */
+const parseWeeklyHours = (timeCommitment) => {
+  const budget = parseTimeCommitment(timeCommitment);
+  return budget ? budget.weeklyHours : null;
+};
+
+module.exports = { DEFAULT_WEEKLY_HOURS, parseTimeCommitment, parseWeeklyHours };
@@ -0,0 +1,47 @@
+const { DEFAULT_WEEKLY_HOURS, parseTimeCommitment, parseWeeklyHours } = require('./timeCommitment');
+
+describe('parseTimeCommitment', () => {
+  test.each([
+    ['4-6 hours per week including weekends', { weeklyHours: 5, minWeeklyHours: 4, maxWeeklyHours: 6, daysPerWeek: 7, includesWeekends: true }],
+    ['1 hour a day on weekdays', { weeklyHours: 5, daysPerWeek: 5, hoursPerDay: 1, includesWeekends: false }],
+    ['2 hours, 3 times a week', { weeklyHours: 6, daysPerWeek: 3, hoursPerDay: 2 }],
+    ['30 minutes daily', { weeklyHours: 3.5, daysPerWeek: 7, hoursPerDay: 0.5 }],
+    ['10+ hours/week', { weeklyHours: 10, daysPerWeek: null }],
+    ['weekends only, 3 hours a day', { weeklyHours: 6, daysPerWeek: 2, includesWeekends: true }],
+    ['8 hours a month', { weeklyHours: 1.84 }],
+    ['full-time', { weeklyHours: 40, daysPerWeek: 5 }],
+    ['part-time', { weeklyHours: 20 }]
+  ])('parses "%s"', (text, expected) => {
+    expect(parseTimeCommitment(text)).toMatchObject(expected);
+  });
+
+  test.each([
+    '1 hour every day except weekends',
+    '1 hour daily, no weekends',
+    '1 hour a day excluding weekends'
+  ])('treats "%s" as five weekdays', (text) => {
+    expect(parseTimeCommitment(text)).toMatchObject({ weeklyHours: 5, daysPerWeek: 5, hoursPerDay: 1, includesWeekends: false });
+  });
+
+  test.each([
+    ['An hour each evening', { weeklyHours: 7, daysPerWeek: 7, hoursPerDay: 1 }],
+    ['half an hour every morning', { weeklyHours: 3.5, daysPerWeek: 7, hoursPerDay: 0.5 }],
+    ['an hour and a half a day on weekdays', { weeklyHours: 7.5, daysPerWeek: 5, hoursPerDay: 1.5 }]
+  ])('parses amounts written in words: "%s"', (text, expected) => {
+    expect(parseTimeCommitment(text)).toMatchObject(expected);
+  });
+
+  test('returns null when there are no hours to find', () => {
+    expect(parseTimeCommitment('whenever I can')).toBeNull();
+    expect(parseTimeCommitment('')).toBeNull();
+    expect(parseTimeCommitment(undefined)).toBeNull();
+  });
+});
+
+describe('parseWeeklyHours', () => {
+  test('returns the weekly hours or null', () => {
+    expect(parseWeeklyHours('3-5 hours/week')).toBe(4);
+    expect(parseWeeklyHours('as much as possible')).toBeNull();
+    expect(DEFAULT_WEEKLY_HOURS).toBe(5);
+  });
+});
@@ -0,0 +1,28 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The text topics are matched against in a phase: its title, description,
+ * resource titles and descriptions, and any extra strings
+ */
+const phaseText = (phase, extra = []) => [
+  phase.title,
+  phase.description,
+  ...(phase.resources || []).flatMap(resource => [resource.title, resource.description]),
+  ...extra
+].filter(Boolean).join(' ');
+
+/**
+ * Build a function returning the items whose topic appears in a text as a
+ * whole word, ignoring case. The patterns are compiled once, so one matcher
+ * can be reused for every phase of a path.
+ */
+const createTopicMatcher = (items, getTopic = item => item) => {
+  const patterns = items.map(item => ({
+    item,
+    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(String(getTopic(item)))}($|[^a-z0-9])`, 'i')
+  }));
+
+  return (text) => patterns.filter(({ pattern }) => pattern.test(text)).map(({ item }) => item);
+};
+
+module.exports = { createTopicMatcher, escapeRegExp, phaseText };
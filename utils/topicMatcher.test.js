@@ -0,0 +1,29 @@
+const { createTopicMatcher, phaseText } = require('./topicMatcher');
+
+describe('createTopicMatcher', () => {
+  test('matches topics as whole words, ignoring case', () => {
+    const matchTopics = createTopicMatcher(['Ansible', 'Go', 'C++', 'systemd']);
+
+    expect(matchTopics('Automating with ANSIBLE playbooks')).toEqual(['Ansible']);
+    expect(matchTopics('Google Kubernetes Engine and systemd-resolved')).toEqual(['systemd']);
+    expect(matchTopics('Writing C++ and Go')).toEqual(['Go', 'C++']);
+  });
+
+  test('returns the items a topic was read from', () => {
+    const proficiency = [{ topic: 'Podman', level: 'Advanced' }, { topic: 'SELinux', level: 'Beginner' }];
+
+    expect(createTopicMatcher(proficiency, ({ topic }) => topic)('Rootless podman')).toEqual([proficiency[0]]);
+  });
+});
+
+describe('phaseText', () => {
+  test('joins the phase, its resources and any extra text', () => {
+    const phase = {
+      title: 'Containers',
+      description: 'Images and registries',
+      resources: [{ title: 'Podman basics' }, { description: 'Buildah' }]
+    };
+
+    expect(phaseText(phase, ['Run a container'])).toBe('Containers Images and registries Podman basics Buildah Run a container');
+  });
+});
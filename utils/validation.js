@@ -1,5 +1,73 @@
 const Joi = require('joi');
 
+const llmProviderName = Joi.string().trim().lowercase().max(50).optional();
+
+/**
+ * Models a request may select, from the comma-separated LLM_ALLOWED_MODELS
+ */
+const getAllowedModels = () => (process.env.LLM_ALLOWED_MODELS || '')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+// Default models by provider name, so validation doesn't create a provider per request
+const defaultModels = new Map();
+
+/**
+ * The model a provider uses when a request doesn't name one, or null for unknown providers
+ */
+const getDefaultModel = (provider = process.env.LLM_PROVIDER || 'ollama') => {
+  const name = String(provider).trim().toLowerCase();
+
+  if (!defaultModels.has(name)) {
+    // Required here rather than at the top because the providers require this module
+    const { createLLMProvider } = require('../services/llmProviders');
+
+    try {
+      defaultModels.set(name, createLLMProvider(name).model);
+    } catch (error) {
+      // Not cached: the provider may be registered later
+      return null;
+    }
+  }
+
+  return defaultModels.get(name);
+};
+
+// The provider's default model is always accepted; others must be in LLM_ALLOWED_MODELS
+const allowedModelName = Joi.string()
+  .trim()
+  .max(200)
+  .custom((value, helpers) => {
+    const parent = helpers.state.ancestors.find(ancestor => ancestor && !Array.isArray(ancestor) && ancestor.provider);
+    if (value === getDefaultModel(parent ? parent.provider : undefined)) {
+      return value;
+    }
+
+    const allowedModels = getAllowedModels();
+    if (allowedModels.length === 0) {
+      return helpers.error('model.selectionDisabled');
+    }
+    return allowedModels.includes(value) ? value : helpers.error('any.invalid');
+  })
+  .optional()
+  .messages({
+    'any.invalid': 'Model is not in the allowed models list (LLM_ALLOWED_MODELS)',
+    'model.selectionDisabled': 'Model selection is disabled: only the default model can be named (set LLM_ALLOWED_MODELS to allow others)'
+  });
+
+// Overrides of the default generation options; other options are rejected rather than stripped
+const generationOptionsSchema = Joi.object({
+  temperature: Joi.number().min(0).max(2),
+  num_predict: Joi.number().integer().min(1).max(32768),
+  top_p: Joi.number().min(0).max(1)
+})
+  .prefs({ stripUnknown: false })
+  .optional()
+  .messages({
+    'object.unknown': '{{#label}} is not an allowed generation option (temperature, num_predict, top_p)'
+  });
+
 const learningPathRequestSchema = Joi.object({
   interests: Joi.array()
     .items(Joi.string().trim().min(1).max(200))
@@ -78,11 +146,30 @@ const learningPathRequestSchema = Joi.object({
     .trim()
     .max(500)
     .optional()
-    .allow('')
+    .allow(''),
+
+  // Generate hands-on lab exercises for every phase (one model request per phase)
+  labs: Joi.boolean().optional(),
+
+  // Submitted skill-gap assessment whose proficiency tailors the path
+  assessmentId: Joi.string().trim().max(64).optional(),
+
+  // First day of the study schedule (default next Monday)
+  startDate: Joi.date().iso().optional().messages({
+    'date.format': 'Start date must be a date in YYYY-MM-DD format'
+  }),
+
+  // LLM provider, model and generation options for this request
+  provider: llmProviderName,
+  model: allowedModelName,
+  generationOptions: generationOptionsSchema
 });
 
-const validateLearningPathRequest = (data) => {
-  const { error, value } = learningPathRequestSchema.validate(data, {
+/**
+ * Validate data against a schema, returning { isValid, errors, data }
+ */
+const validateWithSchema = (schema, data) => {
+  const { error, value } = schema.validate(data, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -108,6 +195,48 @@ const validateLearningPathRequest = (data) => {
   };
 };
 
+// A model to compare: an allowed model name, or a provider with an optional model and options
+const comparisonModelSchema = Joi.alternatives().try(
+  allowedModelName.required(),
+  Joi.object({
+    provider: llmProviderName,
+    model: allowedModelName,
+    generationOptions: generationOptionsSchema
+  })
+);
+
+// The profile fields of a generation request plus the models to run it through.
+// provider and generationOptions are defaults for every model.
+const compareRequestSchema = learningPathRequestSchema
+  .fork(['model'], schema => schema.forbidden().messages({
+    'any.unknown': 'Use models to list the models to compare'
+  }))
+  // Comparisons aren't saved, scheduled, tailored to an assessment or given labs
+  .fork(['startDate', 'assessmentId', 'labs'], schema => schema.strip())
+  .keys({
+    models: Joi.array()
+      .items(comparisonModelSchema)
+      .min(2)
+      .max(5)
+      .required()
+      .messages({
+        'array.min': 'At least two models are required',
+        'array.max': 'At most 5 models can be compared at once',
+        'any.required': 'Models are required'
+      })
+  });
+
+const validateLearningPathRequest = (data) => validateWithSchema(learningPathRequestSchema, data);
+
+const validateCompareRequest = (data) => validateWithSchema(compareRequestSchema, data);
+
+// A generation request to run in the background, with an optional URL to notify when it finishes
+const jobRequestSchema = learningPathRequestSchema.keys({
+  callbackUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional()
+});
+
+const validateJobRequest = (data) => validateWithSchema(jobRequestSchema, data);
+
 const searchRequestSchema = Joi.object({
   topics: Joi.array()
     .items(Joi.string().trim().min(1).max(100))
@@ -121,41 +250,421 @@ const searchRequestSchema = Joi.object({
     }),
   
   sources: Joi.array()
-    .items(Joi.string().valid('tv', 'documentation', 'training', 'all'))
+    .items(Joi.string().valid('tv', 'videos', 'documentation', 'training', 'all'))
     .default(['all'])
     .optional()
 });
 
-const validateSearchRequest = (data) => {
-  const { error, value } = searchRequestSchema.validate(data, {
-    abortEarly: false,
-    stripUnknown: true
-  });
+const validateSearchRequest = (data) => validateWithSchema(searchRequestSchema, data);
 
-  if (error) {
-    const errorDetails = error.details.map(detail => ({
-      field: detail.path.join('.'),
-      message: detail.message,
-      value: detail.context?.value
-    }));
+const learningPathListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  topic: Joi.string().trim().max(100).optional(),
+  difficulty: Joi.string().trim().max(50).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
 
-    return {
-      isValid: false,
-      errors: errorDetails,
-      data: null
-    };
-  }
+const validateLearningPathListQuery = (data) => validateWithSchema(learningPathListQuerySchema, data);
 
-  return {
-    isValid: true,
-    errors: null,
-    data: value
-  };
-};
+const memberRole = Joi.string().trim().lowercase().valid('admin', 'manager', 'learner').messages({
+  'any.only': 'Role must be one of admin, manager, learner'
+});
+
+const memberSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  email: Joi.string().trim().lowercase().email().max(200).required(),
+  role: memberRole.default('learner')
+});
+
+const organizationRequestSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  members: Joi.array().items(memberSchema).min(1).max(500).required()
+    .custom((members, helpers) => (members.some(member => member.role === 'admin') ? members : helpers.error('members.admin')))
+    .messages({ 'members.admin': 'At least one member must have the admin role' })
+});
+
+const validateOrganizationRequest = (data) => validateWithSchema(organizationRequestSchema, data);
+
+const validateMember = (data) => validateWithSchema(memberSchema, data);
+
+const memberUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  email: Joi.string().trim().lowercase().email().max(200).optional(),
+  role: memberRole.optional()
+}).or('name', 'email', 'role').messages({
+  'object.missing': 'Provide name, email or role'
+});
+
+const validateMemberUpdate = (data) => validateWithSchema(memberUpdateSchema, data);
+
+const assignmentRequestSchema = Joi.object({
+  // Id of a saved learning path, as returned by /generate
+  learningPathId: Joi.string().trim().guid().required(),
+  memberIds: Joi.array().items(Joi.string().trim().guid()).min(1).max(500).unique().required(),
+  dueDate: Joi.date().iso().optional().messages({
+    'date.format': 'Due date must be a date in YYYY-MM-DD format'
+  }),
+  note: Joi.string().trim().max(1000).optional().allow('')
+});
+
+const validateAssignmentRequest = (data) => validateWithSchema(assignmentRequestSchema, data);
+
+// Structure the LLM is asked to return (see LLMService.buildSystemPrompt)
+const learningPathResourceSchema = Joi.object({
+  title: Joi.string().trim().min(1).required(),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required(),
+  type: Joi.string().trim().min(1).required(),
+  source: Joi.string().trim().min(1).required(),
+  duration: Joi.string().trim().optional().allow('', null),
+  level: Joi.string().trim().optional().allow('', null),
+  courseCode: Joi.string().trim().optional().allow('', null),
+  publishedDate: Joi.string().trim().optional().allow('', null),
+  priority: Joi.string().trim().valid('High', 'Medium', 'Low').insensitive().required(),
+  description: Joi.string().trim().min(1).required()
+});
+
+const learningPathPhaseSchema = Joi.object({
+  phase: Joi.number().integer().min(1).required(),
+  title: Joi.string().trim().min(1).required(),
+  description: Joi.string().trim().min(1).required(),
+  estimatedTime: Joi.string().trim().min(1).required(),
+  difficulty: Joi.string().trim().min(1).required(),
+  resources: Joi.array().items(learningPathResourceSchema).required(),
+  practiceActivities: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+  assessmentCriteria: Joi.array().items(Joi.string().trim().min(1)).min(1).required()
+});
+
+const learningPathSchema = Joi.object({
+  title: Joi.string().trim().min(1).required(),
+  description: Joi.string().trim().min(1).required(),
+  totalEstimatedTime: Joi.string().trim().min(1).required(),
+  difficultyLevel: Joi.string().trim().min(1).required(),
+  prerequisites: Joi.array().items(Joi.string().trim().min(1)).required(),
+  learningObjectives: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+  phases: Joi.array().items(learningPathPhaseSchema).min(1).required(),
+  certificationPath: Joi.object({
+    recommended: Joi.array().items(Joi.string().trim().min(1)).required(),
+    sequence: Joi.array().items(Joi.string().trim().min(1)).required()
+  }).required(),
+  nextSteps: Joi.array().items(Joi.string().trim().min(1)).required()
+});
+
+const validateLearningPath = (data) => validateWithSchema(learningPathSchema, data);
+
+const catalogEntrySchema = Joi.object({
+  id: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(64).optional(),
+  title: Joi.string().trim().min(1).max(300).required(),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required(),
+  type: Joi.string().valid('video', 'documentation', 'training', 'certification', 'article', 'pdf').required(),
+  topics: Joi.array().items(Joi.string().trim().min(1).max(100)).max(30).default([]),
+  level: Joi.string().trim().max(100).optional().allow(''),
+  duration: Joi.string().trim().max(100).optional().allow(''),
+  description: Joi.string().trim().max(2000).optional().allow('')
+});
+
+const catalogImportSchema = Joi.object({
+  entries: Joi.array()
+    .items(catalogEntrySchema)
+    .min(1)
+    .max(5000)
+    .required()
+    .messages({
+      'array.min': 'At least one catalog entry is required'
+    }),
+
+  mode: Joi.string().valid('merge', 'replace').default('merge')
+});
+
+const validateCatalogImport = (data) => validateWithSchema(catalogImportSchema, data);
+
+const examCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{2,3}\d{3}$/);
+
+// One certification in the certification catalog
+const certificationSchema = Joi.object({
+  code: examCode.required(),
+  name: Joi.string().trim().min(1).max(200).required(),
+  shortName: Joi.string().trim().max(100).optional(),
+  aliases: Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).default([]),
+  level: Joi.string().trim().max(50).optional(),
+  // Certifications the credential requires
+  prerequisites: Joi.array().items(examCode).default([]),
+  // Certifications recommended but not required beforehand
+  recommendedBefore: Joi.array().items(examCode).default([]),
+  courses: Joi.array().items(Joi.string().trim().uppercase().max(20)).default([]),
+  objectives: Joi.array().items(Joi.object({
+    id: Joi.string().trim().min(1).max(30).required(),
+    title: Joi.string().trim().min(1).max(300).required(),
+    keywords: Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).min(1).required()
+  })).min(1).required()
+});
+
+const validateCertification = (data) => validateWithSchema(certificationSchema, data);
+
+// One API key in API_KEYS_FILE: the key itself, or its SHA-256 hex digest as keyHash
+const apiKeySchema = Joi.object({
+  id: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(50).required().messages({
+    'string.pattern.base': 'Id may only contain letters, numbers and dashes'
+  }),
+  name: Joi.string().trim().max(100).optional(),
+  key: Joi.string().min(16).max(200).optional(),
+  keyHash: Joi.string().trim().lowercase().pattern(/^[a-f0-9]{64}$/).optional(),
+  role: Joi.string().trim().lowercase().valid('admin', 'client').default('client'),
+  // Overrides RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX_REQUESTS for this key
+  rateLimit: Joi.object({
+    windowMs: Joi.number().integer().min(1000).optional(),
+    max: Joi.number().integer().min(1).optional()
+  }).default({}),
+  // Learning path generations per UTC day; null for no limit
+  dailyGenerationQuota: Joi.number().integer().min(0).allow(null).optional(),
+  disabled: Joi.boolean().default(false)
+}).xor('key', 'keyHash').messages({
+  'object.missing': 'Provide key or keyHash',
+  'object.xor': 'Provide key or keyHash, not both'
+});
+
+const validateApiKey = (data) => validateWithSchema(apiKeySchema, data);
+
+const usageQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(7),
+  key: Joi.string().trim().lowercase().max(50).optional()
+});
+
+const validateUsageQuery = (data) => validateWithSchema(usageQuerySchema, data);
+
+const progressUpdateSchema = Joi.object({
+  resources: Joi.array().items(Joi.object({
+    phase: Joi.number().integer().min(1).required(),
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required(),
+    completed: Joi.boolean().default(true)
+  })).max(200).optional(),
+
+  phases: Joi.array().items(Joi.object({
+    phase: Joi.number().integer().min(1).required(),
+    completed: Joi.boolean().default(true)
+  })).max(50).optional(),
+
+  timeSpent: Joi.array().items(Joi.object({
+    phase: Joi.number().integer().min(1).required(),
+    minutes: Joi.number().integer().min(1).max(24 * 60).required(),
+    note: Joi.string().trim().max(500).optional().allow('')
+  })).max(100).optional(),
+
+  selfAssessment: Joi.array().items(Joi.object({
+    phase: Joi.number().integer().min(1).required(),
+    criterion: Joi.string().trim().min(1).max(500).required(),
+    rating: Joi.number().integer().min(1).max(5).required(),
+    notes: Joi.string().trim().max(1000).optional().allow('')
+  })).max(100).optional()
+}).or('resources', 'phases', 'timeSpent', 'selfAssessment').messages({
+  'object.missing': 'Provide resources, phases, timeSpent or selfAssessment'
+});
+
+const validateProgressUpdate = (data) => validateWithSchema(progressUpdateSchema, data);
+
+const difficultyFeedback = Joi.string().valid('too_easy', 'too_hard', 'just_right');
+
+const adaptRequestSchema = Joi.object({
+  feedback: Joi.string().trim().max(2000).optional().allow(''),
+  difficulty: difficultyFeedback.optional(),
+  phaseFeedback: Joi.array().items(Joi.object({
+    phase: Joi.number().integer().min(1).required(),
+    difficulty: difficultyFeedback.optional(),
+    comment: Joi.string().trim().max(1000).optional().allow('')
+  })).max(50).optional(),
+  interests: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20).optional(),
+  goals: Joi.array().items(Joi.string().trim().min(1).max(300)).max(10).optional(),
+  provider: llmProviderName,
+  model: allowedModelName,
+  generationOptions: generationOptionsSchema
+}).or('feedback', 'difficulty', 'phaseFeedback', 'interests', 'goals').messages({
+  'object.missing': 'Provide feedback, difficulty, phaseFeedback, interests or goals'
+});
+
+const validateAdaptRequest = (data) => validateWithSchema(adaptRequestSchema, data);
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().trim().lowercase().valid('md', 'html', 'ics', 'csv').default('md').messages({
+    'any.only': 'Format must be one of md, html, ics, csv'
+  }),
+  // First day of the ICS schedule
+  start: Joi.date().iso().optional().messages({
+    'date.format': 'Start must be a date in YYYY-MM-DD format'
+  }),
+  // Time of day ICS study sessions begin
+  time: Joi.string().trim().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).default('18:00').messages({
+    'string.pattern.base': 'Time must be in HH:MM 24-hour format'
+  })
+});
+
+const validateExportQuery = (data) => validateWithSchema(exportQuerySchema, data);
+
+const scheduleQuerySchema = Joi.object({
+  // First day of the schedule, overriding the one saved with the path
+  start: Joi.date().iso().optional().messages({
+    'date.format': 'Start must be a date in YYYY-MM-DD format'
+  })
+});
+
+const validateScheduleQuery = (data) => validateWithSchema(scheduleQuerySchema, data);
+
+const topicExtractionRequestSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(2000).optional(),
+  interests: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20).optional(),
+  goals: Joi.array().items(Joi.string().trim().min(1).max(300)).max(10).optional(),
+  provider: llmProviderName
+}).or('text', 'interests', 'goals').messages({
+  'object.missing': 'Provide text, interests or goals'
+});
+
+const validateTopicExtractionRequest = (data) => validateWithSchema(topicExtractionRequestSchema, data);
+
+// Topics returned by the LLM extractor
+const extractedTopicsSchema = Joi.object({
+  topics: Joi.array()
+    .items(Joi.object({
+      topic: Joi.string().trim().min(1).max(60).required(),
+      confidence: Joi.number().min(0).max(1).required()
+    }))
+    .required()
+});
+
+const validateExtractedTopics = (data) => validateWithSchema(extractedTopicsSchema, data);
+
+const assessmentRequestSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(2000).optional(),
+  interests: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20).optional(),
+  goals: Joi.array().items(Joi.string().trim().min(1).max(300)).max(10).optional(),
+  // Topics to assess as given, skipping topic extraction
+  topics: Joi.array().items(Joi.string().trim().lowercase().min(1).max(60)).max(8).optional(),
+  experience: Joi.string().trim().max(100).optional().allow(''),
+  questionsPerTopic: Joi.number().integer().min(1).max(5).default(3),
+  provider: llmProviderName,
+  model: allowedModelName
+}).or('text', 'interests', 'goals', 'topics').messages({
+  'object.missing': 'Provide text, interests, goals or topics'
+});
+
+const validateAssessmentRequest = (data) => validateWithSchema(assessmentRequestSchema, data);
+
+const assessmentSubmissionSchema = Joi.object({
+  answers: Joi.array().items(Joi.object({
+    questionId: Joi.string().trim().max(64).required(),
+    // Index of the chosen option
+    answer: Joi.number().integer().min(0).max(9).required()
+  })).min(1).max(100).required().messages({
+    'array.min': 'At least one answer is required',
+    'any.required': 'Answers are required'
+  })
+});
+
+const validateAssessmentSubmission = (data) => validateWithSchema(assessmentSubmissionSchema, data);
+
+// One question returned by the quiz generator
+const quizQuestionSchema = Joi.object({
+  topic: Joi.string().trim().lowercase().min(1).max(60).required(),
+  difficulty: Joi.string().trim().valid('Beginner', 'Intermediate', 'Advanced').insensitive().default('Intermediate'),
+  question: Joi.string().trim().min(1).max(1000).required(),
+  options: Joi.array().items(Joi.string().trim().min(1).max(500)).min(2).max(6).unique().required(),
+  correctIndex: Joi.number().integer().min(0).required(),
+  explanation: Joi.string().trim().max(1000).optional().allow('')
+}).custom((question, helpers) => (
+  question.correctIndex < question.options.length ? question : helpers.error('any.invalid')
+)).messages({
+  'any.invalid': 'correctIndex must point at one of the options'
+});
+
+const validateQuizQuestion = (data) => validateWithSchema(quizQuestionSchema, data);
+
+// One hands-on lab exercise returned by the lab generator
+const labSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(300).required(),
+  objective: Joi.string().trim().min(1).max(1000).required(),
+  difficulty: Joi.string().trim().max(50).optional(),
+  estimatedTime: Joi.string().trim().max(100).optional(),
+  setup: Joi.array().items(Joi.string().trim().min(1).max(1000)).min(1).required(),
+  steps: Joi.array().items(Joi.object({
+    instruction: Joi.string().trim().min(1).max(2000).required(),
+    commands: Joi.array().items(Joi.string().trim().min(1).max(1000)).optional(),
+    // A playbook, manifest or other file the learner writes
+    file: Joi.object({
+      path: Joi.string().trim().min(1).max(300).required(),
+      language: Joi.string().trim().max(50).optional(),
+      content: Joi.string().min(1).max(20000).required()
+    }).optional()
+  })).min(1).required(),
+  expectedResults: Joi.array().items(Joi.string().trim().min(1).max(1000)).min(1).required(),
+  verification: Joi.array().items(Joi.object({
+    check: Joi.string().trim().min(1).max(1000).required(),
+    command: Joi.string().trim().max(1000).optional(),
+    expectedOutput: Joi.string().trim().max(2000).optional()
+  })).min(1).required()
+});
+
+const validateLab = (data) => validateWithSchema(labSchema, data);
+
+const labsRequestSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(3).default(2),
+  provider: llmProviderName,
+  model: allowedModelName
+});
+
+const validateLabsRequest = (data) => validateWithSchema(labsRequestSchema, data);
 
 module.exports = {
+  validateWithSchema,
+  getAllowedModels,
   validateLearningPathRequest,
+  validateCompareRequest,
+  validateJobRequest,
   validateSearchRequest,
+  validateLearningPathListQuery,
+  validateOrganizationRequest,
+  validateMember,
+  validateMemberUpdate,
+  validateAssignmentRequest,
+  validateCatalogImport,
+  validateCertification,
+  validateApiKey,
+  validateUsageQuery,
+  validateLearningPath,
+  validateTopicExtractionRequest,
+  validateExtractedTopics,
+  validateAssessmentRequest,
+  validateAssessmentSubmission,
+  validateQuizQuestion,
+  validateLab,
+  validateLabsRequest,
+  validateProgressUpdate,
+  validateAdaptRequest,
+  validateExportQuery,
+  validateScheduleQuery,
   learningPathRequestSchema,
-  searchRequestSchema
+  compareRequestSchema,
+  jobRequestSchema,
+  searchRequestSchema,
+  learningPathListQuerySchema,
+  organizationRequestSchema,
+  memberSchema,
+  memberUpdateSchema,
+  assignmentRequestSchema,
+  catalogEntrySchema,
+  catalogImportSchema,
+  certificationSchema,
+  apiKeySchema,
+  usageQuerySchema,
+  learningPathResourceSchema,
+  learningPathSchema,
+  topicExtractionRequestSchema,
+  extractedTopicsSchema,
+  assessmentRequestSchema,
+  assessmentSubmissionSchema,
+  quizQuestionSchema,
+  labSchema,
+  labsRequestSchema,
+  progressUpdateSchema,
+  adaptRequestSchema,
+  exportQuerySchema,
+  scheduleQuerySchema
 };
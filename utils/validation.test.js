@@ -0,0 +1,171 @@
+const {
+  validateLearningPathRequest,
+  validateAdaptRequest,
+  validateCompareRequest,
+  validateExportQuery,
+  validateJobRequest,
+  validateApiKey,
+  validateOrganizationRequest,
+  validateMemberUpdate,
+  validateAssignmentRequest
+} = require('./validation');
+
+const profile = {
+  interests: ['OpenShift'],
+  experience: 'beginner',
+  goals: ['Deploy applications'],
+  timeCommitment: '3-5 hours/week',
+  preferredLearningStyle: 'hands-on'
+};
+
+const withAllowedModels = (value, run) => {
+  const previous = process.env.LLM_ALLOWED_MODELS;
+  process.env.LLM_ALLOWED_MODELS = value;
+  try {
+    return run();
+  } finally {
+    process.env.LLM_ALLOWED_MODELS = previous;
+  }
+};
+
+describe('learning path requests', () => {
+  test('accept a complete profile', () => {
+    expect(validateLearningPathRequest(profile).isValid).toBe(true);
+  });
+
+  test('report every missing field', () => {
+    const { isValid, errors } = validateLearningPathRequest({ interests: ['OpenShift'] });
+
+    expect(isValid).toBe(false);
+    expect(errors.map(({ field }) => field)).toEqual(expect.arrayContaining(['experience', 'goals', 'timeCommitment', 'preferredLearningStyle']));
+  });
+
+  test('only take http and https callback URLs for jobs', () => {
+    expect(validateJobRequest({ ...profile, callbackUrl: 'https://example.com/hooks/paths' }).isValid).toBe(true);
+    expect(validateJobRequest({ ...profile, callbackUrl: 'file:///etc/passwd' }).errors[0].field).toBe('callbackUrl');
+  });
+});
+
+describe('adaptation requests', () => {
+  test('need some feedback to adapt a path', () => {
+    expect(validateAdaptRequest({ difficulty: 'too_easy' }).isValid).toBe(true);
+    expect(validateAdaptRequest({}).errors[0].message).toBe('Provide feedback, difficulty, phaseFeedback, interests or goals');
+  });
+});
+
+describe('model selection', () => {
+  test('accepts the default model when no models are allowed', () => {
+    withAllowedModels('', () => {
+      const validation = validateLearningPathRequest({ ...profile, model: 'mock' });
+
+      expect(validation.isValid).toBe(true);
+      expect(validation.data.model).toBe('mock');
+    });
+  });
+
+  test('accepts the default model of the requested provider', () => {
+    withAllowedModels('', () => {
+      expect(validateLearningPathRequest({ ...profile, provider: 'ollama', model: 'llama3.2:latest' }).isValid).toBe(true);
+      expect(validateLearningPathRequest({ ...profile, provider: 'ollama', model: 'mock' }).isValid).toBe(false);
+    });
+  });
+
+  test('creates each provider once to look up its default model', () => {
+    const llmProviders = require('../services/llmProviders');
+    validateLearningPathRequest({ ...profile, provider: 'ollama', model: 'llama3.2:latest' });
+    const createLLMProvider = jest.spyOn(llmProviders, 'createLLMProvider');
+
+    try {
+      withAllowedModels('', () => {
+        expect(validateLearningPathRequest({ ...profile, provider: 'ollama', model: 'llama3.2:latest' }).isValid).toBe(true);
+        expect(validateLearningPathRequest({ ...profile, provider: ' Ollama ', model: 'mistral:7b' }).isValid).toBe(false);
+      });
+      expect(createLLMProvider).not.toHaveBeenCalled();
+    } finally {
+      createLLMProvider.mockRestore();
+    }
+  });
+
+  test('rejects other models while model selection is disabled', () => {
+    withAllowedModels('', () => {
+      const validation = validateLearningPathRequest({ ...profile, model: 'mistral:7b' });
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors[0]).toMatchObject({ field: 'model', message: expect.stringMatching(/Model selection is disabled/) });
+    });
+  });
+
+  test('accepts listed models and the default model alongside them', () => {
+    withAllowedModels('mistral:7b, qwen2.5:7b', () => {
+      expect(validateLearningPathRequest({ ...profile, model: 'qwen2.5:7b' }).isValid).toBe(true);
+      expect(validateLearningPathRequest({ ...profile, model: 'mock' }).isValid).toBe(true);
+
+      const validation = validateLearningPathRequest({ ...profile, model: 'llama3:70b' });
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors[0].message).toMatch(/LLM_ALLOWED_MODELS/);
+    });
+  });
+
+  test('checks each compared model against its own provider', () => {
+    withAllowedModels('', () => {
+      const validation = validateCompareRequest({
+        ...profile,
+        models: ['mock', { provider: 'ollama', model: 'llama3.2:latest' }]
+      });
+
+      expect(validation.isValid).toBe(true);
+    });
+  });
+
+  test('rejects unknown generation options', () => {
+    const validation = validateLearningPathRequest({ ...profile, generationOptions: { temperature: 0.5, seed: 42 } });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors[0].message).toMatch(/not an allowed generation option/);
+  });
+});
+
+describe('export requests', () => {
+  test('default the export format and session time', () => {
+    expect(validateExportQuery({}).data).toEqual({ format: 'md', time: '18:00' });
+    expect(validateExportQuery({ time: '25:00' }).errors[0].message).toBe('Time must be in HH:MM 24-hour format');
+    expect(validateExportQuery({ format: 'pdf' }).errors[0].message).toBe('Format must be one of md, html, ics, csv');
+  });
+});
+
+describe('API keys', () => {
+  test('need a key or its hash, but not both', () => {
+    expect(validateApiKey({ id: 'portal', key: 'a-long-random-key-0123' }).data).toMatchObject({ role: 'client', disabled: false });
+    expect(validateApiKey({ id: 'portal' }).errors[0].message).toBe('Provide key or keyHash');
+    expect(validateApiKey({ id: 'portal', key: 'a-long-random-key-0123', keyHash: 'a'.repeat(64) }).errors[0].message)
+      .toBe('Provide key or keyHash, not both');
+  });
+});
+
+describe('organization requests', () => {
+  test('need an admin among the members and default others to learners', () => {
+    const { data } = validateOrganizationRequest({
+      name: 'Platform team',
+      members: [{ name: 'Ada', email: 'ADA@example.com', role: 'admin' }, { name: 'Lin', email: 'lin@example.com' }]
+    });
+
+    expect(data.members).toEqual([
+      { name: 'Ada', email: 'ada@example.com', role: 'admin' },
+      { name: 'Lin', email: 'lin@example.com', role: 'learner' }
+    ]);
+    expect(validateOrganizationRequest({ name: 'Team', members: [{ name: 'Lin', email: 'lin@example.com' }] }).errors[0].message)
+      .toBe('At least one member must have the admin role');
+  });
+
+  test('reject empty member updates', () => {
+    expect(validateMemberUpdate({}).errors[0].message).toBe('Provide name, email or role');
+  });
+
+  test('take assignments to distinct member ids', () => {
+    const memberId = '9b1e4d2a-1c3f-4e5b-8a6d-7f8e9a0b1c2d';
+    const request = { learningPathId: '3f6c4d2a-1c3f-4e5b-8a6d-7f8e9a0b1c2d', memberIds: [memberId] };
+
+    expect(validateAssignmentRequest(request).isValid).toBe(true);
+    expect(validateAssignmentRequest({ ...request, memberIds: [memberId, memberId] }).isValid).toBe(false);
+  });
+});